@@ -0,0 +1,406 @@
+/**
+ * Aromaticity
+ * Kekulization of aromatic systems and Hückel aromaticity perception
+ */
+
+import { toGraph } from './graph.js';
+import { parse } from './parser/index.js';
+import { tokenize, TokenType } from './tokenizer.js';
+import { atomToSMILES } from './atom.js';
+import {
+  allowedValences, bondOrderSum, implicitHydrogenCount,
+} from './valence.js';
+
+// Elements that have an aromatic (lowercase) form
+const AROMATIC_ELEMENTS = new Set(['B', 'C', 'N', 'O', 'P', 'S', 'Se', 'As']);
+
+/**
+ * Rewrite a SMILES string atom by atom and bond by bond, keeping its layout
+ *
+ * Atoms and bonds are numbered as in toGraph(). A ring-closure bond symbol is
+ * moved to the closing digit.
+ *
+ * @param {string} smiles - SMILES string
+ * @param {Function} atomText - (atomIndex, token) => SMILES for the atom
+ * @param {Function} bondText - (bondIndex, symbol) => bond symbol ('' for implicit)
+ * @returns {string} Rewritten SMILES
+ */
+function rewriteSMILES(smiles, atomText, bondText) {
+  const parts = [];
+  const branchStack = [];
+  const openRings = new Map(); // ring number -> { bondSymbol, part }
+  let atomCount = 0;
+  let bondCount = 0;
+  let prevAtom = null;
+  let pendingBond = null;
+
+  const nextBond = (symbol) => {
+    const text = bondText(bondCount, symbol);
+    bondCount += 1;
+    return text;
+  };
+
+  tokenize(smiles).forEach((token) => {
+    if (token.type === TokenType.ATOM) {
+      const bond = prevAtom !== null ? nextBond(pendingBond) : '';
+      parts.push(bond + atomText(atomCount, token));
+      prevAtom = atomCount;
+      atomCount += 1;
+      pendingBond = null;
+    } else if (token.type === TokenType.BOND) {
+      pendingBond = token.value;
+    } else if (token.type === TokenType.RING_MARKER) {
+      const opening = openRings.get(token.ringNumber);
+      if (!opening) {
+        openRings.set(token.ringNumber, { bondSymbol: pendingBond, part: parts.length });
+        parts.push(token.value);
+      } else {
+        parts[opening.part] = token.value;
+        parts.push(nextBond(opening.bondSymbol || pendingBond) + token.value);
+        openRings.delete(token.ringNumber);
+      }
+      pendingBond = null;
+    } else if (token.type === TokenType.BRANCH_OPEN) {
+      branchStack.push(prevAtom);
+      parts.push(token.value);
+    } else if (token.type === TokenType.BRANCH_CLOSE) {
+      prevAtom = branchStack.pop();
+      parts.push(token.value);
+    } else if (token.type === TokenType.DOT) {
+      prevAtom = null;
+      pendingBond = null;
+      parts.push(token.value);
+    }
+  });
+
+  return parts.join('');
+}
+
+function bondsByAtom(graph) {
+  const atomBonds = graph.atoms.map(() => []);
+  graph.bonds.forEach((bond) => {
+    atomBonds[bond.from].push(bond);
+    atomBonds[bond.to].push(bond);
+  });
+  return atomBonds;
+}
+
+function otherAtom(bond, atomIndex) {
+  return bond.from === atomIndex ? bond.to : bond.from;
+}
+
+/**
+ * Write an atom with a new aromatic flag, keeping its hydrogen count
+ * Organic-subset atoms get an explicit H count when the new form would
+ * imply a different one (pyrrole N becomes [nH]).
+ */
+function retypeAtom(atom, aromatic, oldBonds, newBonds) {
+  const props = { ...atom, aromatic };
+  if (atom.hCount === null) {
+    const before = implicitHydrogenCount(atom, oldBonds);
+    const after = implicitHydrogenCount(props, newBonds);
+    if (before !== after) props.hCount = before;
+  }
+  return atomToSMILES(props);
+}
+
+/**
+ * Check whether an aromatic atom needs a ring double bond in the Kekulé form
+ * It does when its lowest fitting valence has room for one more bond
+ * (carbon, pyridine-type nitrogen) but not with a lone pair ([nH], o, s).
+ */
+function needsDoubleBond(atom, atomBonds) {
+  if (!atom.aromatic) return false;
+  if (atomBonds.some((bond) => !bond.aromatic && bond.order === 2)) return false;
+  const valences = allowedValences(atom);
+  if (!valences) return false;
+  const used = bondOrderSum(atomBonds) + (atom.hCount || 0);
+  const valence = valences.find((v) => v >= used);
+  return valence !== undefined && used + 1 <= valence;
+}
+
+/**
+ * Find a perfect matching of the atoms needing a double bond by backtracking,
+ * always branching on the atom with the fewest free partners
+ * @returns {Map|null} atom -> partner atom, or null when there is none
+ */
+function matchDoubleBonds(atomsToMatch, partners) {
+  const matched = new Map();
+
+  const solve = () => {
+    let best = null;
+    let bestOptions = null;
+    atomsToMatch.forEach((atomIndex) => {
+      if (matched.has(atomIndex)) return;
+      const options = partners.get(atomIndex).filter((other) => !matched.has(other));
+      if (best === null || options.length < bestOptions.length) {
+        best = atomIndex;
+        bestOptions = options;
+      }
+    });
+    if (best === null) return true;
+    return bestOptions.some((other) => {
+      matched.set(best, other);
+      matched.set(other, best);
+      if (solve()) return true;
+      matched.delete(best);
+      matched.delete(other);
+      return false;
+    });
+  };
+
+  return solve() ? matched : null;
+}
+
+/**
+ * Pick the aromatic bonds that become double bonds in a Kekulé structure
+ * @returns {{atomsToMatch: Array<number>, matched: Map|null}} Atoms needing a
+ *   double bond and their partners (null when there is no Kekulé structure)
+ */
+function matchAromaticAtoms(graph, atomBonds) {
+  const atomsToMatch = graph.atoms
+    .filter((atom, i) => needsDoubleBond(atom, atomBonds[i]))
+    .map((atom) => atom.index);
+  const needsMatch = new Set(atomsToMatch);
+  const partners = new Map(atomsToMatch.map((atomIndex) => [
+    atomIndex,
+    atomBonds[atomIndex]
+      .filter((bond) => bond.aromatic && needsMatch.has(otherAtom(bond, atomIndex)))
+      .map((bond) => otherAtom(bond, atomIndex)),
+  ]));
+  return { atomsToMatch, matched: matchDoubleBonds(atomsToMatch, partners) };
+}
+
+/**
+ * Bond orders of a graph with aromatic bonds resolved to one Kekulé structure
+ * @param {Object} graph - Molecular graph from toGraph()
+ * @returns {Array<number>|null} Order per bond index (1, 2, 3 or 4), or null when the
+ *   aromatic system has no Kekulé structure
+ */
+export function kekuleBondOrders(graph) {
+  const { matched } = matchAromaticAtoms(graph, bondsByAtom(graph));
+  if (!matched) return null;
+  return graph.bonds.map((bond) => {
+    if (!bond.aromatic) return bond.order;
+    return matched.get(bond.from) === bond.to ? 2 : 1;
+  });
+}
+
+/**
+ * Convert aromatic atoms and bonds to an explicit Kekulé structure
+ *
+ * Every aromatic atom that needs a ring double bond (carbon, pyridine-type nitrogen)
+ * gets exactly one; atoms with a lone pair ([nH], o, s) or an exocyclic double bond
+ * keep single bonds. The layout of the SMILES (atom order, branches, ring numbers)
+ * is kept, so the double bonds land in the nodes' `bonds` arrays.
+ *
+ * @param {Object|string} node - AST node or SMILES string
+ * @returns {Object} New AST node without aromatic atoms
+ * @throws {Error} When an aromatic system has no valid Kekulé structure (c1cccc1)
+ *
+ * @example
+ * kekulize(Fragment('c1ccccc1')).smiles; // 'C1=CC=CC=C1'
+ */
+export function kekulize(node) {
+  const graph = toGraph(node);
+  const atomBonds = bondsByAtom(graph);
+
+  const { atomsToMatch, matched } = matchAromaticAtoms(graph, atomBonds);
+  if (!matched) {
+    throw new Error(
+      `Cannot kekulize ${graph.smiles}: no alternating double bonds for aromatic atoms `
+      + `${atomsToMatch.join(', ')}`,
+    );
+  }
+
+  const isDouble = (bond) => bond.aromatic && matched.get(bond.from) === bond.to;
+  const kekuleBonds = graph.atoms.map((atom, i) => atomBonds[i].map((bond) => {
+    if (!bond.aromatic) return bond;
+    return { ...bond, aromatic: false, order: isDouble(bond) ? 2 : 1 };
+  }));
+
+  const smiles = rewriteSMILES(
+    graph.smiles,
+    (atomIndex, token) => {
+      const atom = graph.atoms[atomIndex];
+      if (!atom.aromatic) return token.value;
+      return retypeAtom(atom, false, atomBonds[atomIndex], kekuleBonds[atomIndex]);
+    },
+    (bondIndex, symbol) => {
+      const bond = graph.bonds[bondIndex];
+      if (bond.aromatic) return isDouble(bond) ? '=' : '';
+      const betweenAromatic = graph.atoms[bond.from].aromatic && graph.atoms[bond.to].aromatic;
+      if (symbol === '-' && betweenAromatic) return '';
+      return symbol || '';
+    },
+  );
+  return parse(smiles);
+}
+
+/**
+ * Find the shortest cycle through each ring bond
+ * @param {Object} graph - Molecular graph from toGraph()
+ * @param {Array<Array<Object>>} atomBonds - Bonds incident to each atom
+ * @returns {Array<{atoms: Array<number>, bonds: Array<Object>}>} Unique rings
+ */
+export function findRings(graph, atomBonds) {
+  const rings = new Map();
+  graph.bonds.forEach((ringBond) => {
+    // Breadth-first search from one end to the other without the bond itself
+    const previous = new Map([[ringBond.from, null]]);
+    const queue = [ringBond.from];
+    while (queue.length > 0 && !previous.has(ringBond.to)) {
+      const atomIndex = queue.shift();
+      atomBonds[atomIndex].forEach((bond) => {
+        const next = otherAtom(bond, atomIndex);
+        if (bond === ringBond || previous.has(next)) return;
+        previous.set(next, bond);
+        queue.push(next);
+      });
+    }
+    if (!previous.has(ringBond.to)) return;
+
+    const atoms = [ringBond.to];
+    const bonds = [ringBond];
+    let current = ringBond.to;
+    while (previous.get(current) !== null) {
+      const bond = previous.get(current);
+      bonds.push(bond);
+      current = otherAtom(bond, current);
+      atoms.push(current);
+    }
+    const key = [...atoms].sort((a, b) => a - b).join(',');
+    if (!rings.has(key)) rings.set(key, { atoms, bonds });
+  });
+  return [...rings.values()];
+}
+
+/**
+ * Count the pi electrons an atom gives to a ring, or null when it cannot be aromatic
+ */
+function piElectrons(graph, atomIndex, atomBonds, ringBonds, aromaticBonds, hydrogens) {
+  const atom = graph.atoms[atomIndex];
+  if (!AROMATIC_ELEMENTS.has(atom.element)) return null;
+  if (atom.aromatic) {
+    // Already written aromatic: a double bond partner or a lone pair
+    return needsDoubleBond(atom, atomBonds) ? 1 : 2;
+  }
+  const multiple = atomBonds.filter((bond) => bond.order > 1 && !bond.aromatic);
+  if (multiple.some((bond) => bond.order > 2) || multiple.length > 1) return null;
+  if (multiple.length === 1) {
+    const [double] = multiple;
+    // In this ring or in a fused aromatic ring
+    if (ringBonds.has(double) || aromaticBonds.has(double)) return 1;
+    // Exocyclic C=O as in pyridones contributes nothing; exocyclic C=C breaks the ring
+    return graph.atoms[otherAtom(double, atomIndex)].element === 'C' ? null : 0;
+  }
+
+  const { element, charge } = atom;
+  const connections = atomBonds.length + hydrogens;
+  if (element === 'C') {
+    if (charge === -1) return 2;
+    if (charge === 1) return 0;
+    return null;
+  }
+  if (element === 'B') return charge === 0 && connections === 3 ? 0 : null;
+  if (element === 'N' || element === 'P' || element === 'As') {
+    if (charge === 0 && connections === 3) return 2;
+    if (charge === -1 && connections === 2) return 2;
+    return null;
+  }
+  // O, S, Se
+  return charge === 0 && connections === 2 ? 2 : null;
+}
+
+/**
+ * Convert Kekulé rings that satisfy the Hückel 4n+2 rule into aromatic form
+ *
+ * Rings are the shortest cycles through each bond. A ring is aromatic when every
+ * atom is sp2 (an in-ring double bond, a lone pair as in pyrrole N or furan O,
+ * or an exocyclic C=O) and the pi electrons count 4n+2. Rings fused to an aromatic
+ * ring count its shared double bonds, and two fused rings are also checked together
+ * (azulene). Other parts of the molecule are written unchanged.
+ *
+ * @param {Object|string} node - AST node or SMILES string
+ * @returns {Object} New AST node with aromatic rings in lowercase form
+ *
+ * @example
+ * aromatize(Fragment('C1=CC=CC=C1')).smiles; // 'c1ccccc1'
+ */
+export function aromatize(node) {
+  const graph = toGraph(node);
+  const atomBonds = bondsByAtom(graph);
+  const hydrogens = graph.atoms.map((atom, i) => (atom.hCount === null
+    ? implicitHydrogenCount(atom, atomBonds[i])
+    : atom.hCount));
+  const rings = findRings(graph, atomBonds);
+
+  const aromaticBonds = new Set();
+  const aromaticAtoms = new Set();
+  const isHuckel = (atoms, bonds) => {
+    const ringBonds = new Set(bonds);
+    const electrons = atoms.map((atomIndex) => piElectrons(
+      graph,
+      atomIndex,
+      atomBonds[atomIndex],
+      ringBonds,
+      aromaticBonds,
+      hydrogens[atomIndex],
+    ));
+    if (electrons.includes(null)) return false;
+    return electrons.reduce((sum, e) => sum + e, 0) % 4 === 2;
+  };
+  const markAromatic = (ring) => {
+    ring.atoms.forEach((atomIndex) => aromaticAtoms.add(atomIndex));
+    ring.bonds.forEach((bond) => aromaticBonds.add(bond));
+  };
+
+  // Single rings first, repeated so rings fused to aromatic rings are found too
+  let remaining = rings;
+  let found = true;
+  while (found) {
+    const aromatic = remaining.filter((ring) => isHuckel(ring.atoms, ring.bonds));
+    aromatic.forEach(markAromatic);
+    remaining = remaining.filter((ring) => !aromatic.includes(ring));
+    found = aromatic.length > 0;
+  }
+  const pending = new Set(remaining);
+
+  // Then pairs of fused rings checked as one system
+  remaining.forEach((ring, i) => {
+    remaining.slice(i + 1).forEach((other) => {
+      if (!pending.has(ring) && !pending.has(other)) return;
+      const shared = ring.bonds.filter((bond) => other.bonds.includes(bond));
+      if (shared.length !== 1) return;
+      const atoms = [...new Set([...ring.atoms, ...other.atoms])];
+      if (isHuckel(atoms, [...ring.bonds, ...other.bonds])) {
+        markAromatic(ring);
+        markAromatic(other);
+        pending.delete(ring);
+        pending.delete(other);
+      }
+    });
+  });
+
+  const aromaticForm = graph.atoms.map((atom, i) => atomBonds[i].map((bond) => (
+    aromaticBonds.has(bond) ? { ...bond, aromatic: true, order: 1.5 } : bond
+  )));
+
+  const smiles = rewriteSMILES(
+    graph.smiles,
+    (atomIndex, token) => {
+      const atom = graph.atoms[atomIndex];
+      if (!aromaticAtoms.has(atomIndex) || atom.aromatic) return token.value;
+      return retypeAtom(atom, true, atomBonds[atomIndex], aromaticForm[atomIndex]);
+    },
+    (bondIndex, symbol) => {
+      const bond = graph.bonds[bondIndex];
+      if (aromaticBonds.has(bond)) return bond.stereo ? symbol : '';
+      const betweenAromatic = (aromaticAtoms.has(bond.from) || graph.atoms[bond.from].aromatic)
+        && (aromaticAtoms.has(bond.to) || graph.atoms[bond.to].aromatic);
+      if (betweenAromatic && !bond.aromatic && bond.order === 1 && !symbol) return '-';
+      return symbol || '';
+    },
+  );
+  return parse(smiles);
+}
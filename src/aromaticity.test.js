@@ -0,0 +1,93 @@
+import { describe, test, expect } from 'bun:test';
+import { kekulize, aromatize } from './aromaticity.js';
+import { parse } from './parser/index.js';
+import { formula } from './properties.js';
+import { validateValence } from './valence.js';
+import { Ring, Linear } from './constructors.js';
+
+describe('kekulize', () => {
+  test('writes alternating double bonds into ring bonds arrays', () => {
+    const benzene = kekulize(Ring({ atoms: 'c', size: 6 }));
+    expect(benzene.smiles).toBe('C1=CC=CC=C1');
+    expect(benzene.atoms).toBe('C');
+    expect(benzene.bonds).toEqual(['=', null, '=', null, '=', null]);
+  });
+
+  test('kekulizes fused rings', () => {
+    const naphthalene = kekulize(parse('c1ccc2ccccc2c1'));
+    expect(naphthalene.type).toBe('fused_ring');
+    expect(naphthalene.smiles).toBe('C1=CC=C2C=CC=CC2=C1');
+  });
+
+  test('keeps single bonds at lone-pair atoms and exocyclic double bonds', () => {
+    expect(kekulize(parse('c1ccoc1')).smiles).toBe('C=1C=COC1');
+    expect(kekulize(parse('Cn1cccc1')).smiles).toBe('CN1C=CC=C1');
+    expect(kekulize(parse('O=c1cccc[nH]1')).smiles).toBe('O=C1C=CC=C[NH]1');
+  });
+
+  test('keeps charges, hydrogens and substituents', () => {
+    ['c1cc[nH]c1', 'c1cc[n+](C)cc1', '[cH-]1cccc1', 'CC(=O)Oc1ccccc1C(=O)O'].forEach((smiles) => {
+      const kekule = kekulize(parse(smiles));
+      expect(kekule.smiles).not.toMatch(/[a-z]/);
+      expect(formula(kekule)).toBe(formula(smiles));
+      expect(validateValence(kekule)).toEqual([]);
+    });
+  });
+
+  test('drops explicit single bonds between aromatic rings', () => {
+    expect(kekulize(parse('c1ccccc1-c1ccccc1')).smiles).toBe('C1=CC=CC=C1C1=CC=CC=C1');
+  });
+
+  test('leaves non-aromatic molecules unchanged', () => {
+    expect(kekulize(parse('CC(=O)O')).smiles).toBe('CC(=O)O');
+  });
+
+  test('throws for aromatic systems without a Kekulé structure', () => {
+    expect(() => kekulize(parse('c1cccc1'))).toThrow('Cannot kekulize c1cccc1');
+    expect(() => kekulize('c1ccnc1')).toThrow('no alternating double bonds');
+  });
+
+  test('is available as a node method', () => {
+    const pyridine = Ring({ atoms: 'c', size: 6, substitutions: { 4: 'n' } });
+    expect(pyridine.kekulize().smiles).toBe('C1=CC=NC=C1');
+  });
+});
+
+describe('aromatize', () => {
+  test('converts Hückel rings to aromatic form', () => {
+    expect(aromatize(parse('C1=CC=CC=C1')).smiles).toBe('c1ccccc1');
+    expect(aromatize(parse('C1=CC=NC=C1')).smiles).toBe('c1ccncc1');
+  });
+
+  test('adds hydrogens to pyrrole-type nitrogen', () => {
+    expect(aromatize(parse('C1=CNC=C1')).smiles).toBe('c1c[nH]cc1');
+  });
+
+  test('perceives fused aromatic rings', () => {
+    expect(aromatize(parse('C1=CC=C2C=CC=CC2=C1')).smiles).toBe('c1ccc2ccccc2c1');
+    expect(aromatize(parse('C1=CC2=CC=CC2=CC=C1')).smiles).toBe('c1cc2cccc2ccc1');
+  });
+
+  test('leaves rings that break the Hückel rule', () => {
+    expect(aromatize(parse('C1=CC=CC1')).smiles).toBe('C1=CC=CC1');
+    expect(aromatize(parse('C1=CC=CC=CC=C1')).smiles).toBe('C1=CC=CC=CC=C1');
+    expect(aromatize(parse('O=C1C=CC(=O)C=C1')).smiles).toBe('O=C1C=CC(=O)C=C1');
+    expect(aromatize(parse('C1CCCCC1')).smiles).toBe('C1CCCCC1');
+  });
+
+  test('marks single bonds between aromatic rings explicitly', () => {
+    expect(aromatize(parse('C1=CC=CC=C1C1=CC=CC=C1')).smiles).toBe('c1ccccc1-c1ccccc1');
+  });
+
+  test('reverses kekulize', () => {
+    ['c1ccc2c(c1)[nH]c1ccccc12', 'Cn1cnc2c1c(=O)n(C)c(=O)n2C', 'c1ccsc1', 'C[n+]1ccccc1[O-]']
+      .forEach((smiles) => {
+        expect(aromatize(kekulize(parse(smiles))).smiles).toBe(parse(smiles).smiles);
+      });
+  });
+
+  test('is available as a node method', () => {
+    const hexatriene = Linear(['C', 'C', 'C', 'C', 'C', 'C'], ['=', null, '=', null, '=']);
+    expect(hexatriene.aromatize().smiles).toBe('C=CC=CC=C');
+  });
+});
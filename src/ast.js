@@ -7,7 +7,8 @@ export const ASTNodeType = {
   LINEAR: 'linear', // Linear chain of atoms
   RING: 'ring', // Single ring structure
   FUSED_RING: 'fused_ring', // Multiple rings sharing atoms
-  ATOM: 'atom', // Single atom (not currently used as separate node)
+  ATOM: 'atom', // Single atom with element, charge, isotope, etc.
+  QUERY: 'query', // SMARTS query (atom and bond expressions)
 };
 
 /**
@@ -34,6 +35,14 @@ export function isFusedRingNode(value) {
   return isASTNode(value) && value.type === ASTNodeType.FUSED_RING;
 }
 
+export function isAtomNode(value) {
+  return isASTNode(value) && value.type === ASTNodeType.ATOM;
+}
+
+export function isQueryNode(value) {
+  return isASTNode(value) && value.type === ASTNodeType.QUERY;
+}
+
 /**
  * Validation utilities
  */
@@ -45,16 +54,19 @@ export function validateAtoms(atoms) {
     }
     return true;
   }
+  if (isAtomNode(atoms)) {
+    return true;
+  }
   if (Array.isArray(atoms)) {
     if (atoms.length === 0) {
       throw new Error('Atoms array cannot be empty');
     }
-    if (!atoms.every((a) => typeof a === 'string')) {
-      throw new Error('All atoms must be strings');
+    if (!atoms.every((a) => typeof a === 'string' || isAtomNode(a))) {
+      throw new Error('All atoms must be strings or Atom nodes');
     }
     return true;
   }
-  throw new Error('Atoms must be a string or array of strings');
+  throw new Error('Atoms must be a string or array of strings (or Atom nodes)');
 }
 
 export function validateSize(size) {
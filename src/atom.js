@@ -0,0 +1,168 @@
+/**
+ * Atom model helpers
+ * Validation, parsing and canonical serialization of single atoms
+ */
+
+import { tokenize, TokenType } from './tokenizer.js';
+import { isElementSymbol } from './elements.js';
+
+// Elements that may be written without brackets (OpenSMILES organic subset)
+const ORGANIC_SUBSET = new Set(['B', 'C', 'N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I', '*']);
+
+// Organic subset elements that also have an unbracketed aromatic form
+const AROMATIC_ORGANIC_SUBSET = new Set(['B', 'C', 'N', 'O', 'P', 'S']);
+
+// Elements that have an aromatic form inside brackets
+const AROMATIC_ELEMENTS = new Set(['B', 'C', 'N', 'O', 'P', 'S', 'Se', 'As']);
+
+const CHIRALITY_PATTERN = /^@(@|TH[12]|AL[12]|SP[123]|TB([1-9]|1\d|20)|OH([1-9]|[12]\d|30))?$/;
+
+const MAX_CHARGE = 15;
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Validate atom options and fill in defaults
+ * A lowercase element ('c', 'se') is read as the aromatic form of that element.
+ * hCount null means "implicit hydrogens", which allows the organic-subset form.
+ * @param {Object} options - Atom options
+ * @returns {Object} Normalized atom properties
+ */
+export function normalizeAtomProps(options) {
+  const {
+    element,
+    isotope = null,
+    chirality = null,
+    hCount = null,
+    charge = 0,
+    atomClass = null,
+  } = options;
+  let { aromatic = false } = options;
+
+  if (typeof element !== 'string' || element.length === 0) {
+    throw new Error('Atom element must be a non-empty string');
+  }
+  let symbol = element;
+  if (element !== '*' && element[0] === element[0].toLowerCase()) {
+    symbol = element[0].toUpperCase() + element.slice(1);
+    aromatic = true;
+  }
+  if (!isElementSymbol(symbol)) {
+    throw new Error(`Unknown element: '${element}'`);
+  }
+  if (aromatic && !AROMATIC_ELEMENTS.has(symbol)) {
+    throw new Error(`Element '${symbol}' cannot be aromatic`);
+  }
+  if (isotope !== null && (!isNonNegativeInteger(isotope) || isotope > 999)) {
+    throw new Error('Atom isotope must be an integer between 0 and 999');
+  }
+  if (chirality !== null && !CHIRALITY_PATTERN.test(chirality)) {
+    throw new Error(`Invalid atom chirality: '${chirality}'`);
+  }
+  if (hCount !== null && (!isNonNegativeInteger(hCount) || hCount > 9)) {
+    throw new Error('Atom hCount must be an integer between 0 and 9');
+  }
+  if (!Number.isInteger(charge) || Math.abs(charge) > MAX_CHARGE) {
+    throw new Error(`Atom charge must be an integer between -${MAX_CHARGE} and ${MAX_CHARGE}`);
+  }
+  if (atomClass !== null && !isNonNegativeInteger(atomClass)) {
+    throw new Error('Atom class must be a non-negative integer');
+  }
+
+  return {
+    element: symbol,
+    aromatic: Boolean(aromatic),
+    isotope,
+    chirality,
+    hCount,
+    charge,
+    atomClass,
+  };
+}
+
+/**
+ * Convert the atom field of an ATOM token into normalized atom properties
+ * @param {string|Object} tokenAtom - token.atom from tokenize()
+ * @returns {Object} Normalized atom properties
+ */
+export function atomPropsFromToken(tokenAtom) {
+  // Organic subset atom: implicit hydrogens, no charge
+  if (typeof tokenAtom === 'string') {
+    return normalizeAtomProps({ element: tokenAtom });
+  }
+
+  return normalizeAtomProps({
+    element: tokenAtom.element,
+    aromatic: tokenAtom.aromatic,
+    isotope: tokenAtom.isotope,
+    chirality: tokenAtom.chirality,
+    hCount: tokenAtom.hCount,
+    charge: tokenAtom.charge,
+    atomClass: tokenAtom.atomClass,
+  });
+}
+
+/**
+ * Parse a single SMILES atom ('C', 'c', 'Cl', '[nH]', '[13CH3+:1]') into atom properties
+ * @param {string} smiles - SMILES for exactly one atom
+ * @returns {Object} Normalized atom properties
+ */
+export function parseAtomProps(smiles) {
+  const tokens = tokenize(smiles);
+  if (tokens.length !== 1 || tokens[0].type !== TokenType.ATOM) {
+    throw new Error(`Expected a single atom, got '${smiles}'`);
+  }
+  return atomPropsFromToken(tokens[0].atom);
+}
+
+/**
+ * Format a charge as written in SMILES ('', '+', '-', '+2', '-3')
+ * @param {number} charge - Integer charge
+ * @returns {string}
+ */
+export function formatCharge(charge) {
+  if (charge === 0) return '';
+  const sign = charge > 0 ? '+' : '-';
+  const magnitude = Math.abs(charge);
+  return magnitude === 1 ? sign : `${sign}${magnitude}`;
+}
+
+/**
+ * Serialize an atom to SMILES
+ * Strings are returned unchanged. Atom nodes are written in the organic subset
+ * when nothing but the element is set, otherwise in canonical bracket form:
+ * [isotope][symbol][chirality][H count][charge][:class]
+ * @param {string|Object} atom - Atom string or Atom node
+ * @returns {string} SMILES for the atom
+ */
+export function atomToSMILES(atom) {
+  if (typeof atom === 'string') {
+    return atom;
+  }
+
+  const {
+    element, aromatic, isotope, chirality, hCount, charge, atomClass,
+  } = atom;
+  const symbol = aromatic ? element.toLowerCase() : element;
+
+  const isPlain = isotope === null && chirality === null && hCount === null
+    && charge === 0 && atomClass === null;
+  const inOrganicSubset = aromatic
+    ? AROMATIC_ORGANIC_SUBSET.has(element)
+    : ORGANIC_SUBSET.has(element);
+  if (isPlain && inOrganicSubset) {
+    return symbol;
+  }
+
+  const parts = ['['];
+  if (isotope !== null) parts.push(isotope.toString());
+  parts.push(symbol);
+  if (chirality !== null) parts.push(chirality);
+  if (hCount) parts.push(hCount === 1 ? 'H' : `H${hCount}`);
+  parts.push(formatCharge(charge));
+  if (atomClass !== null) parts.push(`:${atomClass}`);
+  parts.push(']');
+  return parts.join('');
+}
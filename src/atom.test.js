@@ -0,0 +1,95 @@
+import { describe, test, expect } from 'bun:test';
+import { normalizeAtomProps, parseAtomProps, atomToSMILES } from './atom.js';
+
+describe('normalizeAtomProps', () => {
+  test('fills in defaults', () => {
+    expect(normalizeAtomProps({ element: 'C' })).toEqual({
+      element: 'C',
+      aromatic: false,
+      isotope: null,
+      chirality: null,
+      hCount: null,
+      charge: 0,
+      atomClass: null,
+    });
+  });
+
+  test('reads lowercase elements as aromatic', () => {
+    const props = normalizeAtomProps({ element: 'se' });
+    expect(props.element).toBe('Se');
+    expect(props.aromatic).toBe(true);
+  });
+
+  test('throws on unknown element', () => {
+    expect(() => normalizeAtomProps({ element: 'Xx' })).toThrow("Unknown element: 'Xx'");
+  });
+
+  test('throws on aromatic element without aromatic form', () => {
+    expect(() => normalizeAtomProps({ element: 'F', aromatic: true })).toThrow('cannot be aromatic');
+  });
+
+  test('throws on invalid fields', () => {
+    expect(() => normalizeAtomProps({ element: 'C', charge: 16 })).toThrow('Atom charge');
+    expect(() => normalizeAtomProps({ element: 'C', isotope: -1 })).toThrow('Atom isotope');
+    expect(() => normalizeAtomProps({ element: 'C', hCount: 1.5 })).toThrow('Atom hCount');
+    expect(() => normalizeAtomProps({ element: 'C', chirality: '@X' })).toThrow('Invalid atom chirality');
+    expect(() => normalizeAtomProps({ element: 'C', atomClass: -2 })).toThrow('Atom class');
+  });
+});
+
+describe('parseAtomProps', () => {
+  test('parses organic subset atoms with implicit hydrogens', () => {
+    expect(parseAtomProps('Cl')).toMatchObject({ element: 'Cl', hCount: null });
+    expect(parseAtomProps('c')).toMatchObject({ element: 'C', aromatic: true });
+  });
+
+  test('parses bracket atoms', () => {
+    expect(parseAtomProps('[13CH3+:2]')).toEqual({
+      element: 'C',
+      aromatic: false,
+      isotope: 13,
+      chirality: null,
+      hCount: 3,
+      charge: 1,
+      atomClass: 2,
+    });
+  });
+
+  test('throws on more than one atom', () => {
+    expect(() => parseAtomProps('CC')).toThrow('Expected a single atom');
+  });
+});
+
+describe('atomToSMILES', () => {
+  test('returns strings unchanged', () => {
+    expect(atomToSMILES('[nH]')).toBe('[nH]');
+  });
+
+  test('uses the organic subset when possible', () => {
+    expect(atomToSMILES(normalizeAtomProps({ element: 'Br' }))).toBe('Br');
+    expect(atomToSMILES(normalizeAtomProps({ element: 'n' }))).toBe('n');
+  });
+
+  test('brackets elements outside the organic subset', () => {
+    expect(atomToSMILES(normalizeAtomProps({ element: 'Fe', charge: 2 }))).toBe('[Fe+2]');
+    expect(atomToSMILES(normalizeAtomProps({ element: 'se' }))).toBe('[se]');
+  });
+
+  test('brackets explicit hydrogen counts', () => {
+    expect(atomToSMILES(normalizeAtomProps({ element: 'C', hCount: 0 }))).toBe('[C]');
+    expect(atomToSMILES(normalizeAtomProps({ element: 'N', hCount: 4, charge: 1 }))).toBe('[NH4+]');
+  });
+
+  test('writes fields in canonical order', () => {
+    const props = normalizeAtomProps({
+      element: 'C', isotope: 13, chirality: '@@', hCount: 1, charge: -1, atomClass: 7,
+    });
+    expect(atomToSMILES(props)).toBe('[13C@@H-:7]');
+  });
+
+  test('round-trips bracket atoms', () => {
+    ['[nH]', '[O-]', '[NH3+]', '[C@@H]', '[2H]', '[Cu+2]', '[CH3:1]'].forEach((smiles) => {
+      expect(atomToSMILES(parseAtomProps(smiles))).toBe(smiles);
+    });
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Canonical SMILES
+ * Morgan-style atom ranking and rank-driven graph serialization, so that
+ * different inputs for the same molecule produce the same string
+ */
+
+import { toGraph } from './graph.js';
+import { writeGraphSMILES } from './graph-writer.js';
+import { getAtomicNumber } from './elements.js';
+
+function compareKeys(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i += 1) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Dense ranks (0, 1, 2, ...) from per-atom sort keys; equal keys share a rank
+ */
+function rankByKeys(keys) {
+  const order = keys.map((_, i) => i).sort((a, b) => compareKeys(keys[a], keys[b]));
+  const ranks = new Array(keys.length);
+  let rank = 0;
+  order.forEach((atomIndex, i) => {
+    if (i > 0 && compareKeys(keys[order[i - 1]], keys[atomIndex]) !== 0) {
+      rank += 1;
+    }
+    ranks[atomIndex] = rank;
+  });
+  return ranks;
+}
+
+function countClasses(ranks) {
+  return new Set(ranks).size;
+}
+
+/**
+ * Graph-invariant description of an atom used for the initial ranking
+ */
+function atomInvariant(atom, atomBonds) {
+  const bondOrderSum = atomBonds.reduce((sum, bond) => sum + bond.order * 2, 0);
+  return [
+    getAtomicNumber(atom.element),
+    atom.isotope === null ? -1 : atom.isotope,
+    atom.charge,
+    atom.aromatic ? 1 : 0,
+    atomBonds.length,
+    bondOrderSum,
+    atom.hCount === null ? -1 : atom.hCount,
+  ];
+}
+
+/**
+ * Rank refinement for a graph: splits atom classes by their neighbors' ranks until
+ * the number of classes stops growing
+ */
+function createRefiner({ atoms, bonds }) {
+  const atomBonds = atoms.map(() => []);
+  bonds.forEach((bond) => {
+    atomBonds[bond.from].push(bond);
+    atomBonds[bond.to].push(bond);
+  });
+
+  const refine = (initial) => {
+    let ranks = initial;
+    let classes = countClasses(ranks);
+    for (;;) {
+      const current = ranks;
+      const keys = atoms.map((atom, i) => {
+        const neighborKeys = atomBonds[i]
+          .map((bond) => {
+            const other = bond.from === i ? bond.to : bond.from;
+            return current[other] * 10 + bond.order * 2;
+          })
+          .sort((a, b) => a - b);
+        return [current[i], ...neighborKeys];
+      });
+      const refined = rankByKeys(keys);
+      const refinedClasses = countClasses(refined);
+      if (refinedClasses === classes) return ranks;
+      ranks = refined;
+      classes = refinedClasses;
+    }
+  };
+
+  return {
+    initial: () => refine(rankByKeys(atoms.map((atom, i) => atomInvariant(atom, atomBonds[i])))),
+    // Move `chosen` ahead of the other atoms of rank `tiedRank` and refine again
+    split: (ranks, tiedRank, chosen) => refine(rankByKeys(
+      ranks.map((rank, i) => [rank * 2 + (rank === tiedRank && i !== chosen ? 1 : 0)]),
+    )),
+  };
+}
+
+/**
+ * Lowest rank shared by more than one atom, or undefined when all ranks are distinct
+ */
+function lowestTiedRank(ranks) {
+  const seen = new Set();
+  return [...ranks].sort((a, b) => a - b).find((rank) => {
+    if (seen.has(rank)) return true;
+    seen.add(rank);
+    return false;
+  });
+}
+
+/**
+ * Compute canonical atom ranks for a molecular graph
+ *
+ * Atoms start from invariant classes (element, isotope, charge, aromaticity,
+ * degree, bond orders, H count) and are refined by their neighbors' ranks until
+ * the number of classes stops growing. Remaining ties (symmetry-equivalent atoms)
+ * are broken one at a time by splitting the lowest tied class and refining again.
+ *
+ * @param {Object} graph - Molecular graph from toGraph()
+ * @returns {Array<number>} Distinct rank per atom index (0 = first)
+ */
+export function computeCanonicalRanks(graph) {
+  const { initial, split } = createRefiner(graph);
+  let ranks = initial();
+  let tiedRank = lowestTiedRank(ranks);
+  while (tiedRank !== undefined) {
+    // Split the lowest tied class: its first atom goes ahead of the others
+    ranks = split(ranks, tiedRank, ranks.indexOf(tiedRank));
+    tiedRank = lowestTiedRank(ranks);
+  }
+  return ranks;
+}
+
+// Most tie-breaking choices tried for one stereo component
+const MAX_STEREO_RANKINGS = 256;
+
+/**
+ * Rankings from every way of breaking ties, up to `limit`
+ * The first one is the ranking of computeCanonicalRanks().
+ */
+function enumerateCanonicalRanks(graph, limit) {
+  const { initial, split } = createRefiner(graph);
+  const results = [];
+  const search = (ranks) => {
+    if (results.length >= limit) return;
+    const tiedRank = lowestTiedRank(ranks);
+    if (tiedRank === undefined) {
+      results.push(ranks);
+      return;
+    }
+    ranks.forEach((rank, i) => {
+      if (rank === tiedRank) search(split(ranks, tiedRank, i));
+    });
+  };
+  search(initial());
+  return results;
+}
+
+/**
+ * Split a graph into its connected components
+ * Atoms keep their relative order; indices and neighbor lists are renumbered.
+ */
+function connectedComponents({ atoms, bonds }) {
+  const component = new Array(atoms.length).fill(-1);
+  const adjacency = atoms.map(() => []);
+  bonds.forEach((bond) => {
+    adjacency[bond.from].push(bond.to);
+    adjacency[bond.to].push(bond.from);
+  });
+  let count = 0;
+  atoms.forEach((_, start) => {
+    if (component[start] !== -1) return;
+    const id = count;
+    const stack = [start];
+    component[start] = id;
+    while (stack.length > 0) {
+      adjacency[stack.pop()].forEach((neighbor) => {
+        if (component[neighbor] !== -1) return;
+        component[neighbor] = id;
+        stack.push(neighbor);
+      });
+    }
+    count += 1;
+  });
+
+  const localIndex = new Array(atoms.length);
+  const components = Array.from({ length: count }, () => ({ atoms: [], bonds: [] }));
+  atoms.forEach((atom, i) => {
+    localIndex[i] = components[component[i]].atoms.length;
+    components[component[i]].atoms.push(atom);
+  });
+  components.forEach((part) => {
+    // eslint-disable-next-line no-param-reassign
+    part.atoms = part.atoms.map((atom) => ({
+      ...atom,
+      neighbors: atom.neighbors.map((neighbor) => localIndex[neighbor]),
+    }));
+  });
+  bonds.forEach((bond) => {
+    components[component[bond.from]].bonds.push({
+      ...bond,
+      from: localIndex[bond.from],
+      to: localIndex[bond.to],
+    });
+  });
+  return components;
+}
+
+/**
+ * Canonical SMILES for a connected graph
+ *
+ * Symmetry-equivalent atoms can be ranked either way round, which only matters for
+ * stereo: choosing the other ring neighbor first flips both centers of
+ * O[C@@H]1CC[C@H](N)CC1. Graphs with stereo are therefore written for every
+ * tie-breaking choice (up to MAX_STEREO_RANKINGS) and the smallest string is kept.
+ */
+function canonicalComponent(graph) {
+  const options = { normalizeStereo: true };
+  const hasStereo = graph.atoms.some((atom) => atom.chirality)
+    || graph.bonds.some((bond) => bond.stereo);
+  if (!hasStereo) {
+    return writeGraphSMILES(graph, { ...options, ranks: computeCanonicalRanks(graph) });
+  }
+  return enumerateCanonicalRanks(graph, MAX_STEREO_RANKINGS)
+    .map((ranks) => writeGraphSMILES(graph, { ...options, ranks }))
+    .reduce((best, smiles) => (smiles < best ? smiles : best));
+}
+
+/**
+ * Generate canonical SMILES for an AST node or SMILES string
+ *
+ * Two inputs for the same molecule produce the same string, including ring-closure
+ * digits (lowest free number at each opening) and branch order. Tetrahedral and
+ * cis/trans stereo is kept, with the first marker of each double-bond group written
+ * as '/'. Aromaticity is taken as written, so Kekulé and aromatic forms of a ring
+ * give different strings.
+ *
+ * Disconnected inputs (salts, mixtures) are written one component at a time and
+ * joined with '.' in sorted order. A component with stereo and more than
+ * MAX_STEREO_RANKINGS (256) ways to order its symmetric atoms may still give
+ * different strings for different atom orders.
+ *
+ * @param {Object|string} input - AST node or SMILES string
+ * @returns {string} Canonical SMILES
+ *
+ * @example
+ * canonicalSMILES('OCC') === canonicalSMILES('C(O)C'); // true, both 'CCO'
+ * canonicalSMILES('[Na+].[O-]C(C)=O'); // 'CC([O-])=O.[Na+]'
+ */
+export function canonicalSMILES(input) {
+  return connectedComponents(toGraph(input))
+    .map(canonicalComponent)
+    .sort()
+    .join('.');
+}
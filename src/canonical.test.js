@@ -0,0 +1,113 @@
+import { describe, test, expect } from 'bun:test';
+import { canonicalSMILES, computeCanonicalRanks } from './canonical.js';
+import { toGraph, fromGraph } from './graph.js';
+import { parse } from './parser/index.js';
+import { Ring, Linear, Molecule } from './constructors.js';
+
+/**
+ * Relabel a graph's atoms by reversing their indices
+ */
+function reverseGraph(graph) {
+  const last = graph.atoms.length - 1;
+  const atoms = [...graph.atoms].reverse().map((atom) => ({
+    ...atom,
+    neighbors: atom.neighbors.map((n) => last - n),
+  }));
+  const bonds = graph.bonds.map((bond) => ({
+    ...bond,
+    from: last - bond.from,
+    to: last - bond.to,
+  }));
+  return { atoms, bonds };
+}
+
+describe('canonicalSMILES', () => {
+  test('gives one string for different atom orders', () => {
+    expect(canonicalSMILES('OCC')).toBe('CCO');
+    expect(canonicalSMILES('C(O)C')).toBe('CCO');
+    expect(canonicalSMILES('CCO')).toBe('CCO');
+  });
+
+  test('gives one string for different branch orders', () => {
+    const inputs = [
+      'CC(=O)Oc1ccccc1C(=O)O',
+      'OC(=O)c1ccccc1OC(C)=O',
+      'c1ccc(OC(C)=O)c(C(O)=O)c1',
+    ];
+    const results = inputs.map(canonicalSMILES);
+    expect(new Set(results).size).toBe(1);
+  });
+
+  test('gives one string for different ring numbering and start atoms', () => {
+    expect(canonicalSMILES('c1ccc2ccccc2c1')).toBe(canonicalSMILES('c1cc2ccccc2cc1'));
+    expect(canonicalSMILES('C1CC2CCC1C2')).toBe(canonicalSMILES('C3CC5CCC3C5'));
+    expect(canonicalSMILES('C1CCCCC1')).toBe('C1CCCCC1');
+  });
+
+  test('accepts AST nodes', () => {
+    const built = Molecule([Linear(['O', 'C']), Ring({ atoms: 'c', size: 6 })]);
+    expect(canonicalSMILES(built)).toBe(canonicalSMILES('c1ccccc1CO'));
+    expect(canonicalSMILES(parse('OCc1ccccc1'))).toBe(canonicalSMILES(built));
+  });
+
+  test('is unchanged by relabelling graph atoms', () => {
+    ['CC(=O)Oc1ccccc1C(=O)O', 'CN1C=NC2=C1C(=O)N(C(=O)N2C)C', 'C1CC2CC1C=C2'].forEach((smiles) => {
+      const relabelled = fromGraph(reverseGraph(toGraph(smiles)));
+      expect(canonicalSMILES(relabelled)).toBe(canonicalSMILES(smiles));
+    });
+  });
+
+  test('is stable when applied twice', () => {
+    ['CC(C)Cc1ccc(cc1)C(C)C(=O)O', 'O=C1CCCC1', 'N#CC=C'].forEach((smiles) => {
+      const once = canonicalSMILES(smiles);
+      expect(canonicalSMILES(once)).toBe(once);
+    });
+  });
+
+  test('keeps tetrahedral chirality', () => {
+    const inputs = ['F[C@](Cl)(Br)I', 'I[C@@](F)(Cl)Br', 'Cl[C@@](F)(Br)I'];
+    expect(new Set(inputs.map(canonicalSMILES)).size).toBe(1);
+    expect(canonicalSMILES('F[C@](Cl)(Br)I')).not.toBe(canonicalSMILES('F[C@@](Cl)(Br)I'));
+    expect(canonicalSMILES('O[C@@H](N)C')).toBe(canonicalSMILES('C[C@H](N)O'));
+  });
+
+  test('writes equivalent cis/trans markers the same way', () => {
+    expect(canonicalSMILES('F\\C=C\\F')).toBe(canonicalSMILES('F/C=C/F'));
+    expect(canonicalSMILES('F/C=C\\F')).not.toBe(canonicalSMILES('F/C=C/F'));
+    expect(canonicalSMILES('F/C=C/C\\C=C\\F')).toBe(canonicalSMILES('F/C=C/C/C=C/F'));
+  });
+
+  test('gives one string for ring cis/trans centers in any atom order', () => {
+    const cis = ['O[C@@H]1CC[C@H](N)CC1', 'N[C@@H]1CC[C@H](O)CC1', 'C1C[C@@H](N)CC[C@H]1O'];
+    const trans = ['O[C@H]1CC[C@H](N)CC1', 'N[C@H]1CC[C@H](O)CC1'];
+    expect(new Set(cis.map(canonicalSMILES)).size).toBe(1);
+    expect(new Set(trans.map(canonicalSMILES)).size).toBe(1);
+    expect(canonicalSMILES(cis[0])).not.toBe(canonicalSMILES(trans[0]));
+    const relabelled = fromGraph(reverseGraph(toGraph(cis[0])));
+    expect(canonicalSMILES(relabelled)).toBe(canonicalSMILES(cis[0]));
+  });
+
+  test('writes disconnected components in sorted order', () => {
+    expect(canonicalSMILES('CC(=O)[O-].[Na+]')).toBe('CC([O-])=O.[Na+]');
+    expect(canonicalSMILES('[Na+].[O-]C(C)=O')).toBe('CC([O-])=O.[Na+]');
+    expect(canonicalSMILES('O.OCC.O')).toBe('CCO.O.O');
+    expect(canonicalSMILES('Cl[C@H](F)C.[K+]')).toBe(canonicalSMILES('[K+].C[C@@H](F)Cl'));
+  });
+
+  test('keeps aromaticity as written', () => {
+    expect(canonicalSMILES('c1ccccc1')).not.toBe(canonicalSMILES('C1=CC=CC=C1'));
+  });
+});
+
+describe('computeCanonicalRanks', () => {
+  test('returns a distinct rank per atom', () => {
+    const ranks = computeCanonicalRanks(toGraph('CC(C)C'));
+    expect([...ranks].sort()).toEqual([0, 1, 2, 3]);
+  });
+
+  test('ranks symmetric atoms apart from the center', () => {
+    const ranks = computeCanonicalRanks(toGraph('CC(C)C'));
+    // The central carbon has the highest degree and ranks after all methyls
+    expect(ranks[1]).toBe(3);
+  });
+});
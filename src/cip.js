@@ -0,0 +1,330 @@
+/**
+ * CIP priorities
+ * Cahn-Ingold-Prelog ranking of the substituents around an atom, R/S labels for
+ * tetrahedral centers and E/Z labels for double bonds
+ */
+
+import { toGraph } from './graph.js';
+import { getAtomicNumber, getAverageMass } from './elements.js';
+import { hydrogenCount } from './valence.js';
+import { kekuleBondOrders } from './aromaticity.js';
+
+const HYDROGEN = { atomicNumber: 1, mass: getAverageMass('H') };
+
+/**
+ * Precompute what the ranking needs from a graph: incident bonds, hydrogen counts and
+ * bond orders (aromatic bonds taken from a Kekulé structure when there is one)
+ * @param {Object} graph - Molecular graph from toGraph()
+ * @returns {Object} Ranking context
+ */
+export function createCIPContext(graph) {
+  const atomBonds = graph.atoms.map(() => []);
+  graph.bonds.forEach((bond) => {
+    atomBonds[bond.from].push(bond);
+    atomBonds[bond.to].push(bond);
+  });
+  const orders = kekuleBondOrders(graph)
+    || graph.bonds.map((bond) => (bond.aromatic ? 1 : bond.order));
+  return {
+    graph,
+    atomBonds,
+    orders,
+    hydrogens: graph.atoms.map((atom, i) => hydrogenCount(atom, atomBonds[i])),
+  };
+}
+
+function atomKey(atom) {
+  return {
+    atomicNumber: getAtomicNumber(atom.element),
+    mass: atom.isotope === null ? getAverageMass(atom.element) : atom.isotope,
+  };
+}
+
+// Rule 1a (atomic number), then rule 2 (mass); phantom atoms sort last
+function compareKeys(a, b) {
+  if (a.atomicNumber !== b.atomicNumber) return a.atomicNumber - b.atomicNumber;
+  return a.mass - b.mass;
+}
+
+const PHANTOM = { key: { atomicNumber: 0, mass: 0 } };
+
+/**
+ * Create a node of the hierarchical digraph
+ * Duplicate atoms (for multiple bonds and ring closures) and hydrogens have no
+ * substituents of their own.
+ */
+function digraphNode(context, atomIndex, from, path, duplicate = false) {
+  return {
+    atomIndex,
+    from,
+    path,
+    duplicate,
+    key: atomKey(context.graph.atoms[atomIndex]),
+  };
+}
+
+function children(context, node) {
+  if (node.atomIndex === null || node.duplicate) return [];
+  const { atomIndex, from, path } = node;
+  const result = [];
+  context.atomBonds[atomIndex].forEach((bond) => {
+    const other = bond.from === atomIndex ? bond.to : bond.from;
+    const order = context.orders[bond.index];
+    const duplicates = Math.max(Math.round(order) - 1, 0);
+    if (other !== from) {
+      if (path.has(other)) {
+        result.push(digraphNode(context, other, atomIndex, path, true));
+      } else {
+        result.push(digraphNode(context, other, atomIndex, new Set([...path, other])));
+      }
+    }
+    for (let i = 0; i < duplicates; i += 1) {
+      result.push(digraphNode(context, other, atomIndex, path, true));
+    }
+  });
+  for (let i = 0; i < context.hydrogens[atomIndex]; i += 1) {
+    result.push({ atomIndex: null, key: HYDROGEN });
+  }
+  return result.sort((a, b) => compareKeys(b.key, a.key));
+}
+
+function compareSets(a, b) {
+  const length = Math.max(a.length, b.length);
+  for (let i = 0; i < length; i += 1) {
+    const diff = compareKeys((a[i] || PHANTOM).key, (b[i] || PHANTOM).key);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Substituents of a digraph node, highest priority first
+ * Atoms of the same element are ordered by their own substituents, so the
+ * next sphere is explored from the higher ranked branch first.
+ */
+function substituents(context, node) {
+  const sets = new Map();
+  const setOf = (child) => {
+    if (!sets.has(child)) sets.set(child, children(context, child));
+    return sets.get(child);
+  };
+  return children(context, node).sort((a, b) => (
+    compareKeys(b.key, a.key) || compareSets(setOf(b), setOf(a))
+  ));
+}
+
+/**
+ * Compare two branches of the digraph sphere by sphere
+ * Each sphere compares the substituent sets of the previous sphere's atoms in
+ * order. Ties inside a set are not broken by exploring further, which is enough
+ * for the usual organic stereocenters.
+ * @returns {number} Positive when branch a has priority
+ */
+function compareBranches(context, a, b) {
+  const first = compareKeys(a.key, b.key);
+  if (first !== 0) return first;
+  let sphereA = [a];
+  let sphereB = [b];
+  for (let depth = 0; depth < context.graph.atoms.length; depth += 1) {
+    const setsA = sphereA.map((node) => substituents(context, node));
+    const setsB = sphereB.map((node) => substituents(context, node));
+    const length = Math.max(setsA.length, setsB.length);
+    for (let i = 0; i < length; i += 1) {
+      const diff = compareSets(setsA[i] || [], setsB[i] || []);
+      if (diff !== 0) return diff;
+    }
+    sphereA = setsA.flat();
+    sphereB = setsB.flat();
+    if (sphereA.length === 0 && sphereB.length === 0) return 0;
+  }
+  return 0;
+}
+
+/**
+ * Rank the neighbors of an atom by CIP priority
+ * @param {Object} context - Context from createCIPContext()
+ * @param {number} atomIndex - Central atom
+ * @param {Array<number|null>} neighbors - Neighbor atom indices (null for a hydrogen)
+ * @returns {Array<number>|null} Rank per neighbor (0 = highest priority), or null
+ *   when two neighbors tie
+ */
+export function rankNeighbors(context, atomIndex, neighbors) {
+  const roots = neighbors.map((neighbor) => {
+    if (neighbor === null) return { atomIndex: null, key: HYDROGEN };
+    return digraphNode(context, neighbor, atomIndex, new Set([atomIndex, neighbor]));
+  });
+  const order = roots.map((root, i) => i)
+    .sort((i, j) => compareBranches(context, roots[j], roots[i]));
+  const tied = order.some((i, k) => k > 0
+    && compareBranches(context, roots[order[k - 1]], roots[i]) === 0);
+  if (tied) return null;
+  const ranks = [];
+  order.forEach((i, rank) => {
+    ranks[i] = rank;
+  });
+  return ranks;
+}
+
+/**
+ * Neighbors of an atom in the order its graph chirality refers to: a single
+ * hydrogen (null) first, then the neighbor atoms
+ * @param {Object} context - Context from createCIPContext()
+ * @param {number} atomIndex - Atom index
+ * @returns {Array<number|null>}
+ */
+export function chiralNeighbors(context, atomIndex) {
+  const { neighbors } = context.graph.atoms[atomIndex];
+  const hydrogens = context.hydrogens[atomIndex];
+  return [...Array(hydrogens).fill(null), ...neighbors];
+}
+
+/**
+ * Count the swaps that turn one ordering of a list into another
+ * @returns {boolean} True for an odd number of swaps
+ */
+export function isOddPermutation(from, to) {
+  const order = from.map((item) => to.indexOf(item));
+  let odd = false;
+  for (let i = 0; i < order.length; i += 1) {
+    while (order[i] !== i) {
+      const j = order[i];
+      [order[i], order[j]] = [order[j], order[i]];
+      odd = !odd;
+    }
+  }
+  return odd;
+}
+
+/**
+ * Get the R/S label of a tetrahedral center
+ * @param {Object} context - Context from createCIPContext()
+ * @param {number} atomIndex - Atom with '@' or '@@' graph chirality
+ * @returns {'R'|'S'|null} null when the atom is not a stereocenter
+ */
+export function tetrahedralLabel(context, atomIndex) {
+  const { chirality } = context.graph.atoms[atomIndex];
+  if (chirality !== '@' && chirality !== '@@') return null;
+  const neighbors = chiralNeighbors(context, atomIndex);
+  if (neighbors.length !== 4) return null;
+  const ranks = rankNeighbors(context, atomIndex, neighbors);
+  if (!ranks) return null;
+  // '@' seen from the lowest priority neighbor, with the others in priority order,
+  // is anticlockwise from that side and so clockwise (R) from the opposite side
+  const byPriority = [3, 0, 1, 2].map((rank) => ranks.indexOf(rank));
+  const odd = isOddPermutation([0, 1, 2, 3], byPriority);
+  const fromLowest = odd === (chirality === '@') ? '@@' : '@';
+  return fromLowest === '@' ? 'R' : 'S';
+}
+
+/**
+ * Side of a substituent across a directional bond, seen from the double bond atom
+ * 'F/C' puts F below C and 'C/F' puts F above it: +1 is above, -1 below.
+ */
+function directionalSide(bond, atomIndex) {
+  const up = bond.stereo === '/' ? 1 : -1;
+  return bond.from === atomIndex ? up : -up;
+}
+
+/**
+ * Side of the highest priority substituent at one end of a double bond
+ * @returns {number|null} +1 or -1, or null when the end has no stereo marker
+ *   or two equal substituents
+ */
+function prioritySide(context, atomIndex, otherEnd) {
+  const bonds = context.atomBonds[atomIndex].filter((bond) => (
+    bond.from !== otherEnd && bond.to !== otherEnd
+  ));
+  const neighbors = [
+    ...bonds.map((bond) => (bond.from === atomIndex ? bond.to : bond.from)),
+    ...Array(context.hydrogens[atomIndex]).fill(null),
+  ];
+  if (neighbors.length === 0 || neighbors.length > 2) return null;
+  const ranks = neighbors.length === 1 ? [0] : rankNeighbors(context, atomIndex, neighbors);
+  if (!ranks) return null;
+
+  const top = ranks.indexOf(0);
+  const marked = bonds.findIndex((bond) => bond.stereo !== null);
+  if (marked === -1) return null;
+  const side = directionalSide(bonds[marked], atomIndex);
+  // The other substituent of an sp2 atom is on the opposite side
+  return marked === top ? side : -side;
+}
+
+/**
+ * Get the E/Z label of a double bond with '/' or '\\' markers on both ends
+ * @param {Object} context - Context from createCIPContext()
+ * @param {number} bondIndex - Graph bond index
+ * @returns {'E'|'Z'|null} null when the bond is not a stereo double bond
+ */
+export function doubleBondLabel(context, bondIndex) {
+  const bond = context.graph.bonds[bondIndex];
+  if (bond.order !== 2 || bond.aromatic) return null;
+  const fromSide = prioritySide(context, bond.from, bond.to);
+  const toSide = prioritySide(context, bond.to, bond.from);
+  if (fromSide === null || toSide === null) return null;
+  return fromSide === toSide ? 'Z' : 'E';
+}
+
+function describeAtom(graph, index) {
+  const { source } = graph.atoms[index];
+  return {
+    index,
+    node: source ? source.node : null,
+    position: source ? source.position : null,
+  };
+}
+
+/**
+ * Assign CIP descriptors to a molecule
+ *
+ * Tetrahedral centers written with '@'/'@@' get 'R' or 'S', and double bonds with
+ * '/' or '\\' on both ends get 'E' or 'Z'. Priorities follow atomic number, then
+ * mass, exploring the molecule sphere by sphere with duplicate atoms for multiple
+ * bonds and ring closures.
+ *
+ * @param {Object|string} node - AST node or SMILES string
+ * @returns {Array<Object>} { label, atoms } in written order; atoms are
+ *   { index, node, position } (one for a center, the two ends of a double bond)
+ *
+ * @example
+ * getCIPLabels(Fragment('C/C=C/[C@@H](N)O'));
+ * // [{ label: 'E', atoms: [...] }, { label: 'S', atoms: [...] }]
+ */
+export function getCIPLabels(node) {
+  const graph = toGraph(node);
+  const context = createCIPContext(graph);
+  const labels = [];
+  graph.atoms.forEach((atom, i) => {
+    const label = tetrahedralLabel(context, i);
+    if (label) labels.push({ label, atoms: [describeAtom(graph, i)], first: i });
+  });
+  graph.bonds.forEach((bond) => {
+    const label = doubleBondLabel(context, bond.index);
+    if (!label) return;
+    labels.push({
+      label,
+      atoms: [describeAtom(graph, bond.from), describeAtom(graph, bond.to)],
+      first: Math.min(bond.from, bond.to),
+    });
+  });
+  return labels
+    .sort((a, b) => a.first - b.first)
+    .map(({ label, atoms }) => ({ label, atoms }));
+}
+
+/**
+ * Group CIP descriptors by the AST node that holds each atom
+ * E/Z labels are listed at the first written atom of the double bond.
+ * @param {Object} node - AST node
+ * @returns {Map<Object, Object>} node -> { position: label }
+ */
+export function cipLabelsByNode(node) {
+  const byNode = new Map();
+  getCIPLabels(node).forEach(({ label, atoms }) => {
+    const { node: owner, position } = atoms[0];
+    if (!owner) return;
+    if (!byNode.has(owner)) byNode.set(owner, {});
+    byNode.get(owner)[position] = label;
+  });
+  return byNode;
+}
@@ -0,0 +1,135 @@
+import { describe, test, expect } from 'bun:test';
+import {
+  createCIPContext,
+  rankNeighbors,
+  chiralNeighbors,
+  tetrahedralLabel,
+  doubleBondLabel,
+  isOddPermutation,
+  getCIPLabels,
+  cipLabelsByNode,
+} from './cip.js';
+import { toGraph } from './graph.js';
+import { parse } from './parser/index.js';
+
+function labels(smiles) {
+  const context = createCIPContext(toGraph(smiles));
+  return context.graph.atoms.map((atom, i) => tetrahedralLabel(context, i)).filter(Boolean);
+}
+
+describe('tetrahedralLabel', () => {
+  test('labels amino acids', () => {
+    expect(labels('N[C@@H](C)C(=O)O')).toEqual(['S']);
+    expect(labels('N[C@H](C)C(=O)O')).toEqual(['R']);
+    expect(labels('OC(=O)[C@@H](N)C')).toEqual(['S']);
+  });
+
+  test('gives the same label for different writings of one center', () => {
+    expect(labels('C[C@@H](O)CC')).toEqual(['R']);
+    expect(labels('CC[C@@H](C)O')).toEqual(['R']);
+    expect(labels('F[C@](Cl)(Br)I')).toEqual(['S']);
+    expect(labels('I[C@@](F)(Cl)Br')).toEqual(['S']);
+  });
+
+  test('ranks isotopes by mass', () => {
+    expect(labels('[2H][C@@H](C)O')).toEqual(['S']);
+    expect(labels('[2H][C@H](C)O')).toEqual(['R']);
+  });
+
+  test('explores duplicated atoms of double bonds and rings', () => {
+    expect(labels('OC[C@@H](O)[C@@H](O)C=O')).toEqual(['R', 'R']);
+    expect(labels('C[C@@H](c1ccccc1)N')).toEqual(['S']);
+  });
+
+  test('breaks ties from the higher ranked branch first', () => {
+    const cholesterol = 'C[C@H](CCCC(C)C)[C@H]1CC[C@@H]2[C@@]1(CC[C@H]3[C@H]2CC=C4[C@@]3(CC[C@@H](C4)O)C)C';
+    // (3S,8S,9S,10R,13R,14S,17R,20R) in written order
+    expect(labels(cholesterol)).toEqual(['R', 'R', 'S', 'R', 'S', 'S', 'R', 'S']);
+  });
+
+  test('gives no label without four different substituents', () => {
+    expect(labels('C[C@@H](C)O')).toEqual([]);
+    expect(labels('C[C@H](O)')).toEqual([]);
+    expect(labels('CC(O)CC')).toEqual([]);
+  });
+});
+
+function bondLabels(smiles) {
+  const context = createCIPContext(toGraph(smiles));
+  return context.graph.bonds.map((bond) => doubleBondLabel(context, bond.index)).filter(Boolean);
+}
+
+describe('doubleBondLabel', () => {
+  test('reads / and \\ markers on either side of the atom', () => {
+    expect(bondLabels('F/C=C/F')).toEqual(['E']);
+    expect(bondLabels('F/C=C\\F')).toEqual(['Z']);
+    expect(bondLabels('C(/F)=C/F')).toEqual(['Z']);
+  });
+
+  test('uses the highest priority substituent on each end', () => {
+    expect(bondLabels('OC(=O)/C=C/C(=O)O')).toEqual(['E']);
+    expect(bondLabels('OC(=O)/C=C\\C(=O)O')).toEqual(['Z']);
+    expect(bondLabels('Cl/C(F)=C/Br')).toEqual(['E']);
+    expect(bondLabels('F/C(Cl)=C/Br')).toEqual(['Z']);
+  });
+
+  test('gives no label without markers or with equal substituents', () => {
+    expect(bondLabels('CC=CC')).toEqual([]);
+    expect(bondLabels('C/C=C(/C)C')).toEqual([]);
+  });
+});
+
+describe('getCIPLabels', () => {
+  test('lists centers and double bonds in written order', () => {
+    const result = getCIPLabels('C/C=C/[C@@H](N)O');
+    expect(result.map((entry) => entry.label)).toEqual(['E', 'S']);
+    expect(result[0].atoms.map((atom) => atom.index)).toEqual([1, 2]);
+    expect(result[1].atoms).toEqual([{ index: 3, node: null, position: null }]);
+  });
+
+  test('locates atoms in the AST', () => {
+    const ast = parse('C/C=C/[C@@H](N)O');
+    expect(getCIPLabels(ast)[1].atoms[0]).toEqual({ index: 3, node: ast, position: 4 });
+    expect(cipLabelsByNode(ast).get(ast)).toEqual({ 2: 'E', 4: 'S' });
+  });
+});
+
+describe('rankNeighbors', () => {
+  test('ranks by atomic number first', () => {
+    const context = createCIPContext(toGraph('FC(Cl)(Br)I'));
+    expect(rankNeighbors(context, 1, context.graph.atoms[1].neighbors)).toEqual([3, 2, 1, 0]);
+  });
+
+  test('returns null for tied neighbors', () => {
+    const context = createCIPContext(toGraph('CC(C)O'));
+    expect(rankNeighbors(context, 1, chiralNeighbors(context, 1))).toBeNull();
+  });
+});
+
+describe('isOddPermutation', () => {
+  test('counts swaps', () => {
+    expect(isOddPermutation([1, 2, 3], [1, 2, 3])).toBe(false);
+    expect(isOddPermutation([1, 2, 3], [2, 1, 3])).toBe(true);
+    expect(isOddPermutation([1, 2, 3], [2, 3, 1])).toBe(false);
+  });
+});
+
+describe('toObject() CIP labels', () => {
+  test('adds labels by position to the node holding the atoms', () => {
+    const obj = parse('C/C=C/[C@@H](N)O').toObject();
+    expect(obj.cip).toEqual({ 2: 'E', 4: 'S' });
+  });
+
+  test('labels nested nodes in the context of the whole molecule', () => {
+    // The center needs its parent atom to have four substituents
+    const obj = parse('CC([C@@H](N)O)C').toObject();
+    expect(obj.attachments[2][0].cip).toEqual({ 1: 'S' });
+    expect(obj).not.toHaveProperty('cip');
+    const fused = parse('C[C@H]1CC2CCCC[C@@H]2CC1').toObject();
+    expect(fused.components[1].rings[0].cip).toEqual({ 1: 'R', 4: 'R' });
+  });
+
+  test('leaves nodes without stereo markers unchanged', () => {
+    expect(parse('CC(O)CC').toObject()).not.toHaveProperty('cip');
+  });
+});
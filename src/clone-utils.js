@@ -49,3 +49,7 @@ export function deepCloneMolecule(molecule) {
     components: cloneComponents(molecule.components),
   };
 }
+
+export function deepCloneAtom(atom) {
+  return { ...atom };
+}
@@ -0,0 +1,38 @@
+/**
+ * Atom source tracking for SMILES codegen
+ * Records which AST node and position produced each atom, in output order,
+ * so atoms in a generated SMILES string can be mapped back to the AST.
+ */
+
+// Active list of sources, or null when no tracking is in progress
+let activeSources = null;
+
+/**
+ * Record the source of the atom about to be emitted
+ * Builders call this right before pushing an atom into their output parts.
+ * @param {Object} node - AST node that owns the atom
+ * @param {number} position - 1-indexed position within the node
+ *   (absolute atom position for FusedRing chain atoms)
+ */
+export function recordAtomSource(node, position) {
+  if (activeSources) {
+    activeSources.push({ node, position });
+  }
+}
+
+/**
+ * Run a SMILES build while recording atom sources
+ * @param {Function} build - Function returning a SMILES string
+ * @returns {{ smiles: string, sources: Array<{node: Object, position: number}> }}
+ *   sources[i] describes the i-th atom in the SMILES string
+ */
+export function trackAtomSources(build) {
+  const previous = activeSources;
+  const sources = [];
+  activeSources = sources;
+  try {
+    return { smiles: build(), sources };
+  } finally {
+    activeSources = previous;
+  }
+}
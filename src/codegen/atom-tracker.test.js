@@ -0,0 +1,30 @@
+import { describe, test, expect } from 'bun:test';
+import { trackAtomSources, recordAtomSource } from './atom-tracker.js';
+import { buildSMILES } from './smiles-codegen-core.js';
+import { Ring, Linear } from '../constructors.js';
+
+describe('trackAtomSources', () => {
+  test('returns the built SMILES and one source per atom', () => {
+    const ring = Ring({ atoms: 'C', size: 3 }).attach(2, Linear(['O']));
+    const { smiles, sources } = trackAtomSources(() => buildSMILES(ring));
+    expect(smiles).toBe('C1C(O)C1');
+    expect(sources.map((s) => s.position)).toEqual([1, 2, 1, 3]);
+    expect(sources[2].node.type).toBe('linear');
+  });
+
+  test('ignores records outside a tracking call', () => {
+    recordAtomSource({}, 1);
+    const { sources } = trackAtomSources(() => '');
+    expect(sources).toEqual([]);
+  });
+
+  test('supports nested tracking', () => {
+    const chain = Linear(['C', 'C']);
+    const outer = trackAtomSources(() => {
+      const inner = trackAtomSources(() => buildSMILES(chain));
+      expect(inner.sources).toHaveLength(2);
+      return buildSMILES(Linear(['O']));
+    });
+    expect(outer.sources).toHaveLength(1);
+  });
+});
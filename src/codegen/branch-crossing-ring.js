@@ -9,6 +9,9 @@ import {
   openBranches,
   closeBranchesCrossing,
 } from './branch-walker.js';
+import { atomToSMILES } from '../atom.js';
+import { recordAtomSource } from './atom-tracker.js';
+import { createRingMarkers } from './ring-numbers.js';
 
 /**
  * Build SMILES for a ring that crosses branch boundaries
@@ -22,6 +25,7 @@ export function buildBranchCrossingRingSMILES(ring, buildSMILES) {
     atoms, size, ringNumber, substitutions = {}, attachments = {}, bonds = [],
   } = ring;
   const branchDepths = ring.metaBranchDepths || [];
+  const ringMarker = createRingMarkers();
 
   // Normalize branch depths to start from 0
   const normalizedDepths = normalizeBranchDepths(branchDepths);
@@ -53,7 +57,8 @@ export function buildBranchCrossingRingSMILES(ring, buildSMILES) {
     }
 
     // Get the atom at this position (base atom or substitution)
-    const atom = substitutions[i] || atoms;
+    const atom = atomToSMILES(substitutions[i] || atoms);
+    recordAtomSource(ring, i);
     parts.push(atom);
 
     // Add ring opening marker after position 1
@@ -62,12 +67,12 @@ export function buildBranchCrossingRingSMILES(ring, buildSMILES) {
       if (closureBond) {
         parts.push(closureBond);
       }
-      parts.push(ringNumber.toString());
+      parts.push(ringMarker(ringNumber));
     }
 
     // Add ring closing marker at the last position
     if (i === size) {
-      parts.push(ringNumber.toString());
+      parts.push(ringMarker(ringNumber));
     }
 
     // Check if there's an inline branch starting after this position
@@ -93,8 +98,9 @@ export function buildBranchCrossingRingSMILES(ring, buildSMILES) {
           } else if (att.metaBeforeInline === true) {
             emitNow.push(att);
           } else {
-            // Default: delay sibling (beforeInline defaults to false)
-            delay.push({ ...att, metaIsSibling: true });
+            // Default: delay sibling (beforeInline defaults to false).
+            // Pending attachments without metaIsSibling === false are emitted as siblings.
+            delay.push(att);
           }
         });
         // Emit siblings that come before the inline branch
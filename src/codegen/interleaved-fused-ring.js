@@ -9,17 +9,44 @@ import {
   openBranches,
   closeBranchesInterleaved,
 } from './branch-walker.js';
+import { atomToSMILES } from '../atom.js';
+import { recordAtomSource } from './atom-tracker.js';
+import { createRingMarkers } from './ring-numbers.js';
+
+/**
+ * Ring markers of an atom in the order they are written: opening rings first,
+ * then in the original order from SMILES, else by ring number
+ * @param {Array<Object>} markers - { ringNumber, type: 'open'|'close' } markers
+ * @param {Array<number>} [originalOrder=[]] - Ring numbers in their original order
+ * @returns {Array<Object>} Sorted copy of the markers
+ */
+export function sortRingMarkers(markers, originalOrder = []) {
+  return [...markers].sort((a, b) => {
+    if (a.type !== b.type) {
+      return a.type === 'open' ? -1 : 1;
+    }
+    const aIdx = originalOrder.indexOf(a.ringNumber);
+    const bIdx = originalOrder.indexOf(b.ringNumber);
+    if (aIdx !== -1 && bIdx !== -1) {
+      return aIdx - bIdx;
+    }
+    return a.ringNumber - b.ringNumber;
+  });
+}
 
 /**
  * Build SMILES for interleaved fused rings using stored position data
  * @param {Object} fusedRing - FusedRing AST node
  * @param {Function} buildSMILES - Reference to main buildSMILES function
+ * @param {Object} [sourceNode=fusedRing] - Node reported as the source of chain atoms
+ *   that belong to no ring (differs when a Ring with sequential rings is built)
  * @returns {string} SMILES string
  */
-export function buildInterleavedFusedRingSMILES(fusedRing, buildSMILES) {
+export function buildInterleavedFusedRingSMILES(fusedRing, buildSMILES, sourceNode = fusedRing) {
   const { rings } = fusedRing;
   const allPositions = fusedRing.metaAllPositions;
   const rawBranchDepthMap = fusedRing.metaBranchDepthMap || new Map();
+  const ringMarker = createRingMarkers();
 
   // Normalize branch depths relative to the fused ring's base depth
   const branchDepthMap = normalizeBranchDepths(rawBranchDepthMap, allPositions);
@@ -64,9 +91,13 @@ export function buildInterleavedFusedRingSMILES(fusedRing, buildSMILES) {
     // Fill in atom values, bonds, and attachments for this ring's positions
     positions.forEach((pos, idx) => {
       const relativePos = idx + 1;
-      const atomValue = atomValueMap.get(pos) || substitutions[relativePos] || atoms;
+      const atomValue = atomToSMILES(
+        atomValueMap.get(pos) || substitutions[relativePos] || atoms,
+      );
       if (!atomSequence[pos]) {
-        atomSequence[pos] = { atom: atomValue, attachments: [] };
+        atomSequence[pos] = {
+          atom: atomValue, source: { node: ring, position: relativePos }, attachments: [],
+        };
       }
 
       if (idx > 0 && bonds[idx - 1] && !bondsBefore.has(pos)) {
@@ -86,9 +117,11 @@ export function buildInterleavedFusedRingSMILES(fusedRing, buildSMILES) {
   const bondMap = fusedRing.metaBondMap || new Map();
   allPositions.forEach((pos) => {
     if (!atomSequence[pos] && !allRingPositions.has(pos)) {
-      const atomValue = atomValueMap.get(pos) || 'C';
+      const atomValue = atomToSMILES(atomValueMap.get(pos) || 'C');
       const attachments = seqAtomAttachments.get(pos) || [];
-      atomSequence[pos] = { atom: atomValue, attachments };
+      atomSequence[pos] = {
+        atom: atomValue, source: { node: sourceNode, position: pos }, attachments,
+      };
       const bond = bondMap.get(pos);
       if (bond && !bondsBefore.has(pos)) {
         bondsBefore.set(pos, bond);
@@ -141,32 +174,19 @@ export function buildInterleavedFusedRingSMILES(fusedRing, buildSMILES) {
     }
 
     // Add atom
+    recordAtomSource(entry.source.node, entry.source.position);
     parts.push(entry.atom);
 
     // Add ring markers for this position
     const markers = ringMarkers.get(pos) || [];
 
-    // Sort markers: opens first, then by original order from SMILES
     const ringOrderMap = fusedRing.metaRingOrderMap || new Map();
-    const originalOrder = ringOrderMap.get(pos) || [];
-
-    markers.sort((a, b) => {
-      if (a.type !== b.type) {
-        return a.type === 'open' ? -1 : 1;
-      }
-      const aIdx = originalOrder.indexOf(a.ringNumber);
-      const bIdx = originalOrder.indexOf(b.ringNumber);
-      if (aIdx !== -1 && bIdx !== -1) {
-        return aIdx - bIdx;
-      }
-      return a.ringNumber - b.ringNumber;
-    });
 
-    markers.forEach((marker) => {
+    sortRingMarkers(markers, ringOrderMap.get(pos)).forEach((marker) => {
       if (marker.type === 'open' && marker.closureBond) {
         parts.push(marker.closureBond);
       }
-      parts.push(marker.ringNumber.toString());
+      parts.push(ringMarker(marker.ringNumber));
     });
 
     // Check if there's an inline branch starting after this position
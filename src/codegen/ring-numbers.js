@@ -0,0 +1,108 @@
+/**
+ * Ring numbers in generated SMILES
+ * Builders write placeholder ring-bond markers; the ring numbers are assigned
+ * once the whole SMILES is built, so rings from different nodes never share a
+ * number while both are open.
+ */
+
+// Highest ring number written without the %(nnn) form
+const MAX_TWO_DIGIT_RING = 99;
+
+// Placeholder marker of the ring with the given id
+const PLACEHOLDER = /\uE000(\d+)\uE001/g;
+
+// Ring numbers stored on the nodes of the rings opened during the build in
+// progress, indexed by placeholder id, or null when no build is in progress
+let activeRings = null;
+
+/**
+ * Ring-bond marker of a ring number: 1, %12 or %(123)
+ * @param {number} ringNumber - Ring number
+ * @returns {string} Marker text
+ */
+export function formatRingNumber(ringNumber) {
+  if (ringNumber < 10) return ringNumber.toString();
+  if (ringNumber <= MAX_TWO_DIGIT_RING) return `%${ringNumber}`;
+  return `%(${ringNumber})`;
+}
+
+/**
+ * Create the ring-bond marker writer of one builder call
+ * The first marker of a ring number opens a ring and the next one closes it.
+ * Outside a build the stored ring numbers are written as they are.
+ * @returns {Function} (ringNumber) => marker text
+ */
+export function createRingMarkers() {
+  const open = new Map(); // stored ring number -> placeholder of the open ring
+  return (ringNumber) => {
+    if (!activeRings) return formatRingNumber(ringNumber);
+    if (open.has(ringNumber)) {
+      const placeholder = open.get(ringNumber);
+      open.delete(ringNumber);
+      return placeholder;
+    }
+    const placeholder = `\uE000${activeRings.length}\uE001`;
+    activeRings.push(ringNumber);
+    open.set(ringNumber, placeholder);
+    return placeholder;
+  };
+}
+
+/**
+ * Lowest ring number not in use
+ */
+function lowestFree(inUse) {
+  let ringNumber = 1;
+  while (inUse.has(ringNumber)) ringNumber += 1;
+  return ringNumber;
+}
+
+/**
+ * Replace the placeholders of a built SMILES with ring numbers
+ */
+function assignRingNumbers(smiles, rings, preserve) {
+  const counts = new Map();
+  Array.from(smiles.matchAll(PLACEHOLDER), ([, id]) => id).forEach((id) => {
+    counts.set(id, (counts.get(id) || 0) + 1);
+  });
+  const assigned = new Map(); // placeholder id -> ring number of the open ring
+  const inUse = new Set();
+  return smiles.replace(PLACEHOLDER, (placeholder, id) => {
+    const stored = rings[id];
+    if (counts.get(id) < 2) return formatRingNumber(stored);
+    if (assigned.has(id)) {
+      const ringNumber = assigned.get(id);
+      inUse.delete(ringNumber);
+      return formatRingNumber(ringNumber);
+    }
+    const keep = preserve && stored <= MAX_TWO_DIGIT_RING && !inUse.has(stored);
+    const ringNumber = keep ? stored : lowestFree(inUse);
+    assigned.set(id, ringNumber);
+    inUse.add(ringNumber);
+    return formatRingNumber(ringNumber);
+  });
+}
+
+/**
+ * Run a SMILES build and assign its ring numbers
+ *
+ * With preserve, rings keep the numbers stored on their nodes, except a ring
+ * whose number another open ring already uses (Ring attached to a Ring, both
+ * numbered 1) or whose number is above 99: those get the lowest free number.
+ * Without preserve every ring gets the lowest free number when it opens.
+ * Nested calls are part of the outer build.
+ *
+ * @param {Function} build - Function returning a SMILES string
+ * @param {boolean} preserve - Keep the stored ring numbers where possible
+ * @returns {string} SMILES string
+ */
+export function withRingNumbers(build, preserve) {
+  if (activeRings) return build();
+  const rings = [];
+  activeRings = rings;
+  try {
+    return assignRingNumbers(build(), rings, preserve);
+  } finally {
+    activeRings = null;
+  }
+}
@@ -0,0 +1,74 @@
+import { describe, test, expect } from 'bun:test';
+import { formatRingNumber, createRingMarkers } from './ring-numbers.js';
+import { buildSMILES } from './smiles-codegen-core.js';
+import { Ring, Linear, Molecule } from '../constructors.js';
+import { parse } from '../parser/index.js';
+import { canonicalSMILES } from '../canonical.js';
+
+describe('formatRingNumber', () => {
+  test('writes digits, %nn and %(nnn) markers', () => {
+    expect(formatRingNumber(1)).toBe('1');
+    expect(formatRingNumber(10)).toBe('%10');
+    expect(formatRingNumber(99)).toBe('%99');
+    expect(formatRingNumber(100)).toBe('%(100)');
+  });
+});
+
+describe('buildSMILES ring numbers', () => {
+  test('writes ring numbers from 10 with percent markers', () => {
+    const ring = Ring({ atoms: 'C', size: 6, ringNumber: 12 });
+    expect(buildSMILES(ring)).toBe('C%12CCCCC%12');
+    expect(parse('C%12CCCCC%12').smiles).toBe('C%12CCCCC%12');
+  });
+
+  test('parses %(nnn) ring bonds', () => {
+    expect(parse('C%(123)CCCCC%(123)').smiles).toBe('C1CCCCC1');
+  });
+
+  test('keeps long repeat() chains valid', () => {
+    const polymer = Ring({ atoms: 'C', size: 4 }).repeat(150, 1, 3);
+    const smiles = buildSMILES(polymer);
+    expect(smiles).not.toContain('%(');
+    expect(smiles.endsWith('C1CCC1C1CCC1')).toBe(true);
+    expect(parse(smiles).smiles).toBe(smiles);
+    expect(canonicalSMILES(smiles)).toBe(buildSMILES(polymer, { canonical: true }));
+  });
+
+  test('keeps large macrocycles valid', () => {
+    const macrocycle = Ring({ atoms: 'C', size: 30, ringNumber: 250 });
+    expect(buildSMILES(macrocycle)).toBe(`C1${'C'.repeat(28)}C1`);
+  });
+
+  test('renumbers rings whose number an open ring already uses', () => {
+    const benzene = Ring({ atoms: 'c', size: 6 });
+    const cyclohexane = Ring({ atoms: 'C', size: 6 });
+    expect(buildSMILES(benzene.attach(2, benzene))).toBe('c1c(c2ccccc2)cccc1');
+    expect(buildSMILES(benzene.attach(1, cyclohexane.attach(1, benzene))))
+      .toBe('c1(C2(c3ccccc3)CCCCC2)ccccc1');
+    expect(parse(buildSMILES(benzene.attach(2, benzene))).smiles).toBe('c1c(c2ccccc2)cccc1');
+  });
+
+  test('keeps the stored numbers of rings that do not collide', () => {
+    const ring = Ring({ atoms: 'C', size: 3, ringNumber: 7 });
+    expect(buildSMILES(Molecule([ring, Linear(['O']), ring]))).toBe('C7CC7OC7CC7');
+    expect(parse('c1ccccc1c2ccccc2').smiles).toBe('c1ccccc1c2ccccc2');
+    expect(parse('C2CC2').smiles).toBe('C2CC2');
+    expect(buildSMILES(parse('C2CC2'), { ringNumbers: 'preserve' })).toBe('C2CC2');
+  });
+
+  test("assigns the lowest free numbers with ringNumbers: 'lowest'", () => {
+    const lowest = (smiles) => buildSMILES(parse(smiles), { ringNumbers: 'lowest' });
+    expect(lowest('c1ccccc1c2ccccc2')).toBe('c1ccccc1c1ccccc1');
+    expect(lowest('C7CC7')).toBe('C1CC1');
+    expect(lowest('c1ccc2ccccc2c1')).toBe('c1ccc2ccccc2c1');
+    expect(() => buildSMILES(parse('C'), { ringNumbers: 'random' }))
+      .toThrow('Unknown ringNumbers option: random');
+  });
+});
+
+describe('createRingMarkers', () => {
+  test('writes stored ring numbers outside a build', () => {
+    const ringMarker = createRingMarkers();
+    expect([ringMarker(1), ringMarker(12), ringMarker(1)]).toEqual(['1', '%12', '1']);
+  });
+});
@@ -9,6 +9,9 @@ import {
   openBranches,
   closeBranchesInterleaved,
 } from './branch-walker.js';
+import { atomToSMILES } from '../atom.js';
+import { recordAtomSource } from './atom-tracker.js';
+import { createRingMarkers } from './ring-numbers.js';
 
 /**
  * Build SMILES for simple (non-interleaved) fused rings using offset approach
@@ -55,10 +58,12 @@ export function buildSimpleFusedRingSMILES(fusedRing, buildSMILES) {
     Array.from({ length: size }, (_, idx) => idx).forEach((i) => {
       const pos = offset + i;
       const relativePos = i + 1; // 1-indexed position within the ring
-      const atom = substitutions[relativePos] || atoms;
+      const atom = atomToSMILES(substitutions[relativePos] || atoms);
 
       if (!atomSequence[pos]) {
-        atomSequence[pos] = { atom, attachments: [] };
+        atomSequence[pos] = {
+          atom, source: { node: ring, position: relativePos }, attachments: [],
+        };
       }
 
       // Add bond before this atom (for atoms after the first in the ring)
@@ -112,6 +117,7 @@ export function buildSimpleFusedRingSMILES(fusedRing, buildSMILES) {
  * Build SMILES for fused rings that have branch-crossing positions
  */
 function buildWithBranchDepths(atomSequence, bondsBefore, branchDepthAt, buildSMILES) {
+  const ringMarker = createRingMarkers();
   // Collect all valid positions in order
   const positions = [];
   atomSequence.forEach((entry, pos) => {
@@ -127,7 +133,9 @@ function buildWithBranchDepths(atomSequence, bondsBefore, branchDepthAt, buildSM
 
   positions.forEach((pos, idx) => {
     const entry = atomSequence[pos];
-    const { atom, markers = [], attachments = [] } = entry;
+    const {
+      atom, source, markers = [], attachments = [],
+    } = entry;
     const posDepth = normalizedDepths.get(pos) || 0;
 
     // Handle branch depth changes
@@ -140,6 +148,7 @@ function buildWithBranchDepths(atomSequence, bondsBefore, branchDepthAt, buildSM
     }
 
     if (atom) {
+      recordAtomSource(source.node, source.position);
       parts.push(atom);
     }
 
@@ -149,13 +158,13 @@ function buildWithBranchDepths(atomSequence, bondsBefore, branchDepthAt, buildSM
       if (marker.closureBond) {
         parts.push(marker.closureBond);
       }
-      parts.push(marker.ringNumber.toString());
+      parts.push(ringMarker(marker.ringNumber));
     });
 
     const closeMarkers = markers.filter((m) => m.type === 'close');
     closeMarkers.sort((a, b) => a.ringNumber - b.ringNumber);
     closeMarkers.forEach((marker) => {
-      parts.push(marker.ringNumber.toString());
+      parts.push(ringMarker(marker.ringNumber));
     });
 
     // Check if there's an inline branch starting after this position
@@ -187,11 +196,14 @@ function buildWithBranchDepths(atomSequence, bondsBefore, branchDepthAt, buildSM
  * Build SMILES for fused rings without branch depth handling (flat case)
  */
 function buildFlat(atomSequence, bondsBefore, buildSMILES) {
+  const ringMarker = createRingMarkers();
   const parts = [];
   atomSequence.forEach((entry, pos) => {
     if (!entry) return;
 
-    const { atom, markers = [], attachments = [] } = entry;
+    const {
+      atom, source, markers = [], attachments = [],
+    } = entry;
 
     // Add bond before atom (if not first atom and bond exists)
     if (pos > 0 && bondsBefore.has(pos)) {
@@ -199,6 +211,7 @@ function buildFlat(atomSequence, bondsBefore, buildSMILES) {
     }
 
     if (atom) {
+      recordAtomSource(source.node, source.position);
       parts.push(atom);
     }
 
@@ -208,13 +221,13 @@ function buildFlat(atomSequence, bondsBefore, buildSMILES) {
       if (marker.closureBond) {
         parts.push(marker.closureBond);
       }
-      parts.push(marker.ringNumber.toString());
+      parts.push(ringMarker(marker.ringNumber));
     });
 
     const closeMarkers = markers.filter((m) => m.type === 'close');
     closeMarkers.sort((a, b) => a.ringNumber - b.ringNumber);
     closeMarkers.forEach((marker) => {
-      parts.push(marker.ringNumber.toString());
+      parts.push(ringMarker(marker.ringNumber));
     });
 
     attachments.forEach((attachment) => {
@@ -8,17 +8,20 @@ import {
   isFusedRingNode,
   isRingNode,
   isLinearNode,
+  isAtomNode,
 } from '../ast.js';
 import { buildBranchCrossingRingSMILES } from './branch-crossing-ring.js';
 import { buildInterleavedFusedRingSMILES } from './interleaved-fused-ring.js';
 import { buildSimpleFusedRingSMILES } from './simple-fused-ring.js';
+import { atomToSMILES } from '../atom.js';
+import { recordAtomSource } from './atom-tracker.js';
+import { canonicalSMILES } from '../canonical.js';
+import { createRingMarkers, withRingNumbers } from './ring-numbers.js';
 
 /**
- * Main entry point: Convert any AST node to SMILES string
- * @param {Object} ast - AST node
- * @returns {string} SMILES string
+ * Convert any AST node to SMILES without the ring number pass
  */
-export function buildSMILES(ast) {
+function buildNodeSMILES(ast) {
   if (isMoleculeNode(ast)) {
     // eslint-disable-next-line no-use-before-define
     return buildMoleculeSMILES(ast);
@@ -35,9 +38,42 @@ export function buildSMILES(ast) {
     // eslint-disable-next-line no-use-before-define
     return buildLinearSMILES(ast);
   }
+  if (isAtomNode(ast)) {
+    return atomToSMILES(ast);
+  }
   throw new Error(`Unknown AST node type: ${ast?.type}`);
 }
 
+/**
+ * Main entry point: Convert any AST node to SMILES string
+ *
+ * Ring numbers are assigned as the SMILES is written. By default rings keep
+ * the numbers stored on their nodes; a ring whose number is already used by
+ * an open ring (a Ring attached to another Ring, both numbered 1), or is
+ * above 99, gets the lowest free number instead, so composed nodes never
+ * write ambiguous ring closures.
+ *
+ * @param {Object} ast - AST node
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.canonical=false] - Generate canonical SMILES (atom order,
+ *   ring numbers and branch order independent of how the molecule was built)
+ * @param {string} [options.ringNumbers='preserve'] - 'preserve' keeps the stored
+ *   ring numbers where possible; 'lowest' gives every ring the lowest free
+ *   number when it opens (c1ccccc1c2ccccc2 is written c1ccccc1c1ccccc1).
+ *   'preserve' is the default so parsed SMILES round-trip with their own numbers
+ * @returns {string} SMILES string
+ */
+export function buildSMILES(ast, options = {}) {
+  if (options && options.canonical) {
+    return canonicalSMILES(ast);
+  }
+  const ringNumbers = (options && options.ringNumbers) || 'preserve';
+  if (ringNumbers !== 'preserve' && ringNumbers !== 'lowest') {
+    throw new Error(`Unknown ringNumbers option: ${ringNumbers}`);
+  }
+  return withRingNumbers(() => buildNodeSMILES(ast), ringNumbers === 'preserve');
+}
+
 /**
  * Build SMILES for a Molecule node
  * @param {Object} molecule - Molecule AST node
@@ -83,6 +119,8 @@ export function buildLinearSMILES(linear) {
   const isBranchFormat = bonds.length === atoms.length;
 
   atoms.forEach((atom, i) => {
+    const position = i + 1;
+
     // Add bond before atom
     if (isBranchFormat) {
       // Branch format: bonds[i] is the bond before atoms[i]
@@ -96,10 +134,10 @@ export function buildLinearSMILES(linear) {
     }
 
     // Add atom
-    parts.push(atom);
+    recordAtomSource(linear, position);
+    parts.push(atomToSMILES(atom));
 
     // Add any attachments at this position (1-indexed)
-    const position = i + 1;
     if (attachments[position]) {
       attachments[position].forEach((attachment) => {
         const attachmentSMILES = buildSMILES(attachment);
@@ -137,7 +175,7 @@ export function buildRingSMILES(ring) {
       metaSeqAtomAttachments: ring.metaSeqAtomAttachments,
       metaRingOrderMap: ring.metaRingOrderMap,
     };
-    return buildInterleavedFusedRingSMILES(tempFusedRing, buildSMILES);
+    return buildInterleavedFusedRingSMILES(tempFusedRing, buildSMILES, ring);
   }
 
   // Check if this ring crosses branch boundaries (ring closure inside a branch)
@@ -150,6 +188,7 @@ export function buildRingSMILES(ring) {
     return buildBranchCrossingRingSMILES(ring, buildSMILES);
   }
 
+  const ringMarker = createRingMarkers();
   const parts = [];
 
   // Add leading bond if present (e.g., C(=C2...) has = before the ring)
@@ -170,9 +209,10 @@ export function buildRingSMILES(ring) {
     }
 
     // Get the atom at this position (base atom or substitution)
-    const atom = substitutions[i] || atoms;
+    const atom = atomToSMILES(substitutions[i] || atoms);
 
     // Add the atom first
+    recordAtomSource(ring, i);
     parts.push(atom);
 
     // Add ring opening marker after position 1 (standard SMILES)
@@ -183,12 +223,12 @@ export function buildRingSMILES(ring) {
       if (closureBond) {
         parts.push(closureBond);
       }
-      parts.push(ringNumber.toString());
+      parts.push(ringMarker(ringNumber));
     }
 
     // Add ring closing marker at the last position
     if (i === size) {
-      parts.push(ringNumber.toString());
+      parts.push(ringMarker(ringNumber));
     }
 
     // Then add attachments if any (AFTER ring markers)
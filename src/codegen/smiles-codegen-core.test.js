@@ -146,5 +146,11 @@ describe('SMILES Codegen Core', () => {
       const smiles = buildSMILES(linear);
       expect(smiles).toBe('CCC');
     });
+
+    it('should generate canonical SMILES with the canonical option', () => {
+      const built = Linear(['O', 'C', 'C']);
+      expect(buildSMILES(built)).toBe('OCC');
+      expect(buildSMILES(built, { canonical: true })).toBe('CCO');
+    });
   });
 });
@@ -9,7 +9,8 @@
  * These aliases are provided for semantic clarity in different contexts.
  */
 
-import { Fragment, Ring } from './index.js';
+import { Ring } from './constructors.js';
+import { Fragment } from './fragment.js';
 
 // Alkyl groups
 export const methyl = Fragment('C');
@@ -32,6 +33,7 @@ export const ester = carboxyl; // -COO- (same SMILES, different context)
 export const amino = Fragment('N');
 export const nitro = Fragment('N(=O)=O');
 export const cyano = Fragment('C#N');
+export const amide = Fragment('C(=O)N'); // -CONH2, -CONHR
 
 // Aromatic rings
 export const phenyl = Fragment('c1ccccc1');
@@ -55,4 +57,40 @@ export const iodo = Fragment('I');
 // Sulfur and phosphorus groups
 export const sulfhydryl = Fragment('S');
 export const sulfonyl = Fragment('S(=O)(=O)');
+export const sulfonamide = Fragment('S(=O)(=O)N'); // -SO2NH2
 export const phosphate = Fragment('P(=O)(O)O');
+
+// Fragments decompile({ fragments: true }) refers to by name. Aliases with the same
+// SMILES (ether, aldehyde, ester, benzene) are left out so each structure has one name.
+export const commonFragments = {
+  methyl,
+  ethyl,
+  propyl,
+  isopropyl,
+  butyl,
+  tertButyl,
+  hydroxyl,
+  carbonyl,
+  ketone,
+  carboxyl,
+  amino,
+  nitro,
+  cyano,
+  amide,
+  phenyl,
+  benzyl,
+  cyclohexane,
+  cyclopentane,
+  pyridine,
+  furan,
+  pyrrole,
+  imidazole,
+  fluoro,
+  chloro,
+  bromo,
+  iodo,
+  sulfhydryl,
+  sulfonyl,
+  sulfonamide,
+  phosphate,
+};
@@ -7,6 +7,7 @@ import {
   validateAtoms,
   validateSize,
   isRingNode,
+  isAtomNode,
 } from './ast.js';
 
 import {
@@ -14,7 +15,9 @@ import {
   createLinearNode,
   createFusedRingNode,
   createMoleculeNode,
+  createAtomNode,
 } from './node-creators.js';
+import { normalizeAtomProps, parseAtomProps } from './atom.js';
 
 // Re-export clone utilities
 export {
@@ -25,6 +28,7 @@ export {
   deepCloneLinear,
   deepCloneFusedRing,
   deepCloneMolecule,
+  deepCloneAtom,
 } from './clone-utils.js';
 
 // Re-export method attachers
@@ -35,6 +39,7 @@ export {
   attachLinearMethods,
   attachMoleculeMethods,
   attachFusedRingMethods,
+  attachAtomMethods,
 } from './method-attachers.js';
 
 // Re-export node creators
@@ -43,6 +48,7 @@ export {
   createLinearNode,
   createFusedRingNode,
   createMoleculeNode,
+  createAtomNode,
 } from './node-creators.js';
 
 /**
@@ -52,7 +58,7 @@ export {
 /**
  * Create a Ring node
  * @param {Object} options - Ring options
- * @param {string} options.atoms - Base atom type (e.g., 'c', 'C', 'N')
+ * @param {string|Object} options.atoms - Base atom type (e.g., 'c', 'C', 'N') or Atom node
  * @param {number} options.size - Ring size (number of atoms)
  * @param {number} [options.ringNumber=1] - Ring number for SMILES notation
  * @param {number} [options.offset=0] - Offset for fused rings
@@ -115,7 +121,7 @@ export function Ring(options) {
 
 /**
  * Create a Linear chain node
- * @param {Array<string>} atoms - Array of atom symbols
+ * @param {Array<string|Object>} atoms - Array of atom symbols or Atom nodes
  * @param {Array<string>} [bonds=[]] - Array of bond types
  * @param {Object} [attachments={}] - Position -> attachment list
  * @returns {Object} Linear AST node
@@ -132,7 +138,23 @@ export function Linear(atoms, bonds = [], attachments = {}, leadingBond) {
 /**
  * Create a FusedRing node
  * @param {Array<Object>|Object} rings - Array of Ring nodes OR object with metadata
+ * @param {Object} [options] - Options
+ * @param {Array<Array<number>>} [options.positions] - Atom positions of each ring in
+ *   written order (0-indexed); rings listing the same position share that atom.
+ *   Lays out rings that offsets cannot (bridged, branch-crossing, interleaved)
+ * @param {Array<Object>} [options.chainAtoms] - Atoms at positions in no ring:
+ *   { atom, bond?, depth?, position, attachments? }
+ * @param {Object} [options.ringOrder] - Position -> ring numbers in the order
+ *   their ring bonds are written there (default: opening rings first, by number)
+ * @param {string} [options.leadingBond] - Bond to the previous molecule component
  * @returns {Object} FusedRing AST node
+ *
+ * @example
+ * // Bicyclo[2.1.1]hexane: C1CC2CC1C2
+ * FusedRing([
+ *   Ring({ atoms: 'C', size: 5 }),
+ *   Ring({ atoms: 'C', size: 4, ringNumber: 2 }),
+ * ], { positions: [[0, 1, 2, 3, 4], [2, 3, 4, 5]] });
  */
 export function FusedRing(rings, options = {}) {
   // New format: FusedRing({ metadata: {...} })
@@ -167,6 +189,32 @@ export function Molecule(components = []) {
   return createMoleculeNode(components);
 }
 
+/**
+ * Create an Atom node
+ * Accepted anywhere a ring or linear atom string is (atoms, substitutions).
+ * @param {Object|string} options - Atom options, or a single-atom SMILES ('c', '[nH]')
+ * @param {string} options.element - Element symbol; lowercase means aromatic ('c', 'se')
+ * @param {boolean} [options.aromatic=false] - Aromatic atom
+ * @param {number} [options.isotope=null] - Mass number
+ * @param {string} [options.chirality=null] - '@', '@@', '@TH1', ...
+ * @param {number} [options.hCount=null] - Explicit H count (null = implicit hydrogens)
+ * @param {number} [options.charge=0] - Formal charge
+ * @param {number} [options.atomClass=null] - Atom class (the ':n' suffix)
+ * @returns {Object} Atom AST node
+ */
+export function Atom(options) {
+  if (isAtomNode(options)) {
+    return createAtomNode(options);
+  }
+  if (typeof options === 'string') {
+    return createAtomNode(parseAtomProps(options));
+  }
+  if (!options || typeof options !== 'object') {
+    throw new Error('Atom requires an options object or an atom SMILES string');
+  }
+  return createAtomNode(normalizeAtomProps(options));
+}
+
 /**
  * Create a RawFragment node that stores and echoes back raw SMILES.
  *
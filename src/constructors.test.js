@@ -1,6 +1,6 @@
 import { describe, test, expect } from 'bun:test';
 import {
-  Ring, Linear, FusedRing, Molecule, RawFragment,
+  Ring, Linear, FusedRing, Molecule, RawFragment, Atom,
   cloneAttachments, cloneSubstitutions, cloneComponents,
   deepCloneRing, deepCloneLinear, deepCloneFusedRing, deepCloneMolecule,
 } from './constructors.js';
@@ -75,6 +75,41 @@ describe('FusedRing Constructor', () => {
     expect(naphthalene.rings).toHaveLength(2);
   });
 
+  test('lays out rings at the atom positions given', () => {
+    const bicycle = FusedRing([
+      Ring({ atoms: 'C', size: 5 }),
+      Ring({ atoms: 'C', size: 4, ringNumber: 2 }),
+    ], { positions: [[0, 1, 2, 3, 4], [2, 3, 4, 5]] });
+    expect(bicycle.smiles).toBe('C1CC2CC1C2');
+
+    const withChainAtom = FusedRing([
+      Ring({ atoms: 'C', size: 6 }),
+      Ring({ atoms: 'C', size: 6, ringNumber: 2 }),
+    ], {
+      positions: [[0, 1, 6, 7, 8, 9], [1, 2, 3, 4, 5, 6]],
+      chainAtoms: [{ atom: 'N', position: 10 }],
+    });
+    expect(withChainAtom.smiles).toBe('C1C2CCCCC2CCC1N');
+  });
+
+  test('writes ring bonds at an atom in the ring order given', () => {
+    const rings = [
+      Ring({ atoms: 'C', size: 6 }),
+      Ring({ atoms: 'C', size: 4, ringNumber: 2 }),
+    ];
+    const positions = [[0, 1, 2, 3, 4, 5], [2, 3, 4, 5]];
+    expect(FusedRing(rings, { positions }).smiles).toBe('C1CC2CCC12');
+    expect(FusedRing(rings, { positions, ringOrder: { 5: [2, 1] } }).smiles).toBe('C1CC2CCC21');
+  });
+
+  test('throws error for positions not matching the rings', () => {
+    const rings = [Ring({ atoms: 'C', size: 5 }), Ring({ atoms: 'C', size: 4, ringNumber: 2 })];
+    expect(() => FusedRing(rings, { positions: [[0, 1, 2, 3, 4]] }))
+      .toThrow('Expected positions for each of the 2 rings');
+    expect(() => FusedRing(rings, { positions: [[0, 1, 2, 3, 4], [2, 3, 4]] }))
+      .toThrow('Ring 2 needs 4 positions');
+  });
+
   test('throws error for less than 2 rings', () => {
     const ring1 = Ring({ atoms: 'c', size: 6 });
     expect(() => FusedRing([ring1])).toThrow('FusedRing requires at least 2 rings');
@@ -114,6 +149,87 @@ describe('Molecule Constructor', () => {
   });
 });
 
+describe('Atom Constructor', () => {
+  test('creates an atom node', () => {
+    const atom = Atom({ element: 'N', charge: 1, hCount: 4 });
+    expect(atom.type).toBe('atom');
+    expect(atom.element).toBe('N');
+    expect(atom.charge).toBe(1);
+    expect(atom.smiles).toBe('[NH4+]');
+    expect(`${atom}`).toBe('[NH4+]');
+  });
+
+  test('accepts an atom SMILES string', () => {
+    const atom = Atom('[nH]');
+    expect(atom.element).toBe('N');
+    expect(atom.aromatic).toBe(true);
+    expect(atom.hCount).toBe(1);
+  });
+
+  test('throws on invalid input', () => {
+    expect(() => Atom(42)).toThrow('Atom requires an options object');
+    expect(() => Atom({ element: 'Qq' })).toThrow('Unknown element');
+  });
+
+  test('toObject returns plain properties', () => {
+    expect(Atom('[O-]').toObject()).toEqual({
+      type: 'atom',
+      element: 'O',
+      aromatic: false,
+      isotope: null,
+      chirality: null,
+      hCount: 0,
+      charge: -1,
+      atomClass: null,
+    });
+  });
+
+  test('clone returns an equal atom', () => {
+    const atom = Atom('[13C]');
+    const copy = atom.clone();
+    expect(copy).not.toBe(atom);
+    expect(copy.smiles).toBe('[13C]');
+  });
+
+  test('Ring accepts Atom nodes as base atom and substitutions', () => {
+    const pyrrole = Ring({
+      atoms: Atom('c'),
+      size: 5,
+      substitutions: { 1: Atom({ element: 'n', hCount: 1 }) },
+    });
+    expect(pyrrole.smiles).toBe('[nH]1cccc1');
+  });
+
+  test('Linear accepts Atom nodes', () => {
+    const chain = Linear(['C', Atom({ element: 'C', chirality: '@', hCount: 1 }), Atom('[O-]')]);
+    expect(chain.smiles).toBe('C[C@H][O-]');
+  });
+
+  test('ring.getAtom returns structured atoms', () => {
+    const ring = Ring({ atoms: 'c', size: 6 }).substitute(2, Atom('[n+]'));
+    expect(ring.getAtom(2).charge).toBe(1);
+    expect(ring.getAtom(1).aromatic).toBe(true);
+    expect(() => ring.getAtom(7)).toThrow('Position must be an integer between 1 and 6');
+  });
+
+  test('linear.getAtom returns structured atoms', () => {
+    const chain = Linear(['C', '[NH3+]']);
+    expect(chain.getAtom(2).hCount).toBe(3);
+    expect(chain.getAtom(1).hCount).toBe(null);
+  });
+
+  test('substituting an equivalent atom removes the substitution', () => {
+    const ring = Ring({ atoms: 'c', size: 6, substitutions: { 2: 'n' } });
+    expect(ring.substitute(2, Atom('c')).substitutions).toEqual({});
+  });
+
+  test('toObject serializes Atom nodes as plain objects', () => {
+    const ring = Ring({ atoms: 'c', size: 6, substitutions: { 3: Atom('[nH]') } });
+    expect(ring.toObject().substitutions[3].element).toBe('N');
+    expect(Linear([Atom('C')]).toObject().atoms[0].type).toBe('atom');
+  });
+});
+
 describe('Helper Functions - Clone Functions', () => {
   test('cloneAttachments creates deep copy', () => {
     const attachments = {
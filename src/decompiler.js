@@ -10,7 +10,11 @@ import {
   isLinearNode,
 } from './ast.js';
 import { buildSMILES } from './codegen/index.js';
-import { createRingNode } from './node-creators.js';
+import { sortRingMarkers } from './codegen/interleaved-fused-ring.js';
+import { createRingNode, createLinearNode, createFusedRingNode } from './node-creators.js';
+import { cipLabelsByNode } from './cip.js';
+import { registeredFragments } from './fragment-library.js';
+import { createNamer } from './variable-names.js';
 
 // Helper to call decompileNode (satisfies no-loop-func rule)
 function decompileChildNode(node, indent, nextVar, verbose) {
@@ -18,8 +22,87 @@ function decompileChildNode(node, indent, nextVar, verbose) {
   return decompileNode(node, indent, nextVar, verbose);
 }
 
+// CIP labels of the node being decompiled, by node (set for the duration of decompile())
+let activeCIPLabels = new Map();
+
+/**
+ * Format CIP labels by position as descriptors ('(2S,5E)')
+ */
+function formatCIPLabels(labels) {
+  const descriptors = Object.keys(labels)
+    .sort((a, b) => Number(a) - Number(b))
+    .map((position) => `${position}${labels[position]}`);
+  return `(${descriptors.join(',')})`;
+}
+
+/**
+ * Comment line with a node's CIP labels ('// CIP: (2S,5E)')
+ * @returns {Array<string>} The comment line, or nothing when the node has no labels
+ */
+function cipComment(node, indent) {
+  const labels = activeCIPLabels.get(node);
+  return labels ? [`${indent}// CIP: ${formatCIPLabels(labels)}`] : [];
+}
+
+// Named fragments the decompiler may refer to (set for the duration of decompile())
+let activeFragments = null;
+
 /**
- * Counter-based variable name generator
+ * Collect the named fragments of the fragments option
+ * @param {boolean|Object} fragments - true for the registered libraries
+ *   (smiles-js/common), or module specifier -> { name: node } dictionaries,
+ *   which are tried before the registered ones
+ * @returns {Object|null} { candidates: [{ name, from, node, type, smiles }], used: Map }
+ */
+function collectFragments(fragments) {
+  if (!fragments) return null;
+  const libraries = fragments === true
+    ? registeredFragments()
+    : { ...fragments, ...registeredFragments() };
+  const candidates = [];
+  Object.entries(libraries).forEach(([from, named]) => {
+    Object.entries(named).forEach(([name, node]) => {
+      if (!node || typeof node !== 'object' || !node.type) return;
+      candidates.push({
+        name, from, node, type: node.type, smiles: buildSMILES(node),
+      });
+    });
+  });
+  return { candidates, used: new Map() };
+}
+
+/**
+ * Name of the library fragment a subtree is written exactly as, if any
+ * The subtree must have the same type and SMILES (ring numbers included), so
+ * the generated code builds the same molecule.
+ */
+function fragmentName(node) {
+  if (!activeFragments) return null;
+  const smiles = buildSMILES(node);
+  const fragment = activeFragments.candidates.find(
+    (candidate) => candidate.type === node.type && candidate.smiles === smiles,
+  );
+  if (!fragment) return null;
+  if (!activeFragments.used.has(fragment.name)) {
+    activeFragments.used.set(fragment.name, fragment.from);
+  }
+  return fragment.name;
+}
+
+/**
+ * Library fragments the generated code uses, by module
+ * @returns {Array<Array>} [from, names] pairs
+ */
+function fragmentImports() {
+  const byModule = new Map();
+  activeFragments.used.forEach((from, name) => {
+    byModule.set(from, [...(byModule.get(from) || []), name]);
+  });
+  return [...byModule];
+}
+
+/**
+ * Counter-based variable name generator (ignores the node it is given)
  */
 function createCounter(prefix) {
   let count = 0;
@@ -41,10 +124,12 @@ function formatBondsArray(bonds) {
  * @param {Object} ring - Ring node
  * @param {Object} opts - Options
  * @param {boolean} opts.includeBranchDepths - Whether to include branchDepths
+ * @param {boolean} opts.includeUniformDepths - Include branchDepths of a ring
+ *   written in a branch as a whole, not only of rings crossing branches
  * @returns {Object} { options, optionsStr } - Options object and formatted string
  */
 function buildRingOptions(ring, opts = {}) {
-  const { includeBranchDepths = false } = opts;
+  const { includeBranchDepths = false, includeUniformDepths = false } = opts;
   const options = {
     atoms: `'${ring.atoms}'`,
     size: ring.size,
@@ -72,7 +157,7 @@ function buildRingOptions(ring, opts = {}) {
   if (includeBranchDepths && ring.metaBranchDepths && ring.metaBranchDepths.length > 0) {
     const firstDepth = ring.metaBranchDepths[0];
     const hasVaryingDepths = ring.metaBranchDepths.some((d) => d !== firstDepth);
-    if (hasVaryingDepths) {
+    if (hasVaryingDepths || (includeUniformDepths && firstDepth !== 0)) {
       options.branchDepths = `[${ring.metaBranchDepths.join(', ')}]`;
     }
   }
@@ -89,6 +174,23 @@ function buildRingOptions(ring, opts = {}) {
   return { options, optionsStr };
 }
 
+/**
+ * Ring a declaration builds: the ring's atoms with the substitutions given
+ * Variables are named after it; attachments do not change a ring's name.
+ */
+function ringValue(ring, substitutions = {}) {
+  return createRingNode(
+    ring.atoms,
+    ring.size,
+    ring.ringNumber,
+    ring.offset,
+    substitutions,
+    {},
+    ring.bonds,
+    ring.metaBranchDepths,
+  );
+}
+
 /**
  * Generate code for ring substitutions
  * @returns {{ lines: string[], currentVar: string }}
@@ -98,8 +200,10 @@ function generateSubstitutionCode(ring, indent, nextVar, initialVar) {
   let currentVar = initialVar;
 
   if (Object.keys(ring.substitutions).length > 0) {
+    const substituted = {};
     Object.entries(ring.substitutions).forEach(([pos, atom]) => {
-      const newVar = nextVar();
+      substituted[pos] = atom;
+      const newVar = nextVar(ringValue(ring, substituted));
       lines.push(`${indent}const ${newVar} = ${currentVar}.substitute(${pos}, '${atom}');`);
       currentVar = newVar;
     });
@@ -117,6 +221,7 @@ function generateAttachmentCode(ring, indent, nextVar, initialVar, verbose = tru
   let currentVar = initialVar;
 
   if (ring.attachments && Object.keys(ring.attachments).length > 0) {
+    const value = ringValue(ring, ring.substitutions);
     // Determine inline branchId for sibling ordering
     const metaBranchIds = ring.metaBranchIds || [];
     const normalizedDepths = ring.metaBranchDepths || [];
@@ -133,7 +238,7 @@ function generateAttachmentCode(ring, indent, nextVar, initialVar, verbose = tru
         const attachResult = decompileChildNode(attachment, indent, nextVar, verbose);
         lines.push(attachResult.code);
 
-        const newVar = nextVar();
+        const newVar = nextVar(value);
         const isSibling = attachment.metaIsSibling;
         const optParts = [];
         if (isSibling === true) {
@@ -165,16 +270,7 @@ function generateAttachmentCode(ring, indent, nextVar, initialVar, verbose = tru
  * Used in non-verbose mode to emit Fragment('SMILES') for the substituted ring.
  */
 function getRingWithSubsSmiles(ring) {
-  const tempNode = createRingNode(
-    ring.atoms,
-    ring.size,
-    ring.ringNumber,
-    ring.offset,
-    ring.substitutions,
-    {},
-    ring.bonds,
-    ring.metaBranchDepths,
-  );
+  const tempNode = ringValue(ring, ring.substitutions);
   if (ring.metaLeadingBond) {
     tempNode.metaLeadingBond = ring.metaLeadingBond;
   }
@@ -185,28 +281,19 @@ function getRingWithSubsSmiles(ring) {
  * Decompile a Ring node
  */
 function decompileRing(ring, indent, nextVar, verbose = true) {
-  const lines = [];
-  const varName = nextVar();
+  const lines = [...cipComment(ring, indent)];
+  const baseRing = ringValue(ring);
+  const varName = nextVar(baseRing);
 
   if (!verbose && !ring.metaLeadingBond) {
     // Non-verbose: emit Fragment('SMILES') for base ring
-    const baseSmiles = buildSMILES(createRingNode(
-      ring.atoms,
-      ring.size,
-      ring.ringNumber,
-      ring.offset,
-      {},
-      {},
-      ring.bonds,
-      ring.metaBranchDepths,
-    ));
-    lines.push(`${indent}const ${varName} = Fragment('${baseSmiles}');`);
+    lines.push(`${indent}const ${varName} = Fragment('${buildSMILES(baseRing)}');`);
 
     // Substitutions: each becomes an independent Fragment('SMILES')
     let currentVar = varName;
     if (Object.keys(ring.substitutions).length > 0) {
       const subsSmiles = getRingWithSubsSmiles(ring);
-      const newVar = nextVar();
+      const newVar = nextVar(ringValue(ring, ring.substitutions));
       lines.push(`${indent}const ${newVar} = Fragment('${subsSmiles}');`);
       currentVar = newVar;
     }
@@ -258,8 +345,8 @@ function decompileRing(ring, indent, nextVar, verbose = true) {
  * Decompile a Linear node
  */
 function decompileLinear(linear, indent, nextVar, verbose = true) {
-  const lines = [];
-  const varName = nextVar();
+  const lines = [...cipComment(linear, indent)];
+  const varName = nextVar(createLinearNode(linear.atoms, linear.bonds));
 
   const atomsStr = linear.atoms.map((a) => `'${a}'`).join(', ');
 
@@ -287,6 +374,7 @@ function decompileLinear(linear, indent, nextVar, verbose = true) {
 
   // Add attachments
   if (Object.keys(linear.attachments).length > 0) {
+    const attached = {};
     Object.entries(linear.attachments).forEach(([pos, attachmentList]) => {
       attachmentList.forEach((attachment) => {
         // eslint-disable-next-line no-use-before-define
@@ -294,7 +382,8 @@ function decompileLinear(linear, indent, nextVar, verbose = true) {
         const { code: aCode, finalVar: aFinalVar } = attachRes;
         lines.push(aCode);
 
-        const newVar = nextVar();
+        attached[pos] = [...(attached[pos] || []), attachment];
+        const newVar = nextVar(createLinearNode(linear.atoms, linear.bonds, { ...attached }));
         lines.push(`${indent}const ${newVar} = ${currentVar}.attach(${pos}, ${aFinalVar});`);
         currentVar = newVar;
       });
@@ -304,130 +393,6 @@ function decompileLinear(linear, indent, nextVar, verbose = true) {
   return { code: lines.join('\n'), finalVar: currentVar };
 }
 
-/**
- * Check if a fused ring needs the interleaved codegen path.
- * Returns true if the offset-based simple codegen cannot represent the ring topology.
- * Checks: (1) computed offsets cover all positions, (2) overlap between adjacent rings
- * from offsets matches the actual shared positions from metaPositions.
- */
-function needsInterleavedCodegen(fusedRing) {
-  const allPositions = fusedRing.metaAllPositions;
-  if (!allPositions || allPositions.length === 0) return false;
-
-  const posToIndex = new Map();
-  allPositions.forEach((pos, idx) => { posToIndex.set(pos, idx); });
-
-  // Compute offsets from positions
-  const offsets = fusedRing.rings.map((ring) => {
-    const positions = ring.metaPositions;
-    if (!positions || positions.length === 0) return ring.offset || 0;
-    return posToIndex.get(positions[0]) || 0;
-  });
-
-  // Check 1: If the max extent from offsets doesn't match total positions,
-  // the ring topology can't be represented by offsets alone
-  const maxEnd = Math.max(...offsets.map((o, i) => o + fusedRing.rings[i].size));
-  if (maxEnd !== allPositions.length) return true;
-
-  // Check 2: For each pair of rings, verify that the overlap predicted by offsets
-  // matches the actual shared positions from metaPositions.
-  // When offsets predict N shared atoms but the parser saw M shared atoms (N !== M),
-  // the simple codegen will produce a structurally different ring system.
-  for (let i = 0; i < fusedRing.rings.length; i += 1) {
-    const ringA = fusedRing.rings[i];
-    const posA = ringA.metaPositions;
-    if (posA && posA.length > 0) {
-      const setA = new Set(posA);
-
-      for (let j = i + 1; j < fusedRing.rings.length; j += 1) {
-        const ringB = fusedRing.rings[j];
-        const posB = ringB.metaPositions;
-        if (posB && posB.length > 0) {
-          // Count actual shared positions between rings
-          const actualOverlap = posB.filter((p) => setA.has(p)).length;
-
-          // Predict overlap from offsets: two rings overlap if their offset ranges intersect
-          const startA = offsets[i];
-          const endA = offsets[i] + ringA.size;
-          const startB = offsets[j];
-          const endB = offsets[j] + ringB.size;
-          const overlapStart = Math.max(startA, startB);
-          const overlapEnd = Math.min(endA, endB);
-          const predictedOverlap = Math.max(0, overlapEnd - overlapStart);
-
-          if (predictedOverlap !== actualOverlap) return true;
-        }
-      }
-    }
-  }
-
-  // Check 3: At positions where multiple rings close, verify the parser's ring closure
-  // order matches ascending ring number (which is what the simple codegen produces).
-  // If not, the simple path will produce different SMILES.
-  const ringOrderMap = fusedRing.metaRingOrderMap;
-  if (ringOrderMap) {
-    // Build a set of closing positions per ring from offsets
-    const closePositions = new Map(); // offset-position → [ringNumbers]
-    fusedRing.rings.forEach((ring, idx) => {
-      const closePos = offsets[idx] + ring.size - 1;
-      if (!closePositions.has(closePos)) closePositions.set(closePos, []);
-      closePositions.get(closePos).push(ring.ringNumber);
-    });
-
-    // eslint-disable-next-line no-restricted-syntax
-    for (const [, ringNums] of closePositions) {
-      if (ringNums.length >= 2) {
-        // Simple codegen sorts ascending
-        const simpleOrder = [...ringNums].sort((a, b) => a - b);
-        // Check if parser's ring order at this position differs
-        // Find the corresponding parser position for this offset-position
-        const offsetPos = [...closePositions.keys()]
-          .find((k) => closePositions.get(k) === ringNums);
-        const parserPos = allPositions[offsetPos];
-        const parserOrder = ringOrderMap.get(parserPos);
-        if (parserOrder) {
-          // Extract only close markers (ring numbers that appear at the END of ring traversal)
-          const closeRingNums = parserOrder.filter((rn) => ringNums.includes(rn));
-          // Deduplicate while preserving order (a ring number appears twice = open+close)
-          const seen = new Map(); // rn -> count
-          closeRingNums.forEach((rn) => {
-            const count = (seen.get(rn) || 0) + 1;
-            seen.set(rn, count);
-            // The second occurrence is the close marker
-            if (count === 2 || !ringNums.includes(rn)) {
-              // Actually just check: is the last occurrence's order different from ascending?
-            }
-          });
-          // Simpler: just check if the ring numbers at this position, when sorted ascending,
-          // produce the same last-occurrence order as the parser
-          const lastOccurrence = [];
-          const rnCount = new Map();
-          parserOrder.forEach((rn) => {
-            if (!ringNums.includes(rn)) return;
-            rnCount.set(rn, (rnCount.get(rn) || 0) + 1);
-          });
-          // Ring numbers that appear only once at a close position are close markers
-          // Ring numbers that appear twice have both open and close
-          parserOrder.forEach((rn) => {
-            if (!ringNums.includes(rn)) return;
-            const total = rnCount.get(rn) || 0;
-            if (total === 1) {
-              // Single occurrence = close marker
-              if (!lastOccurrence.includes(rn)) lastOccurrence.push(rn);
-            }
-          });
-          if (lastOccurrence.length >= 2) {
-            const matches = lastOccurrence.every((rn, i) => rn === simpleOrder[i]);
-            if (!matches) return true;
-          }
-        }
-      }
-    }
-  }
-
-  return false;
-}
-
 /**
  * Compute correct offsets for rings from their metaPositions and the fused ring's metaAllPositions.
  * Converts parser-created position-based rings into offset-based rings for the simple codegen.
@@ -487,25 +452,20 @@ function computeSharedPositions(fusedRing) {
 }
 
 /**
- * Decompile a FusedRing node using only structural API calls (no metadata).
- * Emits .fuse() for the first pair and .addRing() for subsequent rings.
- * The resulting code goes through the simple codegen path (offset-based).
+ * Ring offsets and ring numbers for .fuse() / .addRing()
+ * Offsets come from the parser's positions (if available). The parser reuses
+ * ring numbers (e.g., ring 1 closes then a later ring also uses 1), which is
+ * valid SMILES as long as the ring markers don't overlap, so a ring number is
+ * only changed when rings using it overlap in offset space.
  */
-function decompileSimpleFusedRing(fusedRing, indent, nextVar, verbose = true) {
-  const lines = [];
-  const ringFinalVars = [];
-
-  // Compute correct offsets from parser positions (if available)
+function simpleFusedRingLayout(fusedRing) {
   const computedOffsets = computeOffsetsFromPositions(fusedRing);
-
-  // Assign ring numbers, allowing reuse when rings don't overlap in offset space.
-  // The parser reuses ring numbers (e.g., ring 1 closes then a later ring also uses 1).
-  // This is valid SMILES as long as the ring markers don't overlap.
-  const ringNumberOverrides = fusedRing.rings.map((ring, idx) => {
-    const offset = computedOffsets ? computedOffsets[idx] : (ring.offset || 0);
-    return { ringNumber: ring.ringNumber, start: offset, end: offset + ring.size - 1 };
-  });
-  // Check for ring number conflicts (same ring number used by overlapping rings)
+  const offsets = fusedRing.rings.map((ring, idx) => (
+    computedOffsets ? computedOffsets[idx] : (ring.offset || 0)
+  ));
+  const ringNumberOverrides = fusedRing.rings.map((ring, idx) => (
+    { ringNumber: ring.ringNumber, start: offsets[idx], end: offsets[idx] + ring.size - 1 }
+  ));
   for (let i = 0; i < ringNumberOverrides.length; i += 1) {
     const ri = ringNumberOverrides[i];
     for (let j = i + 1; j < ringNumberOverrides.length; j += 1) {
@@ -523,19 +483,64 @@ function decompileSimpleFusedRing(fusedRing, indent, nextVar, verbose = true) {
       }
     }
   }
+  return { offsets, ringNumbers: ringNumberOverrides.map((r) => r.ringNumber) };
+}
+
+/**
+ * Decompile one ring of a fused ring system with its substitutions and attachments
+ * @param {boolean} [placed=false] - The ring is placed at positions, so its
+ *   branch depths are written even where it is in a branch as a whole
+ * @returns {{ lines: string[], finalVar: string }}
+ */
+function decompileMemberRing(ring, indent, nextVar, verbose, placed = false) {
+  const lines = [];
+  const baseRing = ringValue(ring);
+  const varName = nextVar(baseRing);
+  let currentVar = varName;
+  const inBranch = placed && (ring.metaBranchDepths || []).some((depth) => depth !== 0);
+
+  if (!verbose && !ring.metaLeadingBond && !inBranch) {
+    // Non-verbose: use Fragment for ring constructor
+    lines.push(`${indent}const ${varName} = Fragment('${buildSMILES(baseRing)}');`);
+    if (Object.keys(ring.substitutions || {}).length > 0) {
+      currentVar = nextVar(ringValue(ring, ring.substitutions));
+      lines.push(`${indent}const ${currentVar} = Fragment('${getRingWithSubsSmiles(ring)}');`);
+    }
+  } else {
+    const { optionsStr } = buildRingOptions(ring, {
+      includeBranchDepths: true,
+      includeUniformDepths: placed,
+    });
+    lines.push(`${indent}const ${varName} = Ring({ ${optionsStr} });`);
+    const subResult = generateSubstitutionCode(ring, indent, nextVar, varName);
+    lines.push(...subResult.lines);
+    currentVar = subResult.currentVar;
+  }
+
+  const attResult = generateAttachmentCode(ring, indent, nextVar, currentVar, verbose);
+  lines.push(...attResult.lines);
+  return { lines, finalVar: attResult.currentVar };
+}
+
+/**
+ * Decompile a FusedRing node with .fuse() for the first pair and .addRing()
+ * for subsequent rings, laid out again from the rings' offsets
+ */
+function decompileSimpleFusedRing(fusedRing, indent, nextVar, verbose = true) {
+  const lines = [];
+  const { offsets, ringNumbers } = simpleFusedRingLayout(fusedRing);
 
   // Compute which positions are shared (to avoid duplicating attachments/substitutions)
   const sharedPositions = computeSharedPositions(fusedRing);
 
   // Decompile individual rings with substitutions and attachments
-  fusedRing.rings.forEach((ring, ringIdx) => {
-    const overrideOffset = computedOffsets ? computedOffsets[ringIdx] : null;
-    const overrideRingNumber = ringNumberOverrides[ringIdx].ringNumber !== ring.ringNumber
-      ? ringNumberOverrides[ringIdx].ringNumber : null;
-
-    const effectiveRing = { ...ring };
-    if (overrideOffset !== null) effectiveRing.offset = overrideOffset;
-    if (overrideRingNumber !== null) effectiveRing.ringNumber = overrideRingNumber;
+  const effectiveRings = [];
+  const ringFinalVars = fusedRing.rings.map((ring, ringIdx) => {
+    const effectiveRing = { ...ring, offset: offsets[ringIdx], ringNumber: ringNumbers[ringIdx] };
+    // A single ring with sequential rings carries the leading bond itself
+    if (fusedRing.rings.length === 1 && fusedRing.metaLeadingBond) {
+      effectiveRing.metaLeadingBond = fusedRing.metaLeadingBond;
+    }
 
     // Filter out substitutions and attachments on shared positions
     const shared = sharedPositions.get(ringIdx) || new Set();
@@ -553,77 +558,59 @@ function decompileSimpleFusedRing(fusedRing, indent, nextVar, verbose = true) {
       effectiveRing.attachments = filteredAtts;
     }
 
-    const varName = nextVar();
-
-    if (!verbose && !effectiveRing.metaLeadingBond) {
-      // Non-verbose: use Fragment for ring constructor
-      const baseSmiles = buildSMILES(createRingNode(
-        effectiveRing.atoms,
-        effectiveRing.size,
-        effectiveRing.ringNumber,
-        effectiveRing.offset,
-        {},
-        {},
-        effectiveRing.bonds,
-        effectiveRing.metaBranchDepths,
-      ));
-      lines.push(`${indent}const ${varName} = Fragment('${baseSmiles}');`);
-
-      let currentVar = varName;
-      if (Object.keys(effectiveRing.substitutions || {}).length > 0) {
-        const subsSmiles = getRingWithSubsSmiles(effectiveRing);
-        const newVar = nextVar();
-        lines.push(`${indent}const ${newVar} = Fragment('${subsSmiles}');`);
-        currentVar = newVar;
-      }
-
-      const {
-        lines: attLines, currentVar: attVar,
-      } = generateAttachmentCode(effectiveRing, indent, nextVar, currentVar, verbose);
-      lines.push(...attLines);
-
-      ringFinalVars.push(attVar);
-    } else {
-      // Verbose: original behavior
-      const { optionsStr } = buildRingOptions(effectiveRing, { includeBranchDepths: true });
-      lines.push(`${indent}const ${varName} = Ring({ ${optionsStr} });`);
-
-      const {
-        lines: subLines, currentVar: subVar,
-      } = generateSubstitutionCode(effectiveRing, indent, nextVar, varName);
-      lines.push(...subLines);
-
-      const {
-        lines: attLines, currentVar: attVar,
-      } = generateAttachmentCode(effectiveRing, indent, nextVar, subVar, verbose);
-      lines.push(...attLines);
-
-      ringFinalVars.push(attVar);
-    }
+    effectiveRings.push(effectiveRing);
+    const { lines: ringLines, finalVar } = decompileMemberRing(
+      effectiveRing,
+      indent,
+      nextVar,
+      verbose,
+    );
+    lines.push(...ringLines);
+    return finalVar;
   });
 
-  const leadingBond = fusedRing.metaLeadingBond;
+  // The ring system after its first count rings are fused
+  const sequentialRings = fusedRing.metaSequentialRings || [];
+  const fusedValue = (count) => (
+    count === fusedRing.rings.length && sequentialRings.length === 0
+      ? fusedRing
+      : createFusedRingNode(effectiveRings.slice(0, count).map((ring) => ringValue(ring)))
+  );
 
-  // Single-ring FusedRing — just return the ring directly
-  if (fusedRing.rings.length === 1) {
-    return { code: lines.join('\n'), finalVar: ringFinalVars[0] };
-  }
+  const leadingBond = fusedRing.metaLeadingBond;
+  let currentFusedVar = ringFinalVars[0];
 
   // Fuse first two rings, then .addRing() for the rest
-  const offset1 = computedOffsets ? computedOffsets[1] : fusedRing.rings[1].offset;
-  let currentFusedVar = nextVar();
-
-  if (leadingBond) {
-    lines.push(`${indent}const ${currentFusedVar} = ${ringFinalVars[0]}.fuse(${offset1}, ${ringFinalVars[1]}, { leadingBond: '${leadingBond}' });`);
-  } else {
-    lines.push(`${indent}const ${currentFusedVar} = ${ringFinalVars[0]}.fuse(${offset1}, ${ringFinalVars[1]});`);
+  if (fusedRing.rings.length > 1) {
+    currentFusedVar = nextVar(fusedValue(2));
+    if (leadingBond) {
+      lines.push(`${indent}const ${currentFusedVar} = ${ringFinalVars[0]}.fuse(${offsets[1]}, ${ringFinalVars[1]}, { leadingBond: '${leadingBond}' });`);
+    } else {
+      lines.push(`${indent}const ${currentFusedVar} = ${ringFinalVars[0]}.fuse(${offsets[1]}, ${ringFinalVars[1]});`);
+    }
   }
 
   // Chain .addRing() for rings 3+
   for (let i = 2; i < fusedRing.rings.length; i += 1) {
-    const offset = computedOffsets ? computedOffsets[i] : fusedRing.rings[i].offset;
-    const newVar = nextVar();
-    lines.push(`${indent}const ${newVar} = ${currentFusedVar}.addRing(${offset}, ${ringFinalVars[i]});`);
+    const newVar = nextVar(fusedValue(i + 1));
+    lines.push(`${indent}const ${newVar} = ${currentFusedVar}.addRing(${offsets[i]}, ${ringFinalVars[i]});`);
+    currentFusedVar = newVar;
+  }
+
+  // Sequential rings are written after the ring system, in order
+  if (sequentialRings.length > 0) {
+    const seqEntries = sequentialRings.map((ring) => {
+      const { lines: ringLines, finalVar } = decompileMemberRing(
+        { ...ring, offset: 0 },
+        indent,
+        nextVar,
+        verbose,
+      );
+      lines.push(...ringLines);
+      return `{ ring: ${finalVar} }`;
+    });
+    const newVar = nextVar(fusedRing);
+    lines.push(`${indent}const ${newVar} = ${currentFusedVar}.addSequentialRings([${seqEntries.join(', ')}]);`);
     currentFusedVar = newVar;
   }
 
@@ -631,364 +618,235 @@ function decompileSimpleFusedRing(fusedRing, indent, nextVar, verbose = true) {
 }
 
 /**
- * Helper to format a Map as JavaScript code
+ * Ring numbers at each position where the parser wrote ring bonds in another
+ * order than FusedRing() writes them by default
  */
+function ringBondOrders(fusedRing, rings) {
+  const markers = new Map();
+  rings.forEach((ring) => {
+    [[ring.metaStart, 'open'], [ring.metaEnd, 'close']].forEach(([pos, type]) => {
+      if (!markers.has(pos)) markers.set(pos, []);
+      markers.get(pos).push({ ringNumber: ring.ringNumber, type });
+    });
+  });
+
+  const ringOrderMap = fusedRing.metaRingOrderMap || new Map();
+  const orders = new Map();
+  markers.forEach((atomMarkers, pos) => {
+    const written = sortRingMarkers(atomMarkers, ringOrderMap.get(pos))
+      .map((marker) => marker.ringNumber);
+    const byDefault = sortRingMarkers(atomMarkers).map((marker) => marker.ringNumber);
+    if (written.join() !== byDefault.join()) orders.set(pos, written);
+  });
+  return orders;
+}
+
 /**
- * Decompile a complex FusedRing with sequential rings
- *
- * For complex fused rings with sequential rings, we need to manually set up the
- * metadata that the parser creates, because there's no public API to add sequential
- * rings to a fused ring. The codegen uses this metadata to correctly interleave
- * ring markers and handle branch depths.
+ * Layout of a parsed fused ring as FusedRing() / addSequentialRings() options
+ * Positions are renumbered to count only the atoms of the ring system, and
+ * branch depths from the depth the ring system is written at (baseDepth).
+ * @returns {{ positions: number[][], sequentialPositions: number[][],
+ *   chainAtoms: Object[], ringOrder: Map<number, number[]>, baseDepth: number }}
  */
-function decompileComplexFusedRing(fusedRing, indent, nextVar, verbose = true) {
-  const lines = [];
+function positionedFusedRingLayout(fusedRing) {
+  const allPositions = fusedRing.metaAllPositions;
+  const index = new Map(allPositions.map((pos, idx) => [pos, idx]));
   const sequentialRings = fusedRing.metaSequentialRings || [];
+  const rings = [...fusedRing.rings, ...sequentialRings];
+  const ringPositions = new Set(rings.flatMap((ring) => ring.metaPositions));
+  const toIndices = (ring) => ring.metaPositions.map((pos) => index.get(pos));
+
+  const branchDepthMap = fusedRing.metaBranchDepthMap || new Map();
+  const baseDepth = Math.min(...allPositions.map((pos) => branchDepthMap.get(pos) || 0));
+  const atomValueMap = fusedRing.metaAtomValueMap || new Map();
+  const bondMap = fusedRing.metaBondMap || new Map();
   const seqAtomAttachments = fusedRing.metaSeqAtomAttachments || new Map();
-
-  // Step 1: Decompile the base fused ring
-  const ringVars = [];
-  fusedRing.rings.forEach((ring) => {
-    const varName = nextVar();
-
-    if (!verbose && !ring.metaLeadingBond) {
-      const baseSmiles = buildSMILES(createRingNode(
-        ring.atoms,
-        ring.size,
-        ring.ringNumber,
-        ring.offset,
-        {},
-        {},
-        ring.bonds,
-        ring.metaBranchDepths,
-      ));
-      lines.push(`${indent}const ${varName} = Fragment('${baseSmiles}');`);
-
-      let currentVar = varName;
-      if (Object.keys(ring.substitutions || {}).length > 0) {
-        const subsSmiles = getRingWithSubsSmiles(ring);
-        const newVar = nextVar();
-        lines.push(`${indent}const ${newVar} = Fragment('${subsSmiles}');`);
-        currentVar = newVar;
-      }
-
-      const attResult = generateAttachmentCode(ring, indent, nextVar, currentVar, verbose);
-      lines.push(...attResult.lines);
-
-      ringVars.push({ var: attResult.currentVar, ring });
-    } else {
-      const { optionsStr } = buildRingOptions(ring, { includeBranchDepths: true });
-      lines.push(`${indent}const ${varName} = Ring({ ${optionsStr} });`);
-
-      const subResult = generateSubstitutionCode(ring, indent, nextVar, varName);
-      lines.push(...subResult.lines);
-
-      const attResult = generateAttachmentCode(ring, indent, nextVar, subResult.currentVar, verbose);
-      lines.push(...attResult.lines);
-
-      ringVars.push({ var: attResult.currentVar, ring });
-    }
+  const chainAtoms = allPositions
+    .filter((pos) => !ringPositions.has(pos))
+    .map((pos) => ({
+      atom: atomValueMap.get(pos) || 'C',
+      bond: bondMap.get(pos) || null,
+      depth: (branchDepthMap.get(pos) || 0) - baseDepth,
+      position: index.get(pos),
+      attachments: seqAtomAttachments.get(pos) || [],
+    }));
+
+  const ringOrder = new Map();
+  ringBondOrders(fusedRing, rings).forEach((ringNumbers, pos) => {
+    ringOrder.set(index.get(pos), ringNumbers);
   });
 
-  // Decompile seqAtomAttachments BEFORE fuse so their vars are declared early
-  const hasSeqRings = sequentialRings.length > 0;
-  const seqAtomAttachmentVarMap = new Map();
-  if (!hasSeqRings && seqAtomAttachments.size > 0) {
-    seqAtomAttachments.forEach((attachments, pos) => {
-      const attVars = [];
-      attachments.forEach((att) => {
-        const attResult = decompileChildNode(att, indent, nextVar, verbose);
-        lines.push(attResult.code);
-        attVars.push(attResult.finalVar);
-      });
-      seqAtomAttachmentVarMap.set(pos, attVars);
-    });
-  }
+  return {
+    positions: fusedRing.rings.map(toIndices),
+    sequentialPositions: sequentialRings.map(toIndices),
+    chainAtoms,
+    ringOrder,
+    baseDepth,
+  };
+}
 
-  // Fuse the base rings
-  let fusedVar;
-  if (fusedRing.rings.length === 2) {
-    fusedVar = nextVar();
-    const { offset } = fusedRing.rings[1];
-    lines.push(`${indent}const ${fusedVar} = ${ringVars[0].var}.fuse(${offset}, ${ringVars[1].var});`);
-  } else if (fusedRing.rings.length >= 3) {
-    fusedVar = nextVar();
-    const ringsStr = ringVars.map((rv) => rv.var).join(', ');
-    lines.push(`${indent}const ${fusedVar} = FusedRing([${ringsStr}]);`);
-  } else {
-    // Single ring wrapped in FusedRing — if it has sequential rings, handle below
-    // Otherwise this shouldn't happen in practice (single-ring FusedRing without seq rings)
-    fusedVar = ringVars[0].var;
-    if (!hasSeqRings) {
-      // This case should not occur, but if it does, just return the ring
-      return { code: lines.join('\n'), finalVar: fusedVar };
-    }
-    // Single ring with sequential rings — fusedVar is the base ring var
-    // addSequentialRings will produce a new const below
+/**
+ * Check that .fuse() / .addRing() lay a parsed fused ring out as it was written
+ * The bare ring systems (without attachments) laid out from offsets and from
+ * the parser's positions are compared.
+ */
+function offsetsLayOutFusedRing(fusedRing) {
+  if (!fusedRing.metaAllPositions || !fusedRing.rings.every((ring) => ring.metaPositions)) {
+    return true;
   }
-  const isSingleRingBase = fusedRing.rings.length === 1;
+  const sequentialRings = fusedRing.metaSequentialRings || [];
+  const layout = positionedFusedRingLayout(fusedRing);
+  if (layout.chainAtoms.length > 0) return false;
 
-  // Step 2: Decompile sequential rings with computed offsets and depths
-  if (hasSeqRings) {
-    // Compute depth and offset for each sequential ring from parser metadata
-    const allPositions = fusedRing.metaAllPositions || [];
-    const branchDepthMap = fusedRing.metaBranchDepthMap || new Map();
-    const allRingPositions = new Set();
-    fusedRing.rings.forEach((r) => (r.metaPositions || []).forEach((p) => allRingPositions.add(p)));
-    sequentialRings.forEach((r) => (r.metaPositions || []).forEach((p) => allRingPositions.add(p)));
-
-    // Compute per-ring depth from the ring's first position in the branch depth map
-    // Normalize depths relative to the base ring's depth
-    const baseRingDepth = fusedRing.rings.length > 0 && fusedRing.rings[0].metaPositions
-      ? (branchDepthMap.get(fusedRing.rings[0].metaPositions[0]) || 0)
-      : 0;
-    const seqDepths = sequentialRings.map((ring) => {
-      const positions = ring.metaPositions || [];
-      if (positions.length > 0) {
-        const absDepth = branchDepthMap.get(positions[0]) || 0;
-        return absDepth - baseRingDepth;
-      }
-      if (ring.metaBranchDepths && ring.metaBranchDepths.length > 0) {
-        return ring.metaBranchDepths[0];
-      }
-      return 0;
-    });
+  const { offsets, ringNumbers } = simpleFusedRingLayout(fusedRing);
+  const bareRing = (ring, ringNumber, offset) => createRingNode(
+    ring.atoms,
+    ring.size,
+    ringNumber,
+    offset,
+    ring.substitutions,
+    {},
+    ring.bonds,
+    ring.metaBranchDepths,
+  );
+  const withSequentialRings = (base, entries, options) => (
+    sequentialRings.length > 0 ? base.addSequentialRings(entries, options) : base
+  );
+  const offsetRings = fusedRing.rings.map(
+    (ring, idx) => bareRing(ring, ringNumbers[idx], offsets[idx]),
+  );
+  const byOffsets = withSequentialRings(
+    offsetRings.length > 1 ? createFusedRingNode(offsetRings) : offsetRings[0],
+    sequentialRings.map((ring) => bareRing(ring, ring.ringNumber, 0)),
+  );
 
-    // Group by depth to compute within-group offsets
-    const depthGroups = new Map();
-    sequentialRings.forEach((ring, idx) => {
-      const depth = seqDepths[idx];
-      if (!depthGroups.has(depth)) depthGroups.set(depth, []);
-      depthGroups.get(depth).push({ ring, idx });
-    });
+  const ringOrder = Object.fromEntries(layout.ringOrder);
+  const placedRings = fusedRing.rings.map((ring) => bareRing(ring, ring.ringNumber, 0));
+  const placedBase = placedRings.length > 1
+    ? createFusedRingNode(placedRings, { positions: layout.positions, ringOrder })
+    : placedRings[0];
+  const byPositions = withSequentialRings(
+    placedBase,
+    sequentialRings.map((ring, idx) => ({
+      ring: bareRing(ring, ring.ringNumber, 0),
+      positions: layout.sequentialPositions[idx],
+    })),
+    { ringOrder },
+  );
+  return buildSMILES(byOffsets) === buildSMILES(byPositions);
+}
 
-    // Compute within-group offsets based on metaPositions
-    depthGroups.forEach((group) => {
-      if (group.length <= 1) return; // Single ring in group: offset 0 (default)
-      let minPos = Infinity;
-      group.forEach(({ ring }) => {
-        const positions = ring.metaPositions || [];
-        if (positions.length > 0) minPos = Math.min(minPos, positions[0]);
-      });
-      group.forEach(({ ring }) => {
-        const positions = ring.metaPositions || [];
-        if (positions.length > 0) {
-          // eslint-disable-next-line no-param-reassign
-          ring.offset = positions[0] - minPos;
-        }
+/**
+ * Format chainAtoms entries as a code string, decompiling their attachments
+ */
+function formatChainAtoms(chainAtoms, lines, indent, nextVar, verbose) {
+  const entries = chainAtoms.map((chainAtom) => {
+    const parts = [
+      `atom: '${chainAtom.atom}'`,
+      `depth: ${chainAtom.depth}`,
+      `position: ${chainAtom.position}`,
+    ];
+    if (chainAtom.bond) parts.push(`bond: '${chainAtom.bond}'`);
+    if (chainAtom.attachments.length > 0) {
+      const attachmentVars = chainAtom.attachments.map((attachment) => {
+        const { code, finalVar } = decompileChildNode(attachment, indent, nextVar, verbose);
+        lines.push(code);
+        return finalVar;
       });
-    });
-
-    // Identify standalone chain atoms (in allPositions but not in any ring)
-    const chainAtomEntries = [];
-    const seqStartPos = Math.min(...sequentialRings.flatMap((r) => r.metaPositions || []));
-    const seqEndPos = Math.max(...sequentialRings.flatMap((r) => r.metaPositions || []));
-    const atomValueMap = fusedRing.metaAtomValueMap || new Map();
-    const bondMap = fusedRing.metaBondMap || new Map();
-
-    allPositions.forEach((pos) => {
-      if (allRingPositions.has(pos)) return;
-      if (pos < seqStartPos || pos > seqEndPos) {
-        const atom = atomValueMap.get(pos) || 'C';
-        const depth = branchDepthMap.get(pos) || 0;
-        const bond = bondMap.get(pos) || null;
-        const position = pos < seqStartPos ? 'before' : 'after';
-        const entry = { atom, depth, position };
-        if (bond) entry.bond = bond;
-        if (seqAtomAttachments.has(pos)) entry.attachmentPos = pos;
-        chainAtomEntries.push(entry);
-      } else {
-        const atom = atomValueMap.get(pos) || 'C';
-        const depth = branchDepthMap.get(pos) || 0;
-        const bond = bondMap.get(pos) || null;
-        const sameDepthRings = [];
-        depthGroups.forEach((group, d) => {
-          if (d === depth) sameDepthRings.push(...group);
-        });
-        const firstRingPos = sameDepthRings.length > 0
-          ? Math.min(...sameDepthRings.flatMap(({ ring: r }) => r.metaPositions || []))
-          : pos;
-        const posType = pos < firstRingPos ? 'before' : 'after';
-        const entry = { atom, depth, position: posType };
-        if (bond) entry.bond = bond;
-        if (seqAtomAttachments.has(pos)) entry.attachmentPos = pos;
-        chainAtomEntries.push(entry);
-      }
-    });
-
-    // Decompile sequential rings
-    const seqRingVars = [];
-    sequentialRings.forEach((ring) => {
-      const varName = nextVar();
-
-      if (!verbose && !ring.metaLeadingBond) {
-        const baseSmiles = buildSMILES(createRingNode(
-          ring.atoms,
-          ring.size,
-          ring.ringNumber,
-          ring.offset,
-          {},
-          {},
-          ring.bonds,
-          ring.metaBranchDepths,
-        ));
-        lines.push(`${indent}const ${varName} = Fragment('${baseSmiles}');`);
-
-        let currentVar = varName;
-        if (Object.keys(ring.substitutions || {}).length > 0) {
-          const subsSmiles = getRingWithSubsSmiles(ring);
-          const newVar = nextVar();
-          lines.push(`${indent}const ${newVar} = Fragment('${subsSmiles}');`);
-          currentVar = newVar;
-        }
-
-        const attResult = generateAttachmentCode(ring, indent, nextVar, currentVar, verbose);
-        lines.push(...attResult.lines);
-
-        seqRingVars.push(attResult.currentVar);
-      } else {
-        const { optionsStr } = buildRingOptions(ring, { includeBranchDepths: true });
-        lines.push(`${indent}const ${varName} = Ring({ ${optionsStr} });`);
-
-        const subResult = generateSubstitutionCode(ring, indent, nextVar, varName);
-        lines.push(...subResult.lines);
+      parts.push(`attachments: [${attachmentVars.join(', ')}]`);
+    }
+    return `{ ${parts.join(', ')} }`;
+  });
+  return `[${entries.join(', ')}]`;
+}
 
-        const attResult = generateAttachmentCode(ring, indent, nextVar, subResult.currentVar, verbose);
-        lines.push(...attResult.lines);
+function formatRingOrder(ringOrder) {
+  const entries = [...ringOrder].map(([pos, ringNumbers]) => `${pos}: [${ringNumbers.join(', ')}]`);
+  return `{ ${entries.join(', ')} }`;
+}
 
-        seqRingVars.push(attResult.currentVar);
-      }
-    });
+/**
+ * Decompile a FusedRing node as its rings placed at the positions of their atoms
+ *
+ * For ring systems offsets cannot lay out (bridged, branch-crossing and
+ * interleaved rings): FusedRing() takes the atom positions of each ring, and
+ * addSequentialRings() those of the sequential rings, with chain atoms at
+ * their positions.
+ */
+function decompilePositionedFusedRing(fusedRing, indent, nextVar, verbose = true) {
+  const lines = [];
+  const layout = positionedFusedRingLayout(fusedRing);
+  const sequentialRings = fusedRing.metaSequentialRings || [];
+  const hasSeqRings = sequentialRings.length > 0;
 
-    // Decompile chain atom attachments
-    chainAtomEntries.forEach((entry) => {
-      if (entry.attachmentPos !== undefined) {
-        const attachments = seqAtomAttachments.get(entry.attachmentPos) || [];
-        const attVars = [];
-        attachments.forEach((att) => {
-          const attResult = decompileChildNode(att, indent, nextVar, verbose);
-          lines.push(attResult.code);
-          attVars.push(attResult.finalVar);
-        });
-        // eslint-disable-next-line no-param-reassign
-        entry.attachmentVars = attVars;
+  // An atom shared by rings is written with the attachments of the first ring
+  // that has any there, so later rings leave them out
+  const attachedPositions = new Set();
+  const decompileRingAt = (ring, leadingBond) => {
+    const attachments = {};
+    Object.entries(ring.attachments || {}).forEach(([pos, attList]) => {
+      const atomPos = ring.metaPositions[Number(pos) - 1];
+      if (!attachedPositions.has(atomPos)) {
+        attachments[pos] = attList;
+        attachedPositions.add(atomPos);
       }
     });
+    const placedRing = {
+      ...ring,
+      offset: 0,
+      attachments,
+      metaLeadingBond: leadingBond,
+      metaBranchDepths: ring.metaBranchDepths
+        && ring.metaBranchDepths.map((depth) => depth - layout.baseDepth),
+    };
+    const { lines: ringLines, finalVar } = decompileMemberRing(
+      placedRing,
+      indent,
+      nextVar,
+      verbose,
+      true,
+    );
+    lines.push(...ringLines);
+    return finalVar;
+  };
 
-    // Build the sequential rings array with colocated depth
-    // Depth 0 is default (omitted), non-zero depth included
-    const seqRingEntries = seqRingVars.map((rv, idx) => {
-      const depth = seqDepths[idx];
-      if (depth !== 0) return `{ ring: ${rv}, depth: ${depth} }`;
-      return `{ ring: ${rv} }`;
-    });
-
-    // Build the addSequentialRings options (chainAtoms, baseMetadata)
-    const optionParts = [];
-    if (chainAtomEntries.length > 0) {
-      const chainParts = chainAtomEntries.map((entry) => {
-        const parts = [`atom: '${entry.atom}'`, `depth: ${entry.depth}`, `position: '${entry.position}'`];
-        if (entry.bond) parts.push(`bond: '${entry.bond}'`);
-        if (entry.attachmentVars && entry.attachmentVars.length > 0) {
-          parts.push(`attachments: [${entry.attachmentVars.join(', ')}]`);
-        }
-        return `{ ${parts.join(', ')} }`;
-      });
-      optionParts.push(`chainAtoms: [${chainParts.join(', ')}]`);
-    }
+  // A single ring with sequential rings carries the leading bond itself
+  const singleRing = fusedRing.rings.length === 1;
+  const ringVars = fusedRing.rings.map((ring) => (
+    decompileRingAt(ring, singleRing ? fusedRing.metaLeadingBond : null)
+  ));
+  const seqRingVars = sequentialRings.map((ring) => decompileRingAt(ring, null));
 
-    // For single-ring bases with attachments, include baseMetadata so addSequentialRings
-    // can compute positions correctly (attach/substitute don't preserve metadata)
-    const baseRingHasAttachments = isSingleRingBase && fusedRing.rings[0].attachments
-      && Object.keys(fusedRing.rings[0].attachments).length > 0;
-    if (baseRingHasAttachments && fusedRing.rings[0].metaPositions) {
-      const ring = fusedRing.rings[0];
-      const positions = ring.metaPositions;
-      const bmParts = [`positions: [${positions.join(', ')}]`];
-      bmParts.push(`start: ${ring.metaStart}`);
-      bmParts.push(`end: ${ring.metaEnd}`);
-      bmParts.push(`totalAtoms: ${ring.metaEnd + 1}`);
-      bmParts.push('useInterleavedCodegen: true');
-      // Include base ring's branch depths and atom values
-      const baseDepthEntries = positions.filter((p) => branchDepthMap.has(p)).map((p) => `[${p}, ${branchDepthMap.get(p)}]`);
-      if (baseDepthEntries.length > 0) {
-        bmParts.push(`branchDepthMap: [${baseDepthEntries.join(', ')}]`);
-      }
-      const baseAtomEntries = positions.filter((p) => atomValueMap.has(p)).map((p) => `[${p}, '${atomValueMap.get(p)}']`);
-      if (baseAtomEntries.length > 0) {
-        bmParts.push(`atomValueMap: [${baseAtomEntries.join(', ')}]`);
-      }
-      optionParts.push(`baseMetadata: { ${bmParts.join(', ')} }`);
-    }
+  const layoutParts = [];
+  if (layout.chainAtoms.length > 0) {
+    layoutParts.push(`chainAtoms: ${formatChainAtoms(layout.chainAtoms, lines, indent, nextVar, verbose)}`);
+  }
+  if (layout.ringOrder.size > 0) layoutParts.push(`ringOrder: ${formatRingOrder(layout.ringOrder)}`);
+
+  let fusedVar = ringVars[0];
+  if (!singleRing) {
+    const positionsStr = layout.positions.map((positions) => `[${positions.join(', ')}]`);
+    const parts = [`positions: [${positionsStr.join(', ')}]`];
+    if (!hasSeqRings) parts.push(...layoutParts);
+    if (fusedRing.metaLeadingBond) parts.push(`leadingBond: '${fusedRing.metaLeadingBond}'`);
+    // Before sequential rings are added, the variable holds the rings alone
+    fusedVar = nextVar(hasSeqRings
+      ? createFusedRingNode(
+        fusedRing.rings.map((ring) => ringValue({ ...ring, offset: 0 })),
+        { positions: layout.positions },
+      )
+      : fusedRing);
+    lines.push(`${indent}const ${fusedVar} = FusedRing([${ringVars.join(', ')}], { ${parts.join(', ')} });`);
+  }
 
-    // Emit: const vN = fusedVar.addSequentialRings([...]);
-    const newVar = nextVar();
-    const seqRingsStr = seqRingEntries.join(', ');
-    const optionsStr = optionParts.length > 0 ? `, { ${optionParts.join(', ')} }` : '';
-    lines.push(`${indent}const ${newVar} = ${fusedVar}.addSequentialRings([${seqRingsStr}]${optionsStr});`);
+  if (hasSeqRings) {
+    const seqEntries = seqRingVars.map((ringVar, idx) => (
+      `{ ring: ${ringVar}, positions: [${layout.sequentialPositions[idx].join(', ')}] }`
+    ));
+    const optionsStr = layoutParts.length > 0 ? `, { ${layoutParts.join(', ')} }` : '';
+    const newVar = nextVar(fusedRing);
+    lines.push(`${indent}const ${newVar} = ${fusedVar}.addSequentialRings([${seqEntries.join(', ')}]${optionsStr});`);
     fusedVar = newVar;
-  } else {
-    // Non-sequential interleaved fused ring: use FusedRing({ metadata: { rings: [...] } })
-    // with hierarchical colocated atoms. No scattered Maps, no mutations.
-
-    const branchDepthMap = fusedRing.metaBranchDepthMap || new Map();
-    const atomValueMap = fusedRing.metaAtomValueMap || new Map();
-    const bondMap = fusedRing.metaBondMap || new Map();
-    const ringOrderMap = fusedRing.metaRingOrderMap;
-    const branchIdMap = fusedRing.metaBranchIdMap || new Map();
-
-    // Helper to format a single atom entry with all available metadata
-    function formatAtomEntry(pos) {
-      const parts = [`position: ${pos}`, `depth: ${branchDepthMap.get(pos) || 0}`];
-      if (atomValueMap.has(pos)) parts.push(`value: '${atomValueMap.get(pos)}'`);
-      const bond = bondMap.get(pos);
-      if (bond !== undefined && bond !== null) parts.push(`bond: '${bond}'`);
-      if (ringOrderMap && ringOrderMap.has(pos)) {
-        parts.push(`rings: [${ringOrderMap.get(pos).join(', ')}]`);
-      }
-      if (branchIdMap.has(pos) && branchIdMap.get(pos) !== null) {
-        parts.push(`branchId: ${branchIdMap.get(pos)}`);
-      }
-      if (seqAtomAttachmentVarMap.has(pos)) {
-        parts.push(`attachments: [${seqAtomAttachmentVarMap.get(pos).join(', ')}]`);
-      }
-      return `{ ${parts.join(', ')} }`;
-    }
-
-    // Build per-ring hierarchical metadata
-    const allRingPositions = new Set();
-    const ringMetaParts = fusedRing.rings.map((ring, idx) => {
-      const positions = ring.metaPositions || [];
-      positions.forEach((p) => allRingPositions.add(p));
-      const atomParts = positions.map((pos) => formatAtomEntry(pos));
-      return `{ ring: ${ringVars[idx].var}, start: ${ring.metaStart}, end: ${ring.metaEnd}, atoms: [${atomParts.join(', ')}] }`;
-    });
-
-    // Collect standalone atoms (positions not in any ring)
-    const allPositions = fusedRing.metaAllPositions || [];
-    const standaloneAtomParts = [];
-    allPositions.forEach((pos) => {
-      if (!allRingPositions.has(pos)) {
-        standaloneAtomParts.push(formatAtomEntry(pos));
-      }
-    });
-
-    // Build metadata object
-    const metadataInnerParts = [];
-    if (fusedRing.metaLeadingBond) {
-      metadataInnerParts.push(`leadingBond: '${fusedRing.metaLeadingBond}'`);
-    }
-    metadataInnerParts.push(`rings: [${ringMetaParts.join(', ')}]`);
-    if (standaloneAtomParts.length > 0) {
-      metadataInnerParts.push(`atoms: [${standaloneAtomParts.join(', ')}]`);
-    }
-
-    // Replace the fuse/FusedRing call with FusedRing({ metadata: {...} })
-    const lastLineIdx = lines.length - 1;
-    const lastLine = lines[lastLineIdx];
-    const varMatch = lastLine.match(/(?:const|let)\s+(\w+)\s*=/);
-    const varName = varMatch ? varMatch[1] : fusedVar;
-    lines[lastLineIdx] = `${indent}const ${varName} = FusedRing({ metadata: { ${metadataInnerParts.join(', ')} } });`;
   }
 
   return { code: lines.join('\n'), finalVar: fusedVar };
@@ -996,23 +854,20 @@ function decompileComplexFusedRing(fusedRing, indent, nextVar, verbose = true) {
 
 /**
  * Decompile a FusedRing node
- *
- * Routes to the appropriate decompiler based on the complexity:
- * - Sequential rings or interleaved codegen → preserves metadata (needs it for correct SMILES)
- * - Everything else → structural API calls only (no metadata)
+ * Generated code never assigns metadata, so it can be edited freely.
  */
 function decompileFusedRing(fusedRing, indent, nextVar, verbose = true) {
-  const seqRings = fusedRing.metaSequentialRings;
-  const hasSeqRings = seqRings && seqRings.length > 0;
-  const isInterleaved = needsInterleavedCodegen(fusedRing);
-
-  // Use complex decompilation for sequential rings or genuinely interleaved fused rings
-  if (hasSeqRings || isInterleaved) {
-    return decompileComplexFusedRing(fusedRing, indent, nextVar, verbose);
-  }
-
-  // Everything else goes through the simple path (no metadata)
-  return decompileSimpleFusedRing(fusedRing, indent, nextVar, verbose);
+  const decompiler = offsetsLayOutFusedRing(fusedRing)
+    ? decompileSimpleFusedRing
+    : decompilePositionedFusedRing;
+  const { code, finalVar } = decompiler(fusedRing, indent, nextVar, verbose);
+
+  // Ring positions are relative to each ring, so label them per ring number
+  const ringLabels = fusedRing.rings
+    .filter((ring) => activeCIPLabels.has(ring))
+    .map((ring) => `ring ${ring.ringNumber} ${formatCIPLabels(activeCIPLabels.get(ring))}`);
+  if (ringLabels.length === 0) return { code, finalVar };
+  return { code: `${indent}// CIP: ${ringLabels.join(', ')}\n${code}`, finalVar };
 }
 
 /**
@@ -1023,7 +878,7 @@ function decompileMolecule(molecule, indent, nextVar, verbose = true) {
   const { components } = molecule;
 
   if (components.length === 0) {
-    const finalVarName = nextVar();
+    const finalVarName = nextVar(molecule);
     lines.push(`${indent}const ${finalVarName} = Molecule([]);`);
     return { code: lines.join('\n'), finalVar: finalVarName };
   }
@@ -1042,7 +897,7 @@ function decompileMolecule(molecule, indent, nextVar, verbose = true) {
   });
 
   // Create molecule using the final variable names
-  const finalVarName = nextVar();
+  const finalVarName = nextVar(molecule);
   const componentsStr = componentFinalVars.join(', ');
   lines.push(`${indent}const ${finalVarName} = Molecule([${componentsStr}]);`);
 
@@ -1050,6 +905,11 @@ function decompileMolecule(molecule, indent, nextVar, verbose = true) {
 }
 
 function decompileNode(node, indent, nextVar, verbose = true) {
+  const name = fragmentName(node);
+  if (name) {
+    return { code: '', finalVar: name };
+  }
+
   if (isRingNode(node)) {
     return decompileRing(node, indent, nextVar, verbose);
   }
@@ -1069,6 +929,143 @@ function decompileNode(node, indent, nextVar, verbose = true) {
   throw new Error(`Unknown node type: ${node.type}`);
 }
 
+// Output formats of decompile()
+const FORMATS = ['esm', 'typescript', 'commonjs', 'expression'];
+
+// A declaration of generated code: `const name = expression;`
+const DECLARATION = /^(\s*)const ([\w$]+) = (.*);$/;
+
+// Module generated code imports the constructors from
+const LIBRARY = 'smiles-js';
+
+// Constructors generated code may call, in the order they are imported
+const CONSTRUCTORS = ['Ring', 'Linear', 'FusedRing', 'Molecule', 'Atom', 'Fragment', 'RawFragment'];
+
+// Methods whose result is a fused ring; attach() and substitute() keep the receiver's type
+const FUSING_METHODS = ['fuse', 'addRing', 'addSequentialRings'];
+
+// TypeScript type of the nodes a constructor builds ('RingNode')
+const typeName = (constructor) => `${constructor}Node`;
+
+/**
+ * Names of the functions generated code calls
+ * Calls inside string literals (SMILES, atoms) and method calls are left out.
+ * @returns {Set<string>}
+ */
+function calledFunctions(lines) {
+  const called = new Set();
+  lines.forEach((line) => {
+    line.split(/'[^']*'/).forEach((part) => {
+      [...part.matchAll(/(?<![\w$.])([A-Za-z]+)\(/g)].forEach(([, name]) => called.add(name));
+    });
+  });
+  return called;
+}
+
+/**
+ * TypeScript type of a generated expression, from what builds it
+ * @param {string} expression - Right-hand side of a declaration
+ * @param {Map} types - Variable or fragment name -> type, of earlier declarations
+ * @returns {string|null} 'FragmentNode', 'RingNode', 'typeof phenyl', ...
+ */
+function expressionType(expression, types) {
+  const constructor = expression.match(/^(\w+)\(/);
+  if (constructor) {
+    return CONSTRUCTORS.includes(constructor[1]) ? typeName(constructor[1]) : null;
+  }
+  const method = expression.match(/^([\w$]+)\.(\w+)\(/);
+  if (method) {
+    return FUSING_METHODS.includes(method[2]) ? typeName('FusedRing') : types.get(method[1]);
+  }
+  return types.get(expression) || null;
+}
+
+/**
+ * Replace the variables of an expression by their expressions
+ * String literals (SMILES, atoms) and property names are left alone.
+ */
+function inlineVariables(expression, expressions) {
+  return expression.split(/('[^']*')/).map((part, i) => (i % 2 === 1
+    ? part
+    : part.replace(/(?<![\w$.])[A-Za-z_$][\w$]*/g, (name) => expressions.get(name) ?? name)
+  )).join('');
+}
+
+/**
+ * Write generated code in an output format
+ * @param {string} code - Generated `const` declarations (and CIP comments)
+ * @param {string} format - 'esm', 'typescript', 'commonjs' or 'expression'
+ * @param {Object} context - { indentStr, fragmentImports: [from, names] pairs }
+ * @returns {string} Formatted code
+ */
+function formatCode(code, format, { indentStr, fragmentImports: fromLibraries }) {
+  const lines = code.split('\n');
+
+  if (format === 'expression') {
+    // Each variable is used after it is declared, so one pass inlines them all
+    const expressions = new Map();
+    let last = null;
+    lines.forEach((line) => {
+      const declaration = line.match(DECLARATION);
+      if (!declaration) return;
+      const [, , name, expression] = declaration;
+      expressions.set(name, inlineVariables(expression, expressions));
+      last = name;
+    });
+    return `${indentStr}${expressions.get(last)}`;
+  }
+
+  let body = lines;
+  let typed = [];
+  if (format === 'typescript') {
+    // Imported fragments are typed as themselves
+    const declaredTypes = new Map(fromLibraries.flatMap(([, names]) => (
+      names.map((name) => [name, `typeof ${name}`])
+    )));
+    body = lines.map((line) => {
+      const declaration = line.match(DECLARATION);
+      if (!declaration) return line;
+      const [, lineIndent, name, expression] = declaration;
+      const type = expressionType(expression, declaredTypes);
+      if (!type) return line;
+      declaredTypes.set(name, type);
+      return `${lineIndent}const ${name}: ${type} = ${expression};`;
+    });
+    // Node types are declared from the constructors, so the code does not
+    // depend on how the package is typed
+    typed = CONSTRUCTORS.filter((constructor) => (
+      [...declaredTypes.values()].includes(typeName(constructor))
+    ));
+  }
+  const typeDeclarations = typed.map((constructor) => (
+    `type ${typeName(constructor)} = ReturnType<typeof ${constructor}>;`
+  ));
+
+  // Constructors are imported for the calls and the types that use them
+  const called = calledFunctions(lines);
+  const constructors = CONSTRUCTORS.filter((constructor) => (
+    called.has(constructor) || typed.includes(constructor)
+  ));
+  const imports = [[LIBRARY, constructors], ...fromLibraries]
+    .filter(([, names]) => names.length > 0);
+  let head;
+  if (format === 'commonjs') {
+    head = imports.map(([from, names]) => `const { ${names.join(', ')} } = require('${from}');`);
+    const names = lines.map((line) => line.match(DECLARATION))
+      .filter((declaration) => declaration)
+      .map((declaration) => declaration[2]);
+    body = [...body, `${indentStr}module.exports = { ${names.join(', ')} };`];
+  } else {
+    head = imports.map(([from, names]) => `import { ${names.join(', ')} } from '${from}';`);
+    body = body.map((line) => line.replace(/^(\s*)(const|let) /, '$1export $2 '));
+  }
+
+  return [head, typeDeclarations, body]
+    .filter((section) => section.length > 0)
+    .map((section) => section.join('\n'))
+    .join('\n\n');
+}
+
 /**
  * Main decompile dispatcher - public API
  * @param {Object} node - AST node to decompile
@@ -1077,28 +1074,64 @@ function decompileNode(node, indent, nextVar, verbose = true) {
  * @param {string} options.varName - Variable name prefix (default 'v')
  * @param {boolean} options.verbose - Use verbose constructor syntax (default false).
  *   When false, uses Fragment('SMILES') for Ring and simple Linear nodes.
- * @param {boolean} options.includeMetadata - Include metadata assignments
- *   (default true). Set to false for cleaner output (but code may not work)
+ *   Either way the code only calls constructors and methods and assigns no
+ *   metadata; fused rings offsets cannot lay out are placed at their atom
+ *   positions (FusedRing(rings, { positions })).
+ * @param {boolean|Object} options.fragments - Refer to named library fragments
+ *   instead of rebuilding subtrees written exactly like them (default false).
+ *   true uses smiles-js/common; an object maps module specifiers to
+ *   { name: node } dictionaries, tried before smiles-js/common. The code then
+ *   also imports the fragments it uses.
+ * @param {boolean} options.semanticNames - Name variables after what they build
+ *   (benzeneRing, naphthaleneCore, carboxylGroup, methylChain) instead of
+ *   numbering them with varName (default false)
+ * @param {string} options.format - Output format (default 'esm'):
+ *   'esm' imports the constructors it calls from smiles-js and exports each declaration;
+ *   'typescript' also types each declaration after what builds it (FragmentNode, ...);
+ *   'commonjs' requires the constructors, declares plain consts and ends with module.exports;
+ *   'expression' returns one nested builder expression, without variables or imports
+ * @throws {Error} On an unknown format
  */
 export function decompile(node, options = {}) {
   const {
-    indent = 0, varName = 'v', includeMetadata = true, verbose = false,
+    indent = 0,
+    varName = 'v',
+    verbose = false,
+    fragments = false,
+    format = 'esm',
+    semanticNames = false,
   } = options;
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown decompile format '${format}' (expected ${FORMATS.join(', ')})`);
+  }
   const indentStr = '  '.repeat(indent);
-  const nextVar = createCounter(varName);
 
-  const { code } = decompileNode(node, indentStr, nextVar, verbose);
-
-  // Always use export for declarations
-  let result = code.replace(/^(\s*)(const|let) /gm, '$1export $2 ');
-
-  // Filter out metadata assignments if not requested
-  if (!includeMetadata) {
-    result = result.split('\n').filter((line) => (
-      // Remove lines that set meta properties
-      !line.match(/\.meta[A-Z][a-zA-Z]*\s*=/)
-    )).join('\n');
+  // Label stereocenters in comments; nodes that cannot be written as SMILES get none
+  try {
+    activeCIPLabels = cipLabelsByNode(node);
+  } catch {
+    activeCIPLabels = new Map();
+  }
+  activeFragments = collectFragments(fragments);
+  const nextVar = semanticNames
+    ? createNamer(activeFragments ? activeFragments.candidates.map(({ name }) => name) : [])
+    : createCounter(varName);
+  let code;
+  let imports = [];
+  try {
+    let finalVar;
+    ({ code, finalVar } = decompileNode(node, indentStr, nextVar, verbose));
+    if (activeFragments) {
+      // Subtrees replaced by fragment names leave no code behind
+      const lines = code.split('\n').filter((line) => line.length > 0);
+      if (lines.length === 0) lines.push(`${indentStr}const ${nextVar(node)} = ${finalVar};`);
+      code = lines.join('\n');
+      imports = fragmentImports();
+    }
+  } finally {
+    activeCIPLabels = new Map();
+    activeFragments = null;
   }
 
-  return result;
+  return formatCode(code, format, { indentStr, fragmentImports: imports });
 }
@@ -6,6 +6,7 @@ import {
 } from './constructors.js';
 import { decompile } from './decompiler.js';
 import { parse } from './parser/index.js';
+import { runModule, verifyDecompile } from './roundtrip.js';
 
 /**
  * Create a raw fused ring object without layout engine metadata.
@@ -19,39 +20,51 @@ describe('Decompiler - Ring (verbose)', () => {
   test('decompiles simple ring', () => {
     const benzene = Ring({ atoms: 'c', size: 6 });
     const code = decompile(benzene, { verbose: true });
-    expect(code).toBe("export const v1 = Ring({ atoms: 'c', size: 6 });");
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'c', size: 6 });`);
   });
 
   test('decompiles ring with custom ring number', () => {
     const ring = Ring({ atoms: 'C', size: 6, ringNumber: 2 });
     const code = decompile(ring, { verbose: true });
-    expect(code).toBe("export const v1 = Ring({ atoms: 'C', size: 6, ringNumber: 2 });");
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6, ringNumber: 2 });`);
   });
 
   test('decompiles ring with offset', () => {
     const ring = Ring({ atoms: 'C', size: 6, offset: 2 });
     const code = decompile(ring, { verbose: true });
-    expect(code).toBe("export const v1 = Ring({ atoms: 'C', size: 6, offset: 2 });");
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6, offset: 2 });`);
   });
 
   test('decompiles ring with bonds', () => {
     const ring = Ring({ atoms: 'C', size: 6, bonds: ['=', null, '=', null, '='] });
     const code = decompile(ring, { verbose: true });
-    expect(code).toBe("export const v1 = Ring({ atoms: 'C', size: 6, bonds: ['=', null, '=', null, '='] });");
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6, bonds: ['=', null, '=', null, '='] });`);
   });
 
   test('decompiles ring with branchDepths metadata', () => {
     const ring = Ring({ atoms: 'C', size: 6 });
     ring.metaBranchDepths = [0, 0, 0, 1, 1, 1];
     const code = decompile(ring, { verbose: true });
-    expect(code).toBe("export const v1 = Ring({ atoms: 'C', size: 6, branchDepths: [0, 0, 0, 1, 1, 1] });");
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6, branchDepths: [0, 0, 0, 1, 1, 1] });`);
   });
 
   test('decompiles ring with substitutions', () => {
     const ring = Ring({ atoms: 'C', size: 6 });
     const substituted = ring.substitute(2, 'N');
     const code = decompile(substituted, { verbose: true });
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = v1.substitute(2, 'N');`);
   });
 
@@ -60,7 +73,9 @@ export const v2 = v1.substitute(2, 'N');`);
     const methyl = Linear(['C']);
     const attached = ring.attach(1, methyl);
     const code = decompile(attached, { verbose: true });
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    expect(code).toBe(`import { Ring, Linear } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Linear(['C']);
 export const v3 = v1.attach(1, v2);`);
   });
@@ -72,7 +87,9 @@ export const v3 = v1.attach(1, v2);`);
     const withAttach = ring.attach(2, branch1);
     const withBoth = withAttach.attach(4, branch2);
     const code = decompile(withBoth, { verbose: true });
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    expect(code).toBe(`import { Ring, Linear } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Linear(['N']);
 export const v3 = v1.attach(2, v2);
 export const v4 = Linear(['O']);
@@ -81,8 +98,12 @@ export const v5 = v3.attach(4, v4);`);
 
   test('uses toCode() method with verbose', () => {
     const benzene = Ring({ atoms: 'c', size: 6 });
-    expect(benzene.toCode('ring', { verbose: true })).toBe("export const ring1 = Ring({ atoms: 'c', size: 6 });");
-    expect(benzene.toCode('r', { verbose: true })).toBe("export const r1 = Ring({ atoms: 'c', size: 6 });");
+    expect(benzene.toCode('ring', { verbose: true })).toBe(`import { Ring } from 'smiles-js';
+
+export const ring1 = Ring({ atoms: 'c', size: 6 });`);
+    expect(benzene.toCode('r', { verbose: true })).toBe(`import { Ring } from 'smiles-js';
+
+export const r1 = Ring({ atoms: 'c', size: 6 });`);
   });
 });
 
@@ -90,33 +111,43 @@ describe('Decompiler - Ring (non-verbose)', () => {
   test('decompiles simple ring as Fragment', () => {
     const benzene = Ring({ atoms: 'c', size: 6 });
     const code = decompile(benzene);
-    expect(code).toBe("export const v1 = Fragment('c1ccccc1');");
+    expect(code).toBe(`import { Fragment } from 'smiles-js';
+
+export const v1 = Fragment('c1ccccc1');`);
   });
 
   test('decompiles ring with custom ring number as Fragment', () => {
     const ring = Ring({ atoms: 'C', size: 6, ringNumber: 2 });
     const code = decompile(ring);
-    expect(code).toBe("export const v1 = Fragment('C2CCCCC2');");
+    expect(code).toBe(`import { Fragment } from 'smiles-js';
+
+export const v1 = Fragment('C2CCCCC2');`);
   });
 
   test('decompiles ring with bonds as Fragment', () => {
     const ring = Ring({ atoms: 'C', size: 6, bonds: ['=', null, '=', null, '='] });
     const code = decompile(ring);
-    expect(code).toBe("export const v1 = Fragment('C1=CC=CC=C1');");
+    expect(code).toBe(`import { Fragment } from 'smiles-js';
+
+export const v1 = Fragment('C1=CC=CC=C1');`);
   });
 
   test('decompiles ring with branchDepths as Fragment', () => {
     const ring = Ring({ atoms: 'C', size: 6 });
     ring.metaBranchDepths = [0, 0, 0, 1, 1, 1];
     const code = decompile(ring);
-    expect(code).toBe("export const v1 = Fragment('C1CC(CCC1)');");
+    expect(code).toBe(`import { Fragment } from 'smiles-js';
+
+export const v1 = Fragment('C1CC(CCC1)');`);
   });
 
   test('decompiles ring with substitutions as Fragment', () => {
     const ring = Ring({ atoms: 'C', size: 6 });
     const substituted = ring.substitute(2, 'N');
     const code = decompile(substituted);
-    expect(code).toBe(`export const v1 = Fragment('C1CCCCC1');
+    expect(code).toBe(`import { Fragment } from 'smiles-js';
+
+export const v1 = Fragment('C1CCCCC1');
 export const v2 = Fragment('C1NCCCC1');`);
   });
 
@@ -125,7 +156,9 @@ export const v2 = Fragment('C1NCCCC1');`);
     const methyl = Linear(['C']);
     const attached = ring.attach(1, methyl);
     const code = decompile(attached);
-    expect(code).toBe(`export const v1 = Fragment('C1CCCCC1');
+    expect(code).toBe(`import { Fragment } from 'smiles-js';
+
+export const v1 = Fragment('C1CCCCC1');
 export const v2 = Fragment('C');
 export const v3 = v1.attach(1, v2);`);
   });
@@ -136,7 +169,9 @@ export const v3 = v1.attach(1, v2);`);
     const branch = Linear(['O']);
     const attached = substituted.attach(1, branch);
     const code = decompile(attached);
-    expect(code).toBe(`export const v1 = Fragment('C1CCCCC1');
+    expect(code).toBe(`import { Fragment } from 'smiles-js';
+
+export const v1 = Fragment('C1CCCCC1');
 export const v2 = Fragment('C1NCCCC1');
 export const v3 = Fragment('O');
 export const v4 = v2.attach(1, v3);`);
@@ -144,8 +179,12 @@ export const v4 = v2.attach(1, v3);`);
 
   test('uses toCode() non-verbose by default', () => {
     const benzene = Ring({ atoms: 'c', size: 6 });
-    expect(benzene.toCode()).toBe("export const ring1 = Fragment('c1ccccc1');");
-    expect(benzene.toCode('r')).toBe("export const r1 = Fragment('c1ccccc1');");
+    expect(benzene.toCode()).toBe(`import { Fragment } from 'smiles-js';
+
+export const ring1 = Fragment('c1ccccc1');`);
+    expect(benzene.toCode('r')).toBe(`import { Fragment } from 'smiles-js';
+
+export const r1 = Fragment('c1ccccc1');`);
   });
 });
 
@@ -153,25 +192,33 @@ describe('Decompiler - Linear (verbose)', () => {
   test('decompiles simple linear chain', () => {
     const propane = Linear(['C', 'C', 'C']);
     const code = decompile(propane, { verbose: true });
-    expect(code).toBe("export const v1 = Linear(['C', 'C', 'C']);");
+    expect(code).toBe(`import { Linear } from 'smiles-js';
+
+export const v1 = Linear(['C', 'C', 'C']);`);
   });
 
   test('decompiles single-atom linear', () => {
     const linear = Linear(['C']);
     const code = decompile(linear, { verbose: true });
-    expect(code).toBe("export const v1 = Linear(['C']);");
+    expect(code).toBe(`import { Linear } from 'smiles-js';
+
+export const v1 = Linear(['C']);`);
   });
 
   test('decompiles linear with bonds', () => {
     const ethene = Linear(['C', 'C'], ['=']);
     const code = decompile(ethene, { verbose: true });
-    expect(code).toBe("export const v1 = Linear(['C', 'C'], ['=']);");
+    expect(code).toBe(`import { Linear } from 'smiles-js';
+
+export const v1 = Linear(['C', 'C'], ['=']);`);
   });
 
   test('decompiles linear with different atom types and bond', () => {
     const linear = Linear(['C', 'N'], ['=']);
     const code = decompile(linear, { verbose: true });
-    expect(code).toBe("export const v1 = Linear(['C', 'N'], ['=']);");
+    expect(code).toBe(`import { Linear } from 'smiles-js';
+
+export const v1 = Linear(['C', 'N'], ['=']);`);
   });
 
   test('decompiles linear with attachments', () => {
@@ -179,15 +226,21 @@ describe('Decompiler - Linear (verbose)', () => {
     const branch = Linear(['N']);
     const attached = chain.attach(2, branch);
     const code = decompile(attached, { verbose: true });
-    expect(code).toBe(`export const v1 = Linear(['C', 'C', 'C']);
+    expect(code).toBe(`import { Linear } from 'smiles-js';
+
+export const v1 = Linear(['C', 'C', 'C']);
 export const v2 = Linear(['N']);
 export const v3 = v1.attach(2, v2);`);
   });
 
   test('uses toCode() method with verbose', () => {
     const propane = Linear(['C', 'C', 'C']);
-    expect(propane.toCode('linear', { verbose: true })).toBe("export const linear1 = Linear(['C', 'C', 'C']);");
-    expect(propane.toCode('c', { verbose: true })).toBe("export const c1 = Linear(['C', 'C', 'C']);");
+    expect(propane.toCode('linear', { verbose: true })).toBe(`import { Linear } from 'smiles-js';
+
+export const linear1 = Linear(['C', 'C', 'C']);`);
+    expect(propane.toCode('c', { verbose: true })).toBe(`import { Linear } from 'smiles-js';
+
+export const c1 = Linear(['C', 'C', 'C']);`);
   });
 });
 
@@ -195,25 +248,33 @@ describe('Decompiler - Linear (non-verbose)', () => {
   test('decompiles simple linear as Fragment', () => {
     const propane = Linear(['C', 'C', 'C']);
     const code = decompile(propane);
-    expect(code).toBe("export const v1 = Fragment('CCC');");
+    expect(code).toBe(`import { Fragment } from 'smiles-js';
+
+export const v1 = Fragment('CCC');`);
   });
 
   test('decompiles single-atom linear as Fragment', () => {
     const linear = Linear(['C']);
     const code = decompile(linear);
-    expect(code).toBe("export const v1 = Fragment('C');");
+    expect(code).toBe(`import { Fragment } from 'smiles-js';
+
+export const v1 = Fragment('C');`);
   });
 
   test('keeps linear with bonds as Linear (not Fragment)', () => {
     const ethene = Linear(['C', 'C'], ['=']);
     const code = decompile(ethene);
-    expect(code).toBe("export const v1 = Linear(['C', 'C'], ['=']);");
+    expect(code).toBe(`import { Linear } from 'smiles-js';
+
+export const v1 = Linear(['C', 'C'], ['=']);`);
   });
 
   test('keeps linear with leadingBond as Linear (not Fragment)', () => {
     const linear = Linear(['C', 'C'], [], {}, '=');
     const code = decompile(linear);
-    expect(code).toBe("export const v1 = Linear(['C', 'C'], [], {}, '=');");
+    expect(code).toBe(`import { Linear } from 'smiles-js';
+
+export const v1 = Linear(['C', 'C'], [], {}, '=');`);
   });
 
   test('decompiles linear with attachments using Fragment', () => {
@@ -221,40 +282,49 @@ describe('Decompiler - Linear (non-verbose)', () => {
     const branch = Linear(['N']);
     const attached = chain.attach(2, branch);
     const code = decompile(attached);
-    expect(code).toBe(`export const v1 = Fragment('CCC');
+    expect(code).toBe(`import { Fragment } from 'smiles-js';
+
+export const v1 = Fragment('CCC');
 export const v2 = Fragment('N');
 export const v3 = v1.attach(2, v2);`);
   });
 
   test('uses toCode() non-verbose by default', () => {
     const propane = Linear(['C', 'C', 'C']);
-    expect(propane.toCode()).toBe("export const linear1 = Fragment('CCC');");
-    expect(propane.toCode('c')).toBe("export const c1 = Fragment('CCC');");
+    expect(propane.toCode()).toBe(`import { Fragment } from 'smiles-js';
+
+export const linear1 = Fragment('CCC');`);
+    expect(propane.toCode('c')).toBe(`import { Fragment } from 'smiles-js';
+
+export const c1 = Fragment('CCC');`);
   });
 });
 
 describe('Decompiler - FusedRing (simple path, verbose)', () => {
-  test('decompiles 2-ring fused ring system via rawFusedRing', () => {
+  test('decompiles 2-ring fused ring system', () => {
     const ring1 = Ring({ atoms: 'C', size: 10, ringNumber: 1 });
     const ring2 = Ring({
       atoms: 'C', size: 6, ringNumber: 2, offset: 2,
     });
-    const fusedRing = rawFusedRing([ring1, ring2]);
+    const fusedRing = ring1.fuse(2, ring2);
     const code = decompile(fusedRing, { verbose: true });
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 10 });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 10 });
 export const v2 = Ring({ atoms: 'C', size: 6, ringNumber: 2, offset: 2 });
 export const v3 = v1.fuse(2, v2);`);
   });
 
-  test('decompiles 2-ring rawFusedRing with leadingBond', () => {
+  test('decompiles 2-ring fused ring with leadingBond', () => {
     const ring1 = Ring({ atoms: 'C', size: 6 });
     const ring2 = Ring({
       atoms: 'C', size: 6, ringNumber: 2, offset: 1,
     });
-    const fused = rawFusedRing([ring1, ring2]);
-    fused.metaLeadingBond = '=';
+    const fused = ring1.fuse(1, ring2, { leadingBond: '=' });
     const code = decompile(fused, { verbose: true });
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Ring({ atoms: 'C', size: 6, ringNumber: 2, offset: 1 });
 export const v3 = v1.fuse(1, v2, { leadingBond: '=' });`);
   });
@@ -270,7 +340,9 @@ export const v3 = v1.fuse(1, v2, { leadingBond: '=' });`);
     const fused = rawFusedRing([ring1, ring2, ring3]);
     fused.metaLeadingBond = '#';
     const code = decompile(fused, { verbose: true });
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Ring({ atoms: 'C', size: 6, ringNumber: 2, offset: 1 });
 export const v3 = Ring({ atoms: 'C', size: 6, ringNumber: 3, offset: 2 });
 export const v4 = v1.fuse(1, v2, { leadingBond: '#' });
@@ -287,7 +359,9 @@ export const v5 = v4.addRing(2, v3);`);
     });
     const fused = rawFusedRing([ring1, ring2, ring3]);
     const code = decompile(fused, { verbose: true });
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Ring({ atoms: 'C', size: 6, ringNumber: 2, offset: 1 });
 export const v3 = Ring({ atoms: 'C', size: 6, ringNumber: 3, offset: 2 });
 export const v4 = v1.fuse(1, v2);
@@ -298,39 +372,47 @@ export const v5 = v4.addRing(2, v3);`);
     const ring1 = Ring({ atoms: 'C', size: 6 });
     const fused = { type: 'fused_ring', rings: [ring1] };
     const code = decompile(fused, { verbose: true });
-    expect(code).toBe("export const v1 = Ring({ atoms: 'C', size: 6 });");
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });`);
   });
 
   test('decompiles single-ring FusedRing with empty sequential rings', () => {
     const ring1 = Ring({ atoms: 'C', size: 6 });
     const fused = { type: 'fused_ring', rings: [ring1], metaSequentialRings: [] };
     const code = decompile(fused, { verbose: true });
-    expect(code).toBe("export const v1 = Ring({ atoms: 'C', size: 6 });");
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });`);
   });
 
-  test('decompiles rawFusedRing with empty sequential rings via simple path', () => {
+  test('decompiles fused ring with empty sequential rings via simple path', () => {
     const ring1 = Ring({ atoms: 'C', size: 6 });
     const ring2 = Ring({
       atoms: 'C', size: 6, ringNumber: 2, offset: 1,
     });
-    const fused = rawFusedRing([ring1, ring2]);
+    const fused = ring1.fuse(1, ring2);
     fused.metaSequentialRings = [];
     const code = decompile(fused, { verbose: true });
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Ring({ atoms: 'C', size: 6, ringNumber: 2, offset: 1 });
 export const v3 = v1.fuse(1, v2);`);
   });
 });
 
 describe('Decompiler - FusedRing (simple path, non-verbose)', () => {
-  test('decompiles 2-ring rawFusedRing as Fragment', () => {
+  test('decompiles 2-ring fused ring as Fragment', () => {
     const ring1 = Ring({ atoms: 'C', size: 10, ringNumber: 1 });
     const ring2 = Ring({
       atoms: 'C', size: 6, ringNumber: 2, offset: 2,
     });
-    const fusedRing = rawFusedRing([ring1, ring2]);
+    const fusedRing = ring1.fuse(2, ring2);
     const code = decompile(fusedRing);
-    expect(code).toBe(`export const v1 = Fragment('C1CCCCCCCCC1');
+    expect(code).toBe(`import { Fragment } from 'smiles-js';
+
+export const v1 = Fragment('C1CCCCCCCCC1');
 export const v2 = Fragment('C2CCCCC2');
 export const v3 = v1.fuse(2, v2);`);
   });
@@ -339,16 +421,18 @@ export const v3 = v1.fuse(2, v2);`);
     const ring1 = Ring({ atoms: 'C', size: 6 });
     const fused = { type: 'fused_ring', rings: [ring1] };
     const code = decompile(fused);
-    expect(code).toBe("export const v1 = Fragment('C1CCCCC1');");
+    expect(code).toBe(`import { Fragment } from 'smiles-js';
+
+export const v1 = Fragment('C1CCCCC1');`);
   });
 });
 
 describe('Decompiler - FusedRing (interleaved/complex path, verbose)', () => {
-  // When .fuse() produces parser metadata (interleaved positions), the decompiler
-  // should emit FusedRing({ metadata: { rings: [...] } }) with hierarchical colocated atoms.
-  // No scattered Maps, no mutations.
+  // Fused rings with interleaved positions are rebuilt with .fuse() where that lays
+  // them out the same way, and written as Fragment('SMILES') otherwise. Generated code
+  // never assigns metadata.
 
-  test('decompiles fused ring created via .fuse() with hierarchical metadata', () => {
+  test('decompiles fused ring created via .fuse() without metadata', () => {
     // ring1.fuse(1, ring2) produces:
     //   ring1 positions: [0, 1, 6, 7, 8, 9], start: 0, end: 9
     //   ring2 positions: [1, 2, 3, 4, 5, 6], start: 1, end: 6
@@ -357,20 +441,24 @@ describe('Decompiler - FusedRing (interleaved/complex path, verbose)', () => {
     const ring2 = Ring({ atoms: 'C', size: 6, ringNumber: 2 });
     const fused = ring1.fuse(1, ring2);
     const code = decompile(fused, { verbose: true });
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Ring({ atoms: 'C', size: 6, ringNumber: 2, offset: 1 });
-export const v3 = FusedRing({ metadata: { rings: [{ ring: v1, start: 0, end: 9, atoms: [{ position: 0, depth: 0 }, { position: 1, depth: 0 }, { position: 6, depth: 0 }, { position: 7, depth: 0 }, { position: 8, depth: 0 }, { position: 9, depth: 0 }] }, { ring: v2, start: 1, end: 6, atoms: [{ position: 1, depth: 0 }, { position: 2, depth: 0 }, { position: 3, depth: 0 }, { position: 4, depth: 0 }, { position: 5, depth: 0 }, { position: 6, depth: 0 }] }] } });`);
+export const v3 = v1.fuse(1, v2);`);
   });
 
-  test('decompiles fused ring with leadingBond in hierarchical metadata', () => {
+  test('decompiles fused ring with leadingBond as a fuse() option', () => {
     const ring1 = Ring({ atoms: 'C', size: 6 });
     const ring2 = Ring({ atoms: 'C', size: 6, ringNumber: 2 });
     const fused = ring1.fuse(1, ring2);
     fused.metaLeadingBond = '=';
     const code = decompile(fused, { verbose: true });
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Ring({ atoms: 'C', size: 6, ringNumber: 2, offset: 1 });
-export const v3 = FusedRing({ metadata: { leadingBond: '=', rings: [{ ring: v1, start: 0, end: 9, atoms: [{ position: 0, depth: 0 }, { position: 1, depth: 0 }, { position: 6, depth: 0 }, { position: 7, depth: 0 }, { position: 8, depth: 0 }, { position: 9, depth: 0 }] }, { ring: v2, start: 1, end: 6, atoms: [{ position: 1, depth: 0 }, { position: 2, depth: 0 }, { position: 3, depth: 0 }, { position: 4, depth: 0 }, { position: 5, depth: 0 }, { position: 6, depth: 0 }] }] } });`);
+export const v3 = v1.fuse(1, v2, { leadingBond: '=' });`);
   });
 
   test('decompiles fused ring with attachments and extra atom metadata', () => {
@@ -400,13 +488,15 @@ export const v3 = FusedRing({ metadata: { leadingBond: '=', rings: [{ ring: v1,
       },
     });
     const code = decompile(fused, { verbose: true });
-    // Attachments stay as .attach() calls on rings.
-    // FusedRing uses hierarchical metadata with the extra atom (position 12, value 'O') colocated.
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    // Attachments stay as .attach() calls on rings; the extra atom (position 12,
+    // value 'O') is a chain atom after the ring atoms
+    expect(code).toBe(`import { Ring, Linear, FusedRing } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Linear(['N']);
 export const v3 = v1.attach(2, v2);
-export const v4 = Ring({ atoms: 'C', size: 6, ringNumber: 2, offset: 1 });
-export const v5 = FusedRing({ metadata: { rings: [{ ring: v3, start: 0, end: 9, atoms: [{ position: 0, depth: 0 }, { position: 1, depth: 0 }, { position: 6, depth: 0 }, { position: 7, depth: 0 }, { position: 8, depth: 0 }, { position: 9, depth: 0 }] }, { ring: v4, start: 1, end: 6, atoms: [{ position: 1, depth: 0 }, { position: 2, depth: 0 }, { position: 3, depth: 0 }, { position: 4, depth: 0 }, { position: 5, depth: 0 }, { position: 6, depth: 0 }] }], atoms: [{ position: 12, depth: 0, value: 'O' }] } });`);
+export const v4 = Ring({ atoms: 'C', size: 6, ringNumber: 2 });
+export const v5 = FusedRing([v3, v4], { positions: [[0, 1, 6, 7, 8, 9], [1, 2, 3, 4, 5, 6]], chainAtoms: [{ atom: 'O', depth: 0, position: 10 }] });`);
   });
 
   test('decompiles fused ring with extra standalone atom', () => {
@@ -434,9 +524,11 @@ export const v5 = FusedRing({ metadata: { rings: [{ ring: v3, start: 0, end: 9,
       },
     });
     const code = decompile(fused, { verbose: true });
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
-export const v2 = Ring({ atoms: 'C', size: 6, ringNumber: 2, offset: 1 });
-export const v3 = FusedRing({ metadata: { rings: [{ ring: v1, start: 0, end: 9, atoms: [{ position: 0, depth: 0 }, { position: 1, depth: 0 }, { position: 6, depth: 0 }, { position: 7, depth: 0 }, { position: 8, depth: 0 }, { position: 9, depth: 0 }] }, { ring: v2, start: 1, end: 6, atoms: [{ position: 1, depth: 0 }, { position: 2, depth: 0 }, { position: 3, depth: 0 }, { position: 4, depth: 0 }, { position: 5, depth: 0 }, { position: 6, depth: 0 }] }], atoms: [{ position: 12, depth: 0, value: 'N' }] } });`);
+    expect(code).toBe(`import { Ring, FusedRing } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
+export const v2 = Ring({ atoms: 'C', size: 6, ringNumber: 2 });
+export const v3 = FusedRing([v1, v2], { positions: [[0, 1, 6, 7, 8, 9], [1, 2, 3, 4, 5, 6]], chainAtoms: [{ atom: 'N', depth: 0, position: 10 }] });`);
   });
 
   test('decompiles single-ring fused with null bondMap via interleaved returns just Ring', () => {
@@ -444,15 +536,19 @@ export const v3 = FusedRing({ metadata: { rings: [{ ring: v1, start: 0, end: 9,
     const fused = ring1.addSequentialRings([]);
     fused.metaBranchDepthMap.set(5, 0);
     fused.metaBondMap.set(5, null);
-    const code = decompile(fused, { verbose: true, includeMetadata: true });
-    expect(code).toBe("export const v1 = Ring({ atoms: 'C', size: 6 });");
+    const code = decompile(fused, { verbose: true });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });`);
   });
 
   test('decompiles single-ring fused with empty maps returns just Ring', () => {
     const ring1 = Ring({ atoms: 'C', size: 6 });
     const fused = ring1.addSequentialRings([]);
-    const code = decompile(fused, { verbose: true, includeMetadata: true });
-    expect(code).toBe("export const v1 = Ring({ atoms: 'C', size: 6 });");
+    const code = decompile(fused, { verbose: true });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });`);
   });
 
   test('decompiles fused ring where single ring remains after stripping', () => {
@@ -462,7 +558,9 @@ export const v3 = FusedRing({ metadata: { rings: [{ ring: v1, start: 0, end: 9,
     fused.metaSequentialRings = [];
     fused.rings = [ring1];
     const code = decompile(fused, { verbose: true });
-    expect(code).toBe("export const v1 = Ring({ atoms: 'C', size: 6 });");
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });`);
   });
 });
 
@@ -479,7 +577,9 @@ describe('Decompiler - FusedRing (sequential rings, verbose)', () => {
     const result = fused.addSequentialRings([seqRing]);
     const code = decompile(result, { verbose: true });
     // const for fuse, new const for addSequentialRings, depth 0 omitted
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Ring({ atoms: 'C', size: 6, ringNumber: 2, offset: 1 });
 export const v3 = v1.fuse(1, v2);
 export const v4 = Ring({ atoms: 'C', size: 5, ringNumber: 3 });
@@ -492,9 +592,11 @@ export const v5 = v3.addSequentialRings([{ ring: v4 }]);`);
     const fused = ring1.fuse(1, ring2);
     const seqRing = Ring({ atoms: 'C', size: 5, ringNumber: 3 });
     const result = fused.addSequentialRings([seqRing]);
-    const code = decompile(result, { verbose: true, includeMetadata: true });
+    const code = decompile(result, { verbose: true });
     // depth 0 is default, so omitted in the ring entry
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Ring({ atoms: 'C', size: 6, ringNumber: 2, offset: 1 });
 export const v3 = v1.fuse(1, v2);
 export const v4 = Ring({ atoms: 'C', size: 5, ringNumber: 3 });
@@ -505,9 +607,11 @@ export const v5 = v3.addSequentialRings([{ ring: v4 }]);`);
     const ring1 = Ring({ atoms: 'C', size: 6 });
     const seqRing = Ring({ atoms: 'C', size: 5, ringNumber: 2 });
     const result = ring1.addSequentialRings([seqRing]);
-    const code = decompile(result, { verbose: true, includeMetadata: true });
+    const code = decompile(result, { verbose: true });
     // Single base ring + sequential ring, all depth 0 (omitted), all const
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Ring({ atoms: 'C', size: 5, ringNumber: 2 });
 export const v3 = v1.addSequentialRings([{ ring: v2 }]);`);
   });
@@ -521,12 +625,15 @@ export const v3 = v1.addSequentialRings([{ ring: v2 }]);`);
         atom: 'N', depth: 0, position: 'after', attachments: [attachment],
       }],
     });
-    const code = decompile(result, { verbose: true, includeMetadata: true });
-    // chainAtoms depth always explicit, attachment declared before addSequentialRings
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    const code = decompile(result, { verbose: true });
+    // Rings and chain atoms placed at their positions, attachment declared before
+    // addSequentialRings
+    expect(code).toBe(`import { Ring, Linear } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Ring({ atoms: 'C', size: 5, ringNumber: 2 });
 export const v3 = Linear(['O']);
-export const v4 = v1.addSequentialRings([{ ring: v2 }], { chainAtoms: [{ atom: 'N', depth: 0, position: 'after', attachments: [v3] }] });`);
+export const v4 = v1.addSequentialRings([{ ring: v2, positions: [6, 7, 8, 9, 10] }], { chainAtoms: [{ atom: 'N', depth: 0, position: 11, attachments: [v3] }] });`);
   });
 
   test('embeds atom values in chainAtoms structure', () => {
@@ -535,8 +642,10 @@ export const v4 = v1.addSequentialRings([{ ring: v2 }], { chainAtoms: [{ atom: '
     const result = ring1.addSequentialRings([seqRing]);
     // Position 10 is within the sequential ring — atom value here doesn't need chainAtom
     result.metaAtomValueMap.set(10, 'N');
-    const code = decompile(result, { verbose: true, includeMetadata: true });
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    const code = decompile(result, { verbose: true });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Ring({ atoms: 'C', size: 5, ringNumber: 2 });
 export const v3 = v1.addSequentialRings([{ ring: v2 }]);`);
   });
@@ -549,8 +658,10 @@ export const v3 = v1.addSequentialRings([{ ring: v2 }]);`);
     result.metaBondMap.set(1, '=');
     result.metaBondMap.set(2, null);
     result.metaBondMap.set(3, '#');
-    const code = decompile(result, { verbose: true, includeMetadata: true });
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    const code = decompile(result, { verbose: true });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Ring({ atoms: 'C', size: 5, ringNumber: 2 });
 export const v3 = v1.addSequentialRings([{ ring: v2 }]);`);
   });
@@ -563,13 +674,15 @@ export const v3 = v1.addSequentialRings([{ ring: v2 }]);`);
     const result = ring1.addSequentialRings([seqRing]);
     // Attachments at base ring position 3 don't generate chainAtoms
     result.metaSeqAtomAttachments.set(3, [att1, att2]);
-    const code = decompile(result, { verbose: true, includeMetadata: true });
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    const code = decompile(result, { verbose: true });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Ring({ atoms: 'C', size: 5, ringNumber: 2 });
 export const v3 = v1.addSequentialRings([{ ring: v2 }]);`);
   });
 
-  test('decompiles 3+ base rings with sequential ring using FusedRing constructor', () => {
+  test('decompiles 3+ base rings with sequential ring', () => {
     const ring1 = Ring({
       atoms: 'C', size: 6, ringNumber: 1, offset: 0,
     });
@@ -582,14 +695,17 @@ export const v3 = v1.addSequentialRings([{ ring: v2 }]);`);
     const fused = FusedRing([ring1, ring2, ring3]);
     const seqRing = Ring({ atoms: 'C', size: 5, ringNumber: 4 });
     const result = fused.addSequentialRings([seqRing]);
-    const code = decompile(result, { verbose: true, includeMetadata: true });
+    const code = decompile(result, { verbose: true });
     // All const, new const for addSequentialRings, depth 0 omitted
-    expect(code).toBe(`export const v1 = Ring({ atoms: 'C', size: 6 });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
 export const v2 = Ring({ atoms: 'C', size: 6, ringNumber: 2, offset: 3 });
 export const v3 = Ring({ atoms: 'C', size: 6, ringNumber: 3, offset: 6 });
-export const v4 = FusedRing([v1, v2, v3]);
-export const v5 = Ring({ atoms: 'C', size: 5, ringNumber: 4 });
-export const v6 = v4.addSequentialRings([{ ring: v5 }]);`);
+export const v4 = v1.fuse(3, v2);
+export const v5 = v4.addRing(6, v3);
+export const v6 = Ring({ atoms: 'C', size: 5, ringNumber: 4 });
+export const v7 = v5.addSequentialRings([{ ring: v6 }]);`);
   });
 });
 
@@ -599,7 +715,9 @@ describe('Decompiler - Molecule (verbose)', () => {
     const benzene = Ring({ atoms: 'c', size: 6 });
     const molecule = Molecule([propyl, benzene]);
     const code = decompile(molecule, { verbose: true });
-    expect(code).toBe(`export const v1 = Linear(['C', 'C', 'C']);
+    expect(code).toBe(`import { Ring, Linear, Molecule } from 'smiles-js';
+
+export const v1 = Linear(['C', 'C', 'C']);
 export const v2 = Ring({ atoms: 'c', size: 6 });
 export const v3 = Molecule([v1, v2]);`);
   });
@@ -607,7 +725,9 @@ export const v3 = Molecule([v1, v2]);`);
   test('decompiles empty molecule', () => {
     const empty = Molecule([]);
     const code = decompile(empty, { verbose: true });
-    expect(code).toBe('export const v1 = Molecule([]);');
+    expect(code).toBe(`import { Molecule } from 'smiles-js';
+
+export const v1 = Molecule([]);`);
   });
 
   test('uses toCode() method with verbose', () => {
@@ -615,7 +735,9 @@ export const v3 = Molecule([v1, v2]);`);
     const benzene = Ring({ atoms: 'c', size: 6 });
     const molecule = Molecule([propyl, benzene]);
     const code = molecule.toCode('molecule', { verbose: true });
-    expect(code).toBe(`export const molecule1 = Linear(['C', 'C', 'C']);
+    expect(code).toBe(`import { Ring, Linear, Molecule } from 'smiles-js';
+
+export const molecule1 = Linear(['C', 'C', 'C']);
 export const molecule2 = Ring({ atoms: 'c', size: 6 });
 export const molecule3 = Molecule([molecule1, molecule2]);`);
   });
@@ -627,7 +749,9 @@ describe('Decompiler - Molecule (non-verbose)', () => {
     const benzene = Ring({ atoms: 'c', size: 6 });
     const molecule = Molecule([propyl, benzene]);
     const code = decompile(molecule);
-    expect(code).toBe(`export const v1 = Fragment('CCC');
+    expect(code).toBe(`import { Molecule, Fragment } from 'smiles-js';
+
+export const v1 = Fragment('CCC');
 export const v2 = Fragment('c1ccccc1');
 export const v3 = Molecule([v1, v2]);`);
   });
@@ -635,7 +759,9 @@ export const v3 = Molecule([v1, v2]);`);
   test('decompiles empty molecule same as verbose', () => {
     const empty = Molecule([]);
     const code = decompile(empty);
-    expect(code).toBe('export const v1 = Molecule([]);');
+    expect(code).toBe(`import { Molecule } from 'smiles-js';
+
+export const v1 = Molecule([]);`);
   });
 
   test('uses toCode() non-verbose by default', () => {
@@ -643,7 +769,9 @@ export const v3 = Molecule([v1, v2]);`);
     const benzene = Ring({ atoms: 'c', size: 6 });
     const molecule = Molecule([propyl, benzene]);
     const code = molecule.toCode();
-    expect(code).toBe(`export const molecule1 = Fragment('CCC');
+    expect(code).toBe(`import { Molecule, Fragment } from 'smiles-js';
+
+export const molecule1 = Fragment('CCC');
 export const molecule2 = Fragment('c1ccccc1');
 export const molecule3 = Molecule([molecule1, molecule2]);`);
   });
@@ -653,20 +781,26 @@ describe('Decompiler - Options', () => {
   test('handles custom indent option', () => {
     const ring = Ring({ atoms: 'C', size: 6 });
     const code = decompile(ring, { indent: 2, verbose: true });
-    expect(code).toBe("    export const v1 = Ring({ atoms: 'C', size: 6 });");
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+    export const v1 = Ring({ atoms: 'C', size: 6 });`);
   });
 
   test('handles custom varName option', () => {
     const ring = Ring({ atoms: 'C', size: 6 });
     const code = decompile(ring, { varName: 'node', verbose: true });
-    expect(code).toBe("export const node1 = Ring({ atoms: 'C', size: 6 });");
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const node1 = Ring({ atoms: 'C', size: 6 });`);
   });
 
-  test('includeMetadata false strips branchDepths', () => {
+  test('writes branchDepths of rings crossing branches', () => {
     const ring = Ring({ atoms: 'C', size: 6 });
     ring.metaBranchDepths = [0, 0, 0, 1, 1, 1];
-    const code = decompile(ring, { verbose: true, includeMetadata: false });
-    expect(code).toBe("export const v1 = Ring({ atoms: 'C', size: 6, branchDepths: [0, 0, 0, 1, 1, 1] });");
+    const code = decompile(ring, { verbose: true });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6, branchDepths: [0, 0, 0, 1, 1, 1] });`);
   });
 
   test('throws error for unknown node type', () => {
@@ -679,36 +813,340 @@ describe('Decompiler - Round-trip', () => {
   test('generated code can be evaluated (verbose)', () => {
     const benzene = Ring({ atoms: 'c', size: 6 });
     const code = benzene.toCode('r', { verbose: true });
-    expect(code).toBe("export const r1 = Ring({ atoms: 'c', size: 6 });");
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const r1 = Ring({ atoms: 'c', size: 6 });`);
   });
 
   test('generated code can be evaluated (non-verbose)', () => {
     const benzene = Ring({ atoms: 'c', size: 6 });
     const code = benzene.toCode('r');
-    expect(code).toBe("export const r1 = Fragment('c1ccccc1');");
+    expect(code).toBe(`import { Fragment } from 'smiles-js';
+
+export const r1 = Fragment('c1ccccc1');`);
   });
 
   test('preserves structure through decompile (verbose)', () => {
     const propane = Linear(['C', 'C', 'C']);
     const code = propane.toCode('p', { verbose: true });
-    expect(code).toBe("export const p1 = Linear(['C', 'C', 'C']);");
+    expect(code).toBe(`import { Linear } from 'smiles-js';
+
+export const p1 = Linear(['C', 'C', 'C']);`);
   });
 
   test('preserves structure through decompile (non-verbose)', () => {
     const propane = Linear(['C', 'C', 'C']);
     const code = propane.toCode('p');
-    expect(code).toBe("export const p1 = Fragment('CCC');");
+    expect(code).toBe(`import { Fragment } from 'smiles-js';
+
+export const p1 = Fragment('CCC');`);
   });
 
   test('round-trips parsed ring with bonds (verbose)', () => {
     const ast = parse('C1CC=CC1');
-    const code = decompile(ast, { verbose: true, includeMetadata: true });
-    expect(code).toBe("export const v1 = Ring({ atoms: 'C', size: 5, bonds: [null, null, '=', null, null] });");
+    const code = decompile(ast, { verbose: true });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 5, bonds: [null, null, '=', null, null] });`);
   });
 
   test('round-trips parsed ring with bonds (non-verbose)', () => {
     const ast = parse('C1CC=CC1');
-    const code = decompile(ast, { includeMetadata: true });
-    expect(code).toBe("export const v1 = Fragment('C1CC=CC1');");
+    const code = decompile(ast);
+    expect(code).toBe(`import { Fragment } from 'smiles-js';
+
+export const v1 = Fragment('C1CC=CC1');`);
+  });
+});
+
+describe('Decompiler - CIP comments', () => {
+  test('labels stereocenters and double bonds above the node', () => {
+    const code = decompile(parse('C/C=C/[C@@H](N)O'));
+    expect(code.split('\n')[2]).toBe('// CIP: (2E,4S)');
+    expect(code.split('\n')[3]).toMatch(/^export const v1 = /);
+  });
+
+  test('labels ring positions of fused rings per ring number', () => {
+    const code = decompile(parse('O[C@H]1CC2CCCC[C@@H]2CC1'));
+    expect(code).toContain('// CIP: ring 1 (');
+  });
+
+  test('adds no comments without stereo markers', () => {
+    expect(decompile(parse('CC(O)CC'))).not.toContain('//');
+  });
+});
+
+describe('Decompiler - Named fragments', () => {
+  test('refers to common fragments and imports them', () => {
+    const code = decompile(parse('CC(=O)Oc1ccccc1C(=O)O'), { fragments: true });
+    expect(code.split('\n').slice(0, 2)).toEqual([
+      "import { Linear, Molecule, Fragment } from 'smiles-js';",
+      "import { phenyl, carboxyl } from 'smiles-js/common';",
+    ]);
+    expect(code).toContain('Molecule([v3, phenyl, carboxyl])');
+    expect(code).not.toContain('c1ccccc1');
+  });
+
+  test('names a node that is itself a fragment', () => {
+    expect(decompile(parse('c1ccccc1'), { fragments: true }))
+      .toBe("import { phenyl } from 'smiles-js/common';\n\nexport const v1 = phenyl;");
+  });
+
+  test('keeps subtrees written differently from the fragment', () => {
+    const code = decompile(parse('c1ccccc1CCc2ccccc2'), { fragments: true });
+    expect(code).toContain("Fragment('c2ccccc2')");
+    expect(code.split('\n')[1]).toBe("import { phenyl, ethyl } from 'smiles-js/common';");
+  });
+
+  test('uses user dictionaries before the common fragments', () => {
+    const ring = Ring({ atoms: 'c', size: 6, attachments: { 1: [Linear(['C', 'C', 'Cl'])], 4: [Linear(['O'])] } });
+    const code = decompile(ring, {
+      fragments: { './groups.js': { chloroethyl: Linear(['C', 'C', 'Cl']), hydroxy: Linear(['O']) } },
+    });
+    expect(code.split('\n')[1]).toBe("import { chloroethyl, hydroxy } from './groups.js';");
+    expect(code).toContain('.attach(1, chloroethyl)');
+    expect(code).toContain('.attach(4, hydroxy)');
+  });
+
+  test('generated code builds the same molecule', () => {
+    ['CC(=O)Nc1ccc(O)cc1', 'CC(C)Cc1ccc(cc1)C(C)C(=O)O', 'CC(C)(C)c1ccc(F)cc1']
+      .forEach((smiles) => {
+        [false, true].forEach((verbose) => {
+          const result = verifyDecompile(smiles, { fragments: true, verbose });
+          expect(result.code).toContain('smiles-js/common');
+          expect(result.smiles).toBe(smiles);
+        });
+      });
+  });
+
+  test('leaves code unchanged without the option', () => {
+    expect(decompile(parse('c1ccccc1O'))).not.toContain('smiles-js/common');
+  });
+});
+
+describe('Decompiler - Metadata-free code', () => {
+  test('rebuilds parsed fused rings with fuse()', () => {
+    const code = decompile(parse('C1CCC2CCCCC2C1'), { verbose: true });
+    expect(code).toBe(`import { Ring } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
+export const v2 = Ring({ atoms: 'C', size: 6, ringNumber: 2, offset: 3 });
+export const v3 = v1.fuse(3, v2);`);
+  });
+
+  test('places ring systems fuse() cannot lay out at their atom positions', () => {
+    const code = decompile(parse('C1CC2CCC1C2'), { verbose: true });
+    expect(code).toBe(`import { Ring, FusedRing } from 'smiles-js';
+
+export const v1 = Ring({ atoms: 'C', size: 6 });
+export const v2 = Ring({ atoms: 'C', size: 5, ringNumber: 2 });
+export const v3 = FusedRing([v1, v2], { positions: [[0, 1, 2, 3, 4, 5], [2, 3, 4, 5, 6]] });`);
+    expect(verifyDecompile('C1CC2CCC1C2', { verbose: true }).ok).toBe(true);
+  });
+
+  test('keeps the bond before a positioned ring system', () => {
+    const code = decompile(parse('CN(C)CCC=C1C2=CC=CC=C2CCC3=CC=CC=C31'), { verbose: true });
+    expect(code).toContain("ringOrder: { 14: [3, 1] }, leadingBond: '=' });");
+  });
+
+  test('generated code assigns no metadata and rebuilds the molecule', () => {
+    [
+      'CN1CCC23C4C1CC5=C2C(=C(C=C5)O)OC3C(C=C4)O',
+      'C[C@H](CCCC(C)C)[C@H]1CC[C@@H]2[C@@]1(CC[C@H]3[C@H]2CC=C4[C@@]3(CC[C@@H](C4)O)C)C',
+      'CCCC1=NC2=C(C=C(C=C2N1CC3=CC=C(C=C3)C4=CC=CC=C4C(=O)O)C5=NC6=CC=CC=C6N5C)C',
+      'c1ccc2cc3ccccc3cc2c1',
+      'CN(C)CCC=C1C2=CC=CC=C2CCC3=CC=CC=C31',
+      'C(C1CCCC1C2CCCC2C)C',
+      'C12CCC1CCC2(C)',
+    ].forEach((smiles) => {
+      [true, false].forEach((verbose) => {
+        const result = verifyDecompile(smiles, { verbose });
+        expect(result.code).not.toContain('metadata');
+        expect(result.smiles).toBe(smiles);
+      });
+    });
+  });
+
+  test('numbers variables in the order they are declared', () => {
+    const code = decompile(parse('CC1=CC2=CC=CC=C2C=C1C1CC2CCC1C2'), { verbose: true });
+    const names = code.match(/(?<=const )v\d+/g);
+    expect(names).toEqual(names.map((name, i) => `v${i + 1}`));
+  });
+});
+
+describe('Decompiler - Output formats', () => {
+  // Node an expression builds, with the constructors it calls required
+  const build = (expression) => runModule([
+    "const { Ring, Linear, FusedRing, Molecule, Fragment } = require('smiles-js');",
+    `module.exports = ${expression};`,
+  ].join('\n'));
+
+  test('writes ES module declarations by default', () => {
+    const code = decompile(parse('CCO'));
+    expect(code).toBe(decompile(parse('CCO'), { format: 'esm' }));
+    expect(code).toBe(`import { Fragment } from 'smiles-js';
+
+export const v1 = Fragment('CCO');`);
+  });
+
+  test('types TypeScript declarations from the expressions that build them', () => {
+    const code = decompile(parse('CC(=O)Oc1ccccc1'), { format: 'typescript' });
+    expect(code).toBe([
+      "import { Linear, Molecule, Fragment } from 'smiles-js';",
+      '',
+      'type LinearNode = ReturnType<typeof Linear>;',
+      'type MoleculeNode = ReturnType<typeof Molecule>;',
+      'type FragmentNode = ReturnType<typeof Fragment>;',
+      '',
+      "export const v1: FragmentNode = Fragment('CCO');",
+      "export const v2: LinearNode = Linear(['O'], ['=']);",
+      'export const v3: FragmentNode = v1.attach(2, v2);',
+      "export const v4: FragmentNode = Fragment('c1ccccc1');",
+      'export const v5: MoleculeNode = Molecule([v3, v4]);',
+    ].join('\n'));
+  });
+
+  test('types fused rings and library fragments', () => {
+    const fused = decompile(parse('c1ccc2ccccc2c1'), { format: 'typescript', verbose: true });
+    expect(fused.split('\n')[0]).toBe("import { Ring, FusedRing } from 'smiles-js';");
+    expect(fused).toContain('type FusedRingNode = ReturnType<typeof FusedRing>;');
+    expect(fused).toContain('export const v3: FusedRingNode = v1.fuse(3, v2);');
+    const code = decompile(parse('c1ccccc1'), { format: 'typescript', fragments: true });
+    expect(code).toBe([
+      "import { phenyl } from 'smiles-js/common';",
+      '',
+      'export const v1: typeof phenyl = phenyl;',
+    ].join('\n'));
+  });
+
+  test('writes CommonJS with require() and module.exports', () => {
+    const code = decompile(parse('CC(=O)Oc1ccccc1C(=O)O'), { format: 'commonjs', fragments: true });
+    const lines = code.split('\n');
+    expect(lines.slice(0, 2)).toEqual([
+      "const { Linear, Molecule, Fragment } = require('smiles-js');",
+      "const { phenyl, carboxyl } = require('smiles-js/common');",
+    ]);
+    expect(code).not.toContain('export const');
+    expect(lines[lines.length - 1]).toBe('module.exports = { v1, v2, v3, v4 };');
+
+    expect(runModule(code).v4.smiles).toBe('CC(=O)Oc1ccccc1C(=O)O');
+  });
+
+  test('writes one nested builder expression', () => {
+    const expression = decompile(parse('C[C@H](N)C(=O)O'), { format: 'expression' });
+    expect(expression).toBe(
+      "Fragment('C[C@H]CO').attach(2, Fragment('N')).attach(3, Linear(['O'], ['=']))",
+    );
+  });
+
+  test('expressions build the same molecule', () => {
+    ['CC(=O)Nc1ccc(O)cc1', 'c1ccc2ccccc2c1', 'CC(C)Cc1ccc(cc1)C(C)C(=O)O'].forEach((smiles) => {
+      [false, true].forEach((verbose) => {
+        const expression = parse(smiles).toCode('v', { format: 'expression', verbose });
+        expect(expression).not.toContain('v1');
+        expect(build(expression).smiles).toBe(smiles);
+      });
+    });
+  });
+
+  test('does not inline inside SMILES strings', () => {
+    const expression = decompile(parse('CCC1CC1'), { format: 'expression', varName: 'C' });
+    expect(build(expression).smiles).toBe('CCC1CC1');
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => decompile(parse('C'), { format: 'python' })).toThrow("Unknown decompile format 'python'");
+  });
+});
+
+describe('Decompiler - Semantic variable names', () => {
+  const declared = (code) => [...code.matchAll(/const (\w+) =/g)].map((match) => match[1]);
+
+  test('names rings, chains, groups and molecules after their structure', () => {
+    const code = decompile(parse('Cc1ccncc1'), { semanticNames: true });
+    expect(code).toBe([
+      "import { Molecule, Fragment } from 'smiles-js';",
+      '',
+      "export const methylChain = Fragment('C');",
+      "export const benzeneRing = Fragment('c1ccccc1');",
+      "export const pyridineRing = Fragment('c1ccncc1');",
+      'export const molecule = Molecule([methylChain, pyridineRing]);',
+    ].join('\n'));
+  });
+
+  test('names each declaration after the value it builds', () => {
+    const code = decompile(parse('c1ccncc1'), { semanticNames: true, verbose: true });
+    expect(code).toBe([
+      "import { Ring } from 'smiles-js';",
+      '',
+      "export const benzeneRing = Ring({ atoms: 'c', size: 6 });",
+      "export const pyridineRing = benzeneRing.substitute(4, 'n');",
+    ].join('\n'));
+    expect(declared(decompile(parse('c1ccccc1C(C)(C)C'), { semanticNames: true }))).toEqual([
+      'benzeneRing', 'ethylChain', 'methylChain', 'isopropylGroup', 'methylChain2',
+      'tertButylGroup', 'molecule',
+    ]);
+  });
+
+  test('falls back to neutral names for values without one', () => {
+    expect(declared(decompile(parse('CC(C)(C)C'), { semanticNames: true }))).toEqual([
+      'propylChain', 'methylChain', 'isobutylGroup', 'methylChain2', 'chain',
+    ]);
+    expect(declared(decompile(parse('C1CC2CC1C2'), { semanticNames: true }))).toEqual([
+      'cyclopentaneRing', 'cyclobutaneRing', 'fusedRing',
+    ]);
+  });
+
+  test('names fused ring systems as cores', () => {
+    const code = decompile(parse('c1ccc2ccccc2c1'), { semanticNames: true, verbose: true });
+    expect(declared(code)).toEqual(['benzeneRing', 'benzeneRing2', 'naphthaleneCore']);
+    expect(declared(decompile(parse('c1ccc2[nH]ccc2c1'), { semanticNames: true })))
+      .toContain('indoleCore');
+  });
+
+  test('names known substituent groups', () => {
+    const code = decompile(parse('c1ccccc1C(=O)O'), { semanticNames: true });
+    expect(declared(code)).toEqual([
+      'benzeneRing', 'chain', 'oxoGroup', 'carboxylGroup', 'molecule',
+    ]);
+    expect(code).toContain('Molecule([benzeneRing, carboxylGroup])');
+  });
+
+  test('names R-group placeholders', () => {
+    const code = decompile(parse('c1cc([R1])ccc1*'), { semanticNames: true });
+    expect(declared(code)).toEqual([
+      'benzeneRing', 'r1Group', 'benzeneRing2', 'rGroup', 'molecule',
+    ]);
+  });
+
+  test('recognizes Kekulé rings and substituted rings by their parent ring', () => {
+    expect(declared(decompile(parse('C1=CC=CC=C1'), { semanticNames: true })))
+      .toEqual(['benzeneRing']);
+    const ring = Ring({ atoms: 'C', size: 6, attachments: { 1: [Linear(['O'])] } });
+    expect(declared(decompile(ring, { semanticNames: true })))
+      .toEqual(['cyclohexaneRing', 'hydroxylGroup', 'cyclohexaneRing2']);
+  });
+
+  test('does not reuse the names of imported fragments', () => {
+    const code = decompile(parse('CCCC1CCCCCC1'), {
+      semanticNames: true,
+      fragments: { './names.js': { cycloheptaneRing: Linear(['C', 'C', 'C']) } },
+    });
+    expect(code).toContain("export const cycloheptaneRing2 = Fragment('C1CCCCCC1');");
+    expect(code).toContain('Molecule([cycloheptaneRing, cycloheptaneRing2])');
+  });
+
+  test('generated code builds the same molecule', () => {
+    ['CC(=O)Nc1ccc(O)cc1', 'CC(C)Cc1ccc(cc1)C(C)C(=O)O', 'c1ccc2ccccc2c1'].forEach((smiles) => {
+      const code = parse(smiles).toCode('v', { semanticNames: true, format: 'commonjs' });
+      const exported = Object.values(runModule(code));
+      expect(exported[exported.length - 1].smiles).toBe(smiles);
+    });
+  });
+
+  test('numbers variables with varName by default', () => {
+    expect(decompile(parse('c1ccccc1'))).toBe(`import { Fragment } from 'smiles-js';
+
+export const v1 = Fragment('c1ccccc1');`);
   });
 });
@@ -0,0 +1,146 @@
+/**
+ * SMILES diagnostics
+ * Lint-style report of syntax errors and legal but questionable writing
+ */
+
+import { tokenize, TokenType } from './tokenizer.js';
+import { parse } from './parser/index.js';
+import { caretSnippet } from './errors.js';
+
+function isAromatic(token) {
+  if (typeof token.atom === 'string') return token.atom[0] !== token.atom[0].toUpperCase();
+  return Boolean(token.atom && token.atom.aromatic);
+}
+
+/**
+ * Warnings about the bonds and ring numbers of a token list
+ */
+function lintTokens(tokens, warn) {
+  const openRings = new Map(); // ring number -> { atom, bond }
+  const closedRings = new Map(); // ring number -> position of the closing marker
+  const branches = [];
+  let previous = null;
+  let pendingBond = null;
+
+  // Bond symbols that only restate the default bond between two atoms
+  const checkBond = (bond, from, to) => {
+    if (!from || !to) return;
+    const bothAromatic = isAromatic(from) && isAromatic(to);
+    if (bond.value === '-' && !bothAromatic) {
+      warn('redundant-bond', `Redundant single bond at position ${bond.position}`, bond);
+    }
+    if (bond.value === ':' && bothAromatic) {
+      warn('redundant-bond', `Redundant aromatic bond at position ${bond.position}`, bond);
+    }
+  };
+
+  const handlers = {
+    [TokenType.ATOM]: (token) => {
+      if (pendingBond) checkBond(pendingBond, previous, token);
+      previous = token;
+      pendingBond = null;
+    },
+    [TokenType.BOND]: (token) => {
+      pendingBond = token;
+    },
+    [TokenType.RING_MARKER]: (token) => {
+      const { ringNumber } = token;
+      const open = openRings.get(ringNumber);
+      if (!open) {
+        if (closedRings.has(ringNumber)) {
+          warn(
+            'reused-ring-number',
+            `Ring number ${ringNumber} at position ${token.position} reuses the ring closed `
+              + `at position ${closedRings.get(ringNumber)}`,
+            token,
+          );
+        }
+        openRings.set(ringNumber, { atom: previous, bond: pendingBond });
+      } else {
+        if (open.bond && pendingBond) {
+          // Ring bonds written differently at their two ends are syntax errors
+          if (open.bond.value === pendingBond.value) {
+            warn(
+              'redundant-bond',
+              `Redundant ring bond at position ${pendingBond.position}: '${pendingBond.value}' `
+                + `is already written at position ${open.bond.position}`,
+              pendingBond,
+            );
+          }
+        } else if (open.bond || pendingBond) {
+          checkBond(open.bond || pendingBond, open.atom, previous);
+        }
+        openRings.delete(ringNumber);
+        closedRings.set(ringNumber, token.position);
+      }
+      pendingBond = null;
+    },
+    [TokenType.BRANCH_OPEN]: () => {
+      branches.push(previous);
+    },
+    [TokenType.BRANCH_CLOSE]: () => {
+      if (branches.length > 0) previous = branches.pop();
+      pendingBond = null;
+    },
+    [TokenType.DOT]: () => {
+      previous = null;
+      pendingBond = null;
+    },
+  };
+  tokens.forEach((token) => handlers[token.type](token));
+}
+
+/**
+ * Check a SMILES string like a linter
+ *
+ * Reports the syntax errors parse() would throw (unclosed rings, empty branches,
+ * bonds and dots without atoms, ring bonds written differently at their two
+ * ends, ...), all of them rather than the first, and warns about writing that is
+ * legal but easy to misread:
+ * - 'reused-ring-number': a ring number opened again after its ring closed
+ *   (C1CC1C1CC1)
+ * - 'redundant-bond': a bond symbol that restates the default bond, such as '-'
+ *   between aliphatic atoms (C-C), ':' between aromatic atoms (c:c) or a ring
+ *   bond written at both ends (C=1CCCC=1)
+ *
+ * @param {string} smiles - SMILES string
+ * @returns {Array<Object>} Diagnostics in input order, each
+ *   { severity, code, message, position, token, snippet }. severity is 'error' or
+ *   'warning'; errors have code 'syntax' and the expected tokens of the error.
+ *
+ * @example
+ * diagnose('C-C1CC1C1CC1').map((d) => d.message);
+ * // ['Redundant single bond at position 1',
+ * //  'Ring number 1 at position 8 reuses the ring closed at position 6']
+ */
+export function diagnose(smiles) {
+  const diagnostics = [];
+  const errors = [];
+  parse(smiles, { errors });
+  errors.forEach((error) => {
+    diagnostics.push({
+      severity: 'error',
+      code: 'syntax',
+      message: error.message,
+      position: error.position,
+      token: error.token,
+      expected: error.expected,
+      snippet: error.snippet,
+    });
+  });
+
+  const warn = (code, message, token) => {
+    diagnostics.push({
+      severity: 'warning',
+      code,
+      message,
+      position: token.position,
+      token: token.value,
+      snippet: caretSnippet(smiles, token.position),
+    });
+  };
+  lintTokens(tokenize(smiles, { errors: [] }), warn);
+
+  // Stable sort: at the same position errors come first
+  return diagnostics.sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity));
+}
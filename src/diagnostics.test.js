@@ -0,0 +1,81 @@
+import { describe, test, expect } from 'bun:test';
+import { diagnose } from './diagnostics.js';
+
+const codes = (smiles) => diagnose(smiles).map((diagnostic) => diagnostic.code);
+
+describe('diagnose', () => {
+  test('has nothing to say about plain SMILES', () => {
+    expect(diagnose('CC(=O)Oc1ccccc1C(=O)O')).toEqual([]);
+    expect(diagnose('C=1CCCC1')).toEqual([]);
+    expect(diagnose('c1ccccc1-c2ccccc2')).toEqual([]);
+  });
+
+  test('reports every syntax error', () => {
+    const diagnostics = diagnose('C1CC)C(C=');
+    expect(diagnostics.every((diagnostic) => diagnostic.severity === 'error')).toBe(true);
+    expect(diagnostics.map((diagnostic) => diagnostic.message)).toEqual([
+      'Unclosed rings: 1 (opened at position 1)',
+      "Unmatched ')' at position 4",
+      'Unclosed branch at position 6',
+      'Bond without following atom at position 8',
+    ]);
+    expect(diagnose('=C==C()C.').map((diagnostic) => diagnostic.message)).toEqual([
+      'Bond without preceding atom at position 0',
+      'Bond after bond at position 3',
+      'Empty branch at position 5',
+      'Dot without following atom at position 8',
+    ]);
+    expect(diagnose('(C)C.1CC1').map((diagnostic) => diagnostic.message)).toEqual([
+      'Branch without preceding atom at position 0',
+      'Ring bond without preceding atom at position 5',
+      'Unclosed rings: 1 (opened at position 8)',
+    ]);
+    expect(diagnose('C-1CCCC=1')).toEqual([expect.objectContaining({
+      severity: 'error',
+      message: "Ring bond 1 closes with '=' at position 7 but opens with '-' at position 1",
+      position: 7,
+    })]);
+    expect(diagnose('C$C')[0]).toMatchObject({
+      code: 'syntax', position: 1, token: '$', snippet: 'C$C\n ^',
+    });
+  });
+
+  test('warns about reused ring numbers', () => {
+    const [warning] = diagnose('C1CC1C1CC1');
+    expect(warning).toMatchObject({
+      severity: 'warning',
+      code: 'reused-ring-number',
+      message: 'Ring number 1 at position 6 reuses the ring closed at position 4',
+      position: 6,
+      token: '1',
+    });
+    expect(codes('C1CC2CC2C1')).toEqual([]);
+  });
+
+  test('warns about bond symbols that restate the default bond', () => {
+    expect(diagnose('CC-O')[0]).toMatchObject({
+      code: 'redundant-bond',
+      message: 'Redundant single bond at position 2',
+      snippet: 'CC-O\n  ^',
+    });
+    expect(codes('c1ccccc1-C')).toEqual(['redundant-bond']);
+    expect(codes('C(-O)C')).toEqual(['redundant-bond']);
+    expect(codes('c1:cccc:c1')).toEqual(['redundant-bond', 'redundant-bond']);
+    expect(codes('C-1CCCC1')).toEqual(['redundant-bond']);
+    expect(diagnose('C=1CCCC=1')[0].message).toBe(
+      "Redundant ring bond at position 7: '=' is already written at position 1",
+    );
+  });
+
+  test('keeps meaningful bond symbols quiet', () => {
+    expect(codes('C=C')).toEqual([]);
+    expect(codes('F/C=C/F')).toEqual([]);
+    expect(codes('c1ccccc1-c1ccccc1')).toEqual(['reused-ring-number']);
+    expect(codes('C:C')).toEqual([]);
+  });
+
+  test('lists errors and warnings in input order', () => {
+    expect(diagnose('C-C(C').map((diagnostic) => [diagnostic.severity, diagnostic.position]))
+      .toEqual([['warning', 1], ['error', 3]]);
+  });
+});
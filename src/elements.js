@@ -0,0 +1,134 @@
+/**
+ * Periodic table data used by the tokenizer and chemistry-aware helpers
+ */
+
+/**
+ * Element symbols indexed by atomic number (index 0 is the wildcard atom '*')
+ */
+export const ELEMENT_SYMBOLS = [
+  '*',
+  'H', 'He',
+  'Li', 'Be', 'B', 'C', 'N', 'O', 'F', 'Ne',
+  'Na', 'Mg', 'Al', 'Si', 'P', 'S', 'Cl', 'Ar',
+  'K', 'Ca', 'Sc', 'Ti', 'V', 'Cr', 'Mn', 'Fe', 'Co', 'Ni', 'Cu', 'Zn',
+  'Ga', 'Ge', 'As', 'Se', 'Br', 'Kr',
+  'Rb', 'Sr', 'Y', 'Zr', 'Nb', 'Mo', 'Tc', 'Ru', 'Rh', 'Pd', 'Ag', 'Cd',
+  'In', 'Sn', 'Sb', 'Te', 'I', 'Xe',
+  'Cs', 'Ba', 'La', 'Ce', 'Pr', 'Nd', 'Pm', 'Sm', 'Eu', 'Gd', 'Tb', 'Dy',
+  'Ho', 'Er', 'Tm', 'Yb', 'Lu', 'Hf', 'Ta', 'W', 'Re', 'Os', 'Ir', 'Pt',
+  'Au', 'Hg', 'Tl', 'Pb', 'Bi', 'Po', 'At', 'Rn',
+  'Fr', 'Ra', 'Ac', 'Th', 'Pa', 'U', 'Np', 'Pu', 'Am', 'Cm', 'Bk', 'Cf',
+  'Es', 'Fm', 'Md', 'No', 'Lr', 'Rf', 'Db', 'Sg', 'Bh', 'Hs', 'Mt', 'Ds',
+  'Rg', 'Cn', 'Nh', 'Fl', 'Mc', 'Lv', 'Ts', 'Og',
+];
+
+const ATOMIC_NUMBERS = new Map(ELEMENT_SYMBOLS.map((symbol, z) => [symbol, z]));
+
+/**
+ * Aromatic symbols allowed inside brackets (OpenSMILES)
+ */
+export const AROMATIC_SYMBOLS = new Set(['b', 'c', 'n', 'o', 'p', 's', 'se', 'as']);
+
+/**
+ * Check if a symbol is a known element (or the '*' wildcard)
+ * @param {string} symbol - Element symbol, e.g. 'C', 'Fe'
+ * @returns {boolean}
+ */
+export function isElementSymbol(symbol) {
+  return ATOMIC_NUMBERS.has(symbol);
+}
+
+/**
+ * Get the atomic number of an element symbol
+ * @param {string} symbol - Element symbol (aliphatic form)
+ * @returns {number|undefined} Atomic number, 0 for '*', undefined if unknown
+ */
+export function getAtomicNumber(symbol) {
+  return ATOMIC_NUMBERS.get(symbol);
+}
+
+/**
+ * Standard atomic weights indexed by atomic number (conventional values; mass number
+ * of the longest-lived isotope for elements without a stable one)
+ */
+const AVERAGE_MASSES = [
+  0,
+  1.008, 4.0026,
+  6.94, 9.0122, 10.81, 12.011, 14.007, 15.999, 18.998, 20.180,
+  22.990, 24.305, 26.982, 28.085, 30.974, 32.06, 35.45, 39.948,
+  39.098, 40.078, 44.956, 47.867, 50.942, 51.996, 54.938, 55.845, 58.933, 58.693, 63.546, 65.38,
+  69.723, 72.630, 74.922, 78.971, 79.904, 83.798,
+  85.468, 87.62, 88.906, 91.224, 92.906, 95.95, 98, 101.07, 102.91, 106.42, 107.87, 112.41,
+  114.82, 118.71, 121.76, 127.60, 126.90, 131.29,
+  132.91, 137.33, 138.91, 140.12, 140.91, 144.24, 145, 150.36, 151.96, 157.25, 158.93, 162.50,
+  164.93, 167.26, 168.93, 173.05, 174.97, 178.49, 180.95, 183.84, 186.21, 190.23, 192.22, 195.08,
+  196.97, 200.59, 204.38, 207.2, 208.98, 209, 210, 222,
+  223, 226, 227, 232.04, 231.04, 238.03, 237, 244, 243, 247, 247, 251,
+  252, 257, 258, 259, 266, 267, 268, 269, 270, 269, 278, 281,
+  282, 285, 286, 289, 290, 293, 294, 294,
+];
+
+/**
+ * Mass of the most abundant isotope indexed by atomic number (longest-lived isotope
+ * for elements without a stable one)
+ */
+const MONOISOTOPIC_MASSES = [
+  0,
+  1.0078250319, 4.0026032542,
+  7.0160034, 9.0121822, 11.0093054, 12, 14.0030740052, 15.9949146221, 18.9984032, 19.9924402,
+  22.9897693, 23.9850419, 26.9815384, 27.9769265, 30.9737615, 31.9720707, 34.9688527, 39.9623831,
+  38.9637069, 39.9625912, 44.9559102, 47.9479471, 50.9439637, 51.9405119, 54.9380496, 55.9349421,
+  58.9332002, 57.9353479, 62.9296011, 63.9291466,
+  68.925581, 73.9211782, 74.9215964, 79.9165218, 78.9183376, 83.911507,
+  84.9117893, 87.9056143, 88.9058479, 89.9047037, 92.9063775, 97.9054078, 97.907216, 101.9043495,
+  102.905504, 105.903483, 106.905093, 113.9033581,
+  114.903878, 119.9021966, 120.903818, 129.9062228, 126.904468, 131.9041545,
+  132.905447, 137.905241, 138.906348, 139.905434, 140.907648, 141.907719, 144.912744, 151.919728,
+  152.921226, 157.924101, 158.925343, 163.929171, 164.930319, 165.930290, 168.934211, 173.938858,
+  174.940768, 179.946549, 180.947996, 183.950933, 186.955751, 191.961479, 192.962924, 194.964774,
+  196.966552, 201.970626, 204.974412, 207.976636, 208.980383, 208.982416, 209.987131, 222.017570,
+  223.019731, 226.025403, 227.027747, 232.038050, 231.035879, 238.050783, 237.048167, 244.064198,
+  243.061373, 247.070347, 247.070299, 251.079580,
+  252.082972, 257.095099, 258.098425, 259.101024, 266, 267, 268, 269, 270, 269, 278, 281,
+  282, 285, 286, 289, 290, 293, 294, 294,
+];
+
+/**
+ * Exact masses of commonly labelled isotopes, keyed by '<mass number><symbol>'
+ */
+const ISOTOPE_MASSES = new Map([
+  ['1H', 1.0078250319], ['2H', 2.0141017778], ['3H', 3.0160492777],
+  ['6Li', 6.0151223], ['10B', 10.0129370], ['11C', 11.0114336], ['13C', 13.0033548378],
+  ['14C', 14.003241989], ['13N', 13.0057386], ['15N', 15.0001088982], ['15O', 15.0030656],
+  ['17O', 16.9991317], ['18O', 17.9991610], ['18F', 18.0009380], ['29Si', 28.9764947],
+  ['30Si', 29.9737702], ['32P', 31.9739072], ['33S', 32.9714585], ['34S', 33.9678669],
+  ['35S', 34.9690322], ['36S', 35.9670808], ['37Cl', 36.9659026], ['81Br', 80.9162906],
+  ['123I', 122.905589], ['125I', 124.904630], ['131I', 130.906125],
+]);
+
+/**
+ * Get the standard atomic weight of an element
+ * @param {string} symbol - Element symbol (aliphatic form)
+ * @returns {number} Average mass in u (0 for '*')
+ */
+export function getAverageMass(symbol) {
+  return AVERAGE_MASSES[ATOMIC_NUMBERS.get(symbol)];
+}
+
+/**
+ * Get the exact mass of an element's isotope
+ * Without an isotope, the most abundant isotope is used. Isotopes missing from the
+ * table fall back to their mass number.
+ * @param {string} symbol - Element symbol (aliphatic form)
+ * @param {number|null} [isotope=null] - Mass number
+ * @returns {number} Exact mass in u (0 for '*')
+ */
+export function getIsotopeMass(symbol, isotope = null) {
+  if (isotope === null || symbol === '*') {
+    return MONOISOTOPIC_MASSES[ATOMIC_NUMBERS.get(symbol)];
+  }
+  const mass = ISOTOPE_MASSES.get(`${isotope}${symbol}`);
+  if (mass !== undefined) return mass;
+  const monoisotopic = MONOISOTOPIC_MASSES[ATOMIC_NUMBERS.get(symbol)];
+  return Math.round(monoisotopic) === isotope ? monoisotopic : isotope;
+}
@@ -0,0 +1,273 @@
+/**
+ * Virtual libraries
+ * Molecules made by filling the R-group placeholders of a scaffold, or by
+ * decorating positions of a core
+ */
+
+import { ASTNodeType, validatePosition } from './ast.js';
+import { parse } from './parser/index.js';
+import { buildSMILES } from './codegen/index.js';
+import { canonicalSMILES } from './canonical.js';
+import {
+  attachNamed,
+  attachmentPoints,
+  connect,
+  ringAttach,
+  linearAttach,
+  fusedRingGetRing,
+  fusedRingAttachToRing,
+  moleculeReplaceComponent,
+} from './manipulation.js';
+
+function toNode(value) {
+  return typeof value === 'string' ? parse(value) : value;
+}
+
+/**
+ * Combinations of one item from each list, the first list varying slowest
+ * Made one at a time, so large products need not fit in memory.
+ */
+function* combinations(lists) {
+  if (lists.some((list) => list.length === 0)) return;
+  const indices = lists.map(() => 0);
+  let done = false;
+  while (!done) {
+    yield lists.map((list, i) => list[indices[i]]);
+    let i = lists.length - 1;
+    while (i >= 0 && indices[i] === lists[i].length - 1) {
+      indices[i] = 0;
+      i -= 1;
+    }
+    if (i < 0) {
+      done = true;
+    } else {
+      indices[i] += 1;
+    }
+  }
+}
+
+/**
+ * Fill one attachment point of a scaffold with an R-group
+ *
+ * A group with an attachment point of the same name, or with a single one, is
+ * joined there (C[*:1] or [*]C(=O)O); a group without one bonds by its first atom.
+ */
+function fillAttachmentPoint(scaffold, name, group) {
+  if (group === null) return attachNamed(scaffold, name, null);
+  const points = attachmentPoints(group);
+  if (points.includes(name)) return connect(scaffold, name, group, name);
+  if (points.length === 1) return connect(scaffold, name, group, points[0]);
+  if (points.length === 0) return attachNamed(scaffold, name, group);
+  throw new Error(
+    `Ambiguous R-group for ${name}: ${buildSMILES(group)} has attachment points `
+      + `${points.join(', ')}`,
+  );
+}
+
+/**
+ * Enumerate the molecules of a scaffold with R-group placeholders
+ *
+ * Every combination of the listed R-groups is made, the first placeholder
+ * varying slowest. Placeholders are the attachment points of the scaffold:
+ * R1 for [*:1] or [R1], '*' for a single unlabelled * dummy atom. An R-group
+ * is an AST node, a SMILES string, or null for hydrogen. Placeholders without
+ * R-groups are left in the molecules.
+ *
+ * @param {Object|string} scaffold - AST node or SMILES with the placeholders
+ * @param {Object} groups - Placeholder name -> array of R-groups
+ * @returns {Array<Object>} One { node, smiles, rGroups } per combination, rGroups
+ *   mapping each placeholder to the SMILES of its R-group (null for hydrogen)
+ *
+ * @example
+ * enumerate('c1ccc([R1])cc1[R2]', { R1: ['C', 'OC'], R2: ['F', null] })
+ *   .map((molecule) => molecule.smiles);
+ * // ['c1ccc(C)cc1F', 'c1ccc(C)cc1', 'c1ccc(OC)cc1F', 'c1ccc(OC)cc1']
+ */
+export function enumerate(scaffold, groups) {
+  const core = toNode(scaffold);
+  const entries = Object.entries(groups).map(([name, choices]) => {
+    if (!Array.isArray(choices)) {
+      throw new Error(`R-groups for ${name} must be an array`);
+    }
+    return [name, choices.map((choice) => (choice === null ? null : toNode(choice)))];
+  });
+
+  const names = entries.map(([name]) => name);
+
+  return Array.from(combinations(entries.map(([, choices]) => choices)), (combination) => {
+    const node = combination.reduce(
+      (molecule, group, i) => fillAttachmentPoint(molecule, names[i], group),
+      core,
+    );
+    const rGroups = Object.fromEntries(
+      combination.map((group, i) => [names[i], group === null ? null : buildSMILES(group)]),
+    );
+    return { node, smiles: buildSMILES(node), rGroups };
+  });
+}
+
+// Split 'a:b...' into its first part and the rest of the position
+function splitPosition(position) {
+  const [head, ...rest] = String(position).split(':');
+  return [head, rest.join(':')];
+}
+
+/**
+ * How positions are read and decorated on each node type a library core can be
+ * locate() validates a position and resolves it to what attach() takes.
+ */
+const CORE_TYPES = {
+  [ASTNodeType.RING]: {
+    locate: (ring, position) => {
+      validatePosition(position, ring.size);
+      return Number(position);
+    },
+    attach: ringAttach,
+  },
+  [ASTNodeType.LINEAR]: {
+    locate: (linear, position) => {
+      validatePosition(position, linear.atoms.length);
+      return Number(position);
+    },
+    attach: linearAttach,
+  },
+  // 'ring:position', e.g. '2:3' for position 3 of ring 2
+  [ASTNodeType.FUSED_RING]: {
+    locate: (fusedRing, position) => {
+      const [ringNumber, ringPosition] = splitPosition(position);
+      const ring = fusedRingGetRing(fusedRing, Number(ringNumber));
+      if (!ring || !ringPosition) {
+        const rings = fusedRing.rings.map((r) => r.ringNumber).join(', ');
+        throw new Error(
+          `Position ${position} must be 'ring:position' with a ring number of ${rings}`,
+        );
+      }
+      validatePosition(ringPosition, ring.size);
+      return { ringNumber: ring.ringNumber, position: Number(ringPosition) };
+    },
+    attach: (fusedRing, { ringNumber, position }, fragment) => (
+      fusedRingAttachToRing(fusedRing, ringNumber, position, fragment)
+    ),
+  },
+  // 'component:position' with a 0-indexed component, e.g. '1:3' or '0:2:3'
+  [ASTNodeType.MOLECULE]: {
+    locate: (molecule, position) => {
+      const [index, componentPosition] = splitPosition(position);
+      const component = molecule.components[Number(index)];
+      // eslint-disable-next-line no-use-before-define
+      const componentType = component && coreTypeOf(component);
+      if (!/^\d+$/.test(index) || !componentType || !componentPosition) {
+        throw new Error(
+          `Position ${position} must be 'component:position' with a component index `
+            + `between 0 and ${molecule.components.length - 1}`,
+        );
+      }
+      return {
+        index: Number(index),
+        componentType,
+        location: componentType.locate(component, componentPosition),
+      };
+    },
+    attach: (molecule, { index, componentType, location }, fragment) => (
+      moleculeReplaceComponent(
+        molecule,
+        index,
+        componentType.attach(molecule.components[index], location, fragment),
+      )
+    ),
+  },
+};
+
+function coreTypeOf(node) {
+  return (node && CORE_TYPES[node.type]) || null;
+}
+
+/**
+ * Molecules of a library, made one at a time
+ */
+function* libraryMolecules(core, attach, entries, { unique, limit }) {
+  const positions = entries.map(([position]) => position);
+  const locations = entries.map(([, location]) => location);
+  const seen = new Set();
+  let count = 0;
+  const products = combinations(entries.map(([, , fragments]) => fragments));
+  let product = products.next();
+  while (count < limit && !product.done) {
+    const fragments = product.value;
+    const node = fragments.reduce(
+      (molecule, fragment, i) => (fragment ? attach(molecule, locations[i], fragment) : molecule),
+      core,
+    );
+    const key = unique ? canonicalSMILES(node) : null;
+    if (!unique || !seen.has(key)) {
+      seen.add(key);
+      count += 1;
+      yield {
+        node,
+        smiles: buildSMILES(node),
+        fragments: Object.fromEntries(fragments.map(
+          (fragment, i) => [positions[i], fragment ? buildSMILES(fragment) : null],
+        )),
+      };
+    }
+    product = products.next();
+  }
+}
+
+/**
+ * Enumerate a combinatorial library by decorating positions of a core
+ *
+ * Every combination of the listed fragments is attached to the core with
+ * ringAttach(), linearAttach() or fusedRingAttachToRing(), the first position
+ * varying slowest. A null fragment leaves its position as it is. Molecules are
+ * made as they are iterated, so a library can be much larger than what is
+ * taken from it.
+ *
+ * Positions are 1-indexed. On a FusedRing core they name a ring as well
+ * ('2:3' is position 3 of ring 2), and on a Molecule core a 0-indexed
+ * component followed by a position in it ('1:4', or '0:2:3' for a FusedRing
+ * component), as in getComponent().
+ *
+ * @param {Object|string} core - Ring, Linear, FusedRing or Molecule node, or
+ *   SMILES parsing to one
+ * @param {Object} positionsToFragments - Core position -> array of fragments
+ *   (AST nodes, SMILES strings or null)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.unique=true] - Skip molecules whose canonical SMILES
+ *   was already made (the same groups at symmetric positions)
+ * @param {number} [options.limit=Infinity] - Stop after this many molecules (a
+ *   positive integer)
+ * @returns {Iterator<Object>} One { node, smiles, fragments } per molecule,
+ *   fragments mapping each position to the SMILES of its fragment (null for none)
+ *
+ * @example
+ * const library = enumerateLibrary(Ring({ atoms: 'c', size: 6 }), {
+ *   1: ['C', 'Cl'],
+ *   4: ['O', 'N'],
+ * });
+ * Array.from(library, (molecule) => molecule.smiles);
+ * // ['c1(C)ccc(O)cc1', 'c1(C)ccc(N)cc1', 'c1(Cl)ccc(O)cc1', 'c1(Cl)ccc(N)cc1']
+ */
+export function enumerateLibrary(core, positionsToFragments, options = {}) {
+  const { unique = true, limit = Infinity } = options;
+  if (limit !== Infinity && !(Number.isInteger(limit) && limit > 0)) {
+    throw new Error(`limit must be a positive integer, got ${limit}`);
+  }
+  const node = toNode(core);
+  const coreType = coreTypeOf(node);
+  if (!coreType) {
+    throw new Error('enumerateLibrary requires a Ring, Linear, FusedRing or Molecule core');
+  }
+  const entries = Object.entries(positionsToFragments).map(([position, fragments]) => {
+    const location = coreType.locate(node, position);
+    if (!Array.isArray(fragments)) {
+      throw new Error(`Fragments for position ${position} must be an array`);
+    }
+    return [
+      position,
+      location,
+      fragments.map((fragment) => (fragment === null ? null : toNode(fragment))),
+    ];
+  });
+  return libraryMolecules(node, coreType.attach, entries, { unique, limit });
+}
@@ -0,0 +1,125 @@
+import { describe, test, expect } from 'bun:test';
+import { enumerate, enumerateLibrary } from './enumeration.js';
+import { Ring, Linear, RawFragment } from './constructors.js';
+import { Fragment } from './fragment.js';
+
+const smilesOf = (molecules) => molecules.map((molecule) => molecule.smiles);
+
+describe('enumerate', () => {
+  test('makes every combination, the first placeholder varying slowest', () => {
+    const molecules = enumerate('c1ccc([R1])cc1[R2]', { R1: ['C', 'OC'], R2: ['F', null] });
+    expect(smilesOf(molecules)).toEqual([
+      'c1ccc(C)cc1F', 'c1ccc(C)cc1', 'c1ccc(OC)cc1F', 'c1ccc(OC)cc1',
+    ]);
+    expect(molecules.map((molecule) => molecule.rGroups)).toEqual([
+      { R1: 'C', R2: 'F' },
+      { R1: 'C', R2: null },
+      { R1: 'OC', R2: 'F' },
+      { R1: 'OC', R2: null },
+    ]);
+  });
+
+  test('returns AST nodes', () => {
+    const [molecule] = enumerate(Fragment('C([*:1])C(=O)O'), { R1: [Linear(['C', 'C'])] });
+    expect(molecule.node.smiles).toBe('C(CC)C(=O)O');
+    expect(molecule.node.formula()).toBe('C4H8O2');
+  });
+
+  test('joins R-groups at their own attachment point', () => {
+    const molecules = enumerate('c1ccccc1*', {
+      '*': ['[*]C(=O)O', 'OC[*:1]', 'C([R1])N'],
+    });
+    expect(smilesOf(molecules)).toEqual(['c1ccccc1C(=O)O', 'c1ccccc1CO', 'c1ccccc1CN']);
+  });
+
+  test('leaves placeholders without R-groups', () => {
+    expect(smilesOf(enumerate('[R1]CC[R2]', { R2: ['O'] }))).toEqual(['[R1]CCO']);
+    expect(smilesOf(enumerate('[R1]CC', {}))).toEqual(['[R1]CC']);
+  });
+
+  test('throws on ambiguous R-groups and missing placeholders', () => {
+    expect(() => enumerate('C[R1]', { R1: ['[*:2]C[*:3]'] }))
+      .toThrow('Ambiguous R-group for R1: [*:2]C[*:3] has attachment points R2, R3');
+    expect(() => enumerate('C[R1]', { R2: ['C'] })).toThrow('No attachment point R2');
+    expect(() => enumerate('C[R1]', { R1: 'C' })).toThrow('R-groups for R1 must be an array');
+  });
+});
+
+describe('enumerateLibrary', () => {
+  const benzene = Ring({ atoms: 'c', size: 6 });
+
+  test('attaches every combination of fragments, the first position varying slowest', () => {
+    const library = enumerateLibrary(benzene, { 1: ['C', 'Cl'], 4: ['O', Linear(['N'])] });
+    expect(smilesOf(Array.from(library))).toEqual([
+      'c1(C)ccc(O)cc1', 'c1(C)ccc(N)cc1', 'c1(Cl)ccc(O)cc1', 'c1(Cl)ccc(N)cc1',
+    ]);
+  });
+
+  test('null leaves a position as it is', () => {
+    const [molecule] = Array.from(enumerateLibrary('CCC', { 1: [null], 2: ['O'] }));
+    expect(molecule.smiles).toBe('CC(O)C');
+    expect(molecule.fragments).toEqual({ 1: null, 2: 'O' });
+    expect(molecule.node.type).toBe('linear');
+  });
+
+  test('generates molecules lazily', () => {
+    const groups = Array.from({ length: 10 }, () => ['C', 'N', 'O', 'F']);
+    const library = enumerateLibrary(
+      Linear(Array(10).fill('C')),
+      Object.fromEntries(groups.map((fragments, i) => [i + 1, fragments])),
+    );
+    expect(library.next().value.smiles).toBe('C(C)C(C)C(C)C(C)C(C)C(C)C(C)C(C)C(C)C(C)');
+    expect(library.next().value.fragments[10]).toBe('N');
+  });
+
+  test('skips molecules already made unless unique is false', () => {
+    const groups = { 2: ['C', null], 6: ['C', null] };
+    expect(smilesOf(Array.from(enumerateLibrary(benzene, groups))))
+      .toEqual(['c1c(C)cccc1(C)', 'c1c(C)cccc1', 'c1ccccc1']);
+    expect(Array.from(enumerateLibrary(benzene, groups, { unique: false }))).toHaveLength(4);
+  });
+
+  test('stops at the limit', () => {
+    const library = enumerateLibrary(benzene, { 1: ['C', 'N', 'O'], 4: ['C', 'N', 'O'] }, {
+      limit: 2,
+    });
+    expect(smilesOf(Array.from(library))).toEqual(['c1(C)ccc(C)cc1', 'c1(C)ccc(N)cc1']);
+  });
+
+  test('decorates the rings of FusedRing cores', () => {
+    const library = enumerateLibrary('c1ccc2ccccc2c1', { '1:2': ['C', 'Cl'], '2:3': ['O'] });
+    expect(smilesOf(Array.from(library)))
+      .toEqual(['c1c(C)cc2cc(O)ccc2c1', 'c1c(Cl)cc2cc(O)ccc2c1']);
+    expect(library.next().done).toBe(true);
+    const [molecule] = Array.from(enumerateLibrary('c1ccc2ccccc2c1', { '2:3': ['N'] }));
+    expect(molecule.fragments).toEqual({ '2:3': 'N' });
+  });
+
+  test('decorates the components of Molecule cores', () => {
+    expect(smilesOf(Array.from(enumerateLibrary('c1ccccc1.CCO', {
+      '0:1': ['C'],
+      '1:2': ['N', null],
+    })))).toEqual(['c1(C)ccccc1CC(N)O', 'c1(C)ccccc1CCO']);
+    expect(smilesOf(Array.from(enumerateLibrary('c1ccc2ccccc2c1.CC', { '0:2:3': ['F'] }))))
+      .toEqual(['c1ccc2cc(F)ccc2c1CC']);
+  });
+
+  test('throws on invalid cores, positions, fragment lists and limits', () => {
+    expect(() => enumerateLibrary(RawFragment('CC'), { 1: ['C'] }))
+      .toThrow('enumerateLibrary requires a Ring, Linear, FusedRing or Molecule core');
+    expect(() => enumerateLibrary(benzene, { 7: ['C'] }))
+      .toThrow('Position must be an integer between 1 and 6');
+    expect(() => enumerateLibrary(benzene, { 1: 'C' }))
+      .toThrow('Fragments for position 1 must be an array');
+    expect(() => enumerateLibrary('c1ccc2ccccc2c1', { 1: ['C'] }))
+      .toThrow("Position 1 must be 'ring:position' with a ring number of 1, 2");
+    expect(() => enumerateLibrary('c1ccc2ccccc2c1', { '2:7': ['C'] }))
+      .toThrow('Position must be an integer between 1 and 6');
+    expect(() => enumerateLibrary('c1ccccc1.CCO', { '2:1': ['C'] }))
+      .toThrow("Position 2:1 must be 'component:position' with a component index between 0 and 1");
+    [0, -1, 1.5, NaN].forEach((limit) => {
+      expect(() => enumerateLibrary(benzene, { 1: ['C'] }, { limit }))
+        .toThrow(`limit must be a positive integer, got ${limit}`);
+    });
+  });
+});
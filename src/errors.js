@@ -0,0 +1,53 @@
+/**
+ * SMILES syntax errors
+ * Errors of tokenize() and parse() that point at the offending part of the input
+ */
+
+/**
+ * The input with a caret under a position
+ *   C1CC$C
+ *       ^
+ */
+export function caretSnippet(smiles, position) {
+  if (typeof smiles !== 'string' || position === null) return '';
+  return `${smiles}\n${' '.repeat(position)}^`;
+}
+
+/**
+ * Syntax error in a SMILES (or SMARTS) string
+ *
+ * @property {string} smiles - The input
+ * @property {number|null} position - Offset of the offending token in the input
+ * @property {string|null} token - The offending token ('$', ')', '[NH3+')
+ * @property {Array<string>} expected - What could have been written there instead
+ * @property {string} snippet - The input with a caret under the position
+ */
+export class SmilesSyntaxError extends Error {
+  constructor(message, {
+    smiles = '', position = null, token = null, expected = [],
+  } = {}) {
+    super(message);
+    this.name = 'SmilesSyntaxError';
+    this.smiles = smiles;
+    this.position = position;
+    this.token = token;
+    this.expected = expected;
+    this.snippet = caretSnippet(smiles, position);
+  }
+}
+
+/**
+ * Create the error reporter of one tokenize() or parse() call
+ * Reported errors are thrown, or collected in errors when it is an array
+ * (tolerant mode), so reading can go on past them.
+ * @param {string} smiles - The input
+ * @param {Array|undefined} errors - Array collecting the errors
+ * @returns {Function} (message, { position, token, expected }) => void
+ */
+export function createErrorReporter(smiles, errors) {
+  return (message, details) => {
+    const error = new SmilesSyntaxError(message, { smiles, ...details });
+    if (!Array.isArray(errors)) throw error;
+    errors.push(error);
+  };
+}
@@ -0,0 +1,32 @@
+/**
+ * Fragment libraries
+ * Named fragments the decompiler can refer to instead of rebuilding them
+ */
+
+import { commonFragments } from './common.js';
+
+// Module specifier -> { name: node }, in registration order
+const libraries = new Map();
+
+/**
+ * Register named fragments exported by a module
+ * @param {string} from - Module specifier generated code imports the names from
+ * @param {Object} fragments - Export name -> AST node
+ */
+export function registerFragments(from, fragments) {
+  libraries.set(from, { ...(libraries.get(from) || {}), ...fragments });
+}
+
+/**
+ * Registered fragment libraries
+ * The built-in smiles-js/common library comes first. It is read when called,
+ * since common.js may still be loading when this module is.
+ * @returns {Object} Module specifier -> { name: node }
+ */
+export function registeredFragments() {
+  const registered = { 'smiles-js/common': commonFragments };
+  libraries.forEach((fragments, from) => {
+    registered[from] = { ...registered[from], ...fragments };
+  });
+  return registered;
+}
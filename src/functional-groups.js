@@ -0,0 +1,86 @@
+/**
+ * Functional group detection
+ * Finds the functional groups named in common.js (and a few more) in a molecule
+ */
+
+import { parseSMARTS } from './smarts.js';
+import { match } from './substructure.js';
+
+/**
+ * Functional groups, most specific first
+ * Names follow the exports of common.js. Every query atom belongs to the group;
+ * the surroundings a group needs are written as recursive SMARTS.
+ */
+const FUNCTIONAL_GROUPS = [
+  { name: 'carboxyl', description: 'carboxylic acid', smarts: '[CX3](=O)[OX2H1,OX1-]' },
+  { name: 'ester', description: 'ester', smarts: '[CX3](=O)[OX2H0;$(O(C=O)[#6])]' },
+  { name: 'amide', description: 'amide', smarts: '[CX3](=O)[NX3]' },
+  { name: 'sulfonamide', description: 'sulfonamide', smarts: '[SX4](=O)(=O)[NX3]' },
+  { name: 'sulfonyl', description: 'sulfonyl', smarts: '[SX4](=O)=O' },
+  {
+    name: 'phosphate',
+    description: 'phosphate',
+    smarts: '[PX4](=O)([OX2,OX1-])([OX2,OX1-])[OX2,OX1-]',
+  },
+  {
+    name: 'nitro',
+    description: 'nitro',
+    smarts: '[$([NX3+](=O)[O-]),$([NX3](=O)=O)](~[OX1])~[OX1]',
+  },
+  { name: 'aldehyde', description: 'aldehyde', smarts: '[CX3;H1,H2]=O' },
+  { name: 'ketone', description: 'ketone', smarts: '[CX3;$(C([#6])[#6])]=O' },
+  { name: 'carbonyl', description: 'carbonyl', smarts: '[CX3]=O' },
+  { name: 'cyano', description: 'nitrile', smarts: '[CX2]#[NX1]' },
+  { name: 'hydroxyl', description: 'alcohol or phenol', smarts: '[OX2H1;$(O[#6])]' },
+  { name: 'ether', description: 'ether', smarts: '[OX2H0;$(O([#6])[#6])]' },
+  { name: 'amino', description: 'amine', smarts: '[NX3;!$(N=*);!$([N+])]' },
+  { name: 'sulfhydryl', description: 'thiol', smarts: '[SX2H1]' },
+  { name: 'fluoro', description: 'fluoride', smarts: '[F;$(F[#6])]' },
+  { name: 'chloro', description: 'chloride', smarts: '[Cl;$(Cl[#6])]' },
+  { name: 'bromo', description: 'bromide', smarts: '[Br;$(Br[#6])]' },
+  { name: 'iodo', description: 'iodide', smarts: '[I;$(I[#6])]' },
+];
+
+// Queries are parsed on first use
+let queries = null;
+
+function groupQueries() {
+  if (!queries) {
+    queries = FUNCTIONAL_GROUPS.map((group) => ({ ...group, query: parseSMARTS(group.smarts) }));
+  }
+  return queries;
+}
+
+/**
+ * Find the functional groups of a molecule
+ *
+ * Looks for carboxylic acids, esters, amides, sulfonamides, sulfonyls, phosphates,
+ * nitro groups, aldehydes, ketones, other carbonyls, nitriles, hydroxyls, ethers,
+ * amines, thiols and halides. Each atom belongs to at most one group, the most
+ * specific one: the OH of an acid is part of the acid and not a hydroxyl, the
+ * C=O of an amide not a ketone. Aromatic ring atoms (pyridine n, furan o) are
+ * not functional groups.
+ *
+ * @param {Object|string} node - AST node or SMILES string
+ * @returns {Array<Object>} One entry per group occurrence, in written order, with
+ *   { name, description, atoms }. name is the common.js fragment of the group
+ *   ('carboxyl', 'amide', 'chloro', ...); atoms are { index, node, position } as
+ *   returned by match(), with the group's central atom first.
+ *
+ * @example
+ * findFunctionalGroups(Fragment('CC(=O)Oc1ccccc1C(=O)O')).map((group) => group.name);
+ * // ['ester', 'carboxyl']
+ */
+export function findFunctionalGroups(node) {
+  const claimed = new Set();
+  const groups = [];
+  groupQueries().forEach(({ name, description, query }) => {
+    match(node, query, { unique: true }).forEach((atoms) => {
+      if (atoms.some((atom) => claimed.has(atom.index))) return;
+      atoms.forEach((atom) => claimed.add(atom.index));
+      groups.push({ name, description, atoms });
+    });
+  });
+  const first = (group) => Math.min(...group.atoms.map((atom) => atom.index));
+  return groups.sort((a, b) => first(a) - first(b));
+}
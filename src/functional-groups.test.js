@@ -0,0 +1,65 @@
+import { describe, test, expect } from 'bun:test';
+import { findFunctionalGroups } from './functional-groups.js';
+import { parse } from './parser/index.js';
+import { Ring, Linear } from './constructors.js';
+
+const names = (smiles) => findFunctionalGroups(smiles).map((group) => group.name);
+
+describe('findFunctionalGroups', () => {
+  test('tells acids, esters and amides apart', () => {
+    expect(names('CC(=O)O')).toEqual(['carboxyl']);
+    expect(names('CC(=O)[O-]')).toEqual(['carboxyl']);
+    expect(names('CC(=O)OC')).toEqual(['ester']);
+    expect(names('CC(=O)NC')).toEqual(['amide']);
+    expect(names('CC(=O)Oc1ccccc1C(=O)O')).toEqual(['ester', 'carboxyl']);
+  });
+
+  test('tells sulfonamides from other sulfonyls', () => {
+    expect(names('Nc1ccc(cc1)S(=O)(=O)N')).toEqual(['amino', 'sulfonamide']);
+    expect(names('CS(=O)(=O)C')).toEqual(['sulfonyl']);
+  });
+
+  test('finds carbonyl groups', () => {
+    expect(names('CC=O')).toEqual(['aldehyde']);
+    expect(names('CC(C)=O')).toEqual(['ketone']);
+    expect(names('CC(=O)Cl')).toEqual(['carbonyl', 'chloro']);
+  });
+
+  test('finds oxygen, nitrogen, sulfur and phosphorus groups', () => {
+    expect(names('CCO')).toEqual(['hydroxyl']);
+    expect(names('Oc1ccccc1')).toEqual(['hydroxyl']);
+    expect(names('CCOCC')).toEqual(['ether']);
+    expect(names('CN(C)C')).toEqual(['amino']);
+    expect(names('CC#N')).toEqual(['cyano']);
+    expect(names('CN(=O)=O')).toEqual(['nitro']);
+    expect(names('C[N+](=O)[O-]')).toEqual(['nitro']);
+    expect(names('CCS')).toEqual(['sulfhydryl']);
+    expect(names('COP(=O)(O)O')).toEqual(['phosphate']);
+  });
+
+  test('finds halides', () => {
+    expect(names('FC(Cl)C(Br)I')).toEqual(['fluoro', 'chloro', 'bromo', 'iodo']);
+    expect(names('[Cl-].C[NH3+]')).toEqual([]);
+  });
+
+  test('does not report aromatic ring atoms', () => {
+    expect(names('c1ccncc1')).toEqual([]);
+    expect(names('c1ccoc1')).toEqual([]);
+  });
+
+  test('locates group atoms in the AST, central atom first', () => {
+    const ibuprofen = parse('CC(C)Cc1ccc(cc1)C(C)C(=O)O');
+    const [acid] = findFunctionalGroups(ibuprofen);
+    expect(acid.name).toBe('carboxyl');
+    expect(acid.description).toBe('carboxylic acid');
+    expect(acid.atoms.map((atom) => atom.index)).toEqual([12, 13, 14]);
+    expect(acid.atoms[0].node.smiles).toBe('C(C)C(=O)O');
+    expect(acid.atoms[0].position).toBe(2);
+  });
+
+  test('is available as node methods', () => {
+    const phenol = Ring({ atoms: 'c', size: 6, attachments: { 1: [Linear(['O'])] } });
+    expect(phenol.findFunctionalGroups().map((group) => group.name)).toEqual(['hydroxyl']);
+    expect(parse('CCO.CC=O').findFunctionalGroups()).toHaveLength(2);
+  });
+});
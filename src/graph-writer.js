@@ -0,0 +1,324 @@
+/**
+ * Graph to SMILES writer
+ * Serializes an explicit atom/bond graph with a depth-first walk,
+ * assigning ring-closure digits and preserving tetrahedral chirality
+ */
+
+import { atomToSMILES, normalizeAtomProps, parseAtomProps } from './atom.js';
+import { formatRingNumber } from './codegen/ring-numbers.js';
+
+const ORDER_SYMBOLS = {
+  1: '-',
+  2: '=',
+  3: '#',
+  1.5: ':',
+};
+
+const MAX_RING_NUMBER = 99;
+
+// Placeholder for an implicit hydrogen in chirality neighbor orders
+const IMPLICIT_H = -1;
+
+/**
+ * Normalize a graph atom (string or object) into atom properties
+ */
+function normalizeGraphAtom(atom, index) {
+  try {
+    if (typeof atom === 'string') {
+      return parseAtomProps(atom);
+    }
+    return normalizeAtomProps(atom);
+  } catch (error) {
+    throw new Error(`Invalid atom at index ${index}: ${error.message}`);
+  }
+}
+
+/**
+ * Normalize a graph bond into { from, to, order, aromatic, stereo }
+ */
+function normalizeGraphBond(bond, index, atomCount) {
+  const { from, to, stereo = null } = bond;
+  [from, to].forEach((atomIndex) => {
+    if (!Number.isInteger(atomIndex) || atomIndex < 0 || atomIndex >= atomCount) {
+      throw new Error(`Bond ${index} references unknown atom ${atomIndex}`);
+    }
+  });
+  if (from === to) {
+    throw new Error(`Bond ${index} connects atom ${from} to itself`);
+  }
+  const order = bond.order === undefined ? 1 : bond.order;
+  if (ORDER_SYMBOLS[order] === undefined) {
+    throw new Error(`Unsupported bond order at bond ${index}: ${order}`);
+  }
+  if (stereo !== null && stereo !== '/' && stereo !== '\\') {
+    throw new Error(`Invalid bond stereo at bond ${index}: ${stereo}`);
+  }
+  return {
+    from,
+    to,
+    order,
+    aromatic: bond.aromatic === true || order === 1.5,
+    stereo,
+  };
+}
+
+/**
+ * Count inversions to get the parity of a permutation
+ * @param {Array} reference - Items in reference order
+ * @param {Array} written - The same items in written order
+ * @returns {boolean|null} true when odd, null when the lists differ
+ */
+function isOddPermutation(reference, written) {
+  if (reference.length !== written.length) return null;
+  const ranks = written.map((item) => reference.indexOf(item));
+  if (ranks.includes(-1)) return null;
+  let inversions = 0;
+  ranks.forEach((rank, i) => {
+    ranks.slice(i + 1).forEach((other) => {
+      if (other < rank) inversions += 1;
+    });
+  });
+  return inversions % 2 === 1;
+}
+
+/**
+ * Insert the implicit hydrogen into a written neighbor order
+ * SMILES counts an implicit H right after the preceding atom, or first if there is none.
+ */
+function withImplicitH(order, hasPreceding) {
+  const position = hasPreceding ? 1 : 0;
+  return [...order.slice(0, position), IMPLICIT_H, ...order.slice(position)];
+}
+
+function flipStereo(stereo) {
+  return stereo === '/' ? '\\' : '/';
+}
+
+/**
+ * Write a SMILES string for a connected atom/bond graph
+ *
+ * Graph atoms are atom strings ('C', '[nH]') or objects with the Atom fields
+ * (element, aromatic, isotope, chirality, hCount, charge, atomClass).
+ * Bonds are { from, to, order?, aromatic?, stereo? } with order 1, 2, 3 or 1.5.
+ *
+ * '@'/'@@' chirality is read relative to the atom's `neighbors` list (default:
+ * its neighbors by ascending atom index, whatever the order of `bonds`) with any
+ * implicit hydrogen counted first, the convention used by toGraph().
+ *
+ * With `ranks`, the walk is driven by atom rank instead of input order: it starts
+ * at the lowest-ranked atom of minimal degree and visits neighbors by rank, so
+ * graphs with the same ranking produce the same string (used for canonical SMILES).
+ *
+ * @param {Object} graph - { atoms, bonds }
+ * @param {Object} [options={}] - Options
+ * @param {Array<number>} [options.ranks] - Rank per atom index
+ * @param {boolean} [options.normalizeStereo=false] - Write the first '/' or '\\' of each
+ *   double-bond stereo group as '/' (F\\C=C\\F becomes F/C=C/F)
+ * @param {number} [options.start] - Index of the atom to write first
+ * @returns {string} SMILES string
+ */
+export function writeGraphSMILES(graph, options = {}) {
+  const { ranks = null, normalizeStereo = false, start: startAtom = null } = options;
+  const { atoms: inputAtoms = [], bonds: inputBonds = [] } = graph || {};
+  if (!Array.isArray(inputAtoms) || inputAtoms.length === 0) {
+    throw new Error('Graph must have at least one atom');
+  }
+
+  const atoms = inputAtoms.map(normalizeGraphAtom);
+  const bonds = inputBonds.map((bond, i) => normalizeGraphBond(bond, i, atoms.length));
+
+  // Adjacency in bond order: atom -> [{ neighbor, bond }]
+  const adjacency = atoms.map(() => []);
+  const bondKeys = new Set();
+  bonds.forEach((bond, i) => {
+    const key = bond.from < bond.to ? `${bond.from}-${bond.to}` : `${bond.to}-${bond.from}`;
+    if (bondKeys.has(key)) {
+      throw new Error(`Duplicate bond between atoms ${bond.from} and ${bond.to} (bond ${i})`);
+    }
+    bondKeys.add(key);
+    adjacency[bond.from].push({ neighbor: bond.to, bond });
+    adjacency[bond.to].push({ neighbor: bond.from, bond });
+  });
+
+  // Reference neighbor order for chirality (implicit H first)
+  const referenceOrder = atoms.map((atom, i) => {
+    const { neighbors } = inputAtoms[i];
+    const order = Array.isArray(neighbors)
+      ? [...neighbors]
+      : adjacency[i].map((a) => a.neighbor).sort((a, b) => a - b);
+    return atom.hCount ? [IMPLICIT_H, ...order] : order;
+  });
+
+  // Order atoms by rank when given, otherwise by index
+  const precedes = ranks ? (a, b) => ranks[a] - ranks[b] : (a, b) => a - b;
+  if (ranks) {
+    adjacency.forEach((list) => list.sort((a, b) => precedes(a.neighbor, b.neighbor)));
+  }
+
+  // Start from the given atom, or the first atom of minimal degree (a chain end
+  // when there is one)
+  const minDegree = Math.min(...adjacency.map((list) => list.length));
+  const start = startAtom ?? atoms
+    .map((_, i) => i)
+    .filter((i) => adjacency[i].length === minDegree)
+    .sort(precedes)[0];
+
+  // Pass 1: DFS spanning tree
+  const parent = new Array(atoms.length).fill(null);
+  const parentBond = new Array(atoms.length).fill(null);
+  const children = atoms.map(() => []);
+  const visited = new Set([start]);
+  const visit = (atomIndex) => {
+    adjacency[atomIndex].forEach(({ neighbor, bond }) => {
+      if (visited.has(neighbor)) return;
+      visited.add(neighbor);
+      parent[neighbor] = atomIndex;
+      parentBond[neighbor] = bond;
+      children[atomIndex].push(neighbor);
+      visit(neighbor);
+    });
+  };
+  visit(start);
+  if (visited.size !== atoms.length) {
+    throw new Error('Graph must be connected (disconnected fragments are not supported)');
+  }
+
+  // Write smaller subtrees as branches so the largest one continues the main chain
+  const subtreeSize = new Array(atoms.length).fill(1);
+  const computeSize = (atomIndex) => {
+    children[atomIndex].forEach((child) => {
+      computeSize(child);
+      subtreeSize[atomIndex] += subtreeSize[child];
+    });
+  };
+  computeSize(start);
+  children.forEach((list) => list.sort((a, b) => subtreeSize[a] - subtreeSize[b]));
+
+  // Pass 2: written order
+  const writeIndex = new Array(atoms.length).fill(-1);
+  let counter = 0;
+  const number = (atomIndex) => {
+    writeIndex[atomIndex] = counter;
+    counter += 1;
+    children[atomIndex].forEach(number);
+  };
+  number(start);
+
+  // Ring closures are the non-tree bonds, opened at the earlier-written atom
+  const closuresAt = atoms.map(() => []);
+  bonds.forEach((bond) => {
+    if (parentBond[bond.to] === bond || parentBond[bond.from] === bond) return;
+    const [first, second] = writeIndex[bond.from] < writeIndex[bond.to]
+      ? [bond.from, bond.to]
+      : [bond.to, bond.from];
+    const closure = { bond, opener: first, closer: second };
+    closuresAt[first].push(closure);
+    closuresAt[second].push(closure);
+  });
+
+  // Stereo bonds around the same double bond(s) form a group whose markers can all be
+  // flipped together without changing any configuration
+  const stereoGroup = new Map(); // bond -> group representative
+  const findGroup = (bond) => {
+    const next = stereoGroup.get(bond);
+    return next === bond ? bond : findGroup(next);
+  };
+  if (normalizeStereo) {
+    bonds.forEach((bond) => {
+      if (bond.stereo) stereoGroup.set(bond, bond);
+    });
+    bonds.forEach((bond) => {
+      if (bond.order !== 2) return;
+      const around = [...adjacency[bond.from], ...adjacency[bond.to]]
+        .filter((entry) => entry.bond.stereo)
+        .map((entry) => findGroup(entry.bond));
+      around.forEach((group) => stereoGroup.set(group, around[0]));
+    });
+  }
+  const groupFlips = new Map(); // group representative -> flip markers
+
+  const bondSymbol = (bond, fromAtom, toAtom) => {
+    if (bond.stereo) {
+      let symbol = bond.from === fromAtom ? bond.stereo : flipStereo(bond.stereo);
+      if (normalizeStereo) {
+        // The first marker written in each group becomes '/'
+        const group = findGroup(bond);
+        if (!groupFlips.has(group)) groupFlips.set(group, symbol === '\\');
+        if (groupFlips.get(group)) symbol = flipStereo(symbol);
+      }
+      return symbol;
+    }
+    const bothAromatic = atoms[fromAtom].aromatic && atoms[toAtom].aromatic;
+    if (bond.order === 1 && !bond.aromatic) return bothAromatic ? '-' : '';
+    if (bond.aromatic) return bothAromatic ? '' : ':';
+    return ORDER_SYMBOLS[bond.order];
+  };
+
+  // Pass 3: emit
+  const ringNumbers = new Map(); // closure -> ring number
+  const usedRingNumbers = new Set();
+  const parts = [];
+
+  const emit = (atomIndex) => {
+    const atom = atoms[atomIndex];
+    const written = parent[atomIndex] !== null ? [parent[atomIndex]] : [];
+
+    const digits = [];
+    const toRelease = [];
+    // Closings first (partner already written), then openings in partner order
+    const closures = [...closuresAt[atomIndex]].sort((a, b) => {
+      const aCloses = a.closer === atomIndex;
+      const bCloses = b.closer === atomIndex;
+      if (aCloses !== bCloses) return aCloses ? -1 : 1;
+      const aOther = aCloses ? a.opener : a.closer;
+      const bOther = bCloses ? b.opener : b.closer;
+      return writeIndex[aOther] - writeIndex[bOther];
+    });
+    closures.forEach((closure) => {
+      if (closure.closer === atomIndex) {
+        const ringNumber = ringNumbers.get(closure);
+        digits.push(formatRingNumber(ringNumber));
+        written.push(closure.opener);
+        toRelease.push(ringNumber);
+      } else {
+        let ringNumber = 1;
+        while (usedRingNumbers.has(ringNumber)) ringNumber += 1;
+        if (ringNumber > MAX_RING_NUMBER) {
+          throw new Error(`Too many open rings (more than ${MAX_RING_NUMBER})`);
+        }
+        usedRingNumbers.add(ringNumber);
+        ringNumbers.set(closure, ringNumber);
+        digits.push(bondSymbol(closure.bond, atomIndex, closure.closer)
+          + formatRingNumber(ringNumber));
+        written.push(closure.closer);
+      }
+    });
+    toRelease.forEach((ringNumber) => usedRingNumbers.delete(ringNumber));
+    written.push(...children[atomIndex]);
+
+    // Keep the handedness: flip @/@@ when the written neighbor order is an odd permutation
+    let { chirality } = atom;
+    if (chirality === '@' || chirality === '@@') {
+      const writtenOrder = atom.hCount
+        ? withImplicitH(written, parent[atomIndex] !== null)
+        : written;
+      if (isOddPermutation(referenceOrder[atomIndex], writtenOrder)) {
+        chirality = chirality === '@' ? '@@' : '@';
+      }
+    }
+
+    parts.push(atomToSMILES({ ...atom, chirality }));
+    parts.push(...digits);
+
+    children[atomIndex].forEach((child, i) => {
+      const isLast = i === children[atomIndex].length - 1;
+      if (!isLast) parts.push('(');
+      parts.push(bondSymbol(parentBond[child], atomIndex, child));
+      emit(child);
+      if (!isLast) parts.push(')');
+    });
+  };
+  emit(start);
+
+  return parts.join('');
+}
@@ -0,0 +1,196 @@
+/**
+ * Molecular graph export
+ * Converts AST nodes into explicit atoms and bonds
+ */
+
+import { buildSMILES } from './codegen/index.js';
+import { trackAtomSources } from './codegen/atom-tracker.js';
+import { tokenize, TokenType } from './tokenizer.js';
+import { atomPropsFromToken } from './atom.js';
+import { parse } from './parser/index.js';
+import { writeGraphSMILES } from './graph-writer.js';
+
+// Bond orders by SMILES bond symbol (aromatic bonds are 1.5)
+const BOND_ORDERS = {
+  '-': 1,
+  '=': 2,
+  '#': 3,
+  $: 4,
+  ':': 1.5,
+  '/': 1,
+  '\\': 1,
+};
+
+/**
+ * Describe a bond from its written symbol (or null for an implicit bond)
+ * Implicit bonds between two aromatic atoms are aromatic, otherwise single.
+ */
+function describeBond(symbol, atomA, atomB) {
+  if (symbol === null) {
+    const aromatic = atomA.aromatic && atomB.aromatic;
+    return { order: aromatic ? 1.5 : 1, aromatic, stereo: null };
+  }
+  return {
+    order: BOND_ORDERS[symbol],
+    aromatic: symbol === ':',
+    stereo: symbol === '/' || symbol === '\\' ? symbol : null,
+  };
+}
+
+/**
+ * Build a molecular graph from a SMILES string
+ * @param {string} smiles - SMILES string
+ * @param {Array<Object>} [sources=[]] - Atom sources in output order (from trackAtomSources)
+ * @returns {Object} Graph with smiles, atoms and bonds
+ */
+function graphFromSMILES(smiles, sources = []) {
+  const tokens = tokenize(smiles);
+  const atoms = [];
+  const bonds = [];
+  const branchStack = [];
+  const openRings = new Map(); // ring number -> { atom, bondSymbol, slot }
+  const hasPreceding = []; // atom index -> written after another atom (not first in its chain)
+  let prevAtom = null;
+  let pendingBond = null;
+
+  function addBond(from, to, symbol, ringNumber = null) {
+    const bond = {
+      index: bonds.length,
+      from,
+      to,
+      symbol,
+      ...describeBond(symbol, atoms[from], atoms[to]),
+      ringClosure: ringNumber !== null,
+      ringNumber,
+    };
+    bonds.push(bond);
+    return bond;
+  }
+
+  tokens.forEach((token) => {
+    if (token.type === TokenType.ATOM) {
+      const index = atoms.length;
+      atoms.push({
+        index,
+        ...atomPropsFromToken(token.atom),
+        neighbors: [],
+        source: sources[index] || null,
+      });
+      hasPreceding.push(prevAtom !== null);
+      if (prevAtom !== null) {
+        addBond(prevAtom, index, pendingBond);
+        atoms[prevAtom].neighbors.push(index);
+        atoms[index].neighbors.push(prevAtom);
+      }
+      prevAtom = index;
+      pendingBond = null;
+    } else if (token.type === TokenType.BOND) {
+      pendingBond = token.value;
+    } else if (token.type === TokenType.RING_MARKER) {
+      const { ringNumber } = token;
+      if (prevAtom === null) {
+        throw new Error(`Ring marker without atom at position ${token.position}`);
+      }
+      const opening = openRings.get(ringNumber);
+      if (!opening) {
+        // Reserve the neighbor slot so ring closures keep their written order
+        const slot = atoms[prevAtom].neighbors.length;
+        atoms[prevAtom].neighbors.push(null);
+        openRings.set(ringNumber, { atom: prevAtom, bondSymbol: pendingBond, slot });
+      } else {
+        if (opening.bondSymbol && pendingBond && opening.bondSymbol !== pendingBond) {
+          throw new Error(`Conflicting ring closure bonds for ring ${ringNumber}`);
+        }
+        addBond(opening.atom, prevAtom, opening.bondSymbol || pendingBond, ringNumber);
+        atoms[opening.atom].neighbors[opening.slot] = prevAtom;
+        atoms[prevAtom].neighbors.push(opening.atom);
+        openRings.delete(ringNumber);
+      }
+      pendingBond = null;
+    } else if (token.type === TokenType.BRANCH_OPEN) {
+      branchStack.push(prevAtom);
+    } else if (token.type === TokenType.BRANCH_CLOSE) {
+      prevAtom = branchStack.pop();
+    } else if (token.type === TokenType.DOT) {
+      prevAtom = null;
+      pendingBond = null;
+    }
+  });
+
+  if (openRings.size > 0) {
+    throw new Error(`Unclosed rings: ${[...openRings.keys()].join(', ')}`);
+  }
+
+  // SMILES counts an implicit H right after the preceding atom; graphs count it first.
+  // Moving it past the preceding atom is one swap, which inverts @/@@.
+  atoms.forEach((atom, i) => {
+    const { chirality, hCount } = atom;
+    if ((chirality === '@' || chirality === '@@') && hCount && hasPreceding[i]) {
+      // eslint-disable-next-line no-param-reassign
+      atom.chirality = chirality === '@' ? '@@' : '@';
+    }
+  });
+
+  return { smiles, atoms, bonds };
+}
+
+/**
+ * Export a molecular graph (explicit atoms and bonds) from an AST node
+ *
+ * Atoms are indexed in the order they are written in the node's SMILES, so
+ * indices are stable for a given node. Each atom lists its neighbors in
+ * written order and its source in the AST as { node, position }.
+ *
+ * Tetrahedral '@'/'@@' chirality is expressed relative to `neighbors` with any
+ * implicit hydrogen counted first. This differs from the SMILES text (which
+ * counts the H after the preceding atom) for atoms like the center of C[C@H](N)O,
+ * which is '@@' in the graph.
+ *
+ * Bonds carry the order (1, 2, 3, 4, or 1.5 for aromatic), the written symbol
+ * (null when implicit), the stereo marker ('/' or '\\'), and whether they
+ * are ring-closure bonds.
+ *
+ * @param {Object|string} node - AST node, or a SMILES string (atoms then have no source)
+ * @returns {{smiles: string, atoms: Array<Object>, bonds: Array<Object>}} Molecular graph
+ *
+ * @example
+ * const graph = toGraph(Fragment('C1CC1O'));
+ * graph.bonds.filter((b) => b.ringClosure); // [{ from: 0, to: 2, order: 1, ... }]
+ */
+export function toGraph(node) {
+  if (typeof node === 'string') {
+    return graphFromSMILES(node);
+  }
+  const { smiles, sources } = trackAtomSources(() => buildSMILES(node));
+  return graphFromSMILES(smiles, sources);
+}
+
+/**
+ * Build an AST from an explicit atom/bond graph
+ *
+ * The graph is written as SMILES with a depth-first walk (smaller subtrees become
+ * branches, non-tree bonds become ring closures) and parsed, so rings, fused rings
+ * and chains are perceived exactly as for a SMILES input. The result works with
+ * decompile() like any parsed node.
+ *
+ * Atoms are atom strings ('C', '[nH]') or objects with the Atom fields; bonds are
+ * { from, to, order?, aromatic?, stereo? } with order 1, 2, 3 or 1.5. The output
+ * of toGraph() is accepted as is. The graph must be connected.
+ *
+ * '@'/'@@' chirality is relative to the atom's `neighbors` (atom indices) with any
+ * implicit hydrogen first. Without `neighbors`, the reference order is the
+ * neighbors by ascending atom index, so reordering `bonds` never changes a center.
+ *
+ * @param {{atoms: Array<Object|string>, bonds: Array<Object>}} graph - Molecular graph
+ * @returns {Object} AST node (Ring, Linear, FusedRing, or Molecule)
+ *
+ * @example
+ * const ast = fromGraph({
+ *   atoms: ['C', 'C', 'O'],
+ *   bonds: [{ from: 0, to: 1 }, { from: 1, to: 2 }],
+ * });
+ * ast.smiles; // 'CCO'
+ */
+export function fromGraph(graph) {
+  return parse(writeGraphSMILES(graph));
+}
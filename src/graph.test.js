@@ -0,0 +1,262 @@
+import { describe, test, expect } from 'bun:test';
+import { toGraph, fromGraph } from './graph.js';
+import { parse } from './parser/index.js';
+import { canonicalSMILES } from './canonical.js';
+import {
+  Ring, Linear, FusedRing, Molecule,
+} from './constructors.js';
+
+describe('toGraph - atoms', () => {
+  test('indexes atoms in written order', () => {
+    const graph = toGraph(parse('CCO'));
+    expect(graph.smiles).toBe('CCO');
+    expect(graph.atoms.map((a) => a.element)).toEqual(['C', 'C', 'O']);
+    expect(graph.atoms.map((a) => a.index)).toEqual([0, 1, 2]);
+  });
+
+  test('carries bracket atom properties', () => {
+    const graph = toGraph(parse('C[NH3+]'));
+    expect(graph.atoms[1]).toMatchObject({
+      element: 'N', hCount: 3, charge: 1, aromatic: false,
+    });
+    expect(graph.atoms[0].hCount).toBe(null);
+  });
+
+  test('marks aromatic atoms', () => {
+    const graph = toGraph(Ring({ atoms: 'c', size: 6 }));
+    expect(graph.atoms.every((a) => a.aromatic)).toBe(true);
+  });
+
+  test('expresses chirality with the implicit hydrogen counted first', () => {
+    // C[C@H](N)O: written order (C, H, N, O) is an odd permutation of (H, C, N, O)
+    expect(toGraph('C[C@H](N)O').atoms[1].chirality).toBe('@@');
+    expect(toGraph('[C@H](C)(N)O').atoms[0].chirality).toBe('@');
+    expect(toGraph('F[C@](Cl)(Br)I').atoms[1].chirality).toBe('@');
+  });
+
+  test('lists neighbors in written order with ring closures in place', () => {
+    // Atom 0 writes ring closure 1 before its chain neighbor
+    const graph = toGraph('C1CCC1');
+    expect(graph.atoms[0].neighbors).toEqual([3, 1]);
+    expect(graph.atoms[3].neighbors).toEqual([2, 0]);
+  });
+
+  test('accepts a SMILES string', () => {
+    const graph = toGraph('CC');
+    expect(graph.atoms).toHaveLength(2);
+    expect(graph.atoms[0].source).toBe(null);
+  });
+});
+
+describe('toGraph - bonds', () => {
+  test('computes bond orders', () => {
+    const graph = toGraph(parse('C=CC#N'));
+    expect(graph.bonds.map((b) => b.order)).toEqual([2, 1, 3]);
+    expect(graph.bonds.map((b) => b.symbol)).toEqual(['=', null, '#']);
+  });
+
+  test('treats implicit bonds between aromatic atoms as aromatic', () => {
+    const graph = toGraph(parse('c1ccccc1C'));
+    const aromatic = graph.bonds.filter((b) => b.aromatic);
+    expect(aromatic).toHaveLength(6);
+    expect(aromatic.every((b) => b.order === 1.5)).toBe(true);
+    expect(graph.bonds.find((b) => b.to === 6).order).toBe(1);
+  });
+
+  test('marks ring closure bonds', () => {
+    const graph = toGraph(parse('C1CC1'));
+    const closures = graph.bonds.filter((b) => b.ringClosure);
+    expect(closures).toHaveLength(1);
+    expect(closures[0]).toMatchObject({ from: 0, to: 2, ringNumber: 1 });
+  });
+
+  test('uses the ring closure bond symbol from either end', () => {
+    expect(toGraph('C=1CCC1').bonds[3].order).toBe(2);
+    expect(toGraph('C1CCC=1').bonds[3].order).toBe(2);
+  });
+
+  test('throws on conflicting ring closure bonds', () => {
+    expect(() => toGraph('C=1CCC#1')).toThrow('Conflicting ring closure bonds');
+  });
+
+  test('keeps cis/trans markers as stereo', () => {
+    const graph = toGraph(parse('F/C=C/F'));
+    expect(graph.bonds.map((b) => b.stereo)).toEqual(['/', null, '/']);
+  });
+
+  test('branches bond to the branch point', () => {
+    const graph = toGraph(parse('CC(C)O'));
+    expect(graph.bonds.map((b) => [b.from, b.to])).toEqual([[0, 1], [1, 2], [1, 3]]);
+  });
+});
+
+describe('toGraph - sources', () => {
+  test('maps linear atoms to their positions', () => {
+    const chain = Linear(['C', 'C', 'O']);
+    const graph = toGraph(chain);
+    expect(graph.atoms.map((a) => a.source.position)).toEqual([1, 2, 3]);
+    expect(graph.atoms.every((a) => a.source.node === chain)).toBe(true);
+  });
+
+  test('maps attachments to the attached node', () => {
+    const methyl = Linear(['C']);
+    const toluene = Ring({ atoms: 'c', size: 6 }).attach(3, methyl);
+    const graph = toGraph(toluene);
+    const methylAtom = graph.atoms.find((a) => a.source.node === methyl);
+    expect(methylAtom.source.position).toBe(1);
+    expect(methylAtom.neighbors).toEqual([2]);
+    expect(graph.atoms[2].source).toEqual({ node: toluene, position: 3 });
+  });
+
+  test('maps fused ring atoms to their rings', () => {
+    const fused = FusedRing([
+      Ring({ atoms: 'c', size: 6, ringNumber: 1 }),
+      Ring({
+        atoms: 'c', size: 6, ringNumber: 2, offset: 4,
+      }),
+    ]);
+    const graph = toGraph(fused);
+    expect(graph.atoms).toHaveLength(10);
+    graph.atoms.forEach((atom) => {
+      expect(fused.rings).toContain(atom.source.node);
+    });
+  });
+
+  test('maps molecule components', () => {
+    const a = Linear(['C', 'C']);
+    const b = Ring({ atoms: 'C', size: 3 });
+    const graph = toGraph(Molecule([a, b]));
+    expect(graph.atoms.map((atom) => atom.source.node === a)).toEqual([
+      true, true, false, false, false,
+    ]);
+  });
+
+  test('maps atoms of parsed molecules', () => {
+    const ast = parse('CC(=O)Oc1ccccc1C(=O)O');
+    const graph = toGraph(ast);
+    expect(graph.atoms).toHaveLength(13);
+    expect(graph.atoms.every((a) => a.source && a.source.node)).toBe(true);
+  });
+});
+
+describe('toGraph - node method', () => {
+  test('is available on all node types', () => {
+    expect(Ring({ atoms: 'C', size: 5 }).toGraph().atoms).toHaveLength(5);
+    expect(Linear(['C', 'O']).toGraph().bonds).toHaveLength(1);
+    expect(Molecule([Linear(['C'])]).toGraph().atoms).toHaveLength(1);
+    expect(parse('c1ccc2ccccc2c1').toGraph().bonds).toHaveLength(11);
+  });
+});
+
+// Relabel graph atoms: perm[oldIndex] = newIndex
+function relabel(graph, perm) {
+  const atoms = new Array(graph.atoms.length);
+  graph.atoms.forEach((atom, i) => {
+    atoms[perm[i]] = { ...atom, neighbors: atom.neighbors.map((n) => perm[n]) };
+  });
+  const bonds = graph.bonds.map((b) => ({ ...b, from: perm[b.from], to: perm[b.to] }));
+  return { atoms, bonds };
+}
+
+describe('fromGraph', () => {
+  test('builds a chain from atoms and bonds', () => {
+    const ast = fromGraph({
+      atoms: ['C', 'C', 'O'],
+      bonds: [{ from: 0, to: 1 }, { from: 1, to: 2 }],
+    });
+    expect(ast.type).toBe('linear');
+    expect(ast.smiles).toBe('CCO');
+  });
+
+  test('accepts atom objects and bond orders', () => {
+    const ast = fromGraph({
+      atoms: [{ element: 'C' }, { element: 'O' }, { element: 'O', charge: -1, hCount: 0 }],
+      bonds: [{ from: 0, to: 1, order: 2 }, { from: 0, to: 2 }],
+    });
+    expect(ast.smiles).toBe('O=C[O-]');
+  });
+
+  test('perceives rings', () => {
+    const atoms = Array.from({ length: 6 }, () => 'c');
+    const bonds = atoms.map((_, i) => ({ from: i, to: (i + 1) % 6, order: 1.5 }));
+    const ast = fromGraph({ atoms, bonds });
+    expect(ast.type).toBe('ring');
+    expect(ast.size).toBe(6);
+    expect(ast.smiles).toBe('c1ccccc1');
+  });
+
+  test('writes smaller subtrees as branches', () => {
+    // Isobutanol drawn from the OH end: O-C-C(-C)-C
+    const ast = fromGraph({
+      atoms: ['O', 'C', 'C', 'C', 'C'],
+      bonds: [{ from: 0, to: 1 }, { from: 1, to: 2 }, { from: 2, to: 3 }, { from: 2, to: 4 }],
+    });
+    expect(ast.smiles).toBe('OCC(C)C');
+  });
+
+  test('writes explicit single bonds between aromatic atoms', () => {
+    const biphenyl = toGraph(parse('c1ccc(cc1)-c1ccccc1'));
+    expect(fromGraph(biphenyl).smiles).toContain(')-c');
+  });
+
+  test('round-trips toGraph output', () => {
+    [
+      'CC(=O)Oc1ccccc1C(=O)O',
+      'c1ccc2ccccc2c1',
+      'C1CC2CCC1CC2',
+      'F/C=C/F',
+      'OC[C@H]1O[C@@H](O)[C@H](O)[C@@H](O)[C@@H]1O',
+    ].forEach((smiles) => {
+      const graph = toGraph(parse(smiles));
+      const rebuilt = toGraph(fromGraph(graph));
+      expect(rebuilt.atoms).toHaveLength(graph.atoms.length);
+      expect(rebuilt.bonds.map((b) => b.order).sort()).toEqual(
+        graph.bonds.map((b) => b.order).sort(),
+      );
+    });
+  });
+
+  test('keeps chirality when atoms are relabelled', () => {
+    const graph = toGraph('F[C@](Cl)(Br)I');
+    const reversed = relabel(graph, [4, 3, 2, 1, 0]);
+    expect(fromGraph(reversed).smiles).toBe('I[C@@](F)(Cl)Br');
+  });
+
+  test('keeps chirality of centers with an implicit hydrogen', () => {
+    const graph = toGraph('[C@@H](F)(Cl)Br');
+    const reversed = relabel(graph, [3, 2, 1, 0]);
+    expect(fromGraph(reversed).smiles).toBe('Br[C@H](F)Cl');
+  });
+
+  test('reads chirality without neighbors by ascending atom index', () => {
+    const atoms = ['F', { element: 'C', chirality: '@' }, 'Cl', 'Br', 'I'];
+    const bonds = [0, 2, 3, 4].map((to) => ({ from: 1, to }));
+    const shuffled = [bonds[2], bonds[1], bonds[0], bonds[3]];
+    expect(fromGraph({ atoms, bonds }).smiles).toBe('F[C@](Cl)(Br)I');
+    expect(canonicalSMILES(fromGraph({ atoms, bonds: shuffled })))
+      .toBe(canonicalSMILES('F[C@](Cl)(Br)I'));
+  });
+
+  test('throws on disconnected graphs', () => {
+    expect(() => fromGraph({ atoms: ['C', 'C'], bonds: [] })).toThrow('Graph must be connected');
+  });
+
+  test('throws on invalid bonds', () => {
+    expect(() => fromGraph({ atoms: ['C'], bonds: [{ from: 0, to: 3 }] }))
+      .toThrow('Bond 0 references unknown atom 3');
+    expect(() => fromGraph({ atoms: ['C', 'C'], bonds: [{ from: 0, to: 1, order: 5 }] }))
+      .toThrow('Unsupported bond order');
+    expect(() => fromGraph({
+      atoms: ['C', 'C'],
+      bonds: [{ from: 0, to: 1 }, { from: 1, to: 0 }],
+    })).toThrow('Duplicate bond');
+  });
+
+  test('throws on invalid atoms', () => {
+    expect(() => fromGraph({ atoms: ['Xx'], bonds: [] })).toThrow('Invalid atom at index 0');
+  });
+
+  test('throws on empty graphs', () => {
+    expect(() => fromGraph({ atoms: [], bonds: [] })).toThrow('Graph must have at least one atom');
+  });
+});
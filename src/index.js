@@ -3,18 +3,33 @@
  */
 
 export {
-  Ring, Linear, FusedRing, Molecule, RawFragment,
+  Ring, Linear, FusedRing, Molecule, RawFragment, Atom,
 } from './constructors.js';
 export { ASTNodeType } from './ast.js';
 export { buildSMILES } from './codegen/index.js';
 export { tokenize, TokenType } from './tokenizer.js';
 export { parse } from './parser/index.js';
+export { SmilesSyntaxError } from './errors.js';
 export { decompile } from './decompiler.js';
 export { Fragment } from './fragment.js';
+export { toGraph, fromGraph } from './graph.js';
+export { canonicalSMILES } from './canonical.js';
+export { formula, molecularWeight, exactMass } from './properties.js';
+export { validateValence } from './valence.js';
+export { kekulize, aromatize } from './aromaticity.js';
+export { getStereocenters, setChirality } from './stereo.js';
+export { getCIPLabels } from './cip.js';
+export { match, hasSubstructure } from './substructure.js';
+export { parseSMARTS } from './smarts.js';
+export { findFunctionalGroups } from './functional-groups.js';
+export { diagnose } from './diagnostics.js';
+export { attachNamed, connect, attachmentPoints } from './manipulation.js';
+export { enumerate, enumerateLibrary } from './enumeration.js';
 export {
   validateRoundTrip,
   parseWithValidation,
   isValidRoundTrip,
   normalize,
   stabilizes,
+  verifyDecompile,
 } from './roundtrip.js';
@@ -140,8 +140,128 @@ export function applyRingBranchDepthsToFusedRing(node) {
   });
 }
 
+/**
+ * Lay out rings of a fused ring system at explicit atom positions
+ *
+ * Positions number the atoms of the ring system in written order, from 0 like
+ * ring offsets. Each ring lists the positions of its atoms in ring order: rings
+ * listing the same position share that atom, and the ring bond is written
+ * between its first and last position. Positions in no ring are chain atoms.
+ * Branch depths come from each ring's branchDepths and each chain atom's depth.
+ * Ring bond digits at an atom are written opening rings first, by ring number,
+ * unless ringOrder lists the ring numbers in the order they are written.
+ *
+ * Layout already on the node (the base of addSequentialRings()) is kept.
+ *
+ * @param {Object} node - FusedRing node to lay out (updated in place)
+ * @param {Array<Object>} rings - Rings of the node to place
+ * @param {Array<Array<number>>} positions - Positions of the atoms of each ring
+ * @param {Object} [options] - Options
+ * @param {Array<Object>} [options.chainAtoms=[]] - Atoms in no ring:
+ *   { atom = 'C', bond?, depth = 0, position, attachments? }
+ * @param {Object} [options.ringOrder={}] - Position -> ring numbers as written there
+ */
+export function layoutFusedRingAtPositions(node, rings, positions, options = {}) {
+  const { chainAtoms = [], ringOrder = {} } = options;
+  if (!Array.isArray(positions) || positions.length !== rings.length) {
+    throw new Error(`Expected positions for each of the ${rings.length} rings`);
+  }
+
+  const target = node;
+  const allPositions = new Set(target.metaAllPositions || []);
+  const branchDepthMap = new Map(target.metaBranchDepthMap || []);
+  const atomValueMap = new Map(target.metaAtomValueMap || []);
+  const bondMap = new Map(target.metaBondMap || []);
+  const ringOrderMap = new Map(target.metaRingOrderMap || []);
+  const seqAtomAttachments = new Map(target.metaSeqAtomAttachments || []);
+
+  rings.forEach((ring, idx) => {
+    const ringPositions = positions[idx];
+    if (!Array.isArray(ringPositions) || ringPositions.length !== ring.size) {
+      throw new Error(`Ring ${ring.ringNumber} needs ${ring.size} positions`);
+    }
+    const depths = ring.metaBranchDepths || [];
+    const placed = ring;
+    placed.metaPositions = [...ringPositions];
+    [placed.metaStart] = ringPositions;
+    placed.metaEnd = ringPositions[ringPositions.length - 1];
+    ringPositions.forEach((pos, i) => {
+      allPositions.add(pos);
+      branchDepthMap.set(pos, Math.max(branchDepthMap.get(pos) || 0, depths[i] || 0));
+    });
+  });
+
+  chainAtoms.forEach(({
+    atom = 'C', bond = null, depth = 0, position, attachments = [],
+  }) => {
+    allPositions.add(position);
+    branchDepthMap.set(position, depth);
+    if (atom !== 'C') atomValueMap.set(position, atom);
+    if (bond) bondMap.set(position, bond);
+    if (attachments.length > 0) seqAtomAttachments.set(position, [...attachments]);
+  });
+
+  Object.entries(ringOrder).forEach(([pos, ringNumbers]) => {
+    ringOrderMap.set(Number(pos), [...ringNumbers]);
+  });
+
+  const sortedPositions = [...allPositions].sort((a, b) => a - b);
+  target.metaAllPositions = sortedPositions;
+  target.metaTotalAtoms = sortedPositions.length > 0
+    ? sortedPositions[sortedPositions.length - 1] + 1 : 0;
+  target.metaBranchDepthMap = branchDepthMap;
+  target.metaAtomValueMap = atomValueMap;
+  target.metaBondMap = bondMap;
+  target.metaRingOrderMap = ringOrderMap;
+  target.metaSeqAtomAttachments = seqAtomAttachments;
+  // eslint-disable-next-line no-use-before-define
+  target.metaBranchIdMap = buildBranchIdMap(sortedPositions, branchDepthMap, target.rings);
+}
+
 // --- Internal helpers ---
 
+/**
+ * Tell sibling branches apart: two fused ring atoms written one after the
+ * other at the same depth are in sibling branches unless a ring bonds them
+ * (chain atoms and sequential rings continue the branch they are written in)
+ */
+function buildBranchIdMap(allPositions, branchDepthMap, rings) {
+  const ringPositions = new Set();
+  const bonded = new Set();
+  rings.forEach((ring) => {
+    const positions = ring.metaPositions || [];
+    positions.forEach((pos, i) => {
+      ringPositions.add(pos);
+      if (i > 0) {
+        bonded.add(`${positions[i - 1]}-${pos}`);
+        bonded.add(`${pos}-${positions[i - 1]}`);
+      }
+    });
+  });
+
+  const branchIdMap = new Map();
+  const branchIdAtDepth = new Map();
+  let nextBranchId = 0;
+  allPositions.forEach((pos, idx) => {
+    const depth = branchDepthMap.get(pos) || 0;
+    const prev = allPositions[idx - 1];
+    const prevDepth = idx > 0 ? (branchDepthMap.get(prev) || 0) : 0;
+    const continues = idx > 0 && (depth < prevDepth || (depth === prevDepth && (
+      bonded.has(`${prev}-${pos}`) || !ringPositions.has(prev) || !ringPositions.has(pos)
+    )));
+    if (depth === 0) {
+      branchIdMap.set(pos, null);
+      return;
+    }
+    if (!continues || !branchIdAtDepth.has(depth)) {
+      branchIdAtDepth.set(depth, nextBranchId);
+      nextBranchId += 1;
+    }
+    branchIdMap.set(pos, branchIdAtDepth.get(depth));
+  });
+  return branchIdMap;
+}
+
 // eslint-disable-next-line no-unused-vars
 function buildFusionGraph(sortedRings, innerRings, baseRing) {
   const fusionGraph = new Map();
@@ -421,8 +541,9 @@ function traverseStartSharing(
     }
   }
 
+  // The last ring atom, not an attachment written after it
   if (data.end === undefined || data.end === -1) {
-    data.end = currentPos - 1;
+    data.end = data.positions[data.positions.length - 1];
   }
 
   // eslint-disable-next-line no-param-reassign
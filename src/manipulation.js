@@ -15,11 +15,21 @@ import {
   deepCloneLinear,
   deepCloneFusedRing,
   deepCloneMolecule,
+  Atom,
 } from './constructors.js';
 import {
   validatePosition, isLinearNode, isMoleculeNode, isRingNode, isFusedRingNode,
 } from './ast.js';
-import { computeFusedRingPositions } from './layout/index.js';
+import { computeFusedRingPositions, layoutFusedRingAtPositions } from './layout/index.js';
+import { atomToSMILES, atomPropsFromToken, normalizeAtomProps } from './atom.js';
+import { assertValidValence } from './valence.js';
+import { replaceStereoHydrogen, keepMirroredStereo, invertChirality } from './stereo.js';
+import { toGraph } from './graph.js';
+import { writeGraphSMILES } from './graph-writer.js';
+import { tokenize, TokenType } from './tokenizer.js';
+import { parse } from './parser/index.js';
+import { buildSMILES } from './codegen/index.js';
+import { formatRingNumber } from './codegen/ring-numbers.js';
 
 /**
  * Ring manipulation methods
@@ -48,7 +58,7 @@ export function ringAttach(ring, position, attachment, options = {}) {
 
   updatedAttachments[position] = [...updatedAttachments[position], attachmentToAdd];
 
-  const newRing = createRingNode(
+  const newRing = replaceStereoHydrogen(ring, position, createRingNode(
     ring.atoms,
     ring.size,
     ring.ringNumber,
@@ -57,14 +67,14 @@ export function ringAttach(ring, position, attachment, options = {}) {
     updatedAttachments,
     ring.bonds || [],
     ring.metaBranchDepths || null,
-  );
+  ));
 
   // Preserve metadata from original ring
   if (ring.metaLeadingBond) {
     newRing.metaLeadingBond = ring.metaLeadingBond;
   }
 
-  return newRing;
+  return options.strict ? assertValidValence(newRing) : newRing;
 }
 
 export function ringSubstitute(ring, position, newAtom) {
@@ -73,7 +83,7 @@ export function ringSubstitute(ring, position, newAtom) {
   const updatedSubstitutions = cloneSubstitutions(ring.substitutions);
   const baseAtom = ring.atoms;
 
-  if (newAtom === baseAtom) {
+  if (atomToSMILES(newAtom) === atomToSMILES(baseAtom)) {
     delete updatedSubstitutions[position];
   } else {
     updatedSubstitutions[position] = newAtom;
@@ -91,6 +101,11 @@ export function ringSubstitute(ring, position, newAtom) {
   );
 }
 
+export function ringGetAtom(ring, position) {
+  validatePosition(position, ring.size);
+  return Atom(ring.substitutions[position] || ring.atoms);
+}
+
 export function ringSubstituteMultiple(ring, substitutionMap) {
   return Object.entries(substitutionMap).reduce(
     (result, [position, atom]) => ringSubstitute(result, Number(position), atom),
@@ -136,7 +151,7 @@ export function ringClone(ring) {
  * Linear manipulation methods
  */
 
-export function linearAttach(linear, position, attachment) {
+export function linearAttach(linear, position, attachment, options = {}) {
   if (position < 1 || position > linear.atoms.length) {
     throw new Error(`Position must be an integer between 1 and ${linear.atoms.length}`);
   }
@@ -149,7 +164,17 @@ export function linearAttach(linear, position, attachment) {
 
   updatedAttachments[position] = [...updatedAttachments[position], attachment];
 
-  return createLinearNode(linear.atoms, linear.bonds, updatedAttachments);
+  const newLinear = replaceStereoHydrogen(
+    linear,
+    position,
+    createLinearNode(linear.atoms, linear.bonds, updatedAttachments),
+  );
+  return options.strict ? assertValidValence(newLinear) : newLinear;
+}
+
+export function linearGetAtom(linear, position) {
+  validatePosition(position, linear.atoms.length);
+  return Atom(linear.atoms[position - 1]);
 }
 
 export function linearBranch(linear, branchPoint, ...branches) {
@@ -183,7 +208,13 @@ export function linearConcat(linear, other) {
       newBonds.push(...other.bonds);
     }
 
-    return createLinearNode(newAtoms, newBonds, {});
+    // Keep the attachments of both chains; the other chain's positions move along
+    const newAttachments = cloneAttachments(linear.attachments || {});
+    Object.entries(other.attachments || {}).forEach(([pos, attList]) => {
+      newAttachments[Number(pos) + linear.atoms.length] = [...attList];
+    });
+
+    return createLinearNode(newAtoms, newBonds, newAttachments);
   }
   return createMoleculeNode([linear, other]);
 }
@@ -196,7 +227,7 @@ export function fusedRingAddRing(fusedRing, offset, ring) {
   const newRings = fusedRing.rings.map((r) => ({ ...r }));
   const ringWithOffset = { ...ring, offset };
   newRings.push(ringWithOffset);
-  return createFusedRingNode(newRings);
+  return createFusedRingNode(newRings, { leadingBond: fusedRing.metaLeadingBond });
 }
 
 export function fusedRingGetRing(fusedRing, ringNumber) {
@@ -217,27 +248,45 @@ function updateRingInFused(fusedRing, ringNumber, updateFn) {
   }
 
   const updatedRing = updateFn(targetRing);
+  // Keep the ring's place in the layout of the fused ring system
+  Object.keys(targetRing).forEach((key) => {
+    if (key.startsWith('meta') && updatedRing[key] === undefined) {
+      updatedRing[key] = targetRing[key];
+    }
+  });
   const newRings = fusedRing.rings.map(
     (r) => (r.ringNumber === ringNumber ? updatedRing : { ...r }),
   );
 
-  return createFusedRingNode(newRings);
+  const newNode = createFusedRingNode(newRings, { skipPositionComputation: true });
+  Object.keys(fusedRing).forEach((key) => {
+    if (key.startsWith('meta')) newNode[key] = fusedRing[key];
+  });
+  return newNode;
 }
 
 export function fusedRingSubstituteInRing(fusedRing, ringNumber, position, newAtom) {
-  return updateRingInFused(
+  const newFusedRing = updateRingInFused(
     fusedRing,
     ringNumber,
     (ring) => ringSubstitute(ring, position, newAtom),
   );
+  // Parsed rings write their atoms from the atom value map, by atom position
+  const { metaPositions } = fusedRingGetRing(fusedRing, ringNumber);
+  if (newFusedRing.metaAtomValueMap && metaPositions) {
+    newFusedRing.metaAtomValueMap = new Map(newFusedRing.metaAtomValueMap)
+      .set(metaPositions[position - 1], newAtom);
+  }
+  return newFusedRing;
 }
 
-export function fusedRingAttachToRing(fusedRing, ringNumber, position, attachment) {
-  return updateRingInFused(
+export function fusedRingAttachToRing(fusedRing, ringNumber, position, attachment, options = {}) {
+  const newFusedRing = updateRingInFused(
     fusedRing,
     ringNumber,
     (ring) => ringAttach(ring, position, attachment),
   );
+  return options.strict ? assertValidValence(newFusedRing) : newFusedRing;
 }
 
 export function fusedRingRenumber(fusedRing, startNumber = 1) {
@@ -248,7 +297,56 @@ export function fusedRingRenumber(fusedRing, startNumber = 1) {
   return createFusedRingNode(newRings);
 }
 
+/**
+ * Add sequential rings at the atom positions given (see FusedRing() positions)
+ * A single base Ring takes the positions no sequential ring or chain atom uses.
+ */
+function addSequentialRingsAtPositions(fusedRing, entries, options) {
+  const { chainAtoms = [], ringOrder = {} } = options;
+  const isSingleRing = !fusedRing.rings;
+  const rings = isSingleRing ? [fusedRing] : fusedRing.rings;
+  const newNode = createFusedRingNode(rings.map((r) => ({ ...r })), {
+    skipPositionComputation: true,
+    leadingBond: fusedRing.metaLeadingBond,
+  });
+  if (!isSingleRing) {
+    newNode.metaAllPositions = [...(fusedRing.metaAllPositions || [])];
+    newNode.metaBranchDepthMap = new Map(fusedRing.metaBranchDepthMap || []);
+    newNode.metaAtomValueMap = new Map(fusedRing.metaAtomValueMap || []);
+    newNode.metaBondMap = new Map(fusedRing.metaBondMap || []);
+    newNode.metaRingOrderMap = new Map(fusedRing.metaRingOrderMap || []);
+    newNode.metaSeqAtomAttachments = new Map(fusedRing.metaSeqAtomAttachments || []);
+  }
+  const seqRings = entries.map((entry) => ({ ...(entry.ring || entry) }));
+  newNode.metaSequentialRings = [...(fusedRing.metaSequentialRings || []), ...seqRings];
+
+  const positions = entries.map((entry) => entry.positions);
+  if (isSingleRing) {
+    const taken = new Set([
+      ...positions.flat(),
+      ...chainAtoms.map((chainAtom) => chainAtom.position),
+    ]);
+    const basePositions = [];
+    for (let pos = 0; basePositions.length < fusedRing.size; pos += 1) {
+      if (!taken.has(pos)) basePositions.push(pos);
+    }
+    layoutFusedRingAtPositions(
+      newNode,
+      [newNode.rings[0], ...seqRings],
+      [basePositions, ...positions],
+      { chainAtoms, ringOrder },
+    );
+  } else {
+    layoutFusedRingAtPositions(newNode, seqRings, positions, { chainAtoms, ringOrder });
+  }
+  return newNode;
+}
+
 export function fusedRingAddSequentialRings(fusedRing, seqRingsInput, options = {}) {
+  if (seqRingsInput.some((entry) => entry && entry.positions)) {
+    return addSequentialRingsAtPositions(fusedRing, seqRingsInput, options);
+  }
+
   // Normalize seqRings: accept both [ring] and [{ ring, depth }] formats
   // Extract colocated depths from { ring, depth } objects into options.depths
   const normalizedOptions = { ...options };
@@ -639,6 +737,249 @@ export function moleculeReplaceComponent(molecule, index, newComponent) {
   return createMoleculeNode(newComponents);
 }
 
+/**
+ * Named attachment points
+ * An attachment point R<n> is a dummy atom [*:n] (or [R<n>]) with a single
+ * neighbor; '*' names the one unlabelled dummy atom (* or [*]) of a node.
+ * Attaching to it replaces the dummy atom, so the neighbor bonds to the
+ * attachment instead.
+ */
+
+const ATTACHMENT_POINT_NAME = /^R(\d+)$/;
+
+// Atom class of an attachment point name, null for '*'
+function attachmentPointClass(name) {
+  if (name === '*') return null;
+  const match = ATTACHMENT_POINT_NAME.exec(name);
+  if (!match) {
+    throw new Error(`Invalid attachment point name: '${name}' (expected 'R1', 'R2', ..., or '*')`);
+  }
+  return Number(match[1]);
+}
+
+function isDummyAtom(atom, atomClass) {
+  return atom.element === '*' && atom.atomClass === atomClass;
+}
+
+/**
+ * Names of the attachment points of a node, in written order
+ * @param {Object} node - Any AST node
+ * @returns {Array<string>} Names ('R1', 'R2', ..., '*' for unlabelled dummy atoms)
+ */
+export function attachmentPoints(node) {
+  return toGraph(node).atoms
+    .filter((atom) => atom.element === '*')
+    .map((atom) => (atom.atomClass === null ? '*' : `R${atom.atomClass}`));
+}
+
+/**
+ * Find the dummy atom of an attachment point in a graph
+ * @returns {{dummy: number, neighbor: number, bond: Object, atomClass: number|null}}
+ */
+function findAttachmentPoint(graph, name) {
+  const atomClass = attachmentPointClass(name);
+  const dummies = graph.atoms.filter((atom) => isDummyAtom(atom, atomClass));
+  if (dummies.length === 0) {
+    const written = atomClass === null ? '' : ` ([*:${atomClass}])`;
+    throw new Error(`No attachment point ${name}${written} in ${graph.smiles}`);
+  }
+  if (dummies.length > 1) {
+    throw new Error(`Attachment point ${name} appears ${dummies.length} times in ${graph.smiles}`);
+  }
+  const [dummy] = dummies;
+  if (dummy.neighbors.length !== 1) {
+    throw new Error(`Attachment point ${name} must have exactly one neighbor in ${graph.smiles}`);
+  }
+  const bond = graph.bonds.find((b) => b.from === dummy.index || b.to === dummy.index);
+  return {
+    dummy: dummy.index, neighbor: dummy.neighbors[0], bond, atomClass,
+  };
+}
+
+/**
+ * Add an offset to the ring numbers of a SMILES string
+ */
+function offsetRingMarkers(smiles, offset) {
+  let output = '';
+  let copied = 0;
+  tokenize(smiles).forEach((token) => {
+    if (token.type !== TokenType.RING_MARKER) return;
+    output += smiles.slice(copied, token.position) + formatRingNumber(token.ringNumber + offset);
+    copied = token.position + token.value.length;
+  });
+  return output + smiles.slice(copied);
+}
+
+/**
+ * Write a node so the dummy atom of an attachment point comes after its neighbor
+ *
+ * The node keeps its written form when it already does (C([*:1])O,
+ * c1ccccc1[*:1]); otherwise it is rewritten from the neighbor.
+ *
+ * @returns {{written: string, tokens: Array<Object>, index: number, neighbor: number,
+ *   bond: Object}} index is the token of the dummy atom, neighbor the atom index of
+ *   its neighbor in the written SMILES
+ */
+function writeFromNeighbor(node, name) {
+  const graph = toGraph(node);
+  const point = findAttachmentPoint(graph, name);
+  const inPlace = point.dummy > point.neighbor && !point.bond.ringClosure;
+  const written = inPlace ? graph.smiles : writeGraphSMILES(graph, { start: point.neighbor });
+  const tokens = tokenize(written);
+  const index = tokens.findIndex(
+    (token) => token.type === TokenType.ATOM
+      && isDummyAtom(atomPropsFromToken(token.atom), point.atomClass),
+  );
+  return {
+    written, tokens, index, neighbor: inPlace ? point.neighbor : 0, bond: point.bond,
+  };
+}
+
+/**
+ * Replace the dummy atom of an attachment point with SMILES starting at the atom
+ * that takes its place
+ *
+ * @param {Object} node - Node with the attachment point
+ * @param {string} name - Attachment point name
+ * @param {string} smiles - SMILES of the attachment, starting with its attaching atom
+ * @param {string} bond - Bond symbol to use when the node has none before the dummy
+ * @returns {Object} New AST node
+ */
+function replaceAttachmentPoint(node, name, smiles, bond) {
+  const { written, tokens, index } = writeFromNeighbor(node, name);
+  const dummy = tokens[index];
+  const hasBond = tokens[index - 1].type === TokenType.BOND;
+  const offset = Math.max(0, ...tokens
+    .filter((token) => token.type === TokenType.RING_MARKER)
+    .map((token) => token.ringNumber));
+
+  return parse(
+    written.slice(0, dummy.position)
+    + (hasBond ? '' : bond)
+    + offsetRingMarkers(smiles, offset)
+    + written.slice(dummy.position + dummy.value.length),
+  );
+}
+
+/**
+ * Neighbor of a removed dummy atom, written with the hydrogens that take its place
+ *
+ * Organic-subset atoms get them implicitly, except aromatic heteroatoms (n -> [nH]).
+ * A '@'/'@@' bracket atom keeps its configuration with the new H written first
+ * after the preceding atom, so it is inverted when the dummy atom was an odd
+ * number of places from there; an atom that already had hydrogens loses it.
+ *
+ * @param {Object} token - ATOM token of the neighbor
+ * @param {number} hydrogens - Hydrogens replacing the dummy atom
+ * @param {number} shift - Places between the dummy atom and the new H in the
+ *   neighbor's written order
+ * @returns {string} Atom SMILES
+ */
+function withHydrogens(token, hydrogens, shift) {
+  const props = atomPropsFromToken(token.atom);
+  if (typeof token.atom === 'string') {
+    const implicit = !props.aromatic || props.element === 'C';
+    return implicit ? token.value : atomToSMILES({ ...props, hCount: hydrogens });
+  }
+  const atom = atomToSMILES(normalizeAtomProps({
+    ...props,
+    hCount: props.hCount + hydrogens,
+    chirality: props.hCount + hydrogens > 1 ? null : props.chirality,
+  }));
+  return shift % 2 === 1 ? invertChirality(atom) : atom;
+}
+
+/**
+ * Replace the dummy atom of an attachment point with hydrogen
+ * @param {Object} node - Node with the attachment point
+ * @param {string} name - Attachment point name
+ * @returns {Object} New AST node
+ */
+function removeAttachmentPoint(node, name) {
+  const {
+    written, tokens, index, neighbor, bond,
+  } = writeFromNeighbor(node, name);
+  const atomTokens = tokens.filter((token) => token.type === TokenType.ATOM);
+  const neighborToken = atomTokens[neighbor];
+  const graph = toGraph(written);
+  const { neighbors } = graph.atoms[neighbor];
+  const hasPreceding = neighbors.length > 0 && neighbors[0] < neighbor && graph.bonds.some(
+    (b) => !b.ringClosure && b.from === neighbors[0] && b.to === neighbor,
+  );
+  const shift = Math.abs(
+    neighbors.indexOf(atomTokens.indexOf(tokens[index])) - (hasPreceding ? 1 : 0),
+  );
+
+  // The dummy atom with its bond, and the parentheses when it is a branch of its own
+  let first = tokens[index - 1].type === TokenType.BOND ? index - 1 : index;
+  let last = index;
+  if (tokens[first - 1].type === TokenType.BRANCH_OPEN
+    && tokens[last + 1] && tokens[last + 1].type === TokenType.BRANCH_CLOSE) {
+    first -= 1;
+    last += 1;
+  }
+
+  return parse(
+    written.slice(0, neighborToken.position)
+    + withHydrogens(neighborToken, Math.floor(bond.order), shift)
+    + written.slice(neighborToken.position + neighborToken.value.length, tokens[first].position)
+    + written.slice(tokens[last].position + tokens[last].value.length),
+  );
+}
+
+/**
+ * Attach a node at a named attachment point
+ *
+ * The dummy atom [*:n] of attachment point R<n> is replaced by the attachment,
+ * whose first atom bonds to the dummy's neighbor (with the dummy's bond). With a
+ * null attachment the dummy atom is replaced by hydrogen.
+ *
+ * @param {Object} node - Any AST node with the attachment point
+ * @param {string} name - Attachment point name ('R1' for [*:1], '*' for *)
+ * @param {Object|null} attachment - AST node to attach, or null for hydrogen
+ * @returns {Object} New AST node
+ *
+ * @example
+ * attachNamed(Fragment('c1ccc(cc1)[*:1]'), 'R1', Linear(['C', 'O']));
+ * // c1ccc(cc1)CO
+ * attachNamed(Fragment('c1ccc(cc1)[*:1]'), 'R1', null);
+ * // c1ccc(cc1)
+ */
+export function attachNamed(node, name, attachment) {
+  if (attachment === null) return removeAttachmentPoint(node, name);
+  return replaceAttachmentPoint(node, name, buildSMILES(attachment), '');
+}
+
+/**
+ * Join two nodes at named attachment points
+ *
+ * Both dummy atoms are removed and their neighbors bonded, with the bond written
+ * at a's dummy atom, or else at b's. Other attachment points of both nodes are
+ * kept, so a and b should not share names that are still to be used.
+ *
+ * @param {Object} a - Node with attachment point nameA
+ * @param {string} nameA - Attachment point of a ('R1')
+ * @param {Object} b - Node with attachment point nameB
+ * @param {string} nameB - Attachment point of b ('R2')
+ * @returns {Object} New AST node
+ *
+ * @example
+ * connect(Fragment('c1ccc(cc1)[*:1]'), 'R1', Fragment('[*:2]C(=O)O'), 'R2');
+ * // c1ccc(cc1)C(=O)O
+ */
+export function connect(a, nameA, b, nameB) {
+  const graph = toGraph(b);
+  const point = findAttachmentPoint(graph, nameB);
+  // Write b from its dummy atom, so the atom taking its place comes right after it
+  const written = point.dummy === 0 && !point.bond.ringClosure
+    ? graph.smiles
+    : writeGraphSMILES(graph, { start: point.dummy });
+  const [dummy, next] = tokenize(written);
+  const bond = next.type === TokenType.BOND ? next.value : '';
+  const rest = written.slice(dummy.value.length + bond.length);
+  return replaceAttachmentPoint(a, nameA, rest, bond);
+}
+
 /**
  * Generic repeat / polymer methods
  */
@@ -747,14 +1088,25 @@ function shiftRingNumbers(node, delta) {
  *
  * @param {Object} node - Any AST node (Ring, Linear, FusedRing, Molecule)
  * @param {number} n - Number of repeating units (>= 1)
- * @param {number} leftId - 1-indexed left (incoming) attachment point
- * @param {number} rightId - 1-indexed right (outgoing) attachment point
- * @returns {Object} Molecule node (or clone for n=1)
+ * @param {number|string} leftId - 1-indexed left (incoming) attachment point, or
+ *   the name of one ('R1'); with names the copies are joined with connect() and
+ *   the first copy's leftId and last copy's rightId stay open
+ * @param {number|string} rightId - 1-indexed right (outgoing) attachment point, or
+ *   the name of one ('R2')
+ * @returns {Object} Molecule node (or clone for n=1; the joined node with names)
  */
 export function repeat(node, n, leftId, rightId) {
   if (!Number.isInteger(n) || n < 1) {
     throw new Error('Repeat count n must be an integer >= 1');
   }
+  if (typeof leftId === 'string' && typeof rightId === 'string') {
+    // Named attachment points: each copy's leftId joins the previous copy's rightId
+    let result = cloneNode(node);
+    for (let i = 1; i < n; i += 1) {
+      result = connect(result, rightId, node, leftId);
+    }
+    return result;
+  }
   if (!Number.isInteger(leftId) || leftId < 1) {
     throw new Error('leftId must be a positive integer');
   }
@@ -867,7 +1219,8 @@ export function fusedRepeat(ring, n, offset) {
  *
  * Takes atoms [0..pivotId-1] (left half including pivot), then appends
  * atoms [pivotId-2..0] in reverse. The pivot atom appears once in the center.
- * Bonds and attachments are mirrored accordingly.
+ * Bonds and attachments are mirrored accordingly. Copied '@'/'@@' atoms keep
+ * the configuration of the atom they copy (R stays R).
  *
  * @param {Object} linear - Linear AST node
  * @param {number} [pivotId] - 1-indexed pivot position (default: atoms.length)
@@ -888,6 +1241,11 @@ export function linearMirror(linear, pivotId) {
 
   const newAtoms = [...leftAtoms, ...rightAtoms];
 
+  // Copied stereocenters keep the configuration of the atom they copy
+  const mirrorPosition = (p) => 2 * pivot - p;
+  const copies = rightAtoms.map((atom, i) => [pivot - 1 - i, pivot + 1 + i]);
+  const keepStereo = (mirrored) => keepMirroredStereo(linear, mirrored, copies, mirrorPosition);
+
   // Mirror bonds
   // In main-chain format, bonds[i] is the bond between atoms[i] and atoms[i+1]
   // Pad bonds to full length (pivot-1 entries for the left half) so mirror is correct
@@ -903,7 +1261,7 @@ export function linearMirror(linear, pivotId) {
   const hasAtt = Object.keys(leftAttachments).length > 0;
 
   if (!hasAtt) {
-    return createLinearNode(newAtoms, newBonds, {});
+    return keepStereo(createLinearNode(newAtoms, newBonds, {}));
   }
 
   // Attachments need ring renumbering for the mirrored half
@@ -927,7 +1285,7 @@ export function linearMirror(linear, pivotId) {
     });
   });
 
-  return createLinearNode(newAtoms, newBonds, newAttachments);
+  return keepStereo(createLinearNode(newAtoms, newBonds, newAttachments));
 }
 
 /**
@@ -975,6 +1333,7 @@ export function moleculeMirror(molecule, pivotComponent) {
  * For each attachment/substitution at position p, adds a copy at the mirror
  * position relative to the pivot. The mirror position for p around pivot v
  * on a ring of size s is: ((2*v - p - 1) mod s) + 1  (1-indexed).
+ * Copied '@'/'@@' substitutions keep the configuration of the atom they copy.
  *
  * @param {Object} ring - Ring AST node
  * @param {number} [pivotId=1] - 1-indexed pivot position
@@ -994,11 +1353,13 @@ export function ringMirror(ring, pivotId) {
 
   // Mirror substitutions
   const newSubstitutions = { ...ring.substitutions };
+  const copies = [];
   Object.entries(ring.substitutions).forEach(([posStr, atom]) => {
     const pos = Number(posStr);
     const mp = mirrorPos(pos);
     if (mp !== pos && !newSubstitutions[mp]) {
       newSubstitutions[mp] = atom;
+      copies.push([pos, mp]);
     }
   });
 
@@ -1021,7 +1382,8 @@ export function ringMirror(ring, pivotId) {
     });
   });
 
-  return createRingNode(
+  // Copied stereocenters keep the configuration of the atom they copy
+  return keepMirroredStereo(ring, createRingNode(
     ring.atoms,
     ring.size,
     ring.ringNumber,
@@ -1030,5 +1392,5 @@ export function ringMirror(ring, pivotId) {
     newAttachments,
     ring.bonds || [],
     ring.metaBranchDepths || null,
-  );
+  ), copies, mirrorPos);
 }
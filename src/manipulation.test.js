@@ -4,7 +4,10 @@ import {
 } from './constructors.js';
 import {
   repeat, fusedRepeat, linearMirror, moleculeMirror, ringMirror,
+  attachNamed, connect, attachmentPoints,
 } from './manipulation.js';
+import { Fragment } from './fragment.js';
+import { canonicalSMILES } from './canonical.js';
 
 describe('Ring.attach()', () => {
   test('attaches a linear chain to a ring', () => {
@@ -42,6 +45,19 @@ describe('Ring.attach()', () => {
     expect(() => benzene.attach(0, methyl)).toThrow('Position must be an integer between 1 and 6');
     expect(() => benzene.attach(7, methyl)).toThrow('Position must be an integer between 1 and 6');
   });
+
+  test('strict mode rejects over-valent atoms', () => {
+    const cyclohexane = Ring({ atoms: 'C', size: 6 });
+    const methyl = Linear(['C']);
+    const gemDimethyl = cyclohexane
+      .attach(1, methyl, { strict: true })
+      .attach(1, methyl, { strict: true });
+
+    expect(gemDimethyl.attachments[1]).toHaveLength(2);
+    expect(() => gemDimethyl.attach(1, methyl, { strict: true }))
+      .toThrow('Invalid valence: C at position 1 of ring has valence 5 (max 4)');
+    expect(() => gemDimethyl.attach(1, methyl)).not.toThrow();
+  });
 });
 
 describe('Ring.substitute()', () => {
@@ -171,6 +187,15 @@ describe('Linear.attach()', () => {
     expect(() => propyl.attach(0, methyl)).toThrow('Position must be an integer between 1 and 3');
     expect(() => propyl.attach(4, methyl)).toThrow('Position must be an integer between 1 and 3');
   });
+
+  test('strict mode rejects over-valent atoms', () => {
+    const carbonyl = Linear(['C', 'C'], ['=']);
+    const hydroxyl = Linear(['O']);
+
+    expect(carbonyl.attach(2, hydroxyl, { strict: true }).smiles).toBe('C=C(O)');
+    expect(() => Linear(['C', 'O'], ['#']).attach(2, hydroxyl, { strict: true }))
+      .toThrow('O at position 2 of linear has valence 4 (max 2)');
+  });
 });
 
 describe('Linear.branch()', () => {
@@ -258,6 +283,15 @@ describe('Linear.concat()', () => {
     expect(result.bonds).toEqual(['=']);
   });
 
+  test('keeps attachments of both chains', () => {
+    const isopropyl = Linear(['C', 'C']).attach(2, Linear(['C']));
+    const chloroethyl = Linear(['C', 'C']).attach(1, Linear(['Cl']));
+    const result = isopropyl.concat(chloroethyl);
+
+    expect(Object.keys(result.attachments)).toEqual(['2', '3']);
+    expect(result.smiles).toBe('CC(C)C(Cl)C');
+  });
+
   test('concatenates linear with ring', () => {
     const propyl = Linear(['C', 'C', 'C']);
     const benzene = Ring({ atoms: 'c', size: 6 });
@@ -347,6 +381,29 @@ describe('FusedRing methods', () => {
     expect(fusedRing.rings[1].attachments).toEqual({});
   });
 
+  test('attachToRing() and substituteInRing() keep the layout of parsed rings', () => {
+    const naphthalene = Fragment('c1ccc2ccccc2c1');
+    const methyl = Linear(['C']);
+
+    expect(naphthalene.attachToRing(1, 2, methyl).smiles).toBe('c1c(C)cc2ccccc2c1');
+    expect(naphthalene.attachToRing(2, 3, methyl).smiles).toBe('c1ccc2cc(C)ccc2c1');
+    expect(naphthalene.substituteInRing(2, 3, 'n').smiles).toBe('c1ccc2cnccc2c1');
+    expect(Fragment('C1CC2CC1C2').attachToRing(2, 2, methyl).smiles).toBe('C1CC2C(C)C1C2');
+  });
+
+  test('attachToRing() strict mode rejects over-valent atoms', () => {
+    const ring1 = Ring({ atoms: 'c', size: 10, ringNumber: 1 });
+    const ring2 = Ring({ atoms: 'c', size: 6, ringNumber: 2 });
+    const naphthalene = ring1.fuse(2, ring2);
+    const methyl = Linear(['C']);
+
+    expect(naphthalene.attachToRing(2, 2, methyl, { strict: true }).rings[1].attachments[2])
+      .toHaveLength(1);
+    // Ring 2 position 1 is the fusion atom, written as position 3 of ring 1
+    expect(() => naphthalene.attachToRing(2, 1, methyl, { strict: true }))
+      .toThrow('Invalid valence: C at position 3 of ring has valence 5 (max 4)');
+  });
+
   test('renumber() renumbers rings sequentially', () => {
     const ring1 = Ring({ atoms: 'C', size: 10, ringNumber: 5 });
     const ring2 = Ring({ atoms: 'C', size: 6, ringNumber: 7 });
@@ -535,6 +592,95 @@ describe('repeat()', () => {
   });
 });
 
+describe('Named attachment points', () => {
+  const phenyl = Fragment('c1ccc(cc1)[*:1]');
+
+  test('lists attachment points in written order', () => {
+    expect(attachmentPoints(Fragment('[*:1]CC([*:3])C[*:2]'))).toEqual(['R1', 'R3', 'R2']);
+    expect(attachmentPoints(Fragment('*CC[R2]'))).toEqual(['*', 'R2']);
+    expect(phenyl.attachmentPoints()).toEqual(['R1']);
+  });
+
+  test('attach() replaces the dummy atom and keeps the written form', () => {
+    expect(phenyl.attach('R1', Linear(['C', 'O'])).smiles).toBe('c1ccc(cc1)CO');
+    expect(Fragment('CC([*:1])O').attach('R1', Ring({ atoms: 'C', size: 6 })).smiles)
+      .toBe('CC(C1CCCCC1)O');
+    expect(Fragment('C=[*:1]').attach('R1', Linear(['O'])).smiles).toBe('C=O');
+  });
+
+  test('attach() keeps ring numbers apart', () => {
+    const cyclobutyl = Fragment('C1CC([*:1])C1');
+    expect(cyclobutyl.attach('R1', Ring({ atoms: 'C', size: 3 })).smiles).toBe('C1CC(C2CC2)C1');
+  });
+
+  test('attach() rewrites nodes whose dummy atom comes first', () => {
+    const biphenyl = attachNamed(Fragment('[*:1]c1ccccc1'), 'R1', Ring({ atoms: 'c', size: 6 }));
+    expect(canonicalSMILES(biphenyl)).toBe(canonicalSMILES('c1ccccc1c1ccccc1'));
+    const butan2amine = Fragment('[*:1][C@@H](N)C').attach('R1', Linear(['C', 'C']));
+    expect(canonicalSMILES(butan2amine)).toBe(canonicalSMILES('CC[C@@H](N)C'));
+  });
+
+  test('attach() on any node type', () => {
+    const molecule = Molecule([Linear(['C']), Fragment('C[*:1]')]);
+    expect(molecule.attach('R1', Linear(['Cl'])).smiles).toBe('CCCl');
+    const naphthyl = Fragment('c1ccc2cc([*:1])ccc2c1');
+    expect(naphthyl.attach('R1', Linear(['O'])).smiles).toBe('c1ccc2cc(O)ccc2c1');
+  });
+
+  test('connect() joins two nodes at their attachment points', () => {
+    expect(connect(phenyl, 'R1', Fragment('[*:2]C(=O)O'), 'R2').smiles)
+      .toBe('c1ccc(cc1)C(=O)O');
+    const ester = connect(phenyl, 'R1', Fragment('OC(=O)[*:2]'), 'R2');
+    expect(canonicalSMILES(ester)).toBe(canonicalSMILES('c1ccccc1C(=O)O'));
+    const alkene = connect(Fragment('C[*:1]'), 'R1', Fragment('[*:2]=C'), 'R2');
+    expect(alkene.smiles).toBe('C=C');
+  });
+
+  test('connect() keeps the other attachment points', () => {
+    const linker = connect(Fragment('[*:1]CC[*:2]'), 'R2', Fragment('[*:3]OC[*:4]'), 'R3');
+    expect(linker.smiles).toBe('[*:1]CCOC[*:4]');
+    expect(linker.attachmentPoints()).toEqual(['R1', 'R4']);
+  });
+
+  test('repeat() joins copies at named attachment points', () => {
+    const unit = Fragment('[*:1]OCC[*:2]');
+    const peg = unit.repeat(3, 'R1', 'R2');
+    expect(peg.smiles).toBe('[*:1]OCCOCCOCC[*:2]');
+    expect(repeat(unit, 1, 'R1', 'R2').smiles).toBe('[*:1]OCC[*:2]');
+  });
+
+  test('attach() at [R1] placeholders and unlabelled dummy atoms', () => {
+    expect(Fragment('c1ccc([R1])cc1').attach('R1', Linear(['Cl'])).smiles).toBe('c1ccc(Cl)cc1');
+    expect(Fragment('c1ccccc1*').attach('*', Linear(['O'])).smiles).toBe('c1ccccc1O');
+    expect(connect(Fragment('CC*'), '*', Fragment('*C(=O)O'), '*').smiles).toBe('CCC(=O)O');
+  });
+
+  test('attach() with null replaces the dummy atom with hydrogen', () => {
+    expect(phenyl.attach('R1', null).smiles).toBe('c1ccc(cc1)');
+    expect(Fragment('CC([*:1])O').attach('R1', null).smiles).toBe('CCO');
+    expect(Fragment('C=[*:1]').attach('R1', null).smiles).toBe('C');
+    expect(attachNamed(Fragment('n1([R1])cccc1'), 'R1', null).smiles).toBe('[nH]1cccc1');
+  });
+
+  test('attach() with null keeps stereocenters', () => {
+    const alanine = Fragment('N[C@@]([*:1])(C)C(=O)O').attach('R1', null);
+    expect(alanine.smiles).toBe('N[C@@H](C)C(=O)O');
+    const cyclobutyl = Fragment('[C@@]1([R1])(F)CCC1N').attach('R1', null);
+    expect(canonicalSMILES(cyclobutyl)).toBe(canonicalSMILES('[C@H]1(F)CCC1N'));
+    expect(Fragment('N[C@@H](C)[*:1]').attach('R1', null).smiles).toBe('N[CH2](C)');
+  });
+
+  test('throws on missing, repeated or invalid attachment points', () => {
+    expect(() => phenyl.attach('R2', Linear(['C']))).toThrow('No attachment point R2 ([*:2])');
+    expect(() => Fragment('[*:1]C[*:1]').attach('R1', Linear(['C'])))
+      .toThrow('Attachment point R1 appears 2 times');
+    expect(() => Fragment('C[*:1]C').attach('R1', Linear(['O'])))
+      .toThrow('Attachment point R1 must have exactly one neighbor');
+    expect(() => phenyl.attach('X1', Linear(['C']))).toThrow("Invalid attachment point name: 'X1'");
+    expect(() => Fragment('*C*').attach('*', null)).toThrow('Attachment point * appears 2 times');
+  });
+});
+
 describe('fusedRepeat()', () => {
   test('fusedRepeat n=1 returns ring clone', () => {
     const benzene = Ring({ atoms: 'c', size: 6 });
@@ -3,8 +3,19 @@
  */
 
 import { buildSMILES } from './codegen/index.js';
+import { isAtomNode } from './ast.js';
 import { decompile } from './decompiler.js';
-import { deepCloneLinear, deepCloneFusedRing, deepCloneMolecule } from './clone-utils.js';
+import { toGraph } from './graph.js';
+import { formula, molecularWeight, exactMass } from './properties.js';
+import { validateValence } from './valence.js';
+import { kekulize, aromatize } from './aromaticity.js';
+import { getStereocenters, setChirality } from './stereo.js';
+import { cipLabelsByNode } from './cip.js';
+import { match, hasSubstructure } from './substructure.js';
+import { findFunctionalGroups } from './functional-groups.js';
+import {
+  deepCloneLinear, deepCloneFusedRing, deepCloneMolecule, deepCloneAtom,
+} from './clone-utils.js';
 import {
   ringAttach,
   ringSubstitute,
@@ -29,11 +40,15 @@ import {
   moleculeConcat,
   moleculeGetComponent,
   moleculeReplaceComponent,
+  ringGetAtom,
+  linearGetAtom,
   repeat,
   fusedRepeat,
   linearMirror,
   moleculeMirror,
   ringMirror,
+  attachNamed,
+  attachmentPoints,
 } from './manipulation.js';
 
 /**
@@ -53,20 +68,60 @@ export function attachSmilesGetter(node) {
   return node;
 }
 
+// Convert Atom nodes to plain objects, leaving atom strings untouched
+function atomToObject(atom) {
+  return isAtomNode(atom) ? atom.toObject() : atom;
+}
+
+// CIP labels of the outermost node being converted by toObject(), by node
+let activeCIPLabels = null;
+
+/**
+ * Run a toObject() body and add the node's CIP labels as `cip` ({ position: label })
+ * Labels are assigned once for the outermost node, so nested nodes are labelled
+ * in the context of the whole molecule. Nodes that cannot be written as SMILES
+ * get no labels.
+ */
+function withCIPLabels(node, build) {
+  const outermost = activeCIPLabels === null;
+  if (outermost) {
+    try {
+      activeCIPLabels = cipLabelsByNode(node);
+    } catch {
+      activeCIPLabels = new Map();
+    }
+  }
+  try {
+    const result = build();
+    const labels = activeCIPLabels.get(node);
+    if (labels) result.cip = { ...labels };
+    return result;
+  } finally {
+    if (outermost) activeCIPLabels = null;
+  }
+}
+
 // Attach manipulation methods to Ring nodes
 export function attachRingMethods(node) {
   return Object.assign(node, {
     attach(position, attachment, options) {
+      if (typeof position === 'string') return attachNamed(this, position, attachment);
       return ringAttach(this, position, attachment, options);
     },
+    attachmentPoints() {
+      return attachmentPoints(this);
+    },
     substitute(position, newAtom) {
       return ringSubstitute(this, position, newAtom);
     },
     substituteMultiple(substitutionMap) {
       return ringSubstituteMultiple(this, substitutionMap);
     },
-    fuse(offset, otherRing) {
-      return ringFuse(this, offset, otherRing);
+    getAtom(position) {
+      return ringGetAtom(this, position);
+    },
+    fuse(offset, otherRing, options) {
+      return ringFuse(this, offset, otherRing, options);
     },
     concat(other) {
       return ringConcat(this, other);
@@ -87,23 +142,64 @@ export function attachRingMethods(node) {
       return ringMirror(this, pivotId);
     },
     toObject() {
-      const result = {
-        type: this.type,
-        atoms: this.atoms,
-        size: this.size,
-        ringNumber: this.ringNumber,
-        offset: this.offset,
-        substitutions: { ...this.substitutions },
-        attachments: {},
-        bonds: [...(this.bonds || [])],
-      };
-      Object.entries(this.attachments).forEach(([pos, attachmentList]) => {
-        result.attachments[pos] = attachmentList.map((a) => (a.toObject ? a.toObject() : a));
+      return withCIPLabels(this, () => {
+        const result = {
+          type: this.type,
+          atoms: atomToObject(this.atoms),
+          size: this.size,
+          ringNumber: this.ringNumber,
+          offset: this.offset,
+          substitutions: {},
+          attachments: {},
+          bonds: [...(this.bonds || [])],
+        };
+        Object.entries(this.substitutions).forEach(([pos, atom]) => {
+          result.substitutions[pos] = atomToObject(atom);
+        });
+        Object.entries(this.attachments).forEach(([pos, attachmentList]) => {
+          result.attachments[pos] = attachmentList.map((a) => (a.toObject ? a.toObject() : a));
+        });
+        return result;
       });
-      return result;
     },
-    toCode(varName = 'ring', { verbose = false } = {}) {
-      return decompile(this, { varName, verbose });
+    toGraph() {
+      return toGraph(this);
+    },
+    formula() {
+      return formula(this);
+    },
+    molecularWeight() {
+      return molecularWeight(this);
+    },
+    exactMass() {
+      return exactMass(this);
+    },
+    validateValence() {
+      return validateValence(this);
+    },
+    kekulize() {
+      return kekulize(this);
+    },
+    aromatize() {
+      return aromatize(this);
+    },
+    getStereocenters() {
+      return getStereocenters(this);
+    },
+    setChirality(position, value) {
+      return setChirality(this, position, value);
+    },
+    match(query, options) {
+      return match(this, query, options);
+    },
+    hasSubstructure(query) {
+      return hasSubstructure(this, query);
+    },
+    findFunctionalGroups() {
+      return findFunctionalGroups(this);
+    },
+    toCode(varName = 'ring', options = {}) {
+      return decompile(this, { ...options, varName });
     },
   });
 }
@@ -111,8 +207,12 @@ export function attachRingMethods(node) {
 // Attach manipulation methods to Linear nodes
 export function attachLinearMethods(node) {
   return Object.assign(node, {
-    attach(position, attachment) {
-      return linearAttach(this, position, attachment);
+    attach(position, attachment, options) {
+      if (typeof position === 'string') return attachNamed(this, position, attachment);
+      return linearAttach(this, position, attachment, options);
+    },
+    attachmentPoints() {
+      return attachmentPoints(this);
     },
     branch(branchPoint, ...branches) {
       return linearBranch(this, branchPoint, ...branches);
@@ -120,6 +220,9 @@ export function attachLinearMethods(node) {
     branchAt(branchMap) {
       return linearBranchAt(this, branchMap);
     },
+    getAtom(position) {
+      return linearGetAtom(this, position);
+    },
     concat(other) {
       return linearConcat(this, other);
     },
@@ -133,19 +236,57 @@ export function attachLinearMethods(node) {
       return deepCloneLinear(this);
     },
     toObject() {
-      const result = {
-        type: this.type,
-        atoms: [...this.atoms],
-        bonds: [...this.bonds],
-        attachments: {},
-      };
-      Object.entries(this.attachments).forEach(([pos, attachmentList]) => {
-        result.attachments[pos] = attachmentList.map((a) => (a.toObject ? a.toObject() : a));
+      return withCIPLabels(this, () => {
+        const result = {
+          type: this.type,
+          atoms: this.atoms.map(atomToObject),
+          bonds: [...this.bonds],
+          attachments: {},
+        };
+        Object.entries(this.attachments).forEach(([pos, attachmentList]) => {
+          result.attachments[pos] = attachmentList.map((a) => (a.toObject ? a.toObject() : a));
+        });
+        return result;
       });
-      return result;
     },
-    toCode(varName = 'linear', { verbose = false } = {}) {
-      return decompile(this, { varName, verbose });
+    toGraph() {
+      return toGraph(this);
+    },
+    formula() {
+      return formula(this);
+    },
+    molecularWeight() {
+      return molecularWeight(this);
+    },
+    exactMass() {
+      return exactMass(this);
+    },
+    validateValence() {
+      return validateValence(this);
+    },
+    kekulize() {
+      return kekulize(this);
+    },
+    aromatize() {
+      return aromatize(this);
+    },
+    getStereocenters() {
+      return getStereocenters(this);
+    },
+    setChirality(position, value) {
+      return setChirality(this, position, value);
+    },
+    match(query, options) {
+      return match(this, query, options);
+    },
+    hasSubstructure(query) {
+      return hasSubstructure(this, query);
+    },
+    findFunctionalGroups() {
+      return findFunctionalGroups(this);
+    },
+    toCode(varName = 'linear', options = {}) {
+      return decompile(this, { ...options, varName });
     },
   });
 }
@@ -168,6 +309,12 @@ export function attachMoleculeMethods(node) {
     replaceComponent(index, newComponent) {
       return moleculeReplaceComponent(this, index, newComponent);
     },
+    attach(name, attachment) {
+      return attachNamed(this, name, attachment);
+    },
+    attachmentPoints() {
+      return attachmentPoints(this);
+    },
     repeat(n, leftId, rightId) {
       return repeat(this, n, leftId, rightId);
     },
@@ -178,13 +325,43 @@ export function attachMoleculeMethods(node) {
       return deepCloneMolecule(this);
     },
     toObject() {
-      return {
+      return withCIPLabels(this, () => ({
         type: this.type,
         components: this.components.map((c) => (c.toObject ? c.toObject() : c)),
-      };
+      }));
+    },
+    toGraph() {
+      return toGraph(this);
+    },
+    formula() {
+      return formula(this);
+    },
+    molecularWeight() {
+      return molecularWeight(this);
+    },
+    exactMass() {
+      return exactMass(this);
+    },
+    validateValence() {
+      return validateValence(this);
+    },
+    kekulize() {
+      return kekulize(this);
     },
-    toCode(varName = 'molecule', { verbose = false } = {}) {
-      return decompile(this, { varName, verbose });
+    aromatize() {
+      return aromatize(this);
+    },
+    match(query, options) {
+      return match(this, query, options);
+    },
+    hasSubstructure(query) {
+      return hasSubstructure(this, query);
+    },
+    findFunctionalGroups() {
+      return findFunctionalGroups(this);
+    },
+    toCode(varName = 'molecule', options = {}) {
+      return decompile(this, { ...options, varName });
     },
   });
 }
@@ -201,8 +378,14 @@ export function attachFusedRingMethods(node) {
     substituteInRing(ringNumber, position, newAtom) {
       return fusedRingSubstituteInRing(this, ringNumber, position, newAtom);
     },
-    attachToRing(ringNumber, position, attachment) {
-      return fusedRingAttachToRing(this, ringNumber, position, attachment);
+    attachToRing(ringNumber, position, attachment, options) {
+      return fusedRingAttachToRing(this, ringNumber, position, attachment, options);
+    },
+    attach(name, attachment) {
+      return attachNamed(this, name, attachment);
+    },
+    attachmentPoints() {
+      return attachmentPoints(this);
     },
     renumber(startNumber = 1) {
       return fusedRingRenumber(this, startNumber);
@@ -223,7 +406,7 @@ export function attachFusedRingMethods(node) {
       return deepCloneFusedRing(this);
     },
     toObject() {
-      return {
+      return withCIPLabels(this, () => ({
         type: this.type,
         rings: this.rings.map((r) => (r.toObject ? r.toObject() : {
           type: r.type,
@@ -234,10 +417,64 @@ export function attachFusedRingMethods(node) {
           substitutions: { ...r.substitutions },
           attachments: {},
         })),
-      };
+      }));
+    },
+    toGraph() {
+      return toGraph(this);
+    },
+    formula() {
+      return formula(this);
     },
-    toCode(varName = 'fusedRing', { verbose = false } = {}) {
-      return decompile(this, { varName, verbose });
+    molecularWeight() {
+      return molecularWeight(this);
+    },
+    exactMass() {
+      return exactMass(this);
+    },
+    validateValence() {
+      return validateValence(this);
+    },
+    kekulize() {
+      return kekulize(this);
+    },
+    aromatize() {
+      return aromatize(this);
+    },
+    match(query, options) {
+      return match(this, query, options);
+    },
+    hasSubstructure(query) {
+      return hasSubstructure(this, query);
+    },
+    findFunctionalGroups() {
+      return findFunctionalGroups(this);
+    },
+    toCode(varName = 'fusedRing', options = {}) {
+      return decompile(this, { ...options, varName });
+    },
+  });
+}
+
+// Attach methods to Atom nodes
+export function attachAtomMethods(node) {
+  return Object.assign(node, {
+    toString() {
+      return this.smiles;
+    },
+    clone() {
+      return deepCloneAtom(this);
+    },
+    toObject() {
+      return {
+        type: this.type,
+        element: this.element,
+        aromatic: this.aromatic,
+        isotope: this.isotope,
+        chirality: this.chirality,
+        hCount: this.hCount,
+        charge: this.charge,
+        atomClass: this.atomClass,
+      };
     },
   });
 }
@@ -3,13 +3,18 @@
  */
 
 import { ASTNodeType } from './ast.js';
-import { computeFusedRingPositions, applyRingBranchDepthsToFusedRing } from './layout/index.js';
+import {
+  computeFusedRingPositions,
+  applyRingBranchDepthsToFusedRing,
+  layoutFusedRingAtPositions,
+} from './layout/index.js';
 import {
   attachSmilesGetter,
   attachRingMethods,
   attachLinearMethods,
   attachFusedRingMethods,
   attachMoleculeMethods,
+  attachAtomMethods,
 } from './method-attachers.js';
 
 export function createRingNode(
@@ -239,6 +244,11 @@ export function createFusedRingNode(rings, options = {}) {
     }
   }
 
+  // Lay out rings at the atom positions given (layouts offsets cannot express)
+  if (options.positions) {
+    layoutFusedRingAtPositions(node, node.rings, options.positions, options);
+  }
+
   // Only compute position metadata if not already present from parser or options
   // Parser-generated rings have metaPositions, API-created rings don't
   // Also skip if explicitly requested via options
@@ -269,3 +279,19 @@ export function createMoleculeNode(components) {
   attachMoleculeMethods(node);
   return node;
 }
+
+export function createAtomNode(props) {
+  const node = {
+    type: ASTNodeType.ATOM,
+    element: props.element,
+    aromatic: props.aromatic,
+    isotope: props.isotope,
+    chirality: props.chirality,
+    hCount: props.hCount,
+    charge: props.charge,
+    atomClass: props.atomClass,
+  };
+  attachSmilesGetter(node);
+  attachAtomMethods(node);
+  return node;
+}
@@ -74,7 +74,7 @@ export function buildSingleRingNodeWithContext(
     const bond = ringAtoms[i].bond || null;
     bonds.push(bond);
   }
-  bonds.push(null);
+  bonds.push(ring.closureBond || null);
 
   // Extract attachments from branches
   const attachments = {};
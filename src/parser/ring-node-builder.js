@@ -122,7 +122,7 @@ export function buildSingleRingNodeWithContext(
   const ringAtoms = ring.positions.map((pos) => atoms[pos]);
   const baseAtom = determineBaseAtom(ringAtoms);
   const substitutions = calculateSubstitutions(ringAtoms, baseAtom);
-  const bonds = extractRingBonds(ringAtoms);
+  const bonds = extractRingBonds(ringAtoms, ring.closureBond);
 
   const attachments = {};
   const excludedPositions = buildExcludedPositions(fusedGroupPositions, ringAtoms, ringBoundaries);
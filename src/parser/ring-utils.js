@@ -251,12 +251,12 @@ export function calculateSubstitutions(ringAtoms, baseAtom) {
 /**
  * Extract bonds between ring atoms
  */
-export function extractRingBonds(ringAtoms) {
+export function extractRingBonds(ringAtoms, closureBond = null) {
   const bonds = [];
   for (let i = 1; i < ringAtoms.length; i += 1) {
     const bond = ringAtoms[i].bond || null;
     bonds.push(bond);
   }
-  bonds.push(null);
+  bonds.push(closureBond || null);
   return bonds;
 }
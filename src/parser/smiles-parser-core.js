@@ -12,12 +12,36 @@ import {
   collectRingPath,
 } from './ring-utils.js';
 import { buildAST } from './ast-builder.js';
+import { SmilesSyntaxError, createErrorReporter } from '../errors.js';
+
+// What may follow a bond
+const AFTER_BOND = ['atom', 'ring bond'];
+
+// Directional bonds, which may differ at the two ends of a ring bond
+const DIRECTIONAL_BONDS = ['/', '\\'];
 
 /**
  * Pass 1: Linear scan with ring and branch tracking
  * Builds a flat list of atoms with metadata about rings and branches
+ *
+ * Unclosed rings (reported with the position each was opened at), unmatched
+ * parentheses, empty branches, branches and ring bonds without a preceding atom
+ * (at the start or after a dot), bonds without an atom on either side, two bonds
+ * in a row, ring bonds written differently at their two ends and dots without an
+ * atom on either side are syntax errors. With options.errors they are collected
+ * there and left out of the atom list: unclosed ring openings, stray ')',
+ * dangling and repeated bonds, ring bonds without an atom and stray dots are
+ * dropped, the atoms of a branch without an atom are read as if unbranched, and
+ * a ring bond keeps the bond it was opened with.
+ *
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ * @param {Object} [options] - Options
+ * @param {string} [options.smiles] - The tokenized input, for error snippets
+ * @param {Array} [options.errors] - Array collecting syntax errors
+ * @throws {SmilesSyntaxError} On a syntax error, without the errors option
  */
-export function buildAtomList(tokens) {
+export function buildAtomList(tokens, { smiles = '', errors } = {}) {
+  const report = createErrorReporter(smiles, errors);
   const atoms = [];
   // Track open rings: ringNumber -> startIndex
   const ringStacks = new Map();
@@ -31,9 +55,14 @@ export function buildAtomList(tokens) {
   const branches = [];
   // Track last atom index at each depth level
   const lastAtomAtDepth = new Map(); // depth -> atomIndex
+  // Depths of the open branches without a preceding atom, read as unbranched
+  const orphanBranches = [];
 
   let currentAtomIndex = -1;
+  // Whether an atom was written since the start or the last dot
+  let atomSinceDot = false;
   let currentBond = null;
+  let currentBondToken = null;
   let i = 0;
   // Track if a branch closed since the last atom at each depth (for sequential detection)
   const branchClosedSinceLastAtom = new Map(); // depth -> boolean
@@ -75,6 +104,7 @@ export function buildAtomList(tokens) {
       };
 
       atoms.push(atom);
+      atomSinceDot = true;
 
       // Track last atom at this depth level
       lastAtomAtDepth.set(branchStack.length, currentAtomIndex);
@@ -83,15 +113,47 @@ export function buildAtomList(tokens) {
 
       currentBond = null;
     } else if (token.type === TokenType.BOND) {
-      currentBond = token.value;
+      const previous = tokens[i - 1];
+      const next = tokens[i + 1];
+      if (!previous || previous.type === TokenType.DOT) {
+        report(`Bond without preceding atom at position ${token.position}`, {
+          position: token.position, token: token.value, expected: ['atom'],
+        });
+      } else if (previous.type === TokenType.BOND) {
+        report(`Bond after bond at position ${token.position}`, {
+          position: token.position, token: token.value, expected: AFTER_BOND,
+        });
+      } else if (!next || next.type === TokenType.BRANCH_CLOSE || next.type === TokenType.DOT) {
+        report(`Bond without following atom at position ${token.position}`, {
+          position: token.position, token: token.value, expected: AFTER_BOND,
+        });
+      } else {
+        currentBond = token.value;
+        currentBondToken = token;
+      }
     } else if (token.type === TokenType.RING_MARKER) {
       const { ringNumber } = token;
 
-      if (ringStacks.has(ringNumber)) {
+      if (!atomSinceDot) {
+        report(`Ring bond without preceding atom at position ${token.position}`, {
+          position: token.position, token: token.value, expected: ['atom'],
+        });
+      } else if (ringStacks.has(ringNumber)) {
         // Close ring - build the full ring atom sequence
         const ringData = ringStacks.get(ringNumber);
         const { startIndex, branchDepth: ringBranchDepth, branchId: ringBranchId } = ringData;
 
+        const mismatched = ringData.bond && currentBond && ringData.bond !== currentBond
+          && !DIRECTIONAL_BONDS.includes(ringData.bond) && !DIRECTIONAL_BONDS.includes(currentBond);
+        if (mismatched) {
+          report(
+            `Ring bond ${ringNumber} closes with '${currentBond}' at position `
+              + `${currentBondToken.position} but opens with '${ringData.bond}' at position `
+              + `${ringData.bondToken.position}`,
+            { position: currentBondToken.position, token: currentBond, expected: [ringData.bond] },
+          );
+        }
+
         const ringPositions = collectRingPath(
           startIndex,
           currentAtomIndex,
@@ -115,6 +177,8 @@ export function buildAtomList(tokens) {
           positions: ringPositions,
           branchDepth: ringBranchDepth,
           branchId: ringBranchId,
+          // Ring closure bond, written at either digit (C=1CCCC1 or C1CCCC=1)
+          closureBond: ringData.bond || currentBond,
         });
 
         // Mark atoms as part of this ring
@@ -133,52 +197,126 @@ export function buildAtomList(tokens) {
           startIndex: currentAtomIndex,
           branchDepth: currentDepth,
           branchId: currentBranchId,
+          bond: currentBond,
+          bondToken: currentBondToken,
+          token,
         });
         atoms[currentAtomIndex].rings.push(ringNumber);
       }
+      // A bond before a ring digit belongs to the ring closure, not the next atom
+      currentBond = null;
     } else if (token.type === TokenType.BRANCH_OPEN) {
+      const next = tokens[i + 1];
+      if (next && next.type === TokenType.BRANCH_CLOSE) {
+        report(`Empty branch at position ${token.position}`, {
+          position: token.position, token: '(', expected: ['atom', 'bond'],
+        });
+      }
       const currentDepth = branchStack.length;
       const parentIdx = lastAtomAtDepth.get(currentDepth);
+      if (parentIdx === undefined || !atomSinceDot) {
+        report(`Branch without preceding atom at position ${token.position}`, {
+          position: token.position, token: '(', expected: ['atom'],
+        });
+        orphanBranches.push(currentDepth);
+      } else {
+        branchStack.push({
+          parentIndex: parentIdx,
+          depth: currentDepth,
+          branchId: i, // Use token position as unique ID
+          token,
+        });
 
-      branchStack.push({
-        parentIndex: parentIdx !== undefined ? parentIdx : -1,
-        depth: currentDepth,
-        branchId: i, // Use token position as unique ID
-      });
-
-      // Clear lastAtomAtDepth for the new depth level
-      lastAtomAtDepth.delete(currentDepth + 1);
+        // Clear lastAtomAtDepth for the new depth level
+        lastAtomAtDepth.delete(currentDepth + 1);
+      }
     } else if (token.type === TokenType.BRANCH_CLOSE) {
-      branchStack.pop();
-      branchClosedSinceLastAtom.set(branchStack.length, true);
+      if (orphanBranches[orphanBranches.length - 1] === branchStack.length) {
+        orphanBranches.pop();
+      } else if (branchStack.length === 0) {
+        report(`Unmatched ')' at position ${token.position}`, {
+          position: token.position, token: ')', expected: ['atom', 'bond', 'ring bond', '(', '.'],
+        });
+      } else {
+        branchStack.pop();
+        branchClosedSinceLastAtom.set(branchStack.length, true);
+      }
+    } else if (token.type === TokenType.DOT) {
+      atomSinceDot = false;
+      const next = tokens[i + 1];
+      if (i === 0) {
+        report(`Dot without preceding atom at position ${token.position}`, {
+          position: token.position, token: '.', expected: ['atom'],
+        });
+      } else if (!next || next.type === TokenType.DOT || next.type === TokenType.BRANCH_CLOSE) {
+        report(`Dot without following atom at position ${token.position}`, {
+          position: token.position, token: '.', expected: ['atom'],
+        });
+      }
     }
-    // DOT and unknown tokens - just skip
 
     i += 1;
   }
 
-  // Check for unclosed rings
+  // Check for unclosed rings, naming where each was opened
   if (ringStacks.size > 0) {
-    const unclosed = Array.from(ringStacks.keys()).join(', ');
-    throw new Error(`Unclosed rings: ${unclosed}`);
+    const unclosed = Array.from(ringStacks, ([ringNumber, { token }]) => (
+      `${ringNumber} (opened at position ${token.position})`
+    ));
+    const [first] = ringStacks.values();
+    report(`Unclosed rings: ${unclosed.join(', ')}`, {
+      position: first.token.position,
+      token: first.token.value,
+      expected: Array.from(ringStacks.values(), ({ token }) => token.value),
+    });
+    // Tolerant mode: the openings are left out
+    ringStacks.forEach(({ startIndex }, ringNumber) => {
+      const { rings } = atoms[startIndex];
+      rings.splice(rings.indexOf(ringNumber), 1);
+    });
   }
 
+  // Check for unclosed branches
+  branchStack.forEach(({ token }) => {
+    report(`Unclosed branch at position ${token.position}`, {
+      position: token.position, token: '(', expected: [')'],
+    });
+  });
+
   return { atoms, ringBoundaries, branches };
 }
 
 /**
  * Parse a SMILES string into an AST
+ *
+ * Tolerant mode: with options.errors, syntax errors are collected in that array
+ * instead of the first one being thrown, and the molecule is built from what is
+ * left of the input (null if nothing can be built).
+ *
  * @param {string} smiles - SMILES string to parse
- * @returns {Object} AST node (Ring, Linear, FusedRing, or Molecule)
+ * @param {Object} [options] - Options
+ * @param {Array} [options.errors] - Array collecting syntax errors
+ * @returns {Object|null} AST node (Ring, Linear, FusedRing, or Molecule)
+ * @throws {SmilesSyntaxError} On a syntax error, without the errors option
+ *
+ * @example
+ * const errors = [];
+ * parse('C1CC(C', { errors });
+ * errors.map((error) => error.message);
+ * // ['Unclosed rings: 1 (opened at position 1)', 'Unclosed branch at position 4']
  */
-export function parse(smiles) {
-  const tokens = tokenize(smiles);
+export function parse(smiles, { errors } = {}) {
+  const tokens = tokenize(smiles, { errors });
 
   // Pass 1: Build linear atom list with ring tracking
-  const { atoms, ringBoundaries } = buildAtomList(tokens);
+  const { atoms, ringBoundaries } = buildAtomList(tokens, { smiles, errors });
 
   // Pass 2: Build hierarchical AST from atoms and ring info
-  const ast = buildAST(atoms, ringBoundaries);
-
-  return ast;
+  if (!Array.isArray(errors)) return buildAST(atoms, ringBoundaries);
+  try {
+    return buildAST(atoms, ringBoundaries);
+  } catch (error) {
+    errors.push(new SmilesSyntaxError(`Cannot build a molecule: ${error.message}`, { smiles }));
+    return null;
+  }
 }
@@ -1,6 +1,17 @@
 import { describe, test, expect } from 'bun:test';
 import { parse, buildAtomList } from './smiles-parser-core.js';
 import { tokenize } from '../tokenizer.js';
+import { SmilesSyntaxError } from '../errors.js';
+
+// The error a call throws
+const thrown = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
 
 describe('Parser Core - Edge Cases', () => {
   test('covers isInSameBranchContext with different depths (lines 39-58)', () => {
@@ -178,8 +189,10 @@ describe('Parser Core - Edge Cases', () => {
   });
 
   test('covers empty linear chain in branch context', () => {
-    const ast = parse('C()C');
+    const errors = [];
+    const ast = parse('C()C', { errors });
     expect(ast.type).toBe('linear');
+    expect(errors.map((error) => error.message)).toEqual(['Empty branch at position 1']);
   });
 
   test('covers null atom check in ring path collection (line 123)', () => {
@@ -260,7 +273,7 @@ describe('Parser Core - Edge Cases', () => {
   });
 
   test('covers empty branch result (line 1074)', () => {
-    const ast = parse('C1CC()CC1');
+    const ast = parse('C1CC()CC1', { errors: [] });
     expect(ast.type).toBe('ring');
   });
 
@@ -294,3 +307,180 @@ describe('Parser Core - Edge Cases', () => {
     expect(ast.type).toBe('linear');
   });
 });
+
+describe('Parser Core - Ring closure bonds', () => {
+  test('stores a bond written at the opening digit as the ring closure bond', () => {
+    const ast = parse('C=1CCCC1');
+    expect(ast.bonds).toEqual([null, null, null, null, '=']);
+    expect(ast.smiles).toBe('C=1CCCC1');
+  });
+
+  test('stores a bond written at the closing digit as the ring closure bond', () => {
+    const ast = parse('C1CCCC=1');
+    expect(ast.bonds).toEqual([null, null, null, null, '=']);
+    expect(ast.smiles).toBe('C=1CCCC1');
+  });
+
+  test('does not carry the closure bond over to the next atom', () => {
+    expect(parse('C=1C=C[NH]C1').bonds).toEqual([null, '=', null, null, '=']);
+    expect(parse('C1=CCCC1').bonds).toEqual(['=', null, null, null, null]);
+  });
+
+  test('keeps ring closure bonds in fused rings', () => {
+    const ast = parse('C1C=CC2=CC=CC2=1');
+    expect(ast.type).toBe('fused_ring');
+    expect(ast.rings[0].bonds[ast.rings[0].size - 1]).toBe('=');
+    expect(ast.smiles).toBe('C=1C=CC2=CC=CC21');
+    expect(parse(ast.smiles).smiles).toBe(ast.smiles);
+  });
+});
+
+describe('Parser Core - Syntax errors', () => {
+  test('throws SmilesSyntaxErrors for unclosed rings at the ring opening', () => {
+    const error = thrown(() => parse('CC1CC'));
+    expect(error).toBeInstanceOf(SmilesSyntaxError);
+    expect(error.message).toBe('Unclosed rings: 1 (opened at position 2)');
+    expect(error.position).toBe(2);
+    expect(error.expected).toEqual(['1']);
+    expect(error.snippet).toBe('CC1CC\n  ^');
+  });
+
+  test('names the opening position of every unclosed ring', () => {
+    const error = thrown(() => parse('C1CC%12CC2C'));
+    expect(error.message).toBe(
+      'Unclosed rings: 1 (opened at position 1), 12 (opened at position 4), '
+        + '2 (opened at position 9)',
+    );
+    expect(error.position).toBe(1);
+    expect(error.expected).toEqual(['1', '%12', '2']);
+  });
+
+  test('throws on unbalanced parentheses', () => {
+    expect(() => parse('CC)C')).toThrow("Unmatched ')' at position 2");
+    expect(() => parse('CC(C')).toThrow('Unclosed branch at position 2');
+    expect(thrown(() => parse('CC(C')).expected).toEqual([')']);
+  });
+
+  test('throws on bonds without a following atom', () => {
+    expect(() => parse('CC=')).toThrow('Bond without following atom at position 2');
+    expect(() => parse('CC(=)C')).toThrow('Bond without following atom at position 3');
+    expect(() => parse('CC=.C')).toThrow('Bond without following atom at position 2');
+    expect(thrown(() => parse('CC=')).expected).toEqual(['atom', 'ring bond']);
+  });
+
+  test('throws on bonds without a preceding atom and on two bonds in a row', () => {
+    const error = thrown(() => parse('=CC'));
+    expect(error).toBeInstanceOf(SmilesSyntaxError);
+    expect(error.message).toBe('Bond without preceding atom at position 0');
+    expect(error.snippet).toBe('=CC\n^');
+    expect(() => parse('C.=C')).toThrow('Bond without preceding atom at position 2');
+    expect(() => parse('C==C')).toThrow('Bond after bond at position 2');
+  });
+
+  test('throws on ring bonds without a preceding atom', () => {
+    expect(thrown(() => parse('1CC1'))).toMatchObject({
+      message: 'Ring bond without preceding atom at position 0',
+      position: 0,
+      token: '1',
+      expected: ['atom'],
+    });
+    expect(thrown(() => parse('%12CC%12'))).toMatchObject({ position: 0, token: '%12' });
+    expect(() => parse('1')).toThrow('Ring bond without preceding atom at position 0');
+    expect(() => parse('C.1CC1')).toThrow('Ring bond without preceding atom at position 2');
+  });
+
+  test('throws on branches without a preceding atom', () => {
+    expect(thrown(() => parse('(C)C'))).toMatchObject({
+      message: 'Branch without preceding atom at position 0',
+      position: 0,
+      token: '(',
+      expected: ['atom'],
+    });
+    expect(() => parse('(C)')).toThrow('Branch without preceding atom at position 0');
+    expect(() => parse('C.(C)C')).toThrow('Branch without preceding atom at position 2');
+  });
+
+  test('throws on empty branches and stray dots', () => {
+    expect(thrown(() => parse('C()C'))).toMatchObject({
+      message: 'Empty branch at position 1', position: 1, token: '(',
+    });
+    expect(() => parse('C.')).toThrow('Dot without following atom at position 1');
+    expect(() => parse('C..C')).toThrow('Dot without following atom at position 1');
+    expect(() => parse('.C')).toThrow('Dot without preceding atom at position 0');
+  });
+
+  test('throws on ring bonds written differently at their two ends', () => {
+    const error = thrown(() => parse('C=1CCCC-1'));
+    expect(error.message).toBe(
+      "Ring bond 1 closes with '-' at position 7 but opens with '=' at position 1",
+    );
+    expect(error.position).toBe(7);
+    expect(error.expected).toEqual(['=']);
+    expect(parse('C=1CCCC=1').smiles).toBe('C=1CCCC1');
+  });
+});
+
+describe('Parser Core - Tolerant mode', () => {
+  test('collects every error and builds what is left', () => {
+    const errors = [];
+    const ast = parse('C1CC)C(C=', { errors });
+    expect(errors.every((error) => error instanceof SmilesSyntaxError)).toBe(true);
+    expect(errors.map((error) => error.message)).toEqual([
+      "Unmatched ')' at position 4",
+      'Bond without following atom at position 8',
+      'Unclosed rings: 1 (opened at position 1)',
+      'Unclosed branch at position 6',
+    ]);
+    expect(ast.smiles).toBe('CCCC(C)');
+  });
+
+  test('collects malformed bonds, branches and dots', () => {
+    const errors = [];
+    const ast = parse('=C==C()C=1CCCC-1.', { errors });
+    expect(errors.map((error) => error.position)).toEqual([0, 3, 5, 14, 16]);
+    expect(ast.smiles).toBe('C=CC=1CCCC1');
+  });
+
+  test('collects ring bonds without a preceding atom', () => {
+    ['1CC1', '%12CC%12', '=1CC1'].forEach((smiles) => {
+      const errors = [];
+      expect(parse(smiles, { errors }).smiles).toBe('CC');
+      expect(errors.map((error) => error.message))
+        .toContain(`Ring bond without preceding atom at position ${smiles.startsWith('=') ? 1 : 0}`);
+      expect(errors.every((error) => error instanceof SmilesSyntaxError)).toBe(true);
+    });
+  });
+
+  test('reads branches without a preceding atom as unbranched', () => {
+    const errors = [];
+    expect(parse('(C)C', { errors }).smiles).toBe('CC');
+    expect(parse('(C(O))', { errors }).smiles).toBe('C(O)');
+    expect(errors.map((error) => error.message)).toEqual([
+      'Branch without preceding atom at position 0',
+      'Branch without preceding atom at position 0',
+    ]);
+  });
+
+  test('collects tokenizer errors too', () => {
+    const errors = [];
+    const ast = parse('CC$C[Xx]O', { errors });
+    expect(errors.map((error) => error.token)).toEqual(['$', '[Xx]']);
+    expect(ast.smiles).toBe('CCCO');
+  });
+
+  test('leaves the errors array empty for valid SMILES', () => {
+    const errors = [];
+    expect(parse('c1ccccc1C(=O)O', { errors }).smiles).toBe('c1ccccc1C(=O)O');
+    expect(errors).toEqual([]);
+  });
+
+  test('buildAtomList drops unclosed ring openings', () => {
+    const errors = [];
+    const { atoms, ringBoundaries } = buildAtomList(tokenize('C1CC2CC2'), { errors });
+    expect(errors.map((error) => error.message)).toEqual([
+      'Unclosed rings: 1 (opened at position 1)',
+    ]);
+    expect(atoms[0].rings).toEqual([]);
+    expect(ringBoundaries.map((ring) => ring.ringNumber)).toEqual([2]);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Molecular properties
+ * Composition, molecular formula and masses computed from the molecular graph
+ */
+
+import { toGraph } from './graph.js';
+import { getAverageMass, getIsotopeMass } from './elements.js';
+import { hydrogenCount } from './valence.js';
+import { formatCharge } from './atom.js';
+
+/**
+ * Collect the atoms of a node with their hydrogen counts
+ * @param {Object|string} node - AST node or SMILES string
+ * @returns {{atoms: Array<{atom: Object, hydrogens: number}>, charge: number}}
+ */
+function composition(node) {
+  const graph = toGraph(node);
+  const atomBonds = graph.atoms.map(() => []);
+  graph.bonds.forEach((bond) => {
+    atomBonds[bond.from].push(bond);
+    atomBonds[bond.to].push(bond);
+  });
+  return {
+    atoms: graph.atoms.map((atom, i) => ({ atom, hydrogens: hydrogenCount(atom, atomBonds[i]) })),
+    charge: graph.atoms.reduce((sum, atom) => sum + atom.charge, 0),
+  };
+}
+
+/**
+ * Round a summed mass to a fixed number of decimals, dropping floating-point noise
+ * (74.14699999999999 becomes 74.147)
+ */
+function roundMass(mass, digits) {
+  return Number(mass.toFixed(digits));
+}
+
+/**
+ * Get the molecular formula in Hill order
+ *
+ * Carbon comes first, then hydrogen, then the other elements alphabetically; without
+ * carbon all elements (hydrogen included) are alphabetical. Isotope-labelled atoms
+ * are counted apart, written as in SMILES after the unlabelled element, lightest
+ * first ('[2H]2O', 'C[13C]H6O'). Hydrogens include implicit hydrogens of
+ * organic-subset atoms and bracket H counts, which are unlabelled. A net charge is
+ * appended ('C2H3O2-', 'Ca+2'). Wildcard '*' atoms are not counted.
+ *
+ * @param {Object|string} node - AST node or SMILES string
+ * @returns {string} Molecular formula
+ *
+ * @example
+ * formula(Fragment('CCO')); // 'C2H6O'
+ */
+export function formula(node) {
+  const { atoms, charge } = composition(node);
+  const counts = new Map(); // symbol -> { element, isotope, count }
+  const add = (element, isotope, count) => {
+    if (count === 0) return;
+    const symbol = isotope === null ? element : `[${isotope}${element}]`;
+    const entry = counts.get(symbol) || {
+      symbol, element, isotope, count: 0,
+    };
+    entry.count += count;
+    counts.set(symbol, entry);
+  };
+  atoms.forEach(({ atom, hydrogens }) => {
+    if (atom.element !== '*') add(atom.element, atom.isotope, 1);
+    add('H', null, hydrogens);
+  });
+
+  const entries = [...counts.values()];
+  const hasCarbon = entries.some(({ element }) => element === 'C');
+  const hillRank = (element) => (hasCarbon ? ({ C: 0, H: 1 }[element] ?? 2) : 0);
+  const byElement = (a, b) => {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+  };
+  entries.sort((a, b) => hillRank(a.element) - hillRank(b.element)
+    || byElement(a.element, b.element)
+    || (a.isotope ?? -1) - (b.isotope ?? -1));
+  const body = entries.map(({ symbol, count }) => (count === 1 ? symbol : `${symbol}${count}`))
+    .join('');
+  return `${body}${formatCharge(charge)}`;
+}
+
+/**
+ * Get the molecular weight (average mass) in g/mol
+ * Isotope-labelled atoms ('[13C]', '[2H]') use the mass of that isotope. The sum is
+ * rounded to 3 decimals.
+ * @param {Object|string} node - AST node or SMILES string
+ * @returns {number} Molecular weight
+ *
+ * @example
+ * molecularWeight(Fragment('CCO')); // 46.069
+ */
+export function molecularWeight(node) {
+  const hydrogenMass = getAverageMass('H');
+  const total = composition(node).atoms.reduce((sum, { atom, hydrogens }) => {
+    const mass = atom.isotope === null
+      ? getAverageMass(atom.element)
+      : getIsotopeMass(atom.element, atom.isotope);
+    return sum + mass + hydrogens * hydrogenMass;
+  }, 0);
+  return roundMass(total, 3);
+}
+
+/**
+ * Get the monoisotopic exact mass in u
+ * Every atom uses its most abundant isotope unless it is labelled. Electron mass is
+ * not corrected for charged species. The sum is rounded to 6 decimals.
+ * @param {Object|string} node - AST node or SMILES string
+ * @returns {number} Exact mass
+ *
+ * @example
+ * exactMass(Fragment('CCO')); // 46.041865
+ */
+export function exactMass(node) {
+  const hydrogenMass = getIsotopeMass('H');
+  const total = composition(node).atoms.reduce((sum, { atom, hydrogens }) => {
+    const mass = getIsotopeMass(atom.element, atom.isotope);
+    return sum + mass + hydrogens * hydrogenMass;
+  }, 0);
+  return roundMass(total, 6);
+}
@@ -0,0 +1,105 @@
+import { describe, test, expect } from 'bun:test';
+import { formula, molecularWeight, exactMass } from './properties.js';
+import { parse } from './parser/index.js';
+import {
+  Ring, Linear, FusedRing, Molecule,
+} from './constructors.js';
+
+describe('formula', () => {
+  test('writes carbon and hydrogen first, then the rest alphabetically', () => {
+    expect(formula('CCO')).toBe('C2H6O');
+    expect(formula('CC(=O)Oc1ccccc1C(=O)O')).toBe('C9H8O4');
+    expect(formula('ClC(Cl)(Cl)Br')).toBe('CBrCl3');
+  });
+
+  test('writes all elements alphabetically without carbon', () => {
+    expect(formula('O')).toBe('H2O');
+    expect(formula('O=S(=O)(O)O')).toBe('H2O4S');
+  });
+
+  test('counts implicit hydrogens on aromatic atoms', () => {
+    expect(formula('c1ccccc1')).toBe('C6H6');
+    expect(formula('c1ccsc1')).toBe('C4H4S');
+    expect(formula('Cn1cnc2c1c(=O)n(C)c(=O)n2C')).toBe('C8H10N4O2');
+  });
+
+  test('counts bracket hydrogens and appends the net charge', () => {
+    expect(formula('c1cc[nH]c1')).toBe('C4H5N');
+    expect(formula('CC(=O)[O-]')).toBe('C2H3O2-');
+    expect(formula('[NH4+]')).toBe('H4N+');
+    expect(formula('[Ca+2]')).toBe('Ca+2');
+  });
+
+  test('skips wildcard atoms', () => {
+    expect(formula('*CC')).toBe('C2H5');
+  });
+
+  test('writes isotope-labelled atoms after their element', () => {
+    expect(formula('[2H]O[2H]')).toBe('[2H]2O');
+    expect(formula('C[13CH2]O')).toBe('C[13C]H6O');
+    expect(formula('[2H]C([2H])([2H])O')).toBe('CH[2H]3O');
+    expect(formula('[37Cl]C(Cl)Cl')).toBe('CHCl2[37Cl]');
+  });
+});
+
+describe('molecularWeight', () => {
+  test('sums standard atomic weights', () => {
+    expect(molecularWeight('CCO')).toBe(46.069);
+    expect(molecularWeight('CC(=O)Oc1ccccc1C(=O)O')).toBe(180.159);
+  });
+
+  test('rounds to 3 decimals', () => {
+    expect(molecularWeight('C[N+](C)(C)C')).toBe(74.147);
+    expect(molecularWeight('c1ccccc1')).toBe(78.114);
+  });
+
+  test('uses isotope masses for labelled atoms', () => {
+    expect(molecularWeight('[13CH4]')).toBe(17.035);
+    expect(molecularWeight('[2H]O[2H]')).toBe(20.027);
+  });
+});
+
+describe('exactMass', () => {
+  test('sums most abundant isotope masses', () => {
+    expect(exactMass('CCO')).toBe(46.041865);
+    expect(exactMass('CN1C=NC2=C1C(=O)N(C(=O)N2C)C')).toBe(194.080376);
+    expect(exactMass('ClCCl')).toBe(83.953355);
+  });
+
+  test('rounds to 6 decimals', () => {
+    expect(exactMass('C[N+](C)(C)C')).toBe(74.096974);
+    expect(exactMass('c1ccccc1')).toBe(78.04695);
+  });
+
+  test('uses isotope masses for labelled atoms', () => {
+    expect(exactMass('[13CH4]')).toBe(17.034655);
+  });
+});
+
+describe('node methods', () => {
+  test('are available on every node type', () => {
+    const benzene = Ring({ atoms: 'c', size: 6 });
+    const ethanol = Linear(['C', 'C', 'O']);
+    const naphthalene = FusedRing([
+      Ring({ atoms: 'c', size: 6, ringNumber: 1 }),
+      Ring({
+        atoms: 'c', size: 6, ringNumber: 2, offset: 4,
+      }),
+    ]);
+    const toluene = Molecule([Linear(['C']), benzene]);
+
+    expect(benzene.formula()).toBe('C6H6');
+    expect(ethanol.formula()).toBe('C2H6O');
+    expect(naphthalene.formula()).toBe('C10H8');
+    expect(toluene.formula()).toBe('C7H8');
+    expect(toluene.molecularWeight()).toBe(92.141);
+    expect(toluene.exactMass()).toBe(92.0626);
+  });
+
+  test('match the functions for parsed nodes', () => {
+    const ast = parse('CC(C)Cc1ccc(cc1)C(C)C(=O)O');
+    expect(ast.formula()).toBe('C13H18O2');
+    expect(ast.molecularWeight()).toBe(molecularWeight(ast));
+    expect(ast.exactMass()).toBe(exactMass(ast));
+  });
+});
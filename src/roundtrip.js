@@ -5,10 +5,18 @@
  * 1. First round-trip: parse(smiles).smiles === smiles
  * 2. Second round-trip: parse(parse(smiles).smiles).smiles === parse(smiles).smiles
  *
- * Provides automatic stabilization detection and user guidance.
+ * Provides automatic stabilization detection and user guidance, and checks that
+ * decompiled code builds the molecule it was generated from.
  */
 
 import { parse } from './parser/index.js';
+import { canonicalSMILES } from './canonical.js';
+import { decompile } from './decompiler.js';
+import {
+  Ring, Linear, FusedRing, Molecule, RawFragment, Atom,
+} from './constructors.js';
+import { Fragment } from './fragment.js';
+import { registeredFragments } from './fragment-library.js';
 
 // Default logger uses console, can be overridden for testing or custom logging
 const defaultLogger = {
@@ -178,14 +186,25 @@ export function isValidRoundTrip(smiles) {
 /**
  * Get normalized SMILES (stabilized form after round-trip)
  *
+ * With `canonical: true` the result is canonical SMILES instead, so different
+ * inputs for the same molecule normalize to the same string.
+ *
  * @param {string} smiles - SMILES string to normalize
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.canonical=false] - Return canonical SMILES
  * @returns {string} Normalized SMILES
  *
  * @example
  * const normalized = normalize('COc1ccc2nc(S(=O)Cc3ncc(C)c(OC)c3C)[nH]c2c1');
  * console.log(normalized); // Returns stabilized form
+ *
+ * normalize('OCC', { canonical: true }); // 'CCO'
+ * normalize('C(O)C', { canonical: true }); // 'CCO'
  */
-export function normalize(smiles) {
+export function normalize(smiles, options = {}) {
+  if (options.canonical) {
+    return canonicalSMILES(smiles);
+  }
   const result = validateRoundTrip(smiles);
   return result.firstRoundTrip;
 }
@@ -205,3 +224,141 @@ export function stabilizes(smiles) {
   const result = validateRoundTrip(smiles);
   return result.stabilizes;
 }
+
+// Constructors generated code may require from smiles-js
+const BUILDERS = {
+  Ring, Linear, FusedRing, Molecule, RawFragment, Atom, Fragment,
+};
+
+/**
+ * node:vm, loaded when generated code is first run rather than imported, so
+ * bundles of the library still load where it does not exist
+ * @returns {Object} The node:vm module
+ * @throws {Error} Outside Node.js and Bun
+ */
+function loadVM() {
+  const vm = globalThis.process?.getBuiltinModule?.('node:vm');
+  if (!vm) {
+    throw new Error('Running generated code needs node:vm (Node.js 20.16+, 22.3+ or Bun)');
+  }
+  return vm;
+}
+
+/**
+ * Run a generated CommonJS module
+ * The code runs in a fresh global context with only require() and module in
+ * scope, so it cannot read or change the caller's globals; require() resolves
+ * smiles-js to the constructors and the fragment modules the code imports
+ * from. It is not a security sandbox: do not run untrusted code with it.
+ * @param {string} code - CommonJS code (decompile() with format 'commonjs')
+ * @param {Object|boolean} [fragments] - decompile() fragments option: module
+ *   specifier -> { name: node } dictionaries required besides the registered ones
+ * @returns {Object} The module's exports
+ * @throws {Error} Where node:vm is not available
+ */
+export function runModule(code, fragments) {
+  if (typeof code !== 'string') {
+    throw new Error('runModule requires a code string');
+  }
+  const { runInNewContext } = loadVM();
+  const libraries = {
+    'smiles-js': BUILDERS,
+    ...registeredFragments(),
+    ...(fragments && fragments !== true ? fragments : {}),
+  };
+  const require = (from) => {
+    if (!libraries[from]) throw new Error(`Cannot find fragment module '${from}'`);
+    return libraries[from];
+  };
+  const module = { exports: {} };
+  runInNewContext(code, { require, module });
+  return module.exports;
+}
+
+/**
+ * Where two SMILES strings first differ
+ * @returns {Object|null} { position, expected, actual } with the rest of each
+ *   string from that position, or null when they are equal
+ */
+function diffSMILES(expected, actual) {
+  if (expected === actual) return null;
+  let position = 0;
+  while (expected[position] === actual[position]) position += 1;
+  return { position, expected: expected.slice(position), actual: actual.slice(position) };
+}
+
+/**
+ * Decompile result
+ * @typedef {Object} DecompileVerification
+ * @property {boolean} ok - True if the generated code rebuilds the same SMILES
+ * @property {string} input - SMILES string as given
+ * @property {string} normalized - Input SMILES as written by the library, which
+ *   the rebuilt SMILES is compared with
+ * @property {string} code - Generated code (CommonJS)
+ * @property {string|null} smiles - SMILES of the node the code builds
+ * @property {boolean} sameMolecule - True if both SMILES have the same canonical form
+ * @property {Object|null} diff - { position, expected, actual } where the SMILES differ
+ * @property {string|null} error - Message of the error evaluating the code threw
+ * @property {Object|null} node - Node the code builds
+ */
+
+/**
+ * Check that decompiled code rebuilds the molecule it was generated from
+ *
+ * Decompiles the parsed SMILES, runs the generated module in a fresh context
+ * (see runModule()), and compares the
+ * SMILES of the node it builds with the parsed one. Inputs that do not
+ * round-trip through parse() are compared in their normalized form.
+ *
+ * @param {string} smiles - SMILES string to verify
+ * @param {Object} [options={}] - decompile() options (verbose, fragments,
+ *   semanticNames, ...); the code is always generated as CommonJS
+ * @returns {DecompileVerification} Verification result
+ * @throws {Error} If smiles is not a string, or where node:vm is not available
+ *
+ * @example
+ * const result = verifyDecompile('CC(=O)Oc1ccccc1C(=O)O', { verbose: true });
+ * if (!result.ok) {
+ *   console.log(result.diff); // { position, expected, actual }
+ * }
+ */
+export function verifyDecompile(smiles, options = {}) {
+  if (typeof smiles !== 'string') {
+    throw new Error('verifyDecompile requires a SMILES string');
+  }
+  loadVM();
+  const ast = parse(smiles);
+  const normalized = ast.smiles;
+  const code = decompile(ast, { ...options, indent: 0, format: 'commonjs' });
+
+  let node = null;
+  let error = null;
+  try {
+    const exported = Object.values(runModule(code, options.fragments));
+    node = exported[exported.length - 1] || null;
+  } catch (e) {
+    error = e.message;
+  }
+
+  const rebuilt = node ? node.smiles : null;
+  let sameMolecule = rebuilt === normalized;
+  if (rebuilt !== null && !sameMolecule) {
+    try {
+      sameMolecule = canonicalSMILES(rebuilt) === canonicalSMILES(normalized);
+    } catch {
+      sameMolecule = false;
+    }
+  }
+
+  return {
+    ok: rebuilt === normalized,
+    input: smiles,
+    normalized,
+    code,
+    smiles: rebuilt,
+    sameMolecule,
+    diff: rebuilt === null ? null : diffSMILES(normalized, rebuilt),
+    error,
+    node,
+  };
+}
@@ -11,8 +11,13 @@ import {
   isValidRoundTrip,
   normalize,
   stabilizes,
+  verifyDecompile,
+  runModule,
 } from './roundtrip.js';
 import * as parserModule from './parser/index.js';
+import * as decompilerModule from './decompiler.js';
+import { Linear } from './constructors.js';
+import './common.js';
 
 describe('validateRoundTrip', () => {
   it('should return perfect status for perfect round-trip', () => {
@@ -209,6 +214,16 @@ describe('normalize', () => {
     const normalized = normalize(smiles);
     expect(normalized).toBe('C1CC1');
   });
+
+  it('should return the same canonical SMILES for different inputs', () => {
+    expect(normalize('OCC', { canonical: true })).toBe('CCO');
+    expect(normalize('C(O)C', { canonical: true })).toBe('CCO');
+  });
+
+  it('should return canonical SMILES for salts', () => {
+    expect(normalize('CC(=O)[O-].[Na+]', { canonical: true })).toBe('CC([O-])=O.[Na+]');
+    expect(normalize('[Na+].[O-]C(C)=O', { canonical: true })).toBe('CC([O-])=O.[Na+]');
+  });
 });
 
 describe('stabilizes', () => {
@@ -222,3 +237,134 @@ describe('stabilizes', () => {
     expect(stabilizes(smiles)).toBe(true);
   });
 });
+
+describe('verifyDecompile', () => {
+  it('should rebuild the molecule from generated code', () => {
+    const result = verifyDecompile('CC(=O)Oc1ccccc1C(=O)O');
+    expect(result.ok).toBe(true);
+    expect(result.sameMolecule).toBe(true);
+    expect(result.smiles).toBe('CC(=O)Oc1ccccc1C(=O)O');
+    expect(result.diff).toBeNull();
+    expect(result.error).toBeNull();
+    expect(result.node.smiles).toBe(result.normalized);
+    expect(result.code).toContain('module.exports = {');
+  });
+
+  it('should pass decompile options through', () => {
+    const smiles = 'CN1CCC23C4C1CC5=C2C(=C(C=C5)O)OC3C(C=C4)O';
+    expect(verifyDecompile(smiles, { verbose: true }).ok).toBe(true);
+    expect(verifyDecompile(smiles, { semanticNames: true }).ok).toBe(true);
+  });
+
+  it('should resolve the fragment modules the code requires', () => {
+    const common = verifyDecompile('CC(=O)Oc1ccccc1C(=O)O', { fragments: true });
+    expect(common.code).toContain("require('smiles-js/common')");
+    expect(common.ok).toBe(true);
+
+    const fragments = { './groups.js': { chloroethyl: Linear(['C', 'C', 'Cl']) } };
+    const own = verifyDecompile('CCCl', { fragments });
+    expect(own.code).toContain("require('./groups.js')");
+    expect(own.ok).toBe(true);
+  });
+
+  it('should compare the normalized form of the input', () => {
+    const result = verifyDecompile('C(C)O');
+    expect(result.input).toBe('C(C)O');
+    expect(result.normalized).toBe(parserModule.parse('C(C)O').smiles);
+    expect(result.ok).toBe(true);
+  });
+
+  it('should throw for non-string input', () => {
+    expect(() => verifyDecompile(null)).toThrow('verifyDecompile requires a SMILES string');
+    expect(() => verifyDecompile(Linear(['C']))).toThrow('verifyDecompile requires a SMILES string');
+    expect(() => runModule(undefined)).toThrow('runModule requires a code string');
+  });
+
+  it('should report where the rebuilt SMILES differs', () => {
+    const spy = spyOn(decompilerModule, 'decompile');
+    spy.mockReturnValue([
+      "const { Fragment } = require('smiles-js');",
+      "const v1 = Fragment('CCN');",
+      'module.exports = { v1 };',
+    ].join('\n'));
+
+    const result = verifyDecompile('CCO');
+
+    expect(result.ok).toBe(false);
+    expect(result.sameMolecule).toBe(false);
+    expect(result.smiles).toBe('CCN');
+    expect(result.diff).toEqual({ position: 2, expected: 'O', actual: 'N' });
+
+    spy.mockRestore();
+  });
+
+  it('should tell notation differences from different molecules', () => {
+    const spy = spyOn(decompilerModule, 'decompile');
+    spy.mockReturnValue([
+      "const { Fragment } = require('smiles-js');",
+      "const v1 = Fragment('OCC');",
+      'module.exports = { v1 };',
+    ].join('\n'));
+
+    const result = verifyDecompile('CCO');
+
+    expect(result.ok).toBe(false);
+    expect(result.sameMolecule).toBe(true);
+    expect(result.diff).toEqual({ position: 0, expected: 'CCO', actual: 'OCC' });
+
+    spy.mockRestore();
+  });
+
+  it('should report errors the generated code throws', () => {
+    const spy = spyOn(decompilerModule, 'decompile');
+    spy.mockReturnValue("const { v1 } = require('./missing.js');\nmodule.exports = { v1 };");
+
+    const result = verifyDecompile('CCO');
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toBe("Cannot find fragment module './missing.js'");
+    expect(result.smiles).toBeNull();
+    expect(result.diff).toBeNull();
+    expect(result.node).toBeNull();
+
+    spy.mockRestore();
+  });
+
+  it('should only give the code require() and module', () => {
+    const spy = spyOn(decompilerModule, 'decompile');
+    spy.mockReturnValue("const v1 = parse('CCO');\nmodule.exports = { v1 };");
+
+    expect(verifyDecompile('CCO').error).toBe('parse is not defined');
+
+    spy.mockRestore();
+  });
+
+  it('should throw a clear error where node:vm is not available', () => {
+    const { getBuiltinModule } = process;
+    process.getBuiltinModule = undefined;
+    try {
+      expect(() => verifyDecompile('CCO')).toThrow('Running generated code needs node:vm');
+      expect(() => runModule('module.exports = {};')).toThrow('Running generated code needs node:vm');
+    } finally {
+      process.getBuiltinModule = getBuiltinModule;
+    }
+    expect(verifyDecompile('CCO').ok).toBe(true);
+  });
+
+  it("should run the code in a fresh context, away from the caller's globals", () => {
+    const spy = spyOn(decompilerModule, 'decompile');
+    spy.mockReturnValue([
+      "const { Fragment } = require('smiles-js');",
+      'globalThis.leaked = true;',
+      "const v1 = Fragment(typeof verifyDecompileProbe === 'undefined' ? 'CCO' : 'CCN');",
+      'module.exports = { v1 };',
+    ].join('\n'));
+    globalThis.verifyDecompileProbe = true;
+
+    expect(verifyDecompile('CCO').ok).toBe(true);
+    expect(globalThis.leaked).toBeUndefined();
+
+    delete globalThis.verifyDecompileProbe;
+    spy.mockRestore();
+  });
+});
@@ -87,6 +87,21 @@ describe('addSequentialRings', () => {
     expect(fused.metaSequentialRings).toBeUndefined();
     expect(result.metaSequentialRings).toHaveLength(1);
   });
+
+  test('places sequential rings and chain atoms at the positions given', () => {
+    const ring = Ring({ atoms: 'C', size: 3, branchDepths: [0, 1, 2] });
+    const seqRing = Ring({
+      atoms: 'C', size: 4, ringNumber: 2, branchDepths: [2, 2, 2, 2],
+    });
+    const result = ring.addSequentialRings([{ ring: seqRing, positions: [3, 4, 5, 6] }]);
+    expect(result.smiles).toBe('C1(C(C1C2CCC2))');
+
+    const withChainAtom = Ring({ atoms: 'C', size: 6 }).addSequentialRings(
+      [{ ring: Ring({ atoms: 'C', size: 5, ringNumber: 2 }), positions: [7, 8, 9, 10, 11] }],
+      { chainAtoms: [{ atom: 'N', position: 6, attachments: [Linear(['O'])] }] },
+    );
+    expect(withChainAtom.smiles).toBe('C1CCCCC1N(O)C2CCCC2');
+  });
 });
 
 describe('addSequentialAtomAttachment', () => {
@@ -0,0 +1,280 @@
+/**
+ * SMARTS expressions
+ * Parses SMARTS atom and bond expressions into expression trees for the tokenizer
+ *
+ * Every tree node has a type. Operators are { type: 'not', arg } and
+ * { type: 'and' | 'or', args }; the other types are primitives, with a value
+ * where the primitive takes one.
+ *
+ * Syntax errors are reported with a fail(message, position, expected) callback
+ * of the tokenizer, which throws them.
+ */
+
+import { AROMATIC_SYMBOLS, isElementSymbol } from './elements.js';
+
+// Organic-subset symbols allowed outside brackets
+const ORGANIC_SYMBOLS = new Set(['B', 'C', 'N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I']);
+
+// Atom primitives written as a letter and an optional count
+const COUNT_PRIMITIVES = {
+  D: 'degree',
+  X: 'connectivity',
+  H: 'hCount',
+  h: 'implicitHCount',
+  v: 'valence',
+  R: 'ringMembership',
+  r: 'ringSize',
+  x: 'ringConnectivity',
+};
+
+// Count a primitive means when written without digits (null: "any, but at least one")
+const DEFAULT_COUNTS = {
+  degree: 1,
+  connectivity: 1,
+  hCount: 1,
+  implicitHCount: null,
+  valence: 1,
+  ringMembership: null,
+  ringSize: null,
+  ringConnectivity: null,
+};
+
+const BOND_PRIMITIVES = {
+  '-': 'single',
+  '=': 'double',
+  '#': 'triple',
+  ':': 'aromatic',
+  '~': 'any',
+  '@': 'ring',
+  '/': 'up',
+  '\\': 'down',
+};
+
+/**
+ * Characters that make up a bond expression outside brackets
+ */
+export const BOND_EXPRESSION_CHARS = new Set([...Object.keys(BOND_PRIMITIVES), '!', '&', ',', ';']);
+
+/**
+ * Find the index just past the parenthesis that closes the one at start
+ * @returns {number} Index after ')', or -1 when it is not closed
+ */
+function closingParenthesis(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i += 1) {
+    if (text[i] === '(') depth += 1;
+    if (text[i] === ')') {
+      depth -= 1;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the ']' that closes the bracket atom at start, skipping brackets inside $()
+ * @param {string} smarts - SMARTS string
+ * @param {number} start - Index of '['
+ * @returns {number} Index of the closing ']', or -1 when it is not closed
+ */
+export function closingBracket(smarts, start) {
+  let depth = 0;
+  for (let i = start; i < smarts.length; i += 1) {
+    if (smarts[i] === '[' || smarts[i] === '(') depth += 1;
+    if (smarts[i] === ')') depth -= 1;
+    if (smarts[i] === ']') {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse an expression with SMARTS operator precedence:
+ * '!' (not), then '&' or juxtaposition (and), then ',' (or), then ';' (and)
+ * @param {string} text - Expression text
+ * @param {number} offset - Position of text in the input, for error messages
+ * @param {Function} readPrimitive - (text, index) => { node, end }
+ * @param {Function} fail - (message, position, expected) => never
+ * @returns {Object} Expression tree
+ */
+function parseExpression(text, offset, readPrimitive, fail) {
+  let i = 0;
+
+  const combine = (type, args) => (args.length === 1 ? args[0] : { type, args });
+
+  const parseNot = () => {
+    if (text[i] === '!') {
+      i += 1;
+      return { type: 'not', arg: parseNot() };
+    }
+    if (i >= text.length || ',;&'.includes(text[i])) {
+      fail(`Missing SMARTS primitive at position ${offset + i}`, offset + i, ['primitive', '!']);
+    }
+    const { node, end } = readPrimitive(text, i);
+    i = end;
+    return node;
+  };
+
+  const parseHighAnd = () => {
+    const args = [parseNot()];
+    while (i < text.length && !',;'.includes(text[i])) {
+      if (text[i] === '&') i += 1;
+      args.push(parseNot());
+    }
+    return combine('and', args);
+  };
+
+  const parseOr = () => {
+    const args = [parseHighAnd()];
+    while (text[i] === ',') {
+      i += 1;
+      args.push(parseHighAnd());
+    }
+    return combine('or', args);
+  };
+
+  const args = [parseOr()];
+  while (text[i] === ';') {
+    i += 1;
+    args.push(parseOr());
+  }
+  return combine('and', args);
+}
+
+/**
+ * Read an element symbol at index: two-letter symbols before one-letter ones,
+ * aromatic forms included. A lone 'H' is left to the hydrogen count primitive.
+ */
+function readElement(text, index) {
+  const two = text.slice(index, index + 2);
+  if (/^[A-Z][a-z]$/.test(two) && isElementSymbol(two)) {
+    return { node: { type: 'element', symbol: two, aromatic: false }, end: index + 2 };
+  }
+  if (AROMATIC_SYMBOLS.has(two)) {
+    const symbol = two[0].toUpperCase() + two[1];
+    return { node: { type: 'element', symbol, aromatic: true }, end: index + 2 };
+  }
+  const one = text[index];
+  if (/^[A-Z]$/.test(one) && one !== 'H' && isElementSymbol(one)) {
+    return { node: { type: 'element', symbol: one, aromatic: false }, end: index + 1 };
+  }
+  if (AROMATIC_SYMBOLS.has(one)) {
+    return { node: { type: 'element', symbol: one.toUpperCase(), aromatic: true }, end: index + 1 };
+  }
+  return null;
+}
+
+function readNumber(text, index) {
+  const digits = /^\d*/.exec(text.slice(index))[0];
+  return { value: digits ? parseInt(digits, 10) : null, end: index + digits.length };
+}
+
+/**
+ * Parse the body of a SMARTS bracket atom ('#6', 'C,N', '!H0;X3', '$(C=O)')
+ * @param {string} content - Text between '[' and ']'
+ * @param {number} offset - Position of content in the input, for error messages
+ * @param {Function} fail - (message, position, expected) => never
+ * @returns {Object} Expression tree
+ */
+export function parseAtomExpression(content, offset, fail) {
+  // A leading H is hydrogen itself ([H], [2H], [H+]) rather than a hydrogen count
+  const leadingHydrogen = /^\d*H(?![\da-z])/.test(content);
+
+  return parseExpression(content, offset, (text, index) => {
+    const char = text[index];
+    const at = offset + index;
+
+    if (char === '$') {
+      const end = text[index + 1] === '(' ? closingParenthesis(text, index + 1) : -1;
+      if (end === -1) fail(`Unclosed recursive SMARTS at position ${at}`, at, ['$(...)']);
+      const smarts = text.slice(index + 2, end - 1);
+      if (smarts.length === 0) fail(`Empty recursive SMARTS at position ${at}`, at, ['SMARTS']);
+      return { node: { type: 'recursive', smarts, position: at + 2 }, end };
+    }
+    if (char === '#') {
+      const { value, end } = readNumber(text, index + 1);
+      if (value === null) fail(`Missing atomic number at position ${at}`, at, ['atomic number']);
+      return { node: { type: 'atomicNumber', value }, end };
+    }
+    if (/\d/.test(char)) {
+      const { value, end } = readNumber(text, index);
+      return { node: { type: 'isotope', value }, end };
+    }
+    if (char === '*') return { node: { type: 'any' }, end: index + 1 };
+    if (char === '@') {
+      const chirality = text[index + 1] === '@' ? '@@' : '@';
+      const end = index + chirality.length + (text[index + chirality.length] === '?' ? 1 : 0);
+      return { node: { type: 'chirality', value: chirality }, end };
+    }
+    if (char === '+' || char === '-') {
+      const chargeMatch = /^([+-])(\1*)(\d*)/.exec(text.slice(index));
+      const magnitude = chargeMatch[3] ? parseInt(chargeMatch[3], 10) : chargeMatch[2].length + 1;
+      const value = (char === '+' ? 1 : -1) * magnitude;
+      return { node: { type: 'charge', value }, end: index + chargeMatch[0].length };
+    }
+    if (char === ':') {
+      const { value, end } = readNumber(text, index + 1);
+      if (value === null) fail(`Invalid atom class at position ${at}`, at, ['atom class']);
+      return { node: { type: 'atomClass', value }, end };
+    }
+    if (char === 'H' && leadingHydrogen && /^\d*$/.test(text.slice(0, index))) {
+      return { node: { type: 'element', symbol: 'H', aromatic: false }, end: index + 1 };
+    }
+
+    const element = readElement(text, index);
+    if (element) return element;
+    if (char === 'a') return { node: { type: 'aromatic' }, end: index + 1 };
+    if (char === 'A') return { node: { type: 'aliphatic' }, end: index + 1 };
+    if (COUNT_PRIMITIVES[char]) {
+      const type = COUNT_PRIMITIVES[char];
+      const { value, end } = readNumber(text, index + 1);
+      return { node: { type, value: value === null ? DEFAULT_COUNTS[type] : value }, end };
+    }
+    return fail(`Unexpected character in SMARTS atom at position ${at}: '${char}'`, at, [
+      'primitive',
+    ]);
+  }, fail);
+}
+
+/**
+ * Expression of an atom written outside brackets ('C', 'c', 'Cl', 'a', 'A', '*')
+ * @param {string} symbol - Atom symbol
+ * @param {number} position - Position in the input, for error messages
+ * @param {Function} fail - (message, position, expected) => never
+ * @returns {Object} Expression tree
+ */
+export function simpleAtomExpression(symbol, position, fail) {
+  if (symbol === '*') return { type: 'any' };
+  if (symbol === 'a') return { type: 'aromatic' };
+  if (symbol === 'A') return { type: 'aliphatic' };
+  if (ORGANIC_SYMBOLS.has(symbol)) return { type: 'element', symbol, aromatic: false };
+  if (AROMATIC_SYMBOLS.has(symbol)) {
+    return { type: 'element', symbol: symbol.toUpperCase(), aromatic: true };
+  }
+  return fail(`Unexpected atom in SMARTS at position ${position}: '${symbol}'`, position, [
+    'organic subset atom', 'bracket atom',
+  ]);
+}
+
+/**
+ * Parse a SMARTS bond expression ('~', '!@', '-,=', '=;@')
+ * @param {string} text - Bond expression
+ * @param {number} offset - Position of text in the input, for error messages
+ * @param {Function} fail - (message, position, expected) => never
+ * @returns {Object} Expression tree
+ */
+export function parseBondExpression(text, offset, fail) {
+  return parseExpression(text, offset, (expression, index) => {
+    const type = BOND_PRIMITIVES[expression[index]];
+    if (!type) {
+      fail(
+        `Unexpected character in SMARTS bond at position ${offset + index}: '${expression[index]}'`,
+        offset + index,
+        Object.keys(BOND_PRIMITIVES),
+      );
+    }
+    return { node: { type }, end: index + 1 };
+  }, fail);
+}
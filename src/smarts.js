@@ -0,0 +1,192 @@
+/**
+ * SMARTS queries
+ * Parses SMARTS strings into query nodes for substructure search
+ */
+
+import { tokenize, TokenType } from './tokenizer.js';
+import { ASTNodeType } from './ast.js';
+import { SmilesSyntaxError, createErrorReporter } from './errors.js';
+
+// What may follow a bond
+const AFTER_BOND = ['atom', 'ring bond'];
+
+/**
+ * Parse the queries of recursive primitives ($(...)) so matching can use them
+ * Syntax errors in a recursive query point into the whole SMARTS.
+ */
+function compileExpression(expression, smarts) {
+  if (expression.type === 'recursive') {
+    try {
+      // eslint-disable-next-line no-use-before-define
+      return { ...expression, query: parseSMARTS(expression.smarts) };
+    } catch (error) {
+      if (!(error instanceof SmilesSyntaxError) || error.position === null) throw error;
+      const position = expression.position + error.position;
+      throw new SmilesSyntaxError(
+        `In recursive SMARTS at position ${expression.position}: ${error.message}`,
+        {
+          smiles: smarts, position, token: error.token, expected: error.expected,
+        },
+      );
+    }
+  }
+  if (expression.type === 'not') {
+    return { ...expression, arg: compileExpression(expression.arg, smarts) };
+  }
+  if (expression.args) {
+    return {
+      ...expression,
+      args: expression.args.map((arg) => compileExpression(arg, smarts)),
+    };
+  }
+  return expression;
+}
+
+/**
+ * Parse a SMARTS string into a query node
+ *
+ * Supports atomic primitives (element symbols, '*', 'a', 'A', '#n', 'Dn', 'Xn',
+ * 'Hn', 'hn', 'vn', 'Rn', 'rn', 'xn', charges, isotopes, '@'), bond primitives
+ * ('-', '=', '#', ':', '~', '@', '/', '\'), the operators '!', '&', ',' and ';',
+ * and recursive SMARTS '$(...)'. Atoms and bonds are numbered in written order,
+ * as in toGraph().
+ *
+ * @param {string} smarts - SMARTS string
+ * @returns {Object} Query node { type: 'query', smarts, atoms, bonds }. Atoms are
+ *   { index, expression, neighbors, smarts }, bonds { index, from, to,
+ *   expression, symbol, ringClosure, ringNumber }; expression is the tree from
+ *   tokenize(), or null on a bond written without a symbol (single or aromatic).
+ * @throws {SmilesSyntaxError} On malformed SMARTS, with the position of the error
+ * @throws {Error} If smarts is not a non-empty string
+ *
+ * @example
+ * const amide = parseSMARTS('[NX3][CX3](=[OX1])[#6]');
+ * match(Fragment('CC(=O)NC'), amide).length; // 1
+ */
+export function parseSMARTS(smarts) {
+  if (typeof smarts !== 'string' || smarts.length === 0) {
+    throw new Error('parseSMARTS requires a non-empty SMARTS string');
+  }
+  const report = createErrorReporter(smarts);
+  const atoms = [];
+  const bonds = [];
+  const branchStack = [];
+  const openRings = new Map(); // ring number -> { atom, bond, slot, token }
+  let prevAtom = null;
+  let pendingBond = null;
+
+  const assertNoPendingBond = () => {
+    if (pendingBond) {
+      report(`Bond without following atom at position ${pendingBond.position}`, {
+        position: pendingBond.position, token: pendingBond.value, expected: AFTER_BOND,
+      });
+    }
+  };
+
+  const addBond = (from, to, bondToken, ringNumber = null) => {
+    bonds.push({
+      index: bonds.length,
+      from,
+      to,
+      expression: bondToken ? bondToken.query : null,
+      symbol: bondToken ? bondToken.value : null,
+      ringClosure: ringNumber !== null,
+      ringNumber,
+    });
+  };
+
+  tokenize(smarts, { smarts: true }).forEach((token) => {
+    if (token.type === TokenType.ATOM) {
+      const index = atoms.length;
+      atoms.push({
+        index,
+        expression: compileExpression(token.query, smarts),
+        neighbors: [],
+        smarts: token.value,
+      });
+      if (prevAtom !== null) {
+        addBond(prevAtom, index, pendingBond);
+        atoms[prevAtom].neighbors.push(index);
+        atoms[index].neighbors.push(prevAtom);
+      }
+      prevAtom = index;
+      pendingBond = null;
+    } else if (token.type === TokenType.BOND) {
+      if (prevAtom === null) {
+        report(`Bond without preceding atom at position ${token.position}`, {
+          position: token.position, token: token.value, expected: ['atom'],
+        });
+      }
+      pendingBond = token;
+    } else if (token.type === TokenType.RING_MARKER) {
+      const { ringNumber } = token;
+      if (prevAtom === null) {
+        report(`Ring marker without atom at position ${token.position}`, {
+          position: token.position, token: token.value, expected: ['atom'],
+        });
+      }
+      const opening = openRings.get(ringNumber);
+      if (!opening) {
+        const slot = atoms[prevAtom].neighbors.length;
+        atoms[prevAtom].neighbors.push(null);
+        openRings.set(ringNumber, {
+          atom: prevAtom, bond: pendingBond, slot, token,
+        });
+      } else {
+        if (opening.bond && pendingBond && opening.bond.value !== pendingBond.value) {
+          report(
+            `Conflicting ring closure bonds for ring ${ringNumber} at position `
+              + `${pendingBond.position}`,
+            {
+              position: pendingBond.position,
+              token: pendingBond.value,
+              expected: [opening.bond.value],
+            },
+          );
+        }
+        addBond(opening.atom, prevAtom, opening.bond || pendingBond, ringNumber);
+        atoms[opening.atom].neighbors[opening.slot] = prevAtom;
+        atoms[prevAtom].neighbors.push(opening.atom);
+        openRings.delete(ringNumber);
+      }
+      pendingBond = null;
+    } else if (token.type === TokenType.BRANCH_OPEN) {
+      branchStack.push(prevAtom);
+    } else if (token.type === TokenType.BRANCH_CLOSE) {
+      assertNoPendingBond();
+      if (branchStack.length === 0) {
+        report(`Unmatched ')' at position ${token.position}`, {
+          position: token.position, token: ')', expected: ['atom', 'bond', 'ring bond', '(', '.'],
+        });
+      }
+      prevAtom = branchStack.pop();
+    } else if (token.type === TokenType.DOT) {
+      assertNoPendingBond();
+      prevAtom = null;
+      pendingBond = null;
+    }
+  });
+  assertNoPendingBond();
+
+  if (openRings.size > 0) {
+    const unclosed = Array.from(openRings, ([ringNumber, { token }]) => (
+      `${ringNumber} (opened at position ${token.position})`
+    ));
+    const [first] = openRings.values();
+    report(`Unclosed rings: ${unclosed.join(', ')}`, {
+      position: first.token.position,
+      token: first.token.value,
+      expected: Array.from(openRings.values(), ({ token }) => token.value),
+    });
+  }
+  if (atoms.length === 0) {
+    report(`No atoms in SMARTS '${smarts}'`, { expected: ['atom'] });
+  }
+
+  return {
+    type: ASTNodeType.QUERY,
+    smarts,
+    atoms,
+    bonds,
+  };
+}
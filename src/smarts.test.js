@@ -0,0 +1,111 @@
+import { describe, test, expect } from 'bun:test';
+import { parseSMARTS } from './smarts.js';
+import { match, hasSubstructure } from './substructure.js';
+import { ASTNodeType } from './ast.js';
+import { parse } from './parser/index.js';
+import { SmilesSyntaxError } from './errors.js';
+
+const hits = (target, smarts) => match(target, parseSMARTS(smarts), { unique: true })
+  .map((mapping) => mapping.map((atom) => atom.index));
+
+describe('parseSMARTS', () => {
+  test('builds a query node of atoms and bonds', () => {
+    const query = parseSMARTS('[NX3][CX3](=[OX1])[#6]');
+    expect(query.type).toBe(ASTNodeType.QUERY);
+    expect(query.smarts).toBe('[NX3][CX3](=[OX1])[#6]');
+    expect(query.atoms.map((atom) => atom.smarts)).toEqual(['[NX3]', '[CX3]', '[OX1]', '[#6]']);
+    expect(query.bonds.map((bond) => [bond.from, bond.to, bond.symbol]))
+      .toEqual([[0, 1, null], [1, 2, '='], [1, 3, null]]);
+    expect(query.bonds[1].expression).toEqual({ type: 'double' });
+  });
+
+  test('closes rings', () => {
+    const query = parseSMARTS('C1CC@1');
+    expect(query.bonds[2]).toMatchObject({
+      from: 0, to: 2, ringClosure: true, expression: { type: 'ring' },
+    });
+  });
+
+  test('parses recursive queries', () => {
+    const [atom] = parseSMARTS('[$(C=O)]').atoms;
+    expect(atom.expression.query.type).toBe(ASTNodeType.QUERY);
+    expect(atom.expression.query.atoms).toHaveLength(2);
+  });
+
+  test('throws on malformed SMARTS', () => {
+    expect(() => parseSMARTS('')).toThrow('non-empty SMARTS string');
+    expect(() => parseSMARTS('C(=)')).toThrow('Bond without following atom at position 2');
+    expect(() => parseSMARTS('C1CC')).toThrow('Unclosed rings: 1');
+    expect(() => parseSMARTS('C)C')).toThrow("Unmatched ')'");
+  });
+
+  test('raises syntax errors with the position and a snippet', () => {
+    const errorOf = (smarts) => {
+      try {
+        parseSMARTS(smarts);
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+    const unclosed = errorOf('[C,');
+    expect(unclosed).toBeInstanceOf(SmilesSyntaxError);
+    expect(unclosed.position).toBe(0);
+    expect(unclosed.snippet).toBe('[C,\n^');
+    expect(errorOf('[C,]')).toMatchObject({ position: 3, expected: ['primitive', '!'] });
+    expect(errorOf('[#]')).toMatchObject({ position: 1, expected: ['atomic number'] });
+    expect(errorOf('C~')).toMatchObject({ position: 1, token: '~' });
+    expect(errorOf('C-1CC=1')).toMatchObject({ position: 5, expected: ['-'] });
+    expect(errorOf('C1CC').message).toBe('Unclosed rings: 1 (opened at position 1)');
+    expect(errorOf('[$(C=)]')).toMatchObject({
+      message: 'In recursive SMARTS at position 3: Bond without following atom at position 1',
+      position: 4,
+      snippet: '[$(C=)]\n    ^',
+    });
+  });
+});
+
+describe('SMARTS matching', () => {
+  test('matches element, atomic number and aromaticity primitives', () => {
+    expect(hits('CCO', '[#6]')).toEqual([[0], [1]]);
+    expect(hits('CCN', '[!C]')).toEqual([[2]]);
+    expect(hits('c1ccccc1CC', 'a-A')).toEqual([[5, 6]]);
+    expect(hits('CCCl', '[Cl,Br]')).toEqual([[2]]);
+  });
+
+  test('matches hydrogen, degree, connectivity and valence', () => {
+    expect(hits('CC(=O)O', '[CX3](=O)[OX2H1]')).toEqual([[1, 2, 3]]);
+    expect(hits('CC(=O)OC', '[CX3](=O)[OX2H1]')).toEqual([]);
+    expect(hits('CCO', '[D1]')).toEqual([[0], [2]]);
+    expect(hits('OCC=O', '[O;h1]')).toEqual([[0]]);
+    expect(hits('c1ccccc1', '[cv4]')).toHaveLength(6);
+    expect(hits('C[NH3+]', '[N+;H3]')).toEqual([[1]]);
+  });
+
+  test('matches ring primitives and ring bonds', () => {
+    expect(hits('c1ccccc1CC', '[R0;C]')).toEqual([[6], [7]]);
+    expect(hits('C1CCCC1C', '[r5]')).toHaveLength(5);
+    expect(hits('c1ccc2ccccc2c1', '[R2]')).toEqual([[3], [8]]);
+    expect(hits('C1CC1CC', '*!@*')).toEqual([[2, 3], [3, 4]]);
+    expect(hits('C1CC1CC', '*@*')).toHaveLength(3);
+    expect(hits('C1CC1CC', '[x2]')).toHaveLength(3);
+  });
+
+  test('matches any bonds', () => {
+    expect(hits('C=C', 'C~C')).toEqual([[0, 1]]);
+    expect(hits('C=C', 'C-C')).toEqual([]);
+  });
+
+  test('matches recursive SMARTS at the first atom', () => {
+    expect(hits('CCO', '[$(CO)]')).toEqual([[1]]);
+    expect(hits('CC(=O)O', '[$([OH]C=O)]')).toEqual([[3]]);
+    expect(hits('CC(=O)OC', '[$([OH]C=O)]')).toEqual([]);
+  });
+
+  test('works with hasSubstructure and node methods', () => {
+    const amide = parseSMARTS('[NX3][CX3](=[OX1])[#6]');
+    expect(hasSubstructure('CC(=O)NC', amide)).toBe(true);
+    expect(hasSubstructure('CC(=O)OC', amide)).toBe(false);
+    expect(parse('CC(=O)NC').match(amide)[0].map((atom) => atom.position)).toEqual([3, 2, 1, 1]);
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Tetrahedral stereochemistry
+ * Stereocenters of Ring and Linear nodes, setting chirality by R/S or @/@@, and
+ * keeping configurations when manipulation reorders an atom's neighbors
+ */
+
+import { toGraph } from './graph.js';
+import {
+  createCIPContext, chiralNeighbors, rankNeighbors, tetrahedralLabel, isOddPermutation,
+} from './cip.js';
+import { parseAtomProps, atomToSMILES } from './atom.js';
+import { createRingNode, createLinearNode, Atom } from './constructors.js';
+import { isRingNode, isLinearNode, validatePosition } from './ast.js';
+
+const CHIRALITY_VALUES = new Set(['R', 'S', '@', '@@']);
+
+function atomProps(atom) {
+  return typeof atom === 'string' ? parseAtomProps(atom) : atom;
+}
+
+function isTetrahedral(chirality) {
+  return chirality === '@' || chirality === '@@';
+}
+
+// Apply property changes to an atom, keeping strings as strings and Atom nodes as nodes
+function updateAtom(atom, changes) {
+  const props = { ...atomProps(atom), ...changes };
+  return typeof atom === 'string' ? atomToSMILES(props) : Atom(props);
+}
+
+function atomAt(node, position) {
+  if (isRingNode(node)) return node.substitutions[position] || node.atoms;
+  return node.atoms[position - 1];
+}
+
+function nodeSize(node) {
+  return isRingNode(node) ? node.size : node.atoms.length;
+}
+
+// Positions only address the atoms of Ring and Linear nodes
+function assertRingOrLinear(node, name) {
+  if (!isRingNode(node) && !isLinearNode(node)) {
+    throw new Error(`${name} requires a Ring or Linear node, got ${node && node.type}`);
+  }
+}
+
+/**
+ * Replace atoms of a Ring or Linear node
+ * @param {Object} node - Ring or Linear node
+ * @param {Object} atomMap - Position -> new atom
+ * @returns {Object} New node
+ */
+function withAtoms(node, atomMap) {
+  if (isRingNode(node)) {
+    const substitutions = { ...node.substitutions };
+    Object.entries(atomMap).forEach(([position, atom]) => {
+      if (atomToSMILES(atom) === atomToSMILES(node.atoms)) {
+        delete substitutions[position];
+      } else {
+        substitutions[position] = atom;
+      }
+    });
+    const ring = createRingNode(
+      node.atoms,
+      node.size,
+      node.ringNumber,
+      node.offset,
+      substitutions,
+      node.attachments,
+      node.bonds || [],
+      node.metaBranchDepths || null,
+    );
+    if (node.metaLeadingBond) ring.metaLeadingBond = node.metaLeadingBond;
+    return ring;
+  }
+  const atoms = node.atoms.map((atom, i) => (atomMap[i + 1] !== undefined ? atomMap[i + 1] : atom));
+  return createLinearNode(atoms, node.bonds, node.attachments, node.metaLeadingBond);
+}
+
+/**
+ * Invert the tetrahedral chirality of an atom ('@' <-> '@@')
+ * Atoms without '@'/'@@' are returned unchanged.
+ * @param {string|Object} atom - Atom string or Atom node
+ * @returns {string|Object} Atom of the same kind
+ */
+export function invertChirality(atom) {
+  const { chirality } = atomProps(atom);
+  if (!isTetrahedral(chirality)) return atom;
+  return updateAtom(atom, { chirality: chirality === '@' ? '@@' : '@' });
+}
+
+/**
+ * List the neighbors of a chain or ring atom in the order SMILES writes them,
+ * which is the order its '@'/'@@' refers to
+ *
+ * Neighbors in the node are given by position, a bracket hydrogen as 'H' and
+ * attachments as 'a0', 'a1', ... A neighbor outside the node (the atom a branch
+ * hangs from) is not listed; it always comes first.
+ *
+ * @param {Object} node - Ring or Linear node
+ * @param {number} position - 1-indexed position
+ * @returns {Array<number|string>}
+ */
+export function writtenNeighborRoles(node, position) {
+  const size = nodeSize(node);
+  const hydrogen = atomProps(atomAt(node, position)).hCount === 1 ? ['H'] : [];
+  const attachments = ((node.attachments || {})[position] || []).map((att, i) => `a${i}`);
+  if (isRingNode(node)) {
+    if (position === 1) return [...hydrogen, size, ...attachments, 2];
+    if (position === size) return [size - 1, ...hydrogen, 1, ...attachments];
+    return [position - 1, ...hydrogen, ...attachments, position + 1];
+  }
+  return [
+    ...(position > 1 ? [position - 1] : []),
+    ...hydrogen,
+    ...attachments,
+    ...(position < size ? [position + 1] : []),
+  ];
+}
+
+function sameNeighbors(a, b) {
+  return a.length === b.length && a.every((role) => b.includes(role));
+}
+
+/**
+ * Keep the configuration of stereocenters that mirror() copied to new positions
+ *
+ * A copy sees its neighbors in a different written order than the atom it was
+ * copied from (the previous and next atoms swap), so its '@'/'@@' is inverted
+ * whenever the reordering is odd. Copies whose neighbors do not correspond to
+ * the original ones are left as they are.
+ *
+ * @param {Object} source - Ring or Linear node the atoms were copied from
+ * @param {Object} mirrored - Node containing the copies
+ * @param {Array<Array<number>>} copies - [source position, copy position] pairs
+ * @param {Function} toSource - Maps a position in mirrored to the corresponding
+ *   position in source
+ * @returns {Object} mirrored, with corrected copies
+ */
+export function keepMirroredStereo(source, mirrored, copies, toSource) {
+  const atomMap = {};
+  copies.forEach(([from, to]) => {
+    const atom = atomAt(mirrored, to);
+    if (!isTetrahedral(atomProps(atom).chirality)) return;
+    const original = writtenNeighborRoles(source, from);
+    const copied = writtenNeighborRoles(mirrored, to)
+      .map((role) => (typeof role === 'number' ? toSource(role) : role));
+    if (sameNeighbors(original, copied) && isOddPermutation(original, copied)) {
+      atomMap[to] = invertChirality(atom);
+    }
+  });
+  return Object.keys(atomMap).length > 0 ? withAtoms(mirrored, atomMap) : mirrored;
+}
+
+/**
+ * Let a new attachment take the place of a stereocenter's hydrogen
+ *
+ * Attaching to a fully substituted '@'/'@@' atom with a bracket hydrogen removes
+ * that hydrogen, and the attachment takes its place in space. The attachment is
+ * written after the existing ones rather than where the H was, so '@'/'@@' is
+ * inverted when that moves it an odd number of places.
+ *
+ * @param {Object} node - Ring or Linear node before the attach
+ * @param {number} position - 1-indexed attach position
+ * @param {Object} attached - The node with the attachment added last at position
+ * @returns {Object} attached, with the stereocenter updated when there is one
+ */
+export function replaceStereoHydrogen(node, position, attached) {
+  const atom = atomAt(node, position);
+  const { chirality, hCount } = atomProps(atom);
+  if (!isTetrahedral(chirality) || !hCount) return attached;
+  const before = writtenNeighborRoles(node, position);
+  if (before.length !== 4) return attached;
+
+  const newRole = `a${attached.attachments[position].length - 1}`;
+  const withoutH = withAtoms(attached, { [position]: updateAtom(atom, { hCount: hCount - 1 }) });
+  const after = writtenNeighborRoles(withoutH, position)
+    .map((role) => (role === newRole ? 'H' : role));
+  if (!isOddPermutation(before, after)) return withoutH;
+  return withAtoms(withoutH, { [position]: invertChirality(atomAt(withoutH, position)) });
+}
+
+/**
+ * Describe the stereocenters of a Ring or Linear node
+ *
+ * Lists every atom of the node written with '@' or '@@', and every unspecified
+ * tetrahedral stereocenter (four different substituents by CIP priority).
+ * Atoms of attachments are not included; call this on the attachment instead.
+ * FusedRing and Molecule nodes are not supported.
+ *
+ * @param {Object} node - Ring or Linear node
+ * @returns {Array<Object>} One entry per center with { position, atom, chirality,
+ *   label, neighbors }. chirality is '@', '@@' or null (unspecified); label is the
+ *   CIP descriptor 'R' or 'S' (null when unspecified or not a true stereocenter).
+ *   neighbors are { element, node, position } in the order chirality refers to,
+ *   with node and position null for a hydrogen.
+ *
+ * @example
+ * getStereocenters(Linear(['N', '[C@@H]', 'O'], [], { 2: [Linear(['C'])] }));
+ * // [{ position: 2, atom: '[C@@H]', chirality: '@@', label: 'R', neighbors: [...] }]
+ */
+export function getStereocenters(node) {
+  assertRingOrLinear(node, 'getStereocenters');
+  const graph = toGraph(node);
+  const context = createCIPContext(graph);
+  const centers = [];
+
+  graph.atoms.forEach((atom, i) => {
+    if (!atom.source || atom.source.node !== node) return;
+    const { position } = atom.source;
+    const written = atomAt(node, position);
+    const { chirality } = atomProps(written);
+    const neighbors = chiralNeighbors(context, i);
+
+    if (!isTetrahedral(chirality)) {
+      const saturated = context.atomBonds[i].every((bond) => context.orders[bond.index] === 1);
+      if (atom.aromatic || !saturated || neighbors.length !== 4) return;
+      if (!rankNeighbors(context, i, neighbors)) return;
+    }
+
+    // The graph counts a hydrogen first; SMILES counts it after the preceding atom
+    const hasPreceding = graph.bonds.some((bond) => bond.to === i && !bond.ringClosure);
+    const ordered = hasPreceding && neighbors[0] === null
+      ? [neighbors[1], null, ...neighbors.slice(2)]
+      : neighbors;
+
+    centers.push({
+      position,
+      atom: atomToSMILES(written),
+      chirality: isTetrahedral(chirality) ? chirality : null,
+      label: tetrahedralLabel(context, i),
+      neighbors: ordered.map((neighbor) => {
+        if (neighbor === null) return { element: 'H', node: null, position: null };
+        const { element, source } = graph.atoms[neighbor];
+        return {
+          element,
+          node: source ? source.node : null,
+          position: source ? source.position : null,
+        };
+      }),
+    });
+  });
+  return centers;
+}
+
+function labelAt(node, position) {
+  const graph = toGraph(node);
+  const index = graph.atoms.findIndex(
+    (atom) => atom.source && atom.source.node === node && atom.source.position === position,
+  );
+  return tetrahedralLabel(createCIPContext(graph), index);
+}
+
+/**
+ * Set the tetrahedral chirality of an atom in a Ring or Linear node
+ *
+ * '@' and '@@' are written as given (relative to the written neighbor order, see
+ * getStereocenters). 'R' and 'S' pick whichever of the two gives that CIP label.
+ * Implicit hydrogens become an explicit H count ('C' becomes '[C@H]').
+ *
+ * @param {Object} node - Ring or Linear node
+ * @param {number} position - 1-indexed atom position
+ * @param {'R'|'S'|'@'|'@@'} value - Configuration
+ * @returns {Object} New node
+ * @throws {Error} For 'R'/'S' when the atom is not a stereocenter, and for nodes
+ *   other than Ring and Linear
+ *
+ * @example
+ * const alanine = Linear(['N', 'C', 'C', 'O'], [null, null, '='], { 2: [Linear(['C'])] });
+ * setChirality(alanine, 2, 'S').smiles; // 'N[C@@H](C)C=O'
+ */
+export function setChirality(node, position, value) {
+  if (!CHIRALITY_VALUES.has(value)) {
+    throw new Error(`Invalid chirality: '${value}' (expected 'R', 'S', '@' or '@@')`);
+  }
+  assertRingOrLinear(node, 'setChirality');
+  validatePosition(position, nodeSize(node));
+
+  const graph = toGraph(node);
+  const index = graph.atoms.findIndex(
+    (atom) => atom.source && atom.source.node === node && atom.source.position === position,
+  );
+  const hydrogens = createCIPContext(graph).hydrogens[index];
+  const set = (chirality) => withAtoms(node, {
+    [position]: updateAtom(atomAt(node, position), { chirality, hCount: hydrogens }),
+  });
+
+  if (value === '@' || value === '@@') return set(value);
+  const candidate = set('@');
+  const label = labelAt(candidate, position);
+  if (label === null) {
+    throw new Error(`Atom at position ${position} is not a stereocenter`);
+  }
+  return label === value ? candidate : set('@@');
+}
@@ -0,0 +1,160 @@
+import { describe, test, expect } from 'bun:test';
+import {
+  getStereocenters, setChirality, invertChirality, writtenNeighborRoles,
+} from './stereo.js';
+import { Ring, Linear, Atom } from './constructors.js';
+import { canonicalSMILES } from './canonical.js';
+import { parse } from './parser/index.js';
+
+function labels(node) {
+  return getStereocenters(node).map((center) => `${center.position}${center.label}`);
+}
+
+const alaninol = () => Linear(['N', 'C', 'C', 'O'], [], { 2: [Linear(['C'])] });
+
+describe('getStereocenters', () => {
+  test('describes written stereocenters', () => {
+    const linear = Linear(['N', '[C@@H]', 'O'], [], { 2: [Linear(['C'])] });
+    const [center] = getStereocenters(linear);
+    expect(center.position).toBe(2);
+    expect(center.atom).toBe('[C@@H]');
+    expect(center.chirality).toBe('@@');
+    expect(center.label).toBe('R');
+    expect(center.neighbors.map((n) => n.element)).toEqual(['N', 'H', 'C', 'O']);
+    expect(center.neighbors[0]).toEqual({ element: 'N', node: linear, position: 1 });
+    expect(center.neighbors[2].node).toBe(linear.attachments[2][0]);
+  });
+
+  test('lists unspecified stereocenters without chirality', () => {
+    const [center] = getStereocenters(alaninol());
+    expect(center.position).toBe(2);
+    expect(center.chirality).toBeNull();
+    expect(center.label).toBeNull();
+  });
+
+  test('skips atoms without four different substituents', () => {
+    expect(getStereocenters(Linear(['C', 'C', 'C']))).toEqual([]);
+    expect(getStereocenters(Ring({ atoms: 'C', size: 6, attachments: { 1: [Linear(['O'])] } })))
+      .toEqual([]);
+  });
+
+  test('finds ring stereocenters', () => {
+    const ring = Ring({
+      atoms: 'C',
+      size: 6,
+      substitutions: { 1: '[C@@H]', 2: '[C@@H]' },
+      attachments: { 1: [Linear(['O'])], 2: [Linear(['O'])] },
+    });
+    expect(labels(ring)).toEqual(['1S', '2S']);
+  });
+
+  test('throws for FusedRing and Molecule nodes', () => {
+    const molecule = parse('C[C@H]1CC[C@@H]2CCCC[C@H]2C1');
+    expect(() => getStereocenters(molecule))
+      .toThrow('getStereocenters requires a Ring or Linear node, got molecule');
+    expect(() => getStereocenters(molecule.components[1]))
+      .toThrow('getStereocenters requires a Ring or Linear node, got fused_ring');
+    expect(() => getStereocenters(parse('C3CC=C4C3(CCC(C4)O)C').components[0]))
+      .toThrow('getStereocenters requires a Ring or Linear node, got fused_ring');
+  });
+});
+
+describe('setChirality', () => {
+  test('sets R and S by CIP priority', () => {
+    expect(setChirality(alaninol(), 2, 'S').smiles).toBe('N[C@@H](C)CO');
+    expect(setChirality(alaninol(), 2, 'R').smiles).toBe('N[C@H](C)CO');
+    expect(labels(setChirality(alaninol(), 2, 'R'))).toEqual(['2R']);
+  });
+
+  test('sets @ and @@ as written', () => {
+    expect(setChirality(alaninol(), 2, '@').smiles).toBe('N[C@H](C)CO');
+    expect(setChirality(alaninol(), 2, '@@').smiles).toBe('N[C@@H](C)CO');
+  });
+
+  test('sets ring atoms through substitutions', () => {
+    const ring = Ring({ atoms: 'C', size: 6, attachments: { 2: [Linear(['O'])] } })
+      .attach(3, Linear(['N']));
+    const result = ring.setChirality(2, 'R');
+    expect(result.substitutions[2]).toMatch(/^\[C@@?H\]$/);
+    expect(labels(result)).toEqual(['2R', '3null']);
+  });
+
+  test('keeps Atom nodes as Atom nodes', () => {
+    const linear = Linear(['N', Atom({ element: 'C' }), 'O'], [], { 2: [Linear(['C'])] });
+    const result = setChirality(linear, 2, '@');
+    expect(result.atoms[1].type).toBe('atom');
+    expect(result.atoms[1].chirality).toBe('@');
+    expect(result.atoms[1].hCount).toBe(1);
+  });
+
+  test('throws for atoms that are not stereocenters', () => {
+    expect(() => setChirality(Linear(['C', 'C', 'C']), 2, 'R'))
+      .toThrow('Atom at position 2 is not a stereocenter');
+    expect(() => setChirality(alaninol(), 2, 'X')).toThrow('Invalid chirality');
+    expect(() => setChirality(alaninol(), 5, 'R')).toThrow('Position must be an integer');
+  });
+
+  test('throws for FusedRing and Molecule nodes', () => {
+    const molecule = parse('C[C@H]1CC[C@@H]2CCCC[C@H]2C1');
+    expect(() => setChirality(molecule.components[1], 1, 'R'))
+      .toThrow('setChirality requires a Ring or Linear node, got fused_ring');
+    expect(() => setChirality(molecule, 1, '@'))
+      .toThrow('setChirality requires a Ring or Linear node, got molecule');
+  });
+});
+
+describe('stereocenters under manipulation', () => {
+  test('mirror() copies keep the configuration', () => {
+    const linear = Linear(['C', '[C@@H]', 'O'], [], { 2: [Linear(['N'])] });
+    const mirrored = linear.mirror();
+    expect(mirrored.smiles).toBe('C[C@@H](N)O[C@H](N)C');
+    expect(labels(mirrored)).toEqual(['2S', '4S']);
+  });
+
+  test('ring mirror() copies keep the configuration', () => {
+    const ring = Ring({
+      atoms: 'C', size: 6, substitutions: { 2: '[C@@H]' }, attachments: { 2: [Linear(['N'])] },
+    });
+    expect(labels(ring.mirror(3))).toEqual(['2R', '4R']);
+    expect(labels(ring.mirror())).toEqual(['2S', '6S']);
+  });
+
+  test('attach() replaces the hydrogen of a stereocenter in place', () => {
+    const linear = Linear(['N', '[C@@H]', 'O'], [], { 2: [Linear(['C'])] });
+    const result = linear.attach(2, Linear(['F']));
+    expect(result.smiles).toBe('N[C@](C)(F)O');
+    expect(canonicalSMILES(result)).toBe(canonicalSMILES('N[C@@](C)(O)F'));
+  });
+
+  test('attach() leaves other atoms alone', () => {
+    const linear = Linear(['N', '[C@@H]', 'O']);
+    expect(linear.attach(2, Linear(['C'])).smiles).toBe('N[C@@H](C)O');
+  });
+
+  test('concat() keeps attachments next to stereocenters', () => {
+    const left = Linear(['N', '[C@@H]'], [], { 2: [Linear(['C'])] });
+    const right = Linear(['C', 'O'], [], { 1: [Linear(['Cl'])] });
+    const result = left.concat(right);
+    expect(result.smiles).toBe('N[C@@H](C)C(Cl)O');
+    expect(labels(result)[0]).toBe('2S');
+  });
+});
+
+describe('invertChirality', () => {
+  test('swaps @ and @@', () => {
+    expect(invertChirality('[C@H]')).toBe('[C@@H]');
+    expect(invertChirality('[C@@]')).toBe('[C@]');
+    expect(invertChirality('C')).toBe('C');
+    expect(invertChirality(Atom('[C@H]')).chirality).toBe('@@');
+  });
+});
+
+describe('writtenNeighborRoles', () => {
+  test('lists neighbors in written order', () => {
+    const linear = Linear(['N', '[C@@H]', 'O'], [], { 2: [Linear(['C'])] });
+    expect(writtenNeighborRoles(linear, 2)).toEqual([1, 'H', 'a0', 3]);
+    const ring = Ring({ atoms: 'C', size: 5, substitutions: { 1: '[C@H]', 5: '[C@H]' } });
+    expect(writtenNeighborRoles(ring, 1)).toEqual(['H', 5, 2]);
+    expect(writtenNeighborRoles(ring, 5)).toEqual([4, 'H', 1]);
+  });
+});
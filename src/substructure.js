@@ -0,0 +1,323 @@
+/**
+ * Substructure search
+ * Finds where a query fragment or SMARTS query occurs in a molecule by matching
+ * their graphs
+ */
+
+import { toGraph } from './graph.js';
+import { isQueryNode } from './ast.js';
+import { getAtomicNumber } from './elements.js';
+import { hydrogenCount, implicitHydrogenCount } from './valence.js';
+import { findRings, kekuleBondOrders } from './aromaticity.js';
+
+function bondsByAtom(graph) {
+  const atomBonds = graph.atoms.map(() => []);
+  graph.bonds.forEach((bond) => {
+    atomBonds[bond.from].push(bond);
+    atomBonds[bond.to].push(bond);
+  });
+  return atomBonds;
+}
+
+function bondBetween(atomBonds, a, b) {
+  return atomBonds[a].find((bond) => bond.from === b || bond.to === b);
+}
+
+// Bond expressions of written SMILES bond symbols ('/' and '\' count as single)
+const SMILES_BOND_TYPES = {
+  '-': 'single',
+  '/': 'single',
+  '\\': 'single',
+  '=': 'double',
+  '#': 'triple',
+  $: 'quadruple',
+  ':': 'aromatic',
+};
+
+/**
+ * Expression of an atom of a SMILES query
+ * Organic-subset atoms constrain only element and aromaticity; bracket atoms
+ * also constrain charge, isotope and, when they list hydrogens, the H count.
+ */
+function smilesAtomExpression(atom) {
+  if (atom.element === '*') return { type: 'any' };
+  const element = { type: 'element', symbol: atom.element, aromatic: atom.aromatic };
+  if (atom.hCount === null) return element;
+  return {
+    type: 'and',
+    args: [
+      element,
+      { type: 'charge', value: atom.charge },
+      ...(atom.isotope !== null ? [{ type: 'isotope', value: atom.isotope }] : []),
+      ...(atom.hCount > 0 ? [{ type: 'hCount', value: atom.hCount }] : []),
+    ],
+  };
+}
+
+/**
+ * Read a query argument as a query node: SMARTS query nodes are used as they
+ * are, AST nodes and SMILES strings are converted through their graph
+ */
+function toQuery(query) {
+  if (isQueryNode(query)) return query;
+  const graph = toGraph(query);
+  return {
+    atoms: graph.atoms.map((atom) => ({
+      index: atom.index,
+      expression: smilesAtomExpression(atom),
+      neighbors: atom.neighbors,
+    })),
+    bonds: graph.bonds.map((bond) => ({
+      index: bond.index,
+      from: bond.from,
+      to: bond.to,
+      expression: bond.symbol === null ? null : { type: SMILES_BOND_TYPES[bond.symbol] },
+    })),
+  };
+}
+
+/**
+ * Everything atom and bond primitives need to know about the target
+ */
+function createTargetContext(target) {
+  const graph = toGraph(target);
+  const atomBonds = bondsByAtom(graph);
+  const rings = findRings(graph, atomBonds);
+  const ringBonds = new Set(rings.flatMap((ring) => ring.bonds));
+  const orders = kekuleBondOrders(graph)
+    || graph.bonds.map((bond) => (bond.aromatic ? 1 : bond.order));
+  return {
+    graph,
+    atomBonds,
+    hydrogens: graph.atoms.map((atom, i) => hydrogenCount(atom, atomBonds[i])),
+    implicitHydrogens: graph.atoms.map((atom, i) => (atom.hCount === null
+      ? implicitHydrogenCount(atom, atomBonds[i])
+      : 0)),
+    atomRings: graph.atoms.map((atom) => rings.filter((ring) => ring.atoms.includes(atom.index))),
+    ringBonds,
+    orders,
+    recursive: new Map(), // recursive primitive -> Map(atom index -> boolean)
+  };
+}
+
+// Count primitives written without digits match any count of at least one
+const countIs = (expected, actual) => (expected === null ? actual > 0 : actual === expected);
+
+const ATOM_PRIMITIVES = {
+  any: () => true,
+  element: ({ symbol, aromatic }, atom) => atom.element === symbol && atom.aromatic === aromatic,
+  atomicNumber: ({ value }, atom) => getAtomicNumber(atom.element) === value,
+  aromatic: (node, atom) => atom.aromatic,
+  aliphatic: (node, atom) => !atom.aromatic && atom.element !== '*',
+  isotope: ({ value }, atom) => atom.isotope === value,
+  charge: ({ value }, atom) => atom.charge === value,
+  hCount: ({ value }, atom, context) => context.hydrogens[atom.index] === value,
+  implicitHCount: ({ value }, atom, context) => countIs(
+    value,
+    context.implicitHydrogens[atom.index],
+  ),
+  degree: ({ value }, atom, context) => context.atomBonds[atom.index].length === value,
+  connectivity: ({ value }, atom, context) => (
+    context.atomBonds[atom.index].length + context.hydrogens[atom.index] === value
+  ),
+  valence: ({ value }, atom, context) => context.atomBonds[atom.index].reduce(
+    (sum, bond) => sum + context.orders[bond.index],
+    context.hydrogens[atom.index],
+  ) === value,
+  ringMembership: ({ value }, atom, context) => (
+    value === null
+      ? context.atomRings[atom.index].length > 0
+      : context.atomRings[atom.index].length === value
+  ),
+  ringSize: ({ value }, atom, context) => {
+    const sizes = context.atomRings[atom.index].map((ring) => ring.atoms.length);
+    if (value === null) return sizes.length > 0;
+    return sizes.length > 0 && Math.min(...sizes) === value;
+  },
+  ringConnectivity: ({ value }, atom, context) => countIs(
+    value,
+    context.atomBonds[atom.index].filter((bond) => context.ringBonds.has(bond)).length,
+  ),
+  // Stereo and atom classes do not restrict matches
+  chirality: () => true,
+  atomClass: () => true,
+  // eslint-disable-next-line no-use-before-define
+  recursive: (node, atom, context) => matchesAt(context, node, atom.index),
+};
+
+const BOND_PRIMITIVES = {
+  any: () => true,
+  single: (bond) => !bond.aromatic && bond.order === 1,
+  up: (bond) => !bond.aromatic && bond.order === 1,
+  down: (bond) => !bond.aromatic && bond.order === 1,
+  double: (bond) => !bond.aromatic && bond.order === 2,
+  triple: (bond) => !bond.aromatic && bond.order === 3,
+  quadruple: (bond) => !bond.aromatic && bond.order === 4,
+  aromatic: (bond) => bond.aromatic,
+  ring: (bond, context) => context.ringBonds.has(bond),
+};
+
+function satisfies(expression, test) {
+  if (expression.type === 'not') return !satisfies(expression.arg, test);
+  if (expression.type === 'and') return expression.args.every((arg) => satisfies(arg, test));
+  if (expression.type === 'or') return expression.args.some((arg) => satisfies(arg, test));
+  return test(expression);
+}
+
+function atomSatisfies(expression, context, atomIndex) {
+  const atom = context.graph.atoms[atomIndex];
+  return satisfies(expression, (node) => ATOM_PRIMITIVES[node.type](node, atom, context));
+}
+
+// A bond written without a symbol is single or aromatic
+function bondSatisfies(expression, context, bond) {
+  if (expression === null) return bond.aromatic || bond.order === 1;
+  return satisfies(expression, (node) => BOND_PRIMITIVES[node.type](bond, context));
+}
+
+// Query atoms in search order: each atom after the first of its component has an
+// earlier neighbor, so its candidates are the neighbors of that neighbor's match
+function searchOrder(query) {
+  const order = [];
+  const parent = query.atoms.map(() => null);
+  const seen = new Set();
+  query.atoms.forEach((root) => {
+    if (seen.has(root.index)) return;
+    seen.add(root.index);
+    const queue = [root.index];
+    while (queue.length > 0) {
+      const i = queue.shift();
+      order.push(i);
+      query.atoms[i].neighbors.forEach((j) => {
+        if (seen.has(j)) return;
+        seen.add(j);
+        parent[j] = i;
+        queue.push(j);
+      });
+    }
+  });
+  return { order, parent };
+}
+
+/**
+ * Backtracking search for mappings of query atoms onto target atoms
+ * @param {Object} context - Target context from createTargetContext()
+ * @param {Object} query - Query node
+ * @param {Object} options - unique, limit, and anchor (target atom that query
+ *   atom 0 must map to)
+ * @returns {Array<Array<number>>} Target atom index per query atom, per mapping
+ */
+function searchMappings(context, query, { unique = false, limit = Infinity, anchor = null } = {}) {
+  const { graph } = context;
+  const queryBonds = bondsByAtom(query);
+  const { order, parent } = searchOrder(query);
+
+  const mapping = query.atoms.map(() => null);
+  const used = new Set();
+  const found = [];
+  const seenSets = new Set();
+
+  const fits = (q, t) => {
+    if (used.has(t)) return false;
+    if (q === 0 && anchor !== null && t !== anchor) return false;
+    if (!atomSatisfies(query.atoms[q].expression, context, t)) return false;
+    return queryBonds[q].every((queryBond) => {
+      const other = queryBond.from === q ? queryBond.to : queryBond.from;
+      if (mapping[other] === null) return true;
+      const targetBond = bondBetween(context.atomBonds, t, mapping[other]);
+      return targetBond !== undefined && bondSatisfies(queryBond.expression, context, targetBond);
+    });
+  };
+
+  const extend = (depth) => {
+    if (found.length >= limit) return;
+    if (depth === order.length) {
+      const key = [...mapping].sort((a, b) => a - b).join(',');
+      if (unique && seenSets.has(key)) return;
+      seenSets.add(key);
+      found.push([...mapping]);
+      return;
+    }
+    const q = order[depth];
+    const candidates = parent[q] === null
+      ? graph.atoms.map((atom) => atom.index)
+      : graph.atoms[mapping[parent[q]]].neighbors;
+    candidates.forEach((t) => {
+      if (found.length >= limit || !fits(q, t)) return;
+      mapping[q] = t;
+      used.add(t);
+      extend(depth + 1);
+      used.delete(t);
+      mapping[q] = null;
+    });
+  };
+
+  if (order.length > 0) extend(0);
+  return found;
+}
+
+// Whether a recursive SMARTS matches with its first atom on the given atom
+function matchesAt(context, node, atomIndex) {
+  if (!context.recursive.has(node)) context.recursive.set(node, new Map());
+  const results = context.recursive.get(node);
+  if (!results.has(atomIndex)) {
+    const mappings = searchMappings(context, node.query, { anchor: atomIndex, limit: 1 });
+    results.set(atomIndex, mappings.length > 0);
+  }
+  return results.get(atomIndex);
+}
+
+/**
+ * Find every occurrence of a query in a molecule
+ *
+ * The query is a SMARTS query node from parseSMARTS(), or a fragment (AST node or
+ * SMILES string) read as a SMARTS-lite pattern: 'C' matches any aliphatic carbon
+ * and 'c' any aromatic one, whatever their hydrogens or charge; bracket atoms
+ * also require their charge, isotope and listed hydrogens ('[OH]', '[N+]'), and
+ * '*' matches any atom. Bonds written without a symbol match single or aromatic
+ * bonds, written bonds their own order. Target atoms may have more neighbors
+ * than the query. Aromatic and Kekulé forms do not match each other; aromatize()
+ * first when the target may be written either way.
+ *
+ * @param {Object|string} target - AST node or SMILES string to search in
+ * @param {Object|string} query - Query node, AST node or SMILES string to look for
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.unique=false] - Keep one mapping per set of target
+ *   atoms (drops the symmetric mappings of e.g. the two O of a sulfonyl)
+ * @param {number} [options.limit=Infinity] - Stop after this many mappings
+ * @returns {Array<Array<Object>>} One mapping per occurrence: for each query atom
+ *   (in query SMILES order) the target atom it matched as { index, node,
+ *   position }, where index is the atom's index in toGraph(target) and node and
+ *   position locate it in the AST (null for SMILES strings)
+ *
+ * @example
+ * match(Fragment('CC(=O)O'), carboxyl);
+ * // [[{ index: 1, position: 2, ... }, { index: 2, ... }, { index: 3, ... }]]
+ */
+export function match(target, query, options = {}) {
+  const context = createTargetContext(target);
+  const { unique, limit } = options;
+  return searchMappings(context, toQuery(query), { unique, limit })
+    .map((indices) => indices.map((index) => {
+      const { source } = context.graph.atoms[index];
+      return {
+        index,
+        node: source ? source.node : null,
+        position: source ? source.position : null,
+      };
+    }));
+}
+
+/**
+ * Whether a molecule contains a query (see match)
+ * @param {Object|string} target - AST node or SMILES string to search in
+ * @param {Object|string} query - Query node, AST node or SMILES string to look for
+ * @returns {boolean}
+ *
+ * @example
+ * hasSubstructure(Fragment('CS(=O)(=O)N'), sulfonyl); // true
+ * hasSubstructure(Fragment('CC(=O)NC'), parseSMARTS('[NX3][CX3]=O')); // true
+ */
+export function hasSubstructure(target, query) {
+  return match(target, query, { limit: 1 }).length > 0;
+}
@@ -0,0 +1,82 @@
+import { describe, test, expect } from 'bun:test';
+import { match, hasSubstructure } from './substructure.js';
+import { parse } from './parser/index.js';
+import { Ring, Linear } from './constructors.js';
+import { aromatize } from './aromaticity.js';
+import {
+  carboxyl, sulfonyl, phenyl, pyridine, nitro,
+} from './common.js';
+
+const indices = (mappings) => mappings.map((mapping) => mapping.map((atom) => atom.index));
+
+describe('match', () => {
+  test('maps each query atom to a target atom', () => {
+    expect(indices(match('CC(=O)O', carboxyl))).toEqual([[1, 2, 3]]);
+    expect(indices(match('CC(=O)Oc1ccccc1C(=O)O', carboxyl))).toEqual([[1, 2, 3], [10, 11, 12]]);
+  });
+
+  test('locates matched atoms in the AST', () => {
+    const aspirin = parse('CC(=O)Oc1ccccc1C(=O)O');
+    const [acid] = match(aspirin, 'C(=O)[OH]');
+    expect(acid[0].position).toBe(1);
+    expect(acid[0].node.smiles).toBe('C(=O)O');
+    expect(acid[0].node).toBe(aspirin.components[2]);
+  });
+
+  test('bracket atoms constrain hydrogens and charge', () => {
+    expect(match('CC(=O)OC', 'C(=O)[OH]')).toEqual([]);
+    expect(match('CC(=O)[O-]', 'C(=O)[O-]')).toHaveLength(1);
+    expect(match('CC[NH3+]', '[N+]')).toHaveLength(1);
+    expect(match('CCN', '[N+]')).toEqual([]);
+    expect(match('CCN', '[NH2]')).toHaveLength(1);
+    expect(match('CNC', '[NH2]')).toEqual([]);
+  });
+
+  test('organic atoms match any hydrogens and charge', () => {
+    expect(match('C[N+](=O)[O-]', nitro)).toEqual([]);
+    expect(match('CN(=O)=O', nitro)).toHaveLength(2);
+    expect(match('CC(=O)[O-]', carboxyl)).toHaveLength(1);
+  });
+
+  test('matches bond orders and aromaticity', () => {
+    expect(indices(match('C=CC', 'C=C'))).toEqual([[0, 1], [1, 0]]);
+    expect(match('CCC', 'C=C')).toEqual([]);
+    expect(match('Cc1ccncc1', pyridine)).toHaveLength(2);
+    expect(match('C1=CC=CC=C1', phenyl)).toEqual([]);
+    expect(match(aromatize(parse('C1=CC=CC=C1')), phenyl)).toHaveLength(12);
+  });
+
+  test('matches wildcards and disconnected queries', () => {
+    expect(indices(match('CCO', '*O'))).toEqual([[1, 2]]);
+    expect(match('CC', 'C.C')).toHaveLength(2);
+  });
+
+  test('unique keeps one mapping per set of target atoms', () => {
+    const sulfanilamide = parse('Nc1ccc(cc1)S(=O)(=O)N');
+    expect(match(sulfanilamide, sulfonyl)).toHaveLength(2);
+    expect(match(sulfanilamide, sulfonyl, { unique: true })).toHaveLength(1);
+    expect(match('c1ccccc1', phenyl, { unique: true })).toHaveLength(1);
+  });
+
+  test('limit stops the search early', () => {
+    expect(match('c1ccccc1', phenyl, { limit: 3 })).toHaveLength(3);
+  });
+});
+
+describe('hasSubstructure', () => {
+  test('finds functional groups from common fragments', () => {
+    expect(hasSubstructure('CS(=O)(=O)N', sulfonyl)).toBe(true);
+    expect(hasSubstructure('CS(=O)(=O)N', 'S(=O)(=O)N')).toBe(true);
+    expect(hasSubstructure('CCO', sulfonyl)).toBe(false);
+    expect(hasSubstructure('CCO', carboxyl)).toBe(false);
+  });
+
+  test('is available as node methods', () => {
+    const toluene = Ring({ atoms: 'c', size: 6, attachments: { 1: [Linear(['C'])] } });
+    expect(toluene.hasSubstructure(phenyl)).toBe(true);
+    expect(toluene.match('cC')).toHaveLength(1);
+    expect(parse('CC(=O)O').hasSubstructure(carboxyl)).toBe(true);
+    expect(parse('c1ccc2ccccc2c1').hasSubstructure(phenyl)).toBe(true);
+    expect(parse('CCO.c1ccccc1').match(phenyl, { unique: true })).toHaveLength(1);
+  });
+});
@@ -3,13 +3,23 @@
  * Converts SMILES strings into a stream of tokens
  */
 
+import { AROMATIC_SYMBOLS, isElementSymbol } from './elements.js';
+import {
+  BOND_EXPRESSION_CHARS,
+  closingBracket,
+  parseAtomExpression,
+  parseBondExpression,
+  simpleAtomExpression,
+} from './smarts-expression.js';
+import { SmilesSyntaxError, createErrorReporter } from './errors.js';
+
 /**
  * Token types
  */
 export const TokenType = {
   ATOM: 'atom', // Simple or bracketed atom
-  BOND: 'bond', // Bond symbol (-, =, #, :, /, \)
-  RING_MARKER: 'ring_marker', // Ring closure digit or %NN
+  BOND: 'bond', // Bond symbol (-, =, #, :, /, \) or SMARTS bond expression
+  RING_MARKER: 'ring_marker', // Ring closure digit, %NN or %(NNN)
   BRANCH_OPEN: 'branch_open', // (
   BRANCH_CLOSE: 'branch_close', // )
   DOT: 'dot', // . (disconnected fragments)
@@ -59,26 +69,222 @@ function parseSimpleAtom(smiles, startPos) {
   };
 }
 
+// Chirality classes and the highest permitted index for each (OpenSMILES)
+const CHIRAL_CLASS_LIMITS = {
+  TH: 2, AL: 2, SP: 3, TB: 20, OH: 30,
+};
+
+const MAX_ISOTOPE_DIGITS = 3;
+const MAX_CHARGE = 15;
+
+// What may follow the element of a bracket atom
+const BRACKET_ATOM_PARTS = ['chirality', 'H', 'charge', 'atom class', ']'];
+
+// Ways to write a charge
+const CHARGE_FORMS = ['+', '-', '++', '--', '+n', '-n'];
+
+// What may come next outside bracket atoms
+const SMILES_PARTS = ['atom', 'bond', 'ring bond', '(', ')', '.'];
+
+/**
+ * Read the element symbol at the start of a bracket atom body
+ * Tries two-letter symbols before one-letter ones, aromatic forms included
+ * @returns {{symbol: string, aromatic: boolean}|null}
+ */
+function readBracketElement(content, index) {
+  if (content[index] === '*') {
+    return { symbol: '*', aromatic: false };
+  }
+  const two = content.slice(index, index + 2);
+  if (/^[A-Z][a-z]$/.test(two) && isElementSymbol(two)) {
+    return { symbol: two, aromatic: false };
+  }
+  if (/^[a-z]{2}$/.test(two) && AROMATIC_SYMBOLS.has(two)) {
+    return { symbol: two, aromatic: true };
+  }
+  const one = content[index];
+  if (/^[A-Z]$/.test(one) && isElementSymbol(one)) {
+    return { symbol: one, aromatic: false };
+  }
+  if (AROMATIC_SYMBOLS.has(one)) {
+    return { symbol: one, aromatic: true };
+  }
+  return null;
+}
+
 /**
  * Parse a bracketed atom [...]
  * Format: [isotope?][element][chiral?][hcount?][charge?][class?]
- * Examples: [NH3+], [C@H], [13C], [Fe+2]
+ * Examples: [NH3+], [C@H], [13C], [Fe+2], [CH3:1]
+ *
+ * Returns the raw body alongside the parsed fields:
+ *   isotope (number|null), element (string, capitalised), aromatic (boolean),
+ *   chirality (string|null, e.g. '@', '@@', '@TH1'), hCount (number),
+ *   charge (number), atomClass (number|null)
  */
 function parseBracketedAtom(smiles, startPos) {
   const closeBracket = smiles.indexOf(']', startPos);
   if (closeBracket === -1) {
-    throw new Error(`Unclosed bracket starting at position ${startPos}`);
+    throw new SmilesSyntaxError(`Unclosed bracket starting at position ${startPos}`, {
+      smiles, position: startPos, token: smiles.slice(startPos), expected: [']'],
+    });
   }
 
   const content = smiles.slice(startPos + 1, closeBracket);
   const fullValue = smiles.slice(startPos, closeBracket + 1);
+  // Absolute position in the input string of a character in the bracket body
+  const at = (i) => startPos + 1 + i;
+  const fail = (message, position, expected) => {
+    throw new SmilesSyntaxError(message, {
+      smiles, position, token: fullValue, expected,
+    });
+  };
+
+  // R-group placeholder: [R] and [R1] are dummy atoms, read like [*] and [*:1]
+  const rGroupMatch = /^R(\d*)$/.exec(content);
+  if (rGroupMatch) {
+    return {
+      value: fullValue,
+      atom: {
+        raw: content,
+        isotope: null,
+        element: '*',
+        aromatic: false,
+        chirality: null,
+        hCount: 0,
+        charge: 0,
+        atomClass: rGroupMatch[1] ? parseInt(rGroupMatch[1], 10) : null,
+      },
+      endPosition: closeBracket + 1,
+    };
+  }
+
+  let i = 0;
+
+  // Isotope
+  const isotopeMatch = /^\d+/.exec(content);
+  let isotope = null;
+  if (isotopeMatch) {
+    if (isotopeMatch[0].length > MAX_ISOTOPE_DIGITS) {
+      fail(`Isotope out of range at position ${at(0)}: ${isotopeMatch[0]}`, at(0), [
+        `isotope of at most ${MAX_ISOTOPE_DIGITS} digits`,
+      ]);
+    }
+    isotope = parseInt(isotopeMatch[0], 10);
+    i = isotopeMatch[0].length;
+  }
+
+  // Element
+  const element = readBracketElement(content, i);
+  if (!element) {
+    const symbolMatch = /^[A-Za-z]+/.exec(content.slice(i));
+    if (!symbolMatch) {
+      fail(`Missing element in bracket atom at position ${at(i)}: ${fullValue}`, at(i), [
+        'element symbol',
+      ]);
+    }
+    fail(`Unknown element at position ${at(i)}: '${symbolMatch[0]}'`, at(i), ['element symbol']);
+  }
+  i += element.symbol.length;
+
+  // Chirality
+  let chirality = null;
+  if (content[i] === '@') {
+    const chiralMatch = /^@(@|TH\d|AL\d|SP\d|TB\d{1,2}|OH\d{1,2})?/.exec(content.slice(i));
+    [chirality] = chiralMatch;
+    const chiralClass = chirality.slice(1, 3);
+    if (CHIRAL_CLASS_LIMITS[chiralClass] !== undefined) {
+      const chiralIndex = parseInt(chirality.slice(3), 10);
+      if (chiralIndex < 1 || chiralIndex > CHIRAL_CLASS_LIMITS[chiralClass]) {
+        const limit = CHIRAL_CLASS_LIMITS[chiralClass];
+        fail(
+          `Invalid chirality at position ${at(i)}: ${chirality}`,
+          at(i),
+          Array.from({ length: limit }, (_, k) => `@${chiralClass}${k + 1}`),
+        );
+      }
+    }
+    i += chirality.length;
+  }
+
+  // Hydrogen count
+  let hCount = 0;
+  const hasH = content[i] === 'H';
+  if (hasH) {
+    const hMatch = /^H(\d)?/.exec(content.slice(i));
+    hCount = hMatch[1] !== undefined ? parseInt(hMatch[1], 10) : 1;
+    i += hMatch[0].length;
+  }
+
+  // Charge: +, -, ++, --, +2, -3 ...
+  let charge = 0;
+  let chargeStart = null;
+  if (content[i] === '+' || content[i] === '-') {
+    chargeStart = i;
+    const sign = content[i] === '+' ? 1 : -1;
+    const chargeMatch = /^([+-])(\1*)(\d*)/.exec(content.slice(i));
+    const repeated = chargeMatch[2].length;
+    const digits = chargeMatch[3];
+    if (repeated > 0 && digits) {
+      fail(
+        `Malformed charge at position ${at(chargeStart)}: ${chargeMatch[0]}`,
+        at(chargeStart),
+        CHARGE_FORMS,
+      );
+    }
+    const magnitude = digits ? parseInt(digits, 10) : repeated + 1;
+    if (magnitude > MAX_CHARGE) {
+      fail(
+        `Charge out of range at position ${at(chargeStart)}: ${chargeMatch[0]}`,
+        at(chargeStart),
+        [`charge from -${MAX_CHARGE} to +${MAX_CHARGE}`],
+      );
+    }
+    charge = sign * magnitude;
+    i += chargeMatch[0].length;
+    if (content[i] === '+' || content[i] === '-') {
+      fail(
+        `Malformed charge at position ${at(chargeStart)}: ${content.slice(chargeStart)}`,
+        at(chargeStart),
+        CHARGE_FORMS,
+      );
+    }
+  }
+
+  // Atom class
+  let atomClass = null;
+  if (content[i] === ':') {
+    const classMatch = /^:(\d+)/.exec(content.slice(i));
+    if (!classMatch) {
+      fail(`Invalid atom class at position ${at(i)}: ${content.slice(i)}`, at(i), [':n']);
+    }
+    atomClass = parseInt(classMatch[1], 10);
+    i += classMatch[0].length;
+  }
+
+  if (i < content.length) {
+    fail(
+      `Unexpected character in bracket atom at position ${at(i)}: '${content[i]}'`,
+      at(i),
+      // Parts come in order, so only those after the last one read can follow
+      BRACKET_ATOM_PARTS.slice(
+        [chirality !== null, hasH, chargeStart !== null, atomClass !== null].lastIndexOf(true) + 1,
+      ),
+    );
+  }
 
-  // For now, we'll do basic parsing
-  // Full parsing would extract isotope, element, chirality, H-count, charge, class
-  // This is a simplified version that just captures the content
   const atom = {
     raw: content,
-    // TODO: Parse isotope, element, chirality, hcount, charge, class
+    isotope,
+    // Aromatic symbols are reported in element form ('c' -> 'C', 'se' -> 'Se')
+    element: element.aromatic
+      ? element.symbol[0].toUpperCase() + element.symbol.slice(1)
+      : element.symbol,
+    aromatic: element.aromatic,
+    chirality,
+    hCount,
+    charge,
+    atomClass,
   };
 
   return {
@@ -88,12 +294,65 @@ function parseBracketedAtom(smiles, startPos) {
   };
 }
 
+/**
+ * Thrower of the syntax errors in one SMARTS atom or bond expression
+ * @returns {Function} (message, position, expected) => never
+ */
+function smartsFailure(smarts, token) {
+  return (message, position, expected) => {
+    throw new SmilesSyntaxError(message, {
+      smiles: smarts, position, token, expected,
+    });
+  };
+}
+
+/**
+ * Parse a SMARTS bracket atom [...] into an expression tree
+ * Examples: [#6], [C,N], [!H0;X3], [$(C=O)O]
+ */
+function parseSMARTSBracketAtom(smarts, startPos) {
+  const closeBracket = closingBracket(smarts, startPos);
+  if (closeBracket === -1) {
+    throw new SmilesSyntaxError(`Unclosed bracket starting at position ${startPos}`, {
+      smiles: smarts, position: startPos, token: smarts.slice(startPos), expected: [']'],
+    });
+  }
+  const value = smarts.slice(startPos, closeBracket + 1);
+  const content = smarts.slice(startPos + 1, closeBracket);
+  if (content.length === 0) {
+    throw new SmilesSyntaxError(`Empty bracket atom at position ${startPos}`, {
+      smiles: smarts, position: startPos, token: value, expected: ['primitive'],
+    });
+  }
+  return {
+    value,
+    query: parseAtomExpression(content, startPos + 1, smartsFailure(smarts, value)),
+    endPosition: closeBracket + 1,
+  };
+}
+
 /**
  * Tokenize a SMILES string
+ *
+ * With the smarts option the input is read as SMARTS: atoms and bonds may be
+ * query expressions ('[#6]', '[!N]', '[C,N]', '~', '!@', '[$(C=O)]'). Their
+ * tokens carry the parsed expression tree as `query` (see smarts-expression.js);
+ * bracket atoms have no `atom` field then, and a bond token's value is the whole
+ * bond expression.
+ *
+ * Syntax errors are SmilesSyntaxErrors. With the errors option they are collected
+ * there instead of thrown (tolerant mode), and the characters they are about are
+ * skipped: a bad character, a malformed ring marker, or a whole bracket atom.
+ *
  * @param {string} smiles - SMILES string to tokenize
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.smarts=false] - Read the input as SMARTS
+ * @param {Array} [options.errors] - Array collecting syntax errors
  * @returns {Array<Object>} Array of tokens
+ * @throws {SmilesSyntaxError} On a syntax error, without the errors option
  */
-export function tokenize(smiles) {
+export function tokenize(smiles, { smarts = false, errors } = {}) {
+  const report = createErrorReporter(smiles, errors);
   const tokens = [];
   let position = 0;
 
@@ -127,6 +386,18 @@ export function tokenize(smiles) {
         position,
       });
       position += 1;
+    } else if (smarts && BOND_EXPRESSION_CHARS.has(char)) {
+      // SMARTS bond expressions (~, @, !, operators)
+      let end = position;
+      while (end < smiles.length && BOND_EXPRESSION_CHARS.has(smiles[end])) end += 1;
+      const value = smiles.slice(position, end);
+      tokens.push({
+        type: TokenType.BOND,
+        value,
+        query: parseBondExpression(value, position, smartsFailure(smiles, value)),
+        position,
+      });
+      position = end;
     } else if (isBondSymbol(char)) {
       // Bond symbols
       tokens.push({
@@ -136,18 +407,22 @@ export function tokenize(smiles) {
       });
       position += 1;
     } else if (char === '%') {
-      // Ring markers (% followed by two digits)
-      const marker = smiles.slice(position, position + 3);
-      if (marker.length === 3 && /^%\d\d$/.test(marker)) {
+      // Ring markers (% followed by two digits, or %(n) with up to five digits)
+      const [marker] = /^%(\d\d|\(\d{1,5}\))/.exec(smiles.slice(position)) || [];
+      if (marker) {
         tokens.push({
           type: TokenType.RING_MARKER,
           value: marker,
-          ringNumber: parseInt(marker.slice(1), 10),
+          ringNumber: parseInt(marker.replace(/\D/g, ''), 10),
           position,
         });
-        position += 3;
+        position += marker.length;
       } else {
-        throw new Error(`Invalid ring marker at position ${position}: ${marker}`);
+        const [invalid] = /^%(\(\d*\)?|\d*)/.exec(smiles.slice(position));
+        report(`Invalid ring marker at position ${position}: ${invalid}`, {
+          position, token: invalid, expected: ['%nn', '%(nnn)'],
+        });
+        position += invalid.length;
       }
     } else if (/\d/.test(char)) {
       // Ring markers (single digit)
@@ -158,16 +433,38 @@ export function tokenize(smiles) {
         position,
       });
       position += 1;
-    } else if (char === '[') {
-      // Bracketed atoms [...]
-      const result = parseBracketedAtom(smiles, position);
+    } else if (char === '[' && smarts) {
+      // SMARTS bracket atoms [...]
+      const result = parseSMARTSBracketAtom(smiles, position);
       tokens.push({
         type: TokenType.ATOM,
         value: result.value,
-        atom: result.atom,
+        query: result.query,
         position,
       });
       position = result.endPosition;
+    } else if (char === '[') {
+      // Bracketed atoms [...]
+      let result;
+      try {
+        result = parseBracketedAtom(smiles, position);
+      } catch (error) {
+        if (!(error instanceof SmilesSyntaxError) || !Array.isArray(errors)) throw error;
+        errors.push(error);
+      }
+      if (result) {
+        tokens.push({
+          type: TokenType.ATOM,
+          value: result.value,
+          atom: result.atom,
+          position,
+        });
+        position = result.endPosition;
+      } else {
+        // Skip the malformed bracket atom
+        const closeBracket = smiles.indexOf(']', position);
+        position = closeBracket === -1 ? smiles.length : closeBracket + 1;
+      }
     } else if (isAtomStart(char)) {
       // Simple atoms (organic subset and aromatic)
       const result = parseSimpleAtom(smiles, position);
@@ -175,11 +472,17 @@ export function tokenize(smiles) {
         type: TokenType.ATOM,
         value: result.value,
         atom: result.atom,
+        ...(smarts ? {
+          query: simpleAtomExpression(result.atom, position, smartsFailure(smiles, result.value)),
+        } : {}),
         position,
       });
       position = result.endPosition;
     } else {
-      throw new Error(`Unexpected character at position ${position}: '${char}'`);
+      report(`Unexpected character at position ${position}: '${char}'`, {
+        position, token: char, expected: SMILES_PARTS,
+      });
+      position += 1;
     }
   }
 
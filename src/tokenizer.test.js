@@ -1,5 +1,16 @@
 import { describe, test, expect } from 'bun:test';
 import { tokenize, TokenType } from './tokenizer.js';
+import { SmilesSyntaxError } from './errors.js';
+
+// The error a call throws
+const thrown = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
 
 describe('Tokenizer - Simple Atoms', () => {
   test('tokenizes single atom', () => {
@@ -96,6 +107,17 @@ describe('Tokenizer - Ring Markers', () => {
     });
   });
 
+  test('tokenizes parenthesized ring markers', () => {
+    const tokens = tokenize('C%(123)CCCC%(123)C%(7)C7');
+    const ringMarkers = tokens.filter((t) => t.type === TokenType.RING_MARKER);
+    expect(ringMarkers.map((t) => [t.value, t.ringNumber, t.position])).toEqual([
+      ['%(123)', 123, 1],
+      ['%(123)', 123, 11],
+      ['%(7)', 7, 18],
+      ['7', 7, 23],
+    ]);
+  });
+
   test('tokenizes benzene ring', () => {
     const tokens = tokenize('c1ccccc1');
     expect(tokens).toHaveLength(8); // 6 atoms + 2 ring markers
@@ -149,6 +171,115 @@ describe('Tokenizer - Bracketed Atoms', () => {
   });
 });
 
+describe('Tokenizer - Bracket Atom Fields', () => {
+  test('parses hydrogen count and charge', () => {
+    const [token] = tokenize('[NH3+]');
+    expect(token.atom).toEqual({
+      raw: 'NH3+',
+      isotope: null,
+      element: 'N',
+      aromatic: false,
+      chirality: null,
+      hCount: 3,
+      charge: 1,
+      atomClass: null,
+    });
+  });
+
+  test('parses isotope', () => {
+    const [token] = tokenize('[13C]');
+    expect(token.atom.isotope).toBe(13);
+    expect(token.atom.element).toBe('C');
+  });
+
+  test('parses chirality', () => {
+    expect(tokenize('[C@H]')[0].atom.chirality).toBe('@');
+    expect(tokenize('[C@@H]')[0].atom.chirality).toBe('@@');
+    expect(tokenize('[C@TH2]')[0].atom.chirality).toBe('@TH2');
+    expect(tokenize('[Co@OH25]')[0].atom.chirality).toBe('@OH25');
+  });
+
+  test('parses two-letter elements', () => {
+    const [token] = tokenize('[Fe+2]');
+    expect(token.atom.element).toBe('Fe');
+    expect(token.atom.charge).toBe(2);
+  });
+
+  test('parses repeated charge signs', () => {
+    expect(tokenize('[O--]')[0].atom.charge).toBe(-2);
+    expect(tokenize('[Cu++]')[0].atom.charge).toBe(2);
+  });
+
+  test('parses atom class', () => {
+    const [token] = tokenize('[CH3:12]');
+    expect(token.atom.atomClass).toBe(12);
+    expect(token.atom.hCount).toBe(3);
+  });
+
+  test('parses aromatic bracket atoms', () => {
+    const nh = tokenize('[nH]')[0].atom;
+    expect(nh.element).toBe('N');
+    expect(nh.aromatic).toBe(true);
+    expect(nh.hCount).toBe(1);
+    expect(tokenize('[se]')[0].atom.element).toBe('Se');
+  });
+
+  test('parses hydrogen as element', () => {
+    const [token] = tokenize('[2H]');
+    expect(token.atom.element).toBe('H');
+    expect(token.atom.isotope).toBe(2);
+    expect(token.atom.hCount).toBe(0);
+  });
+
+  test('parses wildcard', () => {
+    expect(tokenize('[*]')[0].atom.element).toBe('*');
+  });
+
+  test('parses R-group placeholders as dummy atoms', () => {
+    expect(tokenize('[R1]')[0].atom).toEqual({
+      raw: 'R1',
+      isotope: null,
+      element: '*',
+      aromatic: false,
+      chirality: null,
+      hCount: 0,
+      charge: 0,
+      atomClass: 1,
+    });
+    expect(tokenize('[R]')[0].atom.atomClass).toBe(null);
+    expect(tokenize('[Rb+]')[0].atom.element).toBe('Rb');
+  });
+
+  test('throws on unknown element with position', () => {
+    expect(() => tokenize('CC[Xx]')).toThrow("Unknown element at position 3: 'Xx'");
+  });
+
+  test('throws on malformed charge', () => {
+    expect(() => tokenize('[Fe+-2]')).toThrow('Malformed charge at position 3');
+    expect(() => tokenize('[N++2]')).toThrow('Malformed charge');
+  });
+
+  test('throws on out-of-range charge', () => {
+    expect(() => tokenize('[C+16]')).toThrow('Charge out of range');
+  });
+
+  test('throws on out-of-range isotope', () => {
+    expect(() => tokenize('C[12345C]')).toThrow('Isotope out of range at position 2');
+  });
+
+  test('throws on invalid chirality class index', () => {
+    expect(() => tokenize('[C@TH3]')).toThrow('Invalid chirality');
+  });
+
+  test('throws on missing element', () => {
+    expect(() => tokenize('[+]')).toThrow('Missing element');
+  });
+
+  test('throws on trailing garbage', () => {
+    expect(() => tokenize('[CH3x]')).toThrow('Unexpected character in bracket atom at position 4');
+  });
+});
+
 describe('Tokenizer - Complex Molecules', () => {
   test('tokenizes ethanol', () => {
     const tokens = tokenize('CCO');
@@ -213,12 +344,48 @@ describe('Tokenizer - Error Handling', () => {
   });
 
   test('throws on invalid ring marker', () => {
-    expect(() => tokenize('C%1C')).toThrow('Invalid ring marker');
+    expect(() => tokenize('C%1C')).toThrow('Invalid ring marker at position 1: %1');
+    expect(() => tokenize('C%(12C')).toThrow('Invalid ring marker at position 1: %(12');
+    expect(() => tokenize('C%(123456)C')).toThrow('Invalid ring marker');
+    expect(thrown(() => tokenize('C%1C')).expected).toEqual(['%nn', '%(nnn)']);
   });
 
   test('throws on unexpected character', () => {
     expect(() => tokenize('C$C')).toThrow('Unexpected character');
   });
+
+  test('throws SmilesSyntaxErrors pointing at the offending token', () => {
+    const error = thrown(() => tokenize('CC$C'));
+    expect(error).toBeInstanceOf(SmilesSyntaxError);
+    expect(error.name).toBe('SmilesSyntaxError');
+    expect(error.position).toBe(2);
+    expect(error.token).toBe('$');
+    expect(error.expected).toEqual(['atom', 'bond', 'ring bond', '(', ')', '.']);
+    expect(error.snippet).toBe('CC$C\n  ^');
+  });
+
+  test('reports bracket atom errors at the offending character', () => {
+    const charge = thrown(() => tokenize('C[NH3+-]'));
+    expect(charge.position).toBe(5);
+    expect(charge.token).toBe('[NH3+-]');
+    expect(charge.expected).toEqual(['+', '-', '++', '--', '+n', '-n']);
+
+    expect(thrown(() => tokenize('[C@TH3]')).expected).toEqual(['@TH1', '@TH2']);
+    expect(thrown(() => tokenize('[NH3x]')).expected).toEqual(['charge', 'atom class', ']']);
+    expect(thrown(() => tokenize('[NH3+')).expected).toEqual([']']);
+  });
+
+  test('collects errors and skips what they are about in tolerant mode', () => {
+    const errors = [];
+    const tokens = tokenize('C$[Xx]C%1C[NH4+', { errors });
+    expect(tokens.map((t) => t.value)).toEqual(['C', 'C', 'C']);
+    expect(errors.map((error) => [error.position, error.token])).toEqual([
+      [1, '$'],
+      [3, '[Xx]'],
+      [7, '%1'],
+      [10, '[NH4+'],
+    ]);
+  });
 });
 
 describe('Tokenizer - Position Tracking', () => {
@@ -240,3 +407,74 @@ describe('Tokenizer - Position Tracking', () => {
     expect(tokens[4].position).toBe(4); // C
   });
 });
+
+describe('Tokenizer - SMARTS', () => {
+  test('reads bracket atoms as query expressions', () => {
+    const [atom] = tokenize('[#6]', { smarts: true });
+    expect(atom.type).toBe(TokenType.ATOM);
+    expect(atom.value).toBe('[#6]');
+    expect(atom.query).toEqual({ type: 'atomicNumber', value: 6 });
+    expect(atom.atom).toBeUndefined();
+  });
+
+  test('applies operator precedence', () => {
+    const [atom] = tokenize('[C,N;!H0]', { smarts: true });
+    expect(atom.query).toEqual({
+      type: 'and',
+      args: [
+        {
+          type: 'or',
+          args: [
+            { type: 'element', symbol: 'C', aromatic: false },
+            { type: 'element', symbol: 'N', aromatic: false },
+          ],
+        },
+        { type: 'not', arg: { type: 'hCount', value: 0 } },
+      ],
+    });
+    expect(tokenize('[c&X3]', { smarts: true })[0].query.type).toBe('and');
+    expect(tokenize('[cX3,n]', { smarts: true })[0].query.args[0].type).toBe('and');
+  });
+
+  test('reads count primitives and hydrogen', () => {
+    const query = (smarts) => tokenize(smarts, { smarts: true })[0].query;
+    expect(query('[NH2]').args[1]).toEqual({ type: 'hCount', value: 2 });
+    expect(query('[R]')).toEqual({ type: 'ringMembership', value: null });
+    expect(query('[r6]')).toEqual({ type: 'ringSize', value: 6 });
+    expect(query('[D3]')).toEqual({ type: 'degree', value: 3 });
+    expect(query('[H]')).toEqual({ type: 'element', symbol: 'H', aromatic: false });
+    expect(query('[2H]').args[1]).toEqual({ type: 'element', symbol: 'H', aromatic: false });
+    expect(query('[Hg]')).toEqual({ type: 'element', symbol: 'Hg', aromatic: false });
+    expect(query('[N+]').args[1]).toEqual({ type: 'charge', value: 1 });
+    expect(query('[O--]').args[1]).toEqual({ type: 'charge', value: -2 });
+  });
+
+  test('reads recursive SMARTS with nested brackets', () => {
+    const tokens = tokenize('[$([OH]C=O)]C', { smarts: true });
+    expect(tokens).toHaveLength(2);
+    expect(tokens[0].query).toEqual({ type: 'recursive', smarts: '[OH]C=O', position: 3 });
+  });
+
+  test('reads bond expressions as one token', () => {
+    const tokens = tokenize('C~N!@O-,=S', { smarts: true });
+    const bonds = tokens.filter((t) => t.type === TokenType.BOND);
+    expect(bonds.map((t) => t.value)).toEqual(['~', '!@', '-,=']);
+    expect(bonds[0].query).toEqual({ type: 'any' });
+    expect(bonds[1].query).toEqual({ type: 'not', arg: { type: 'ring' } });
+    expect(bonds[2].query.type).toBe('or');
+  });
+
+  test('reads atoms outside brackets', () => {
+    const tokens = tokenize('a-A*Cl', { smarts: true });
+    expect(tokens.filter((t) => t.type === TokenType.ATOM).map((t) => t.query.type))
+      .toEqual(['aromatic', 'aliphatic', 'any', 'element']);
+  });
+
+  test('throws on malformed expressions', () => {
+    expect(() => tokenize('[#]', { smarts: true })).toThrow('Missing atomic number');
+    expect(() => tokenize('[C&]', { smarts: true })).toThrow('Missing SMARTS primitive');
+    expect(() => tokenize('[Q]', { smarts: true })).toThrow("Unexpected character in SMARTS atom at position 1: 'Q'");
+    expect(() => tokenize('[$(C]', { smarts: true })).toThrow('Unclosed bracket');
+    expect(() => tokenize('C~C')).toThrow('Unexpected character');
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Valence model
+ * Normal valences of the organic subset, implicit hydrogen counting and
+ * detection of over-valent atoms
+ */
+
+import { toGraph } from './graph.js';
+
+/**
+ * Allowed valences of organic-subset elements (OpenSMILES), lowest first
+ */
+export const ORGANIC_VALENCES = {
+  B: [3],
+  C: [4],
+  N: [3, 5],
+  O: [2],
+  P: [3, 5],
+  S: [2, 4, 6],
+  F: [1],
+  Cl: [1],
+  Br: [1],
+  I: [1],
+};
+
+/**
+ * Sum of bond orders around an atom, counting aromatic bonds as single bonds
+ * @param {Array<Object>} atomBonds - Graph bonds incident to the atom
+ * @returns {number}
+ */
+export function bondOrderSum(atomBonds) {
+  return atomBonds.reduce((sum, bond) => sum + (bond.aromatic ? 1 : bond.order), 0);
+}
+
+/**
+ * Count the implicit hydrogens of an organic-subset atom
+ *
+ * The atom takes the lowest allowed valence that fits its bonds and fills the rest
+ * with hydrogens. Aromatic atoms also reserve one valence for the pi system when
+ * there is room for it, so benzene 'c' gets one H and thiophene 's' none.
+ *
+ * @param {Object} atom - Graph atom (element, aromatic)
+ * @param {Array<Object>} atomBonds - Graph bonds incident to the atom
+ * @returns {number} Implicit hydrogen count (0 for elements outside the organic subset)
+ */
+export function implicitHydrogenCount(atom, atomBonds) {
+  const valences = ORGANIC_VALENCES[atom.element];
+  if (!valences) return 0;
+  const used = bondOrderSum(atomBonds);
+  const valence = valences.find((v) => v >= used);
+  if (valence === undefined) return 0;
+  const hydrogens = valence - used - (atom.aromatic ? 1 : 0);
+  return Math.max(hydrogens, 0);
+}
+
+/**
+ * Total hydrogens on an atom: the bracket H count, or implicit hydrogens when
+ * the atom is written in the organic subset
+ * @param {Object} atom - Graph atom
+ * @param {Array<Object>} atomBonds - Graph bonds incident to the atom
+ * @returns {number}
+ */
+export function hydrogenCount(atom, atomBonds) {
+  if (atom.hCount !== null) return atom.hCount;
+  return implicitHydrogenCount(atom, atomBonds);
+}
+
+// Second-row and heavier elements keep their expanded valences when charged
+const EXPANDED_VALENCE_ELEMENTS = new Set(['P', 'S', 'Cl', 'Br', 'I']);
+
+// Halogen valences beyond the organic subset, as in perchlorate O=Cl(=O)(=O)[O-]
+// and IF7; implicit hydrogens still count from valence 1
+const HYPERVALENT_HALOGEN_VALENCES = [1, 3, 5, 7];
+const HYPERVALENT_VALENCES = {
+  Cl: HYPERVALENT_HALOGEN_VALENCES,
+  Br: HYPERVALENT_HALOGEN_VALENCES,
+  I: HYPERVALENT_HALOGEN_VALENCES,
+};
+
+/**
+ * Allowed valences of an atom, adjusted for its charge
+ * Charged atoms take the valence of the isoelectronic neutral atom ([N+] and [C-]
+ * are like C and N, [O-] is like F); carbon loses a bond either way. Cl, Br and I
+ * also allow 3, 5 and 7.
+ * @param {Object} atom - Graph atom (element, charge)
+ * @returns {Array<number>|null} Allowed valences, or null when not modelled
+ */
+export function allowedValences(atom) {
+  const valences = HYPERVALENT_VALENCES[atom.element] || ORGANIC_VALENCES[atom.element];
+  if (!valences) return null;
+  const { charge } = atom;
+  if (charge === 0) return valences;
+  if (atom.element === 'C') return [4 - Math.abs(charge)];
+  if (atom.element === 'B') return [3 - charge];
+  const shifted = EXPANDED_VALENCE_ELEMENTS.has(atom.element) ? valences : [valences[0]];
+  return shifted.map((v) => v + charge).filter((v) => v >= 0);
+}
+
+/**
+ * Valence used by an atom: bond orders plus hydrogens
+ * An uncharged aromatic carbon also needs its ring double bond, unless it already
+ * has an exocyclic double bond (as in c(=O)).
+ * @param {Object} atom - Graph atom
+ * @param {Array<Object>} atomBonds - Graph bonds incident to the atom
+ * @returns {number}
+ */
+export function usedValence(atom, atomBonds) {
+  const hydrogens = atom.hCount === null ? 0 : atom.hCount;
+  const hasDoubleBond = atomBonds.some((bond) => !bond.aromatic && bond.order === 2);
+  const needsPiBond = atom.aromatic && atom.element === 'C' && atom.charge === 0 && !hasDoubleBond;
+  return bondOrderSum(atomBonds) + hydrogens + (needsPiBond ? 1 : 0);
+}
+
+function describeSource(source) {
+  if (!source) return '';
+  return ` at position ${source.position} of ${source.node.type}`;
+}
+
+/**
+ * Find over-valent atoms in a node
+ *
+ * Each atom's bonds and hydrogens are checked against the allowed valences of its
+ * element (organic subset: B, C, N, O, P, S and halogens), adjusted for charge.
+ * Other elements are not checked.
+ *
+ * @param {Object|string} node - AST node or SMILES string
+ * @returns {Array<Object>} One entry per over-valent atom with { node, position,
+ *   index, element, valence, maxValence, message }; empty when the node is valid.
+ *   node and position locate the atom in the AST (null for SMILES strings).
+ *
+ * @example
+ * validateValence(Fragment('CC(C)(C)(C)C'));
+ * // [{ position: 2, element: 'C', valence: 5, maxValence: 4, ... }]
+ */
+export function validateValence(node) {
+  const graph = toGraph(node);
+  const atomBonds = graph.atoms.map(() => []);
+  graph.bonds.forEach((bond) => {
+    atomBonds[bond.from].push(bond);
+    atomBonds[bond.to].push(bond);
+  });
+
+  const issues = [];
+  graph.atoms.forEach((atom, i) => {
+    const valences = allowedValences(atom);
+    if (!valences) return;
+    const valence = usedValence(atom, atomBonds[i]);
+    const maxValence = Math.max(...valences);
+    if (valence <= maxValence) return;
+    issues.push({
+      node: atom.source ? atom.source.node : null,
+      position: atom.source ? atom.source.position : null,
+      index: i,
+      element: atom.element,
+      valence,
+      maxValence,
+      message: `${atom.element}${describeSource(atom.source)} has valence ${valence} (max ${maxValence})`,
+    });
+  });
+  return issues;
+}
+
+/**
+ * Throw if a node has over-valent atoms (strict mode of the attach functions)
+ * @param {Object} node - AST node
+ * @returns {Object} The node, when valid
+ */
+export function assertValidValence(node) {
+  const issues = validateValence(node);
+  if (issues.length > 0) {
+    throw new Error(`Invalid valence: ${issues.map((issue) => issue.message).join('; ')}`);
+  }
+  return node;
+}
@@ -0,0 +1,109 @@
+import { describe, test, expect } from 'bun:test';
+import {
+  implicitHydrogenCount, hydrogenCount, allowedValences, validateValence,
+} from './valence.js';
+import { toGraph } from './graph.js';
+import { parse } from './parser/index.js';
+import { Ring, Linear } from './constructors.js';
+
+/**
+ * Hydrogen counts for every atom of a SMILES string
+ */
+function hydrogensOf(smiles, count = hydrogenCount) {
+  const graph = toGraph(smiles);
+  return graph.atoms.map((atom) => count(
+    atom,
+    graph.bonds.filter((bond) => bond.from === atom.index || bond.to === atom.index),
+  ));
+}
+
+describe('implicitHydrogenCount', () => {
+  test('fills the lowest valence that fits', () => {
+    expect(hydrogensOf('CC=O', implicitHydrogenCount)).toEqual([3, 1, 0]);
+    expect(hydrogensOf('C#N', implicitHydrogenCount)).toEqual([1, 0]);
+    expect(hydrogensOf('CS(=O)(=O)C', implicitHydrogenCount)).toEqual([3, 0, 0, 0, 3]);
+  });
+
+  test('reserves a valence for aromatic atoms', () => {
+    expect(hydrogensOf('c1ccncc1', implicitHydrogenCount)).toEqual([1, 1, 1, 0, 1, 1]);
+    expect(hydrogensOf('c1ccsc1', implicitHydrogenCount)).toEqual([1, 1, 1, 0, 1]);
+    expect(hydrogensOf('c1ccc2ccccc2c1', implicitHydrogenCount)[3]).toBe(0);
+  });
+
+  test('gives no implicit hydrogens outside the organic subset', () => {
+    expect(hydrogensOf('[Fe]', implicitHydrogenCount)).toEqual([0]);
+    expect(hydrogensOf('*C', implicitHydrogenCount)).toEqual([0, 3]);
+  });
+});
+
+describe('hydrogenCount', () => {
+  test('uses the bracket H count for bracket atoms', () => {
+    expect(hydrogensOf('[CH2]C[NH3+]')).toEqual([2, 2, 3]);
+    expect(hydrogensOf('c1cc[nH]c1')).toEqual([1, 1, 1, 1, 1]);
+    expect(hydrogensOf('[C]')).toEqual([0]);
+  });
+});
+
+describe('allowedValences', () => {
+  test('adjusts valences for charge', () => {
+    expect(allowedValences({ element: 'N', charge: 0 })).toEqual([3, 5]);
+    expect(allowedValences({ element: 'N', charge: 1 })).toEqual([4]);
+    expect(allowedValences({ element: 'O', charge: -1 })).toEqual([1]);
+    expect(allowedValences({ element: 'C', charge: -1 })).toEqual([3]);
+    expect(allowedValences({ element: 'B', charge: -1 })).toEqual([4]);
+    expect(allowedValences({ element: 'S', charge: 1 })).toEqual([3, 5, 7]);
+    expect(allowedValences({ element: 'Cl', charge: 0 })).toEqual([1, 3, 5, 7]);
+    expect(allowedValences({ element: 'I', charge: 1 })).toEqual([2, 4, 6, 8]);
+    expect(allowedValences({ element: 'Fe', charge: 0 })).toBe(null);
+  });
+});
+
+describe('validateValence', () => {
+  test('returns no issues for valid molecules', () => {
+    ['CC(=O)[O-]', 'C[N+](C)(C)C', 'O=S(=O)(O)O', 'c1ccc2ccccc2c1', 'O=c1cccc[nH]1', 'c1ccsc1']
+      .forEach((smiles) => expect(validateValence(parse(smiles))).toEqual([]));
+  });
+
+  test('allows the expanded valences of Cl, Br and I', () => {
+    ['O=[Cl](=O)(=O)[O-]', 'O=Cl(=O)O', 'FBr(F)F', 'FI(F)(F)(F)(F)(F)F', 'OI(=O)=O']
+      .forEach((smiles) => expect(validateValence(parse(smiles))).toEqual([]));
+    expect(validateValence('FI(F)(F)(F)(F)(F)(F)F')[0].maxValence).toBe(7);
+    expect(hydrogensOf('O=Cl')).toEqual([0, 0]);
+  });
+
+  test('reports over-valent atoms by node and position', () => {
+    const chain = Linear(['C', 'C', 'C']);
+    const crowded = [1, 2, 3].reduce(
+      (node) => node.attach(2, Linear(['C'])),
+      chain,
+    );
+    const issues = validateValence(crowded);
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({
+      position: 2, index: 1, element: 'C', valence: 5, maxValence: 4,
+    });
+    expect(issues[0].node.atoms).toEqual(['C', 'C', 'C']);
+    expect(crowded.validateValence()).toHaveLength(1);
+  });
+
+  test('locates atoms inside attachments', () => {
+    const ring = Ring({ atoms: 'c', size: 6 }).attach(1, Linear(['O', 'C'], ['#']));
+    const [issue] = validateValence(ring);
+    expect(issue.node.type).toBe('linear');
+    expect(issue.position).toBe(1);
+    expect(issue.message).toBe('O at position 1 of linear has valence 4 (max 2)');
+  });
+
+  test('checks charged and bracket atoms', () => {
+    expect(validateValence('C[N+](C)(C)(C)C')[0].maxValence).toBe(4);
+    expect(validateValence('[CH4]C')[0].valence).toBe(5);
+    expect(validateValence('[Fe](C)(C)(C)(C)(C)C')).toEqual([]);
+  });
+
+  test('has no node or position for SMILES strings', () => {
+    const [issue] = validateValence('CC(C)(C)(C)C');
+    expect(issue.node).toBe(null);
+    expect(issue.message).toBe('C has valence 5 (max 4)');
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Variable names for decompiled code
+ * Names variables after what they build (benzeneRing, naphthaleneCore, carboxylGroup)
+ */
+
+import { ASTNodeType } from './ast.js';
+import { buildSMILES } from './codegen/index.js';
+import { toGraph } from './graph.js';
+import { writeGraphSMILES } from './graph-writer.js';
+import { canonicalSMILES } from './canonical.js';
+import { aromatize } from './aromaticity.js';
+import { parseAtomProps } from './atom.js';
+
+// Ring systems by SMILES: single rings are named '<name>Ring', fused ones '<name>Core'
+const RING_NAMES = {
+  benzene: 'c1ccccc1',
+  pyridine: 'c1ccncc1',
+  pyrimidine: 'c1cncnc1',
+  pyrazine: 'c1cnccn1',
+  pyridazine: 'c1ccnnc1',
+  triazine: 'c1ncncn1',
+  pyrrole: 'c1cc[nH]c1',
+  furan: 'c1ccoc1',
+  thiophene: 'c1ccsc1',
+  imidazole: 'c1c[nH]cn1',
+  pyrazole: 'c1cc[nH]n1',
+  oxazole: 'c1cocn1',
+  isoxazole: 'c1cnoc1',
+  thiazole: 'c1cscn1',
+  cyclopropane: 'C1CC1',
+  cyclobutane: 'C1CCC1',
+  cyclopentane: 'C1CCCC1',
+  cyclohexane: 'C1CCCCC1',
+  cycloheptane: 'C1CCCCCC1',
+  cyclohexene: 'C1CC=CCC1',
+  oxirane: 'C1CO1',
+  aziridine: 'C1CN1',
+  pyrrolidine: 'C1CCNC1',
+  piperidine: 'C1CCNCC1',
+  piperazine: 'C1CNCCN1',
+  morpholine: 'C1COCCN1',
+  tetrahydrofuran: 'C1CCOC1',
+  tetrahydropyran: 'C1CCOCC1',
+  naphthalene: 'c1ccc2ccccc2c1',
+  indole: 'c1ccc2[nH]ccc2c1',
+  quinoline: 'c1ccc2ncccc2c1',
+  isoquinoline: 'c1ccc2cnccc2c1',
+  benzimidazole: 'c1ccc2[nH]cnc2c1',
+  benzofuran: 'c1ccc2occc2c1',
+  benzothiophene: 'c1ccc2sccc2c1',
+  benzoxazole: 'c1ccc2ocnc2c1',
+  benzothiazole: 'c1ccc2scnc2c1',
+  purine: 'c1ncc2[nH]cnc2n1',
+  indane: 'C1Cc2ccccc2C1',
+  tetralin: 'C1CCc2ccccc2C1',
+  anthracene: 'c1ccc2cc3ccccc3cc2c1',
+  phenanthrene: 'c1ccc2c(c1)ccc1ccccc12',
+};
+
+// Substituent groups by written SMILES, named '<name>Group'
+const GROUP_NAMES = {
+  O: 'hydroxyl',
+  N: 'amino',
+  '=O': 'oxo',
+  '=N': 'imino',
+  F: 'fluoro',
+  Cl: 'chloro',
+  Br: 'bromo',
+  I: 'iodo',
+  S: 'sulfhydryl',
+  'C=O': 'formyl',
+  'C(=O)O': 'carboxyl',
+  'C(=O)N': 'amide',
+  'C(=O)C': 'acetyl',
+  'CC(=O)O': 'acetoxy',
+  'CC(=O)N': 'acetamido',
+  'C#N': 'cyano',
+  'N(=O)=O': 'nitro',
+  OC: 'methoxy',
+  OCC: 'ethoxy',
+  'C(C)C': 'isopropyl',
+  'C(C)(C)C': 'tertButyl',
+  'CC(C)C': 'isobutyl',
+  'C(F)(F)F': 'trifluoromethyl',
+  'S(=O)(=O)': 'sulfonyl',
+  'S(=O)(=O)N': 'sulfonamide',
+  'P(=O)(O)O': 'phosphate',
+};
+
+// Unbranched carbon chains by length, named '<name>Chain'
+const ALKYL_NAMES = [
+  'methyl', 'ethyl', 'propyl', 'butyl', 'pentyl', 'hexyl', 'heptyl', 'octyl', 'nonyl', 'decyl',
+];
+
+// Canonical SMILES -> ring name, built on first use
+let ringNamesBySMILES = null;
+
+/**
+ * Canonical key of a ring system, aromatic where possible so Kekulé rings match too
+ */
+function ringKey(smiles) {
+  return canonicalSMILES(aromatize(smiles));
+}
+
+function ringName(key) {
+  if (!ringNamesBySMILES) {
+    ringNamesBySMILES = new Map(
+      Object.entries(RING_NAMES).map(([name, smiles]) => [ringKey(smiles), name]),
+    );
+  }
+  return ringNamesBySMILES.get(key) || null;
+}
+
+/**
+ * SMILES of the atoms a ring or fused ring owns, without its attachments
+ * Ring atoms keep their element, aromaticity and aromatic [nH]; substituents and
+ * stereo are left out so substituted rings are named after their parent ring.
+ */
+function ownRingSMILES(node) {
+  const owners = new Set([node, ...(node.rings || []), ...(node.metaSequentialRings || [])]);
+  const graph = toGraph(node);
+  const indices = new Map();
+  graph.atoms.forEach((atom) => {
+    if (atom.source && owners.has(atom.source.node)) indices.set(atom.index, indices.size);
+  });
+  const atoms = [...indices.keys()].map((index) => {
+    const { element, aromatic, hCount } = graph.atoms[index];
+    return { element, aromatic, hCount: aromatic ? hCount : null };
+  });
+  const bonds = graph.bonds
+    .filter((bond) => indices.has(bond.from) && indices.has(bond.to))
+    .map((bond) => ({
+      from: indices.get(bond.from),
+      to: indices.get(bond.to),
+      order: bond.order,
+      aromatic: bond.aromatic,
+    }));
+  return writeGraphSMILES({ atoms, bonds });
+}
+
+/**
+ * Name of a ring ('benzeneRing') or fused ring ('naphthaleneCore')
+ */
+function ringSystemName(node, isFused) {
+  let name = null;
+  try {
+    name = ringName(ringKey(ownRingSMILES(node)));
+  } catch {
+    // Ring systems that cannot be written on their own (e.g. with sequential chains)
+  }
+  if (isFused) return name ? `${name}Core` : 'fusedRing';
+  return name ? `${name}Ring` : 'ring';
+}
+
+/**
+ * Name of a linear chain ('carboxylGroup', 'methylChain', 'r1Group')
+ */
+function linearName(node, smiles) {
+  if (GROUP_NAMES[smiles]) return `${GROUP_NAMES[smiles]}Group`;
+  if (node.atoms.length === 1 && Object.keys(node.attachments || {}).length === 0) {
+    // R-group placeholders: [*:1] and [R1] are 'r1Group', * is 'rGroup'
+    const [atom] = node.atoms;
+    const { element, atomClass } = typeof atom === 'string' ? parseAtomProps(atom) : atom;
+    if (element === '*') return atomClass === null ? 'rGroup' : `r${atomClass}Group`;
+  }
+  const isAlkyl = node.atoms.every((atom) => atom === 'C')
+    && node.bonds.every((bond) => bond === null)
+    && Object.keys(node.attachments || {}).length === 0;
+  if (isAlkyl && ALKYL_NAMES[node.atoms.length - 1]) {
+    return `${ALKYL_NAMES[node.atoms.length - 1]}Chain`;
+  }
+  return 'chain';
+}
+
+/**
+ * Base name of the variables that build a node
+ */
+function baseName(node) {
+  const builders = {
+    [ASTNodeType.RING]: () => ringSystemName(node, false),
+    [ASTNodeType.FUSED_RING]: () => ringSystemName(node, true),
+    [ASTNodeType.LINEAR]: () => linearName(node, buildSMILES(node)),
+    [ASTNodeType.MOLECULE]: () => 'molecule',
+  };
+  const builder = builders[node && node.type];
+  return builder ? builder() : 'node';
+}
+
+/**
+ * Create a variable name generator that names variables after their nodes
+ *
+ * Each variable is named after the node its declaration builds, so a pyridine
+ * made by substituting benzene is declared as benzeneRing, then pyridineRing.
+ * Nodes with no name of their own get a neutral one ('ring', 'chain'); repeated
+ * names are numbered from 2 (benzeneRing, benzeneRing2, ...).
+ *
+ * @param {Array<string>} reserved - Names already taken (e.g. imported fragments)
+ * @returns {Function} (node) => variable name
+ */
+export function createNamer(reserved = []) {
+  const baseNames = new WeakMap();
+  const taken = new Set(reserved);
+  const counts = new Map();
+  return (node) => {
+    if (node && !baseNames.has(node)) baseNames.set(node, baseName(node));
+    const base = node ? baseNames.get(node) : 'node';
+    let count = counts.get(base) || 0;
+    let name;
+    do {
+      count += 1;
+      name = count === 1 ? base : `${base}${count}`;
+    } while (taken.has(name));
+    counts.set(base, count);
+    taken.add(name);
+    return name;
+  };
+}
@@ -1,19 +1,16 @@
 import { parse } from '../src/parser/index.js';
-import {
-  Ring, Linear, FusedRing, Molecule, RawFragment,
-} from '../src/constructors.js';
-import { Fragment } from '../src/fragment.js';
+import { runModule, verifyDecompile } from '../src/roundtrip.js';
 
 // Use indirect Function constructor access to satisfy linter
 // This is a legitimate use case for testing code generation
 const FunctionConstructor = Function;
 
 /**
- * Strip 'export ' from code for execution in new Function()
- * (new Function doesn't support ES module syntax)
+ * Strip 'export ' and the constructor import from code for execution in new Function()
+ * (new Function doesn't support ES module syntax; the constructors are passed in)
  */
 export function stripExports(code) {
-  return code.replace(/^export /gm, '');
+  return code.replace(/^import .* from 'smiles-js';\n+/gm, '').replace(/^export /gm, '');
 }
 
 /**
@@ -33,16 +30,8 @@ export function createFunction(...args) {
  * @returns {*} The result of executing the code
  */
 export function executeCode(code, returnVar) {
-  const factory = createFunction(
-    'Ring',
-    'Linear',
-    'FusedRing',
-    'Molecule',
-    'RawFragment',
-    'Fragment',
-    `${code}\nreturn ${returnVar};`,
-  );
-  return factory(Ring, Linear, FusedRing, Molecule, RawFragment, Fragment);
+  const constructors = 'Ring, Linear, FusedRing, Molecule, RawFragment, Atom, Fragment';
+  return runModule(`const { ${constructors} } = require('smiles-js');\n${code}\nmodule.exports = ${returnVar};`);
 }
 
 /**
@@ -52,21 +41,9 @@ export function executeCode(code, returnVar) {
  * @returns {Object} The reconstructed AST node
  */
 export function codegenRoundTrip(smiles) {
-  const ast = parse(smiles);
-  const code = ast.toCode('v', { verbose: true });
-
-  // Find the last variable name in the generated code
-  const varMatches = code.match(/export (?:const|let) (v\d+)/g);
-  if (!varMatches) {
-    throw new Error('No variables found in generated code');
-  }
-  const lastVar = varMatches[varMatches.length - 1].replace(/export (?:const|let) /, '');
-
-  // Strip 'export ' for evaluation (not supported in non-module context)
-  const executableCode = code.replace(/^export /gm, '');
-
-  // Execute the code to reconstruct the AST
-  return executeCode(executableCode, lastVar);
+  const { node, error } = verifyDecompile(smiles, { verbose: true });
+  if (error) throw new Error(error);
+  return node;
 }
 
 /**
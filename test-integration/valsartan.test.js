@@ -1,6 +1,8 @@
 import { describe, test, expect } from 'bun:test';
 import { parse } from '../src/parser/index.js';
 import { tokenize } from '../src/tokenizer.js';
+import { validateValence } from '../src/valence.js';
+import { enumerateLibrary } from '../src/enumeration.js';
 import { codegenRoundTrip } from './utils.js';
 
 const VALSARTAN_SMILES = 'CCCCC(=O)N(CC1=CC=C(C=C1)C2=CC=CC=C2C3=NNN=N3)C(C(C)C)C(=O)O';
@@ -343,3 +345,18 @@ describe('Valsartan - Isolated Issue Detection', () => {
     expect(reconstructed.smiles).not.toContain('C3=NNN=N3C3=NNN=N3');
   });
 });
+
+describe('Valsartan - Analog Library', () => {
+  test('decorates the valsartan scaffold', () => {
+    // Chain positions: 1-4 butyl, 5 carbonyl C, 6 N, 7 valine alpha C, 8 carboxyl C, 9 O
+    const library = Array.from(enumerateLibrary(VALSARTAN_SMILES, {
+      1: [null, 'F', 'O'],
+      3: [null, 'C'],
+    }));
+    expect(library).toHaveLength(6);
+    expect(library[0].smiles).toBe(VALSARTAN_SMILES);
+    expect(library[3].smiles)
+      .toBe('C(F)CC(C)CC(=O)N(CC1=CC=C(C=C1)C2=CC=CC=C2C3=NNN=N3)C(C(C)C)C(=O)O');
+    library.forEach(({ node }) => expect(validateValence(node)).toEqual([]));
+  });
+});